@@ -0,0 +1,269 @@
+const EventEmitter = require('events');
+
+const { encodeCursor, sortValue } = require('./buildQuery');
+
+const DEFAULT_MAX_BUILDS = 1000;
+const DEFAULT_MAX_ALERTS = 200;
+
+// Builds that have a result; running and pending builds do not count towards rates or durations
+const FINISHED_STATUSES = ['success', 'failure', 'unstable', 'aborted'];
+// Results that count against the success rate and raise an alert for their project
+const FAILED_STATUSES = ['failure', 'unstable'];
+
+const BUILD_DATES = ['startTime', 'endTime', 'timestamp', 'receivedAt'];
+const PROJECT_DATES = ['firstSeenAt', 'lastBuildAt'];
+const ALERT_DATES = ['openedAt', 'resolvedAt'];
+
+const round = value => Math.round(value * 10) / 10;
+
+/**
+ * Turn the ISO strings of a stored record back into dates
+ */
+const revive = (record, fields) => {
+  const revived = { ...record };
+  fields.forEach(field => {
+    if (revived[field]) revived[field] = new Date(revived[field]);
+  });
+  return revived;
+};
+
+const buildKey = build => `${build.project}#${build.buildId}`;
+
+/**
+ * Builds reported to the lightweight backend, newest first, with the projects they belong
+ * to and an alert per project whose latest finished build failed. A build reported again
+ * (same project and buildId) replaces the stored one, so running builds can be updated
+ * with their result. With a FileStore as storage every change survives restarts.
+ *
+ * Emits `build` (build, created) for every stored build and `alert` (alert) when an alert
+ * opens or resolves.
+ */
+class BuildStore extends EventEmitter {
+  /**
+   * @param {Object} options
+   * @param {number} options.maxBuilds - Builds kept; the oldest are dropped first
+   * @param {number} options.maxAlerts - Alerts kept; the oldest resolved ones are dropped first
+   * @param {FileStore} options.storage - Loaded FileStore to persist to, in memory only when omitted
+   */
+  constructor({ maxBuilds = DEFAULT_MAX_BUILDS, maxAlerts = DEFAULT_MAX_ALERTS, storage = null } = {}) {
+    super();
+    this.maxBuilds = maxBuilds;
+    this.maxAlerts = maxAlerts;
+    this.storage = storage;
+    this.builds = [];
+    this.projects = new Map();
+    this.alerts = [];
+    this.nextId = 1;
+    this.nextAlertId = 1;
+
+    if (storage) {
+      this.restore();
+    }
+  }
+
+  /**
+   * Rebuild the in-memory state from storage, newest first. Ties go to the higher id,
+   * which was stored last.
+   */
+  restore() {
+    this.builds = [...this.storage.collection('builds').values()]
+      .map(build => revive(build, BUILD_DATES))
+      .sort((a, b) => (b.endTime - a.endTime) || (b.id - a.id));
+
+    this.storage.collection('projects').forEach((project, name) => {
+      this.projects.set(name, revive(project, PROJECT_DATES));
+    });
+
+    this.alerts = [...this.storage.collection('alerts').values()]
+      .map(alert => revive(alert, ALERT_DATES))
+      .sort((a, b) => (b.openedAt - a.openedAt) || (b.id - a.id));
+
+    this.nextId = Math.max(0, ...this.builds.map(build => build.id)) + 1;
+    this.nextAlertId = Math.max(0, ...this.alerts.map(alert => alert.id)) + 1;
+  }
+
+  persist(collection, key, value) {
+    if (this.storage) this.storage.put(collection, key, value);
+  }
+
+  /**
+   * Store a normalized build
+   * @returns {Object} build and whether it was created or replaced an existing one
+   */
+  upsert(data) {
+    const index = this.builds.findIndex(build => build.project === data.project && build.buildId === data.buildId);
+    const existing = index === -1 ? null : this.builds[index];
+
+    // Fields a later report leaves out keep their stored value
+    const reported = Object.fromEntries(
+      Object.entries(data).filter(([, value]) => value !== null && value !== undefined)
+    );
+
+    const build = {
+      ...data,
+      ...existing,
+      id: existing ? existing.id : this.nextId++,
+      ...reported,
+      receivedAt: new Date()
+    };
+    build.timestamp = build.endTime;
+
+    if (existing) {
+      this.builds.splice(index, 1);
+    }
+    // Persisted first, so a build that is too old to keep is deleted again by insert()
+    this.persist('builds', buildKey(build), build);
+    this.insert(build);
+
+    this.updateProject(build, !existing);
+    this.emit('build', build, !existing);
+    this.evaluateAlert(build.project);
+
+    return { build, created: !existing };
+  }
+
+  /**
+   * Insert a build at its place in end time order and enforce maxBuilds
+   */
+  insert(build) {
+    const index = this.builds.findIndex(other => other.endTime <= build.endTime);
+    this.builds.splice(index === -1 ? this.builds.length : index, 0, build);
+
+    this.builds.splice(this.maxBuilds).forEach(dropped => {
+      if (this.storage) this.storage.delete('builds', buildKey(dropped));
+    });
+  }
+
+  /**
+   * Keep the project's build count and latest build up to date
+   */
+  updateProject(build, created) {
+    const project = this.projects.get(build.project) || {
+      name: build.project,
+      firstSeenAt: new Date(),
+      totalBuilds: 0
+    };
+    const latest = this.builds.find(other => other.project === build.project);
+
+    Object.assign(project, {
+      totalBuilds: project.totalBuilds + (created ? 1 : 0),
+      lastBuildId: latest.buildId,
+      lastStatus: latest.status,
+      lastBuildAt: latest.endTime
+    });
+
+    this.projects.set(project.name, project);
+    this.persist('projects', project.name, project);
+  }
+
+  /**
+   * Open an alert when the project's latest finished build failed, resolve it once one succeeds
+   */
+  evaluateAlert(projectName) {
+    const latest = this.builds.find(build => build.project === projectName && FINISHED_STATUSES.includes(build.status));
+    const open = this.alerts.find(alert => alert.project === projectName && alert.status === 'active');
+    if (!latest) return;
+
+    if (FAILED_STATUSES.includes(latest.status) && !open) {
+      const alert = {
+        id: this.nextAlertId++,
+        project: projectName,
+        status: 'active',
+        severity: latest.status === 'failure' ? 'critical' : 'warning',
+        message: `Build ${latest.buildNumber || latest.buildId} of ${projectName} ended with ${latest.status}`,
+        buildId: latest.buildId,
+        openedAt: new Date(),
+        resolvedAt: null
+      };
+      this.alerts.unshift(alert);
+      this.persist('alerts', alert.id, alert);
+      this.pruneAlerts();
+      this.emit('alert', alert);
+    } else if (latest.status === 'success' && open) {
+      Object.assign(open, { status: 'resolved', resolvedAt: new Date() });
+      this.persist('alerts', open.id, open);
+      this.emit('alert', open);
+    }
+  }
+
+  pruneAlerts() {
+    while (this.alerts.length > this.maxAlerts) {
+      const index = this.alerts.map(alert => alert.status).lastIndexOf('resolved');
+      const [dropped] = this.alerts.splice(index === -1 ? this.alerts.length - 1 : index, 1);
+      if (this.storage) this.storage.delete('alerts', String(dropped.id));
+    }
+  }
+
+  list() {
+    return this.builds;
+  }
+
+  get(project, buildId) {
+    return this.builds.find(build => build.project === project && build.buildId === buildId) || null;
+  }
+
+  /**
+   * One page of the builds matching the filters, ordered by sort and then id
+   * @param {Object} options - From parseBuildQuery(): filters (lists of project, status, branch and
+   *   environment values, since and until on the end time), sort, order, limit and cursor
+   * @returns {Object} builds, total matching builds and the cursor of the next page (null on the last one)
+   */
+  query({ filters = {}, sort = 'endTime', order = 'desc', limit = this.maxBuilds, cursor = null } = {}) {
+    const direction = order === 'asc' ? 1 : -1;
+    const compare = (a, b) => direction * ((a.value - b.value) || (a.id - b.id));
+
+    const matching = this.builds
+      .filter(build => ['project', 'status', 'branch', 'environment']
+        .every(field => !filters[field] || filters[field].includes(build[field])))
+      .filter(build => !filters.since || build.endTime >= filters.since)
+      .filter(build => !filters.until || build.endTime <= filters.until)
+      .map(build => ({ build, value: sortValue(build, sort), id: build.id }))
+      .sort(compare);
+
+    const remaining = cursor ? matching.filter(entry => compare(entry, cursor) > 0) : matching;
+    const page = remaining.slice(0, limit).map(entry => entry.build);
+
+    return {
+      builds: page,
+      total: matching.length,
+      next: remaining.length > limit ? encodeCursor(page[page.length - 1], { sort, order }) : null
+    };
+  }
+
+  listProjects() {
+    return [...this.projects.values()].sort((a, b) => b.lastBuildAt - a.lastBuildAt);
+  }
+
+  /**
+   * Alerts newest first, optionally only active or resolved ones
+   */
+  listAlerts({ status } = {}) {
+    return status ? this.alerts.filter(alert => alert.status === status) : this.alerts;
+  }
+
+  /**
+   * Dashboard figures computed from the stored builds: success rate in percent over finished
+   * builds, average build time in minutes, and the number of active alerts
+   */
+  getDashboardMetrics() {
+    const finished = this.builds.filter(build => FINISHED_STATUSES.includes(build.status));
+    const rated = finished.filter(build => build.status !== 'aborted');
+    const succeeded = rated.filter(build => build.status === 'success');
+    const active = this.listAlerts({ status: 'active' });
+
+    return {
+      totalBuilds: this.builds.length,
+      successRate: rated.length > 0 ? round((succeeded.length / rated.length) * 100) : 0,
+      averageBuildTime: finished.length > 0
+        ? round(finished.reduce((total, build) => total + build.duration, 0) / finished.length / 60)
+        : 0,
+      activeAlerts: active.length,
+      failingProjects: active.map(alert => alert.project),
+      totalProjects: this.projects.size,
+      lastBuildAt: this.builds.length > 0 ? this.builds[0].endTime : null,
+      lastUpdated: new Date().toISOString()
+    };
+  }
+}
+
+module.exports = BuildStore;
@@ -0,0 +1,96 @@
+const DEFAULT_BUFFER_SIZE = 500;
+const DEFAULT_HEARTBEAT_MS = 15000;
+// Delay EventSource clients wait before reconnecting
+const RETRY_MS = 3000;
+
+/**
+ * Server-Sent Events for the lightweight backend. Every published event gets an increasing
+ * id and is kept in a bounded replay buffer, so a client reconnecting with Last-Event-ID
+ * receives what it missed. When the missed events have already left the buffer (or the
+ * server restarted) the client gets a `reset` event and should reload its data.
+ */
+class EventStream {
+  /**
+   * @param {Object} options
+   * @param {number} options.bufferSize - Events kept for replay
+   * @param {number} options.heartbeatMs - Interval of the comment lines that keep idle connections open
+   */
+  constructor({ bufferSize = DEFAULT_BUFFER_SIZE, heartbeatMs = DEFAULT_HEARTBEAT_MS } = {}) {
+    this.bufferSize = bufferSize;
+    this.buffer = [];
+    this.lastId = 0;
+    this.clients = new Set();
+
+    this.timer = setInterval(() => {
+      this.clients.forEach(client => client.res.write(': heartbeat\n\n'));
+    }, heartbeatMs);
+    this.timer.unref();
+  }
+
+  /**
+   * Send an event to every subscribed client and keep it for replay
+   * @param {string} type - Event name, e.g. build.created
+   * @param {Object} data - JSON payload
+   * @param {string} project - Project the event belongs to; events without one reach every client
+   */
+  publish(type, data, project = null) {
+    const event = { id: ++this.lastId, type, project, data };
+
+    this.buffer.push(event);
+    if (this.buffer.length > this.bufferSize) {
+      this.buffer.shift();
+    }
+
+    this.clients.forEach(client => this.send(client, event));
+    return event;
+  }
+
+  /**
+   * Turn a request into an event stream
+   * @param {Object} options - projects to filter by (all when empty), lastEventId to resume after
+   */
+  subscribe(req, res, { projects = [], lastEventId = null } = {}) {
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+      // Keeps nginx from buffering the stream
+      'X-Accel-Buffering': 'no'
+    });
+    res.write(`retry: ${RETRY_MS}\n\n`);
+
+    const client = { res, projects };
+
+    if (lastEventId !== null) {
+      const oldest = this.buffer.length > 0 ? this.buffer[0].id : this.lastId + 1;
+      if (lastEventId > this.lastId || lastEventId < oldest - 1) {
+        res.write(`id: ${this.lastId}\nevent: reset\ndata: ${JSON.stringify({ reason: 'Missed events are no longer available' })}\n\n`);
+      } else {
+        this.buffer
+          .filter(event => event.id > lastEventId)
+          .forEach(event => this.send(client, event));
+      }
+    }
+
+    this.clients.add(client);
+    req.on('close', () => this.clients.delete(client));
+  }
+
+  send(client, event) {
+    if (event.project && client.projects.length > 0 && !client.projects.includes(event.project)) {
+      return;
+    }
+    client.res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event.data)}\n\n`);
+  }
+
+  /**
+   * End every open stream, so the server can close
+   */
+  close() {
+    clearInterval(this.timer);
+    this.clients.forEach(client => client.res.end());
+    this.clients.clear();
+  }
+}
+
+module.exports = EventStream;
@@ -0,0 +1,219 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const DEFAULT_SNAPSHOT_INTERVAL_MS = 60000;
+const DEFAULT_COMPACT_AFTER_RECORDS = 1000;
+
+const SNAPSHOT_FILE = 'snapshot.json';
+const LOG_FILE = 'log.ndjson';
+
+/**
+ * Short checksum of a record, so a torn or edited line is caught on replay
+ */
+const checksum = body => crypto.createHash('sha1').update(JSON.stringify(body)).digest('hex').slice(0, 8);
+
+/**
+ * Durable key/value collections for the lightweight backend, without a database.
+ *
+ * Every change is appended to an NDJSON log before it is applied in memory. A snapshot of
+ * all collections is written periodically (and once the log grows past compactAfterRecords),
+ * after which the log is truncated. load() reads the snapshot and replays the log on top;
+ * records that do not parse or fail their checksum, typically a line cut short by a crash,
+ * are skipped and cut from the log.
+ */
+class FileStore {
+  /**
+   * @param {Object} options
+   * @param {string} options.dir - Directory holding snapshot.json and log.ndjson, created if missing
+   * @param {number} options.snapshotIntervalMs - How often to snapshot and compact when there are changes
+   * @param {number} options.compactAfterRecords - Log records that trigger a snapshot right away
+   * @param {Object} options.logger - Receives warnings about skipped records, console by default
+   */
+  constructor({
+    dir,
+    snapshotIntervalMs = DEFAULT_SNAPSHOT_INTERVAL_MS,
+    compactAfterRecords = DEFAULT_COMPACT_AFTER_RECORDS,
+    logger = console
+  }) {
+    if (!dir) {
+      throw new Error('FileStore requires a directory');
+    }
+
+    this.dir = dir;
+    this.snapshotPath = path.join(dir, SNAPSHOT_FILE);
+    this.logPath = path.join(dir, LOG_FILE);
+    this.snapshotIntervalMs = snapshotIntervalMs;
+    this.compactAfterRecords = compactAfterRecords;
+    this.logger = logger;
+    this.collections = new Map();
+    this.seq = 0;
+    this.logRecords = 0;
+    this.timer = null;
+    this.loaded = false;
+  }
+
+  /**
+   * Restore the collections from the snapshot and the log, then start periodic snapshots
+   * @returns {Object} Counts of replayed and skipped log records
+   */
+  load() {
+    fs.mkdirSync(this.dir, { recursive: true });
+
+    if (fs.existsSync(this.snapshotPath)) {
+      const snapshot = JSON.parse(fs.readFileSync(this.snapshotPath, 'utf8'));
+      this.seq = snapshot.seq;
+      Object.entries(snapshot.collections).forEach(([name, entries]) => {
+        this.collections.set(name, new Map(Object.entries(entries)));
+      });
+    }
+
+    const result = this.replayLog();
+    this.loaded = true;
+
+    if (this.snapshotIntervalMs > 0) {
+      this.timer = setInterval(() => {
+        if (this.logRecords > 0) this.snapshot();
+      }, this.snapshotIntervalMs);
+      this.timer.unref();
+    }
+
+    return result;
+  }
+
+  /**
+   * Apply the log records newer than the snapshot. Valid records are rewritten without
+   * the corrupt ones so later appends never follow a partial line.
+   */
+  replayLog() {
+    if (!fs.existsSync(this.logPath)) {
+      return { replayed: 0, skipped: 0 };
+    }
+
+    const content = fs.readFileSync(this.logPath, 'utf8');
+    const lines = content.split('\n');
+    const valid = [];
+    let replayed = 0;
+    let skipped = 0;
+
+    lines.forEach((line, index) => {
+      // The final element is empty when the file ends with a newline
+      if (line === '' && index === lines.length - 1) return;
+
+      const record = this.parseRecord(line);
+      if (!record) {
+        skipped++;
+        this.logger.warn(`Skipping corrupt record on line ${index + 1} of ${this.logPath}`);
+        return;
+      }
+
+      valid.push(line);
+      if (record.seq <= this.seq) return;
+
+      this.apply(record);
+      this.seq = record.seq;
+      replayed++;
+    });
+
+    if (skipped > 0) {
+      fs.writeFileSync(this.logPath, valid.map(line => `${line}\n`).join(''));
+    }
+
+    this.logRecords = valid.length;
+    return { replayed, skipped };
+  }
+
+  /**
+   * Parse one log line, null when it is not a complete record with a matching checksum
+   */
+  parseRecord(line) {
+    try {
+      const { crc, ...body } = JSON.parse(line);
+      const complete = Number.isInteger(body.seq) && body.collection && body.key !== undefined
+        && ['put', 'delete'].includes(body.op);
+      return complete && crc === checksum(body) ? body : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  apply({ op, collection, key, value }) {
+    const entries = this.collection(collection);
+    if (op === 'put') {
+      entries.set(key, value);
+    } else {
+      entries.delete(key);
+    }
+  }
+
+  /**
+   * Entries of a collection, created empty on first use. Values are plain JSON, so
+   * dates come back as ISO strings.
+   * @returns {Map}
+   */
+  collection(name) {
+    if (!this.collections.has(name)) {
+      this.collections.set(name, new Map());
+    }
+    return this.collections.get(name);
+  }
+
+  put(collection, key, value) {
+    this.append({ op: 'put', collection, key: String(key), value });
+  }
+
+  delete(collection, key) {
+    this.append({ op: 'delete', collection, key: String(key) });
+  }
+
+  /**
+   * Write a change to the log, then apply it in memory
+   */
+  append(change) {
+    if (!this.loaded) {
+      throw new Error('FileStore must be loaded before it is written to');
+    }
+
+    // Round-trip through JSON so memory holds exactly what a replay would restore
+    const body = JSON.parse(JSON.stringify({ seq: this.seq + 1, ...change }));
+    fs.appendFileSync(this.logPath, `${JSON.stringify({ ...body, crc: checksum(body) })}\n`);
+
+    this.seq = body.seq;
+    this.logRecords++;
+    this.apply(body);
+
+    if (this.logRecords >= this.compactAfterRecords) {
+      this.snapshot();
+    }
+  }
+
+  /**
+   * Write every collection to the snapshot file and truncate the log. The snapshot is
+   * written to a temporary file first so a crash never leaves a half-written one.
+   */
+  snapshot() {
+    const collections = {};
+    this.collections.forEach((entries, name) => {
+      collections[name] = Object.fromEntries(entries);
+    });
+
+    const tmpPath = `${this.snapshotPath}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify({ seq: this.seq, createdAt: new Date(), collections }));
+    fs.renameSync(tmpPath, this.snapshotPath);
+    fs.writeFileSync(this.logPath, '');
+    this.logRecords = 0;
+  }
+
+  /**
+   * Stop periodic snapshots and write a final one
+   */
+  close() {
+    clearInterval(this.timer);
+    this.timer = null;
+    if (this.loaded && this.logRecords > 0) {
+      this.snapshot();
+    }
+  }
+}
+
+module.exports = FileStore;
@@ -0,0 +1,103 @@
+const { BUILD_STATUSES } = require('./normalize');
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+
+// Build fields /api/builds can sort by
+const SORT_FIELDS = ['endTime', 'startTime', 'duration', 'buildNumber'];
+// Query parameters matched against build fields, each taking a comma separated list
+const FILTER_FIELDS = ['project', 'status', 'branch', 'environment'];
+
+const badRequest = (message) => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+};
+
+const parseDate = (value, name) => {
+  const date = new Date(/^\d+$/.test(value) ? Number(value) : value);
+  if (Number.isNaN(date.getTime())) {
+    throw badRequest(`${name} must be an ISO date or a timestamp in milliseconds`);
+  }
+  return date;
+};
+
+const parseLimit = (value) => {
+  if (value === undefined || value === '') return DEFAULT_LIMIT;
+  if (!/^\d+$/.test(value) || Number(value) < 1) {
+    throw badRequest('limit must be a positive whole number');
+  }
+  return Math.min(Number(value), MAX_LIMIT);
+};
+
+/**
+ * Value a build is sorted by; dates sort by their timestamp and missing values first
+ */
+const sortValue = (build, sort) => Number(build[sort]) || 0;
+
+/**
+ * Opaque token for the page after the given build
+ */
+function encodeCursor(build, { sort, order }) {
+  return Buffer.from(JSON.stringify({ sort, order, value: sortValue(build, sort), id: build.id })).toString('base64url');
+}
+
+function decodeCursor(token) {
+  try {
+    const cursor = JSON.parse(Buffer.from(token, 'base64url').toString('utf8'));
+    if (SORT_FIELDS.includes(cursor.sort) && typeof cursor.value === 'number' && Number.isInteger(cursor.id)) {
+      return cursor;
+    }
+  } catch (error) {
+    // Reported below
+  }
+  throw badRequest('Invalid cursor');
+}
+
+/**
+ * Turn the query string of /api/builds into BuildStore.query() options
+ * @throws {Error} with statusCode 400 for unknown sort fields and statuses, bad dates and limits,
+ *   and invalid cursors
+ */
+function parseBuildQuery(query = {}) {
+  const filters = {};
+  FILTER_FIELDS.forEach(field => {
+    if (query[field]) {
+      filters[field] = String(query[field]).split(',').map(value => value.trim()).filter(Boolean);
+    }
+  });
+
+  if (filters.status && !filters.status.every(status => BUILD_STATUSES.includes(status))) {
+    throw badRequest(`status must be one of ${BUILD_STATUSES.join(', ')}`);
+  }
+
+  if (query.since) filters.since = parseDate(query.since, 'since');
+  if (query.until) filters.until = parseDate(query.until, 'until');
+
+  const sort = query.sort || 'endTime';
+  if (!SORT_FIELDS.includes(sort)) {
+    throw badRequest(`sort must be one of ${SORT_FIELDS.join(', ')}`);
+  }
+
+  const order = query.order || 'desc';
+  if (!['asc', 'desc'].includes(order)) {
+    throw badRequest('order must be asc or desc');
+  }
+
+  const limit = parseLimit(query.limit);
+
+  const cursor = query.cursor ? decodeCursor(query.cursor) : null;
+  if (cursor && (cursor.sort !== sort || cursor.order !== order)) {
+    throw badRequest('cursor was issued for a different sort order');
+  }
+
+  return {
+    filters,
+    sort,
+    order,
+    limit,
+    cursor
+  };
+}
+
+module.exports = { parseBuildQuery, encodeCursor, sortValue };
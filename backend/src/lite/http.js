@@ -0,0 +1,72 @@
+// Largest request body the lightweight server accepts
+const DEFAULT_BODY_LIMIT_BYTES = 1024 * 1024;
+
+/**
+ * Write a JSON response
+ */
+function sendJson(res, statusCode, body, headers = {}) {
+  res.writeHead(statusCode, { 'Content-Type': 'application/json', ...headers });
+  res.end(JSON.stringify(body));
+}
+
+const httpError = (statusCode, message) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Read a request body as it was sent, e.g. to verify a signature over it.
+ * Rejects with an error carrying statusCode 413 when the body is too large.
+ * @returns {Promise<Buffer>}
+ */
+function readBody(req, limitBytes = DEFAULT_BODY_LIMIT_BYTES) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+
+    req.on('data', chunk => {
+      size += chunk.length;
+      if (size > limitBytes) {
+        reject(httpError(413, `Request body exceeds ${limitBytes} bytes`));
+        // Discard the rest so the response can still be sent
+        req.removeAllListeners('data');
+        req.removeAllListeners('end');
+        req.resume();
+        return;
+      }
+      chunks.push(chunk);
+    });
+
+    req.on('end', () => resolve(Buffer.concat(chunks)));
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Parse a body read by readBody(), throwing an error with statusCode 400 when it is not a JSON object
+ */
+function parseJsonBody(body) {
+  let payload;
+  try {
+    payload = JSON.parse(body.toString('utf8') || '{}');
+  } catch (error) {
+    throw httpError(400, 'Request body must be valid JSON');
+  }
+
+  // null, arrays and bare values parse fine but are no payload the handlers can read
+  if (!payload || typeof payload !== 'object' || Array.isArray(payload)) {
+    throw httpError(400, 'Request body must be a JSON object');
+  }
+  return payload;
+}
+
+/**
+ * Read and parse a JSON request body.
+ * Rejects with an error carrying statusCode 413 when the body is too large, 400 when it is not a JSON object.
+ */
+async function readJsonBody(req, limitBytes = DEFAULT_BODY_LIMIT_BYTES) {
+  return parseJsonBody(await readBody(req, limitBytes));
+}
+
+module.exports = { sendJson, readBody, parseJsonBody, readJsonBody };
@@ -0,0 +1,30 @@
+const { normalizeBuild } = require('./normalize');
+
+/**
+ * Turn a Jenkins webhook payload into a stored build. Accepts the flat payload of the
+ * Jenkinsfile's sendBuildMetrics() (buildId, projectName, status, duration in seconds...)
+ * and the nested one of sendComprehensiveBuildMetrics() (build, git, deployment).
+ * @throws {Error} with statusCode 400 when the project or status is missing (see normalizeBuild())
+ */
+function normalizeJenkinsBuild(payload = {}) {
+  const nested = payload.build && typeof payload.build === 'object' ? payload.build : null;
+  const git = payload.git || {};
+
+  const raw = nested
+    ? {
+      buildId: nested.id,
+      buildNumber: nested.number,
+      projectName: nested.project,
+      status: nested.status,
+      duration: nested.duration,
+      endTime: nested.timestamp,
+      branch: git.branch,
+      commit: git.commit,
+      environment: payload.deployment && payload.deployment.environment
+    }
+    : payload;
+
+  return normalizeBuild(raw, 'jenkins');
+}
+
+module.exports = { normalizeJenkinsBuild };
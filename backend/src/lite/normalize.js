@@ -0,0 +1,88 @@
+// CI results and the statuses stored for them
+const STATUS_MAP = {
+  SUCCESS: 'success',
+  PASSED: 'success',
+  COMPLETED: 'success',
+  FAILURE: 'failure',
+  FAILED: 'failure',
+  ERROR: 'failure',
+  UNSTABLE: 'unstable',
+  ABORTED: 'aborted',
+  NOT_BUILT: 'aborted',
+  CANCELED: 'aborted',
+  CANCELLED: 'aborted',
+  SKIPPED: 'skipped',
+  RUNNING: 'running',
+  IN_PROGRESS: 'running',
+  PENDING: 'pending',
+  QUEUED: 'pending',
+  // GitLab statuses of pipelines and jobs that have not started
+  CREATED: 'pending',
+  WAITING_FOR_RESOURCE: 'pending',
+  PREPARING: 'pending',
+  SCHEDULED: 'pending',
+  MANUAL: 'pending'
+};
+
+// Stored for results missing from STATUS_MAP, so every stored status can be filtered on
+const UNKNOWN_STATUS = 'unknown';
+
+// Statuses a build is stored with
+const BUILD_STATUSES = [...new Set(Object.values(STATUS_MAP)), UNKNOWN_STATUS];
+
+const normalizeStatus = status => STATUS_MAP[String(status).toUpperCase()] || UNKNOWN_STATUS;
+
+// How error messages name each source
+const SOURCE_NAMES = {
+  jenkins: 'Jenkins',
+  github: 'GitHub',
+  gitlab: 'GitLab'
+};
+
+const toDate = value => {
+  const date = value ? new Date(value) : null;
+  return date && !Number.isNaN(date.getTime()) ? date : null;
+};
+
+/**
+ * Turn a flat build report (buildId, projectName, status, duration in seconds...) into a stored build
+ * @param {Object} raw - Flat report
+ * @param {string} source - CI system the build comes from, e.g. jenkins
+ * @throws {Error} with statusCode 400 when the project or status is missing
+ */
+function normalizeBuild(raw, source) {
+  const project = raw.projectName || raw.project || raw.job_name;
+  const status = raw.status || raw.result;
+
+  if (!project || !status) {
+    const error = new Error(`${SOURCE_NAMES[source] || source} payload requires a project name and a status`);
+    error.statusCode = 400;
+    throw error;
+  }
+
+  const duration = Math.max(0, Number(raw.duration) || 0);
+  const endTime = toDate(raw.endTime) || new Date();
+  const startTime = toDate(raw.startTime) || new Date(endTime.getTime() - duration * 1000);
+  const buildNumber = parseInt(raw.buildNumber || raw.build_number) || null;
+
+  return {
+    buildId: String(raw.buildId || raw.id || buildNumber || endTime.getTime()),
+    buildNumber,
+    project,
+    status: normalizeStatus(status),
+    duration,
+    branch: raw.branch || raw.git_branch || null,
+    commit: raw.commit || raw.git_commit || null,
+    environment: raw.environment || null,
+    triggeredBy: raw.triggeredBy || raw.triggered_by || null,
+    runAttempt: parseInt(raw.runAttempt) || null,
+    stages: Array.isArray(raw.stages)
+      ? raw.stages.map(stage => ({ ...stage, status: normalizeStatus(stage.status) }))
+      : null,
+    startTime,
+    endTime,
+    source
+  };
+}
+
+module.exports = { normalizeBuild, normalizeStatus, BUILD_STATUSES };
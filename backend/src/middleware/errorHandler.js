@@ -0,0 +1,31 @@
+const logger = require('../../../shared/utils/logger');
+
+/**
+ * Last error handler: logs the failure with the request's correlation IDs and
+ * returns the request ID so a failing call can be found in the logs
+ */
+function errorHandler(err, req, res, next) {
+  const status = err.statusCode || err.status || 500;
+
+  logger.error('Request failed', {
+    type: 'error',
+    requestId: req.id,
+    traceId: req.traceId,
+    method: req.method,
+    path: req.originalUrl,
+    status,
+    message: err.message,
+    stack: err.stack
+  });
+
+  if (res.headersSent) {
+    return next(err);
+  }
+
+  res.status(status).json({
+    error: status >= 500 ? 'Internal server error' : err.message,
+    requestId: req.id
+  });
+}
+
+module.exports = errorHandler;
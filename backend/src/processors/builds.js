@@ -0,0 +1,31 @@
+/**
+ * Stored stages updated with those of an event, matched by name
+ */
+function mergeStages(existing = [], incoming = []) {
+  const stages = new Map(existing.map(stage => [stage.name, stage]));
+  incoming.forEach(stage => stages.set(stage.name, { ...stages.get(stage.name), ...stage }));
+  return [...stages.values()];
+}
+
+/**
+ * What a processed webhook changes on its build. Job events for a build that is already
+ * stored only add their stages (and the job's environment, when it deploys); everything
+ * else is the whole build, with its stages merged into the stored ones.
+ * @param {Object} result - From processGitHubEvent() or processGitLabEvent()
+ * @param {Object|null} existing - Stored build with plain stage objects, null when there is none
+ * @returns {Object} partial, and changes to store
+ */
+function applyBuildEvent({ build, stages, partial }, existing) {
+  const merged = mergeStages(existing ? existing.stages || [] : [], stages);
+
+  if (partial && existing) {
+    return {
+      partial: true,
+      changes: { stages: merged, ...(build.environment && { environment: build.environment }) }
+    };
+  }
+
+  return { partial: false, changes: { ...build, stages: merged } };
+}
+
+module.exports = { mergeStages, applyBuildEvent };
@@ -0,0 +1,164 @@
+const crypto = require('crypto');
+
+// GitHub events that describe builds; others (ping, push...) are acknowledged and ignored
+const GITHUB_EVENTS = ['workflow_run', 'workflow_job'];
+
+// Conclusions of completed runs, jobs and steps, and the statuses stored for them
+const CONCLUSION_MAP = {
+  success: 'success',
+  neutral: 'success',
+  failure: 'failure',
+  timed_out: 'failure',
+  startup_failure: 'failure',
+  cancelled: 'aborted',
+  stale: 'aborted',
+  skipped: 'skipped',
+  action_required: 'pending'
+};
+
+/**
+ * Status of a run, job or step: running and queued ones by their status, completed ones by conclusion
+ */
+function githubStatus({ status, conclusion }) {
+  if (status === 'completed') {
+    return CONCLUSION_MAP[conclusion] || conclusion || 'unknown';
+  }
+  return status === 'in_progress' ? 'running' : 'pending';
+}
+
+/**
+ * Seconds between two GitHub timestamps, 0 while the second is missing
+ */
+const secondsBetween = (start, end) => (start && end
+  ? Math.max(0, Math.round((new Date(end) - new Date(start)) / 1000))
+  : 0);
+
+/**
+ * Check X-Hub-Signature-256 (sha256=<hex HMAC of the raw body>) against the secret
+ * @param {Buffer|string} rawBody - Body exactly as received
+ */
+function verifyGitHubSignature(rawBody, signature, secret) {
+  if (!signature || !signature.startsWith('sha256=')) {
+    return false;
+  }
+
+  const expected = Buffer.from(`sha256=${crypto.createHmac('sha256', secret).update(rawBody).digest('hex')}`);
+  const received = Buffer.from(signature);
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+}
+
+/**
+ * Secret of the repository a payload comes from: its full name (owner/repo) or name in
+ * the per-project secrets, else the default secret
+ * @returns {string|null} null when no secret is configured for it
+ */
+function resolveWebhookSecret(repository = {}, { secrets = {}, defaultSecret = null } = {}) {
+  return secrets[repository.full_name] || secrets[repository.name] || defaultSecret || null;
+}
+
+/**
+ * A job as a stage, followed by one stage per step named "job / step"
+ */
+function jobStages(job) {
+  const stage = {
+    name: job.name,
+    status: githubStatus(job),
+    duration: secondsBetween(job.started_at, job.completed_at),
+    startTime: job.started_at || null,
+    endTime: job.completed_at || null,
+    logs: job.html_url || null
+  };
+
+  const steps = (job.steps || []).map(step => ({
+    name: `${job.name} / ${step.name}`,
+    status: githubStatus(step),
+    duration: secondsBetween(step.started_at, step.completed_at),
+    startTime: step.started_at || null,
+    endTime: step.completed_at || null,
+    logs: null
+  }));
+
+  return [stage, ...steps];
+}
+
+/**
+ * Build of a workflow run. Re-runs are builds of their own, so the run attempt is part of the id.
+ */
+function normalizeWorkflowRun(run, repository) {
+  const attempt = run.run_attempt || 1;
+  const startTime = run.run_started_at || run.created_at;
+  const completed = run.status === 'completed';
+
+  return {
+    buildId: `${run.id}-${attempt}`,
+    buildNumber: run.run_number,
+    runAttempt: attempt,
+    projectName: repository.full_name,
+    repositoryUrl: repository.html_url,
+    workflow: run.name,
+    branch: run.head_branch,
+    commit: run.head_sha,
+    status: githubStatus(run),
+    duration: completed ? secondsBetween(startTime, run.updated_at) : 0,
+    startTime,
+    endTime: completed ? run.updated_at : undefined,
+    triggeredBy: (run.triggering_actor || run.actor || {}).login,
+    event: run.event,
+    url: run.html_url
+  };
+}
+
+/**
+ * The part of a run's build a job event knows about; the run's own events set its status and times
+ */
+function normalizeWorkflowJob(job, repository) {
+  const attempt = job.run_attempt || 1;
+
+  return {
+    buildId: `${job.run_id}-${attempt}`,
+    runAttempt: attempt,
+    projectName: repository.full_name,
+    repositoryUrl: repository.html_url,
+    workflow: job.workflow_name,
+    branch: job.head_branch,
+    commit: job.head_sha,
+    status: 'running',
+    startTime: job.started_at || job.created_at,
+    url: job.html_url
+  };
+}
+
+/**
+ * Map a GitHub Actions webhook to a build
+ * @param {string} event - X-GitHub-Event header
+ * @returns {Object|null} build (in the shape MetricsCollector.processBuildData() takes), the
+ *   stages the event adds and partial, set for job events which only carry stages for a run
+ *   that may already be stored. null for events that are not about builds.
+ * @throws {Error} with statusCode 400 when the payload lacks its run, job or repository
+ */
+function processGitHubEvent(event, payload = {}) {
+  if (!GITHUB_EVENTS.includes(event)) {
+    return null;
+  }
+
+  const subject = payload[event];
+  if (!subject || !payload.repository) {
+    const error = new Error(`${event} payload requires ${event} and repository`);
+    error.statusCode = 400;
+    throw error;
+  }
+
+  if (event === 'workflow_run') {
+    return { build: normalizeWorkflowRun(subject, payload.repository), stages: [], partial: false };
+  }
+
+  return { build: normalizeWorkflowJob(subject, payload.repository), stages: jobStages(subject), partial: true };
+}
+
+module.exports = {
+  GITHUB_EVENTS,
+  githubStatus,
+  verifyGitHubSignature,
+  resolveWebhookSecret,
+  processGitHubEvent
+};
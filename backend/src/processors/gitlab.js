@@ -0,0 +1,210 @@
+const crypto = require('crypto');
+
+// X-Gitlab-Event values that describe builds; others are acknowledged and ignored
+const GITLAB_EVENTS = {
+  'Pipeline Hook': 'pipeline',
+  'Job Hook': 'build'
+};
+
+// Statuses of stages that have not finished, in the order the stage status reports them
+const ACTIVE_STATUSES = ['running', 'pending', 'created', 'waiting_for_resource', 'preparing', 'scheduled', 'manual'];
+
+const round = value => Math.round(Number(value) || 0);
+
+/**
+ * Check X-Gitlab-Token, which carries the webhook's secret token as is
+ */
+function verifyGitLabToken(token, secret) {
+  if (!token) {
+    return false;
+  }
+
+  const expected = Buffer.from(secret);
+  const received = Buffer.from(token);
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+}
+
+/**
+ * Name and path (group/project) of the project a payload comes from. Pipeline hooks carry
+ * the project; job hooks only the repository, whose homepage ends with the path.
+ */
+function gitlabProject(payload = {}) {
+  if (payload.project) {
+    return { name: payload.project.name, path: payload.project.path_with_namespace, url: payload.project.web_url };
+  }
+
+  const repository = payload.repository || {};
+  let path = null;
+  try {
+    path = new URL(repository.homepage).pathname.replace(/^\//, '') || null;
+  } catch (error) {
+    // Looked up by name only
+  }
+  return { name: repository.name, path, url: repository.homepage };
+}
+
+/**
+ * Token of the project a payload comes from: its path (group/project) or name in the
+ * per-project tokens, else the default token
+ * @returns {string|null} null when no token is configured for it
+ */
+function resolveWebhookToken(payload, { secrets = {}, defaultSecret = null } = {}) {
+  const project = gitlabProject(payload);
+  return secrets[project.path] || secrets[project.name] || defaultSecret || null;
+}
+
+/**
+ * Status of a stage from its jobs: failed when a job that may not fail failed, active while
+ * any job is, otherwise canceled, skipped or success
+ */
+function stageStatus(jobs) {
+  const statuses = jobs.map(job => (job.status === 'failed' && job.allow_failure ? 'success' : job.status));
+
+  if (statuses.includes('failed')) return 'failed';
+  const active = ACTIVE_STATUSES.find(status => statuses.includes(status));
+  if (active) return active;
+  if (statuses.includes('canceled')) return 'canceled';
+  if (statuses.every(status => status === 'skipped')) return 'skipped';
+  return 'success';
+}
+
+/**
+ * A job as a stage named "stage / job"
+ */
+const jobStage = job => ({
+  name: `${job.stage} / ${job.name}`,
+  status: job.status,
+  duration: round(job.duration),
+  startTime: job.started_at || null,
+  endTime: job.finished_at || null,
+  logs: null
+});
+
+/**
+ * One stage per pipeline stage, in pipeline order and spanning its jobs, each followed by its jobs
+ */
+function pipelineStages(attributes, jobs) {
+  const names = attributes.stages || [...new Set(jobs.map(job => job.stage))];
+
+  return names.flatMap(name => {
+    const stageJobs = jobs.filter(job => job.stage === name);
+    if (stageJobs.length === 0) return [];
+
+    const starts = stageJobs.map(job => job.started_at).filter(Boolean).sort();
+    const ends = stageJobs.map(job => job.finished_at).filter(Boolean).sort();
+    const startTime = starts[0] || null;
+    const endTime = ends.length === stageJobs.length ? ends[ends.length - 1] : null;
+
+    return [
+      {
+        name,
+        status: stageStatus(stageJobs),
+        duration: startTime && endTime ? Math.max(0, round((new Date(endTime) - new Date(startTime)) / 1000)) : 0,
+        startTime,
+        endTime,
+        logs: null
+      },
+      ...stageJobs.map(jobStage)
+    ];
+  });
+}
+
+/**
+ * Environment a pipeline deploys to: that of its first deployment job
+ */
+const deploymentEnvironment = jobs => {
+  const deployment = jobs.find(job => job.environment && job.environment.name);
+  return deployment ? deployment.environment.name : undefined;
+};
+
+/**
+ * Build of a pipeline, with its stages and jobs as stages
+ */
+function normalizePipeline(payload) {
+  const attributes = payload.object_attributes;
+  const jobs = payload.builds || [];
+  const project = gitlabProject(payload);
+
+  return {
+    build: {
+      buildId: String(attributes.id),
+      buildNumber: attributes.iid,
+      projectName: project.name,
+      repositoryUrl: project.url,
+      branch: attributes.ref,
+      commit: attributes.sha,
+      status: attributes.status,
+      duration: round(attributes.duration),
+      startTime: attributes.created_at,
+      endTime: attributes.finished_at || undefined,
+      triggeredBy: payload.user && payload.user.username,
+      environment: deploymentEnvironment(jobs),
+      url: project.url && `${project.url}/-/pipelines/${attributes.id}`
+    },
+    stages: pipelineStages(attributes, jobs),
+    partial: false
+  };
+}
+
+/**
+ * The part of a pipeline's build a job hook knows about; pipeline hooks set its status and times
+ */
+function normalizeJob(payload) {
+  const project = gitlabProject(payload);
+
+  return {
+    build: {
+      buildId: String(payload.pipeline_id),
+      projectName: project.name,
+      repositoryUrl: project.url,
+      branch: payload.ref,
+      commit: payload.sha,
+      status: 'running',
+      startTime: payload.build_started_at || payload.build_created_at,
+      triggeredBy: payload.user && payload.user.username,
+      environment: payload.environment ? payload.environment.name : undefined
+    },
+    stages: [jobStage({
+      stage: payload.build_stage,
+      name: payload.build_name,
+      status: payload.build_status,
+      duration: payload.build_duration,
+      started_at: payload.build_started_at,
+      finished_at: payload.build_finished_at
+    })],
+    partial: true
+  };
+}
+
+/**
+ * Map a GitLab pipeline or job hook to a build. Statuses are GitLab's (failed, canceled,
+ * manual...), left for MetricsCollector.normalizeStatus() to map.
+ * @param {string} event - X-Gitlab-Event header
+ * @returns {Object|null} build, the stages the event adds and partial, set for job hooks which
+ *   only carry stages for a pipeline that may already be stored. null for other events.
+ * @throws {Error} with statusCode 400 when the payload lacks its pipeline or job
+ */
+function processGitLabEvent(event, payload = {}) {
+  const kind = GITLAB_EVENTS[event];
+  if (!kind) {
+    return null;
+  }
+
+  const valid = kind === 'pipeline'
+    ? payload.object_kind === 'pipeline' && payload.object_attributes && payload.project
+    : payload.object_kind === 'build' && payload.pipeline_id && payload.repository;
+  if (!valid) {
+    const error = new Error(`${event} payload is missing its ${kind === 'pipeline' ? 'pipeline or project' : 'pipeline_id or repository'}`);
+    error.statusCode = 400;
+    throw error;
+  }
+
+  return kind === 'pipeline' ? normalizePipeline(payload) : normalizeJob(payload);
+}
+
+module.exports = {
+  GITLAB_EVENTS,
+  verifyGitLabToken,
+  resolveWebhookToken,
+  processGitLabEvent
+};
@@ -0,0 +1,61 @@
+const MemoryRepository = require('./MemoryRepository');
+const { matches } = require('./query');
+
+const EMPTY_STATISTICS = {
+  totalAlerts: 0,
+  criticalAlerts: 0,
+  warningAlerts: 0,
+  activeAlerts: 0,
+  acknowledgedAlerts: 0,
+  resolvedAlerts: 0
+};
+
+/**
+ * In-memory alerts, with the statistics MongoAlertRepository aggregates and ruleId
+ * populated from the rules repository
+ */
+class MemoryAlertRepository extends MemoryRepository {
+  /**
+   * @param {Object} options
+   * @param {MemoryRepository} options.rules - Alert rules, for populate: 'ruleId'
+   */
+  constructor({ rules } = {}) {
+    super();
+    this.rules = rules;
+  }
+
+  async find(filter = {}, { populate, ...options } = {}) {
+    const alerts = await super.find(filter, options);
+    if (populate !== 'ruleId' || !this.rules) {
+      return alerts;
+    }
+
+    return Promise.all(alerts.map(async alert => ({
+      ...alert,
+      ruleId: alert.ruleId ? await this.rules.findById(alert.ruleId) : null
+    })));
+  }
+
+  /**
+   * Alert counts by severity and status since the given time
+   */
+  async getStatistics(since) {
+    const alerts = [...this.documents.values()].filter(alert => matches(alert, { timestamp: { $gte: since } }));
+    if (alerts.length === 0) {
+      return { ...EMPTY_STATISTICS };
+    }
+
+    const count = (field, value) => alerts.filter(alert => alert[field] === value).length;
+    return {
+      totalAlerts: alerts.length,
+      criticalAlerts: count('severity', 'critical'),
+      warningAlerts: count('severity', 'warning'),
+      activeAlerts: count('status', 'active'),
+      acknowledgedAlerts: count('status', 'acknowledged'),
+      resolvedAlerts: count('status', 'resolved')
+    };
+  }
+}
+
+module.exports = MemoryAlertRepository;
+module.exports.EMPTY_STATISTICS = EMPTY_STATISTICS;
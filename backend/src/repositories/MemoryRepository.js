@@ -0,0 +1,82 @@
+const crypto = require('crypto');
+
+const { matches, sortDocuments, equalityFields } = require('./query');
+
+// Ids shaped like MongoDB ObjectIds, so code that logs or compares them works unchanged
+const generateId = () => crypto.randomBytes(12).toString('hex');
+
+/**
+ * In-memory collection with the repository interface of MongoRepository, for running the
+ * services without a database. Documents are copied on the way in and out, so callers
+ * never change stored data by mutating a result.
+ */
+class MemoryRepository {
+  constructor() {
+    this.documents = new Map();
+  }
+
+  /**
+   * @param {Object} filter - MongoDB style filter, see query.matches()
+   * @param {Object} options - sort ({ field: 1 | -1 }), skip and limit
+   * @returns {Promise<Array>}
+   */
+  async find(filter = {}, { sort, skip = 0, limit } = {}) {
+    let docs = [...this.documents.values()].filter(doc => matches(doc, filter));
+    if (sort) {
+      docs = sortDocuments(docs, sort);
+    }
+    docs = docs.slice(skip, limit ? skip + limit : undefined);
+    return docs.map(doc => structuredClone(doc));
+  }
+
+  async findOne(filter = {}, options = {}) {
+    const [doc] = await this.find(filter, { ...options, limit: 1 });
+    return doc || null;
+  }
+
+  async findById(id) {
+    const doc = this.documents.get(String(id));
+    return doc ? structuredClone(doc) : null;
+  }
+
+  async create(data) {
+    const doc = { ...structuredClone(data), _id: generateId() };
+    this.documents.set(doc._id, doc);
+    return structuredClone(doc);
+  }
+
+  /**
+   * Update the first document matching the filter with data, or create one from both
+   */
+  async upsert(filter, data) {
+    const existing = [...this.documents.values()].find(doc => matches(doc, filter));
+    if (!existing) {
+      return this.create({ ...equalityFields(filter), ...data });
+    }
+
+    Object.assign(existing, structuredClone(data));
+    return structuredClone(existing);
+  }
+
+  /**
+   * @returns {Promise<Object|null>} The updated document, null when there is none with that id
+   */
+  async update(id, changes) {
+    const existing = this.documents.get(String(id));
+    if (!existing) return null;
+
+    Object.assign(existing, structuredClone(changes));
+    return structuredClone(existing);
+  }
+
+  async delete(id) {
+    this.documents.delete(String(id));
+  }
+
+  async count(filter = {}) {
+    return [...this.documents.values()].filter(doc => matches(doc, filter)).length;
+  }
+}
+
+module.exports = MemoryRepository;
+module.exports.generateId = generateId;
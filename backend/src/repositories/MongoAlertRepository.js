@@ -0,0 +1,45 @@
+const MongoRepository = require('./MongoRepository');
+const { EMPTY_STATISTICS } = require('./MemoryAlertRepository');
+
+/**
+ * Alerts in MongoDB, with statistics computed by an aggregation
+ */
+class MongoAlertRepository extends MongoRepository {
+  /**
+   * Alert counts by severity and status since the given time
+   */
+  async getStatistics(since) {
+    const [result] = await this.model.aggregate([
+      {
+        $match: {
+          timestamp: { $gte: since }
+        }
+      },
+      {
+        $group: {
+          _id: null,
+          totalAlerts: { $sum: 1 },
+          criticalAlerts: {
+            $sum: { $cond: [{ $eq: ['$severity', 'critical'] }, 1, 0] }
+          },
+          warningAlerts: {
+            $sum: { $cond: [{ $eq: ['$severity', 'warning'] }, 1, 0] }
+          },
+          activeAlerts: {
+            $sum: { $cond: [{ $eq: ['$status', 'active'] }, 1, 0] }
+          },
+          acknowledgedAlerts: {
+            $sum: { $cond: [{ $eq: ['$status', 'acknowledged'] }, 1, 0] }
+          },
+          resolvedAlerts: {
+            $sum: { $cond: [{ $eq: ['$status', 'resolved'] }, 1, 0] }
+          }
+        }
+      }
+    ]);
+
+    return result || { ...EMPTY_STATISTICS };
+  }
+}
+
+module.exports = MongoAlertRepository;
@@ -0,0 +1,72 @@
+const { equalityFields } = require('./query');
+
+/**
+ * Repository over a Mongoose model. Documents are saved through the model so its
+ * validation and middleware run as before.
+ */
+class MongoRepository {
+  constructor(model) {
+    this.model = model;
+  }
+
+  /**
+   * @param {Object} filter - MongoDB filter
+   * @param {Object} options - sort, skip, limit, populate and lean (plain objects instead of documents)
+   * @returns {Promise<Array>}
+   */
+  find(filter = {}, { sort, skip, limit, populate, lean } = {}) {
+    let query = this.model.find(filter);
+    if (sort) query = query.sort(sort);
+    if (skip) query = query.skip(skip);
+    if (limit) query = query.limit(limit);
+    if (populate) query = query.populate(populate);
+    if (lean) query = query.lean();
+    return query.exec();
+  }
+
+  findOne(filter = {}, { sort } = {}) {
+    const query = this.model.findOne(filter);
+    return (sort ? query.sort(sort) : query).exec();
+  }
+
+  findById(id) {
+    return this.model.findById(id).exec();
+  }
+
+  async create(data) {
+    const doc = new this.model(data);
+    await doc.save();
+    return doc;
+  }
+
+  /**
+   * Update the first document matching the filter with data, or create one from both
+   */
+  async upsert(filter, data) {
+    const existing = await this.model.findOne(filter);
+    if (!existing) {
+      return this.create({ ...equalityFields(filter), ...data });
+    }
+
+    Object.assign(existing, data);
+    await existing.save();
+    return existing;
+  }
+
+  /**
+   * @returns {Promise<Object|null>} The updated document, null when there is none with that id
+   */
+  update(id, changes) {
+    return this.model.findByIdAndUpdate(id, changes, { new: true }).exec();
+  }
+
+  async delete(id) {
+    await this.model.findByIdAndDelete(id);
+  }
+
+  count(filter = {}) {
+    return this.model.countDocuments(filter).exec();
+  }
+}
+
+module.exports = MongoRepository;
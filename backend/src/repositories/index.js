@@ -0,0 +1,45 @@
+const MemoryRepository = require('./MemoryRepository');
+const MemoryAlertRepository = require('./MemoryAlertRepository');
+
+const DRIVERS = ['mongodb', 'memory'];
+
+/**
+ * Repositories the services read and write through instead of calling Mongoose models,
+ * so MetricsCollector and AlertEngine also run without a database. Every repository has
+ * find(filter, { sort, skip, limit }), findOne, findById, create, upsert(filter, data),
+ * update(id, changes), delete(id) and count; filters use MongoDB syntax. The alerts
+ * repository adds getStatistics(since) and find(..., { populate: 'ruleId' }).
+ *
+ * @param {string} driver - mongodb (default) or memory
+ * @returns {Object} builds, projects, metrics, alerts and rules repositories
+ */
+function createRepositories(driver = 'mongodb') {
+  if (!DRIVERS.includes(driver)) {
+    throw new Error(`Unknown storage driver ${driver}, expected one of ${DRIVERS.join(', ')}`);
+  }
+
+  if (driver === 'memory') {
+    const rules = new MemoryRepository();
+    return {
+      builds: new MemoryRepository(),
+      projects: new MemoryRepository(),
+      metrics: new MemoryRepository(),
+      alerts: new MemoryAlertRepository({ rules }),
+      rules
+    };
+  }
+
+  // Required here so the in-memory driver works without mongoose installed
+  const MongoRepository = require('./MongoRepository');
+  const MongoAlertRepository = require('./MongoAlertRepository');
+
+  return {
+    builds: new MongoRepository(require('../models/Build')),
+    projects: new MongoRepository(require('../models/Project')),
+    metrics: new MongoRepository(require('../models/Metric')),
+    alerts: new MongoAlertRepository(require('../models/Alert')),
+    rules: new MongoRepository(require('../models/AlertRule'))
+  };
+}
+
+module.exports = { createRepositories, DRIVERS };
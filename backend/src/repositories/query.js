@@ -0,0 +1,91 @@
+// Comparison operators the in-memory repositories understand, a subset of MongoDB's
+const OPERATORS = {
+  $eq: (value, operand) => equals(value, operand),
+  $ne: (value, operand) => !equals(value, operand),
+  $gt: (value, operand) => value !== undefined && value !== null && compareValues(value, operand) > 0,
+  $gte: (value, operand) => value !== undefined && value !== null && compareValues(value, operand) >= 0,
+  $lt: (value, operand) => value !== undefined && value !== null && compareValues(value, operand) < 0,
+  $lte: (value, operand) => value !== undefined && value !== null && compareValues(value, operand) <= 0,
+  $in: (value, operand) => operand.some(candidate => equals(value, candidate)),
+  $nin: (value, operand) => !operand.some(candidate => equals(value, candidate))
+};
+
+const comparable = value => (value instanceof Date ? value.getTime() : value);
+
+const isMissing = value => value === undefined || value === null;
+
+/**
+ * Order two values the way MongoDB sorts them: missing values (null or undefined alike) first,
+ * dates by time
+ */
+function compareValues(a, b) {
+  const left = comparable(a);
+  const right = comparable(b);
+  if (left === right || (isMissing(left) && isMissing(right))) return 0;
+  if (isMissing(left)) return -1;
+  if (isMissing(right)) return 1;
+  return left < right ? -1 : 1;
+}
+
+/**
+ * Equality as in a MongoDB filter: ids and dates by value, arrays match any of their elements
+ */
+function equals(value, operand) {
+  if (Array.isArray(value) && !Array.isArray(operand)) {
+    return value.some(element => equals(element, operand));
+  }
+  if (value === undefined || value === null) {
+    return operand === undefined || operand === null;
+  }
+  return String(comparable(value)) === String(comparable(operand));
+}
+
+const getPath = (doc, path) => path.split('.').reduce((value, key) => (value === undefined || value === null ? undefined : value[key]), doc);
+
+const isOperatorObject = condition => condition !== null && typeof condition === 'object'
+  && !(condition instanceof Date) && !Array.isArray(condition)
+  && Object.keys(condition).length > 0 && Object.keys(condition).every(key => key.startsWith('$'));
+
+/**
+ * Whether a document matches a MongoDB style filter of field equalities and comparison
+ * operators ($eq, $ne, $gt, $gte, $lt, $lte, $in, $nin); dotted paths reach nested fields
+ */
+function matches(doc, filter = {}) {
+  return Object.entries(filter).every(([path, condition]) => {
+    const value = getPath(doc, path);
+
+    if (!isOperatorObject(condition)) {
+      return equals(value, condition);
+    }
+
+    return Object.entries(condition).every(([operator, operand]) => {
+      if (!OPERATORS[operator]) {
+        throw new Error(`Unsupported query operator ${operator}`);
+      }
+      return OPERATORS[operator](value, operand);
+    });
+  });
+}
+
+/**
+ * Sort documents by a MongoDB style sort object, e.g. { endTime: -1 }
+ */
+function sortDocuments(docs, sort = {}) {
+  const keys = Object.entries(sort);
+  return [...docs].sort((a, b) => {
+    for (const [path, direction] of keys) {
+      const order = compareValues(getPath(a, path), getPath(b, path));
+      if (order !== 0) return order * (direction < 0 ? -1 : 1);
+    }
+    return 0;
+  });
+}
+
+/**
+ * Fields of a filter that are plain equalities, which an upsert copies into the new document
+ */
+const equalityFields = filter => Object.fromEntries(
+  Object.entries(filter).filter(([path, condition]) => !path.includes('.') && !isOperatorObject(condition))
+);
+
+module.exports = { matches, sortDocuments, compareValues, equalityFields };
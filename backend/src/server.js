@@ -3,15 +3,16 @@ const http = require('http');
 const socketIo = require('socket.io');
 const cors = require('cors');
 const helmet = require('helmet');
-const morgan = require('morgan');
 const compression = require('compression');
 const rateLimit = require('express-rate-limit');
 require('dotenv').config();
 
 const { connectDatabase } = require('./database/connection');
 const { connectRedis } = require('./services/redis');
-const logger = require('./utils/logger');
+const logger = require('../../shared/utils/logger');
 const errorHandler = require('./middleware/errorHandler');
+const requestContext = require('../../shared/middleware/requestContext');
+const accessLog = require('../../shared/middleware/accessLog');
 
 // Route imports
 const webhookRoutes = require('./routes/webhooks');
@@ -25,6 +26,7 @@ const healthRoutes = require('./routes/health');
 const MetricsCollector = require('./services/MetricsCollector');
 const AlertEngine = require('./services/AlertEngine');
 const NotificationService = require('./services/NotificationService');
+const { createRepositories } = require('./repositories');
 
 const app = express();
 const server = http.createServer(app);
@@ -46,12 +48,14 @@ const limiter = rateLimit({
 
 // Middleware
 app.use(helmet());
+app.use(requestContext());
 app.use(cors({
   origin: process.env.FRONTEND_URL || "http://localhost:3000",
-  credentials: true
+  credentials: true,
+  exposedHeaders: ['X-Request-ID', 'traceparent']
 }));
 app.use(compression());
-app.use(morgan('combined', { stream: { write: message => logger.info(message.trim()) } }));
+app.use(accessLog());
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 app.use('/api', limiter);
@@ -81,16 +85,21 @@ async function initializeServices() {
     // Initialize notification service
     notificationService = new NotificationService();
     
+    // Storage shared by the services: mongodb, or memory to run without a database
+    const repositories = createRepositories(process.env.STORAGE_DRIVER || 'mongodb');
+    
     // Initialize metrics collector
     metricsCollector = new MetricsCollector({
       socketIo: io,
-      notificationService
+      notificationService,
+      repositories
     });
     
     // Initialize alert engine
     alertEngine = new AlertEngine({
       notificationService,
-      socketIo: io
+      socketIo: io,
+      repositories
     });
     
     // Set up event listeners
@@ -139,7 +148,8 @@ app.use('/api/*', (req, res) => {
   res.status(404).json({
     error: 'API endpoint not found',
     path: req.path,
-    method: req.method
+    method: req.method,
+    requestId: req.id
   });
 });
 
@@ -1,17 +1,19 @@
 const EventEmitter = require('events');
-const moment = require('moment');
-const _ = require('lodash');
 
-const Alert = require('../models/Alert');
-const AlertRule = require('../models/AlertRule');
-const Build = require('../models/Build');
-const logger = require('../utils/logger');
+const { createRepositories } = require('../repositories');
+const logger = require('../../../shared/utils/logger');
+const { MINUTE_MS, periodStart } = require('../utils/periods');
 
 class AlertEngine extends EventEmitter {
-  constructor({ notificationService, socketIo }) {
+  /**
+   * @param {Object} options
+   * @param {Object} options.repositories - From createRepositories(), in memory when omitted
+   */
+  constructor({ notificationService, socketIo, repositories = createRepositories('memory') }) {
     super();
     this.notificationService = notificationService;
     this.socketIo = socketIo;
+    this.repositories = repositories;
     this.rules = new Map();
     this.alertCooldowns = new Map();
     
@@ -24,7 +26,7 @@ class AlertEngine extends EventEmitter {
    */
   async loadAlertRules() {
     try {
-      const rules = await AlertRule.find({ enabled: true });
+      const rules = await this.repositories.rules.find({ enabled: true });
       this.rules.clear();
       
       rules.forEach(rule => {
@@ -144,9 +146,9 @@ class AlertEngine extends EventEmitter {
       minimumBuilds = 3
     } = condition.parameters;
     
-    const timeWindow = moment().subtract(timeWindowMinutes, 'minutes').toDate();
+    const timeWindow = new Date(Date.now() - timeWindowMinutes * MINUTE_MS);
     
-    const recentBuilds = await Build.find({
+    const recentBuilds = await this.repositories.builds.find({
       projectName: buildData.projectName,
       endTime: { $gte: timeWindow }
     });
@@ -171,10 +173,10 @@ class AlertEngine extends EventEmitter {
       return false;
     }
     
-    const recentBuilds = await Build.find({
+    const recentBuilds = await this.repositories.builds.find({
       projectName: buildData.projectName,
       branch: buildData.branch
-    }).sort({ buildNumber: -1 }).limit(consecutiveCount);
+    }, { sort: { buildNumber: -1 }, limit: consecutiveCount });
     
     if (recentBuilds.length < consecutiveCount) {
       return false;
@@ -219,7 +221,7 @@ class AlertEngine extends EventEmitter {
       const lastAlert = this.alertCooldowns.get(cooldownKey);
       const cooldownMinutes = rule.cooldownMinutes || 15;
       
-      if (lastAlert && moment().diff(lastAlert, 'minutes') < cooldownMinutes) {
+      if (lastAlert && Date.now() - lastAlert < cooldownMinutes * MINUTE_MS) {
         logger.debug(`Alert ${rule.name} is in cooldown period`);
         return;
       }
@@ -241,7 +243,7 @@ class AlertEngine extends EventEmitter {
       });
       
       // Set cooldown
-      this.alertCooldowns.set(cooldownKey, moment());
+      this.alertCooldowns.set(cooldownKey, Date.now());
       
       logger.info(`Alert triggered: ${rule.name} for ${buildData.projectName}#${buildData.buildNumber}`);
       
@@ -254,7 +256,7 @@ class AlertEngine extends EventEmitter {
    * Create alert record in database
    */
   async createAlert(rule, buildData) {
-    const alert = new Alert({
+    return this.repositories.alerts.create({
       ruleId: rule._id,
       ruleName: rule.name,
       severity: rule.severity,
@@ -274,9 +276,6 @@ class AlertEngine extends EventEmitter {
         }
       }
     });
-    
-    await alert.save();
-    return alert;
   }
 
   /**
@@ -330,8 +329,7 @@ class AlertEngine extends EventEmitter {
    */
   async createAlertRule(ruleData) {
     try {
-      const rule = new AlertRule(ruleData);
-      await rule.save();
+      const rule = await this.repositories.rules.create(ruleData);
       
       // Add to active rules
       this.rules.set(rule._id.toString(), rule);
@@ -349,11 +347,7 @@ class AlertEngine extends EventEmitter {
    */
   async updateAlertRule(ruleId, updateData) {
     try {
-      const rule = await AlertRule.findByIdAndUpdate(
-        ruleId, 
-        updateData, 
-        { new: true }
-      );
+      const rule = await this.repositories.rules.update(ruleId, updateData);
       
       if (rule) {
         if (rule.enabled) {
@@ -377,7 +371,7 @@ class AlertEngine extends EventEmitter {
    */
   async deleteAlertRule(ruleId) {
     try {
-      await AlertRule.findByIdAndDelete(ruleId);
+      await this.repositories.rules.delete(ruleId);
       this.rules.delete(ruleId);
       
       logger.info(`Deleted alert rule: ${ruleId}`);
@@ -393,9 +387,10 @@ class AlertEngine extends EventEmitter {
   async getActiveAlerts(filters = {}) {
     try {
       const query = { status: 'active', ...filters };
-      const alerts = await Alert.find(query)
-        .sort({ timestamp: -1 })
-        .populate('ruleId');
+      const alerts = await this.repositories.alerts.find(query, {
+        sort: { timestamp: -1 },
+        populate: 'ruleId'
+      });
       
       return alerts;
     } catch (error) {
@@ -409,15 +404,11 @@ class AlertEngine extends EventEmitter {
    */
   async acknowledgeAlert(alertId, acknowledgedBy) {
     try {
-      const alert = await Alert.findByIdAndUpdate(
-        alertId,
-        {
-          status: 'acknowledged',
-          acknowledgedBy,
-          acknowledgedAt: new Date()
-        },
-        { new: true }
-      );
+      const alert = await this.repositories.alerts.update(alertId, {
+        status: 'acknowledged',
+        acknowledgedBy,
+        acknowledgedAt: new Date()
+      });
       
       if (alert) {
         this.socketIo.emit('alert.acknowledged', {
@@ -440,16 +431,12 @@ class AlertEngine extends EventEmitter {
    */
   async resolveAlert(alertId, resolvedBy, resolution) {
     try {
-      const alert = await Alert.findByIdAndUpdate(
-        alertId,
-        {
-          status: 'resolved',
-          resolvedBy,
-          resolvedAt: new Date(),
-          resolution
-        },
-        { new: true }
-      );
+      const alert = await this.repositories.alerts.update(alertId, {
+        status: 'resolved',
+        resolvedBy,
+        resolvedAt: new Date(),
+        resolution
+      });
       
       if (alert) {
         this.socketIo.emit('alert.resolved', {
@@ -475,44 +462,7 @@ class AlertEngine extends EventEmitter {
     try {
       const startTime = this.getStartTimeForPeriod(timeRange);
       
-      const pipeline = [
-        {
-          $match: {
-            timestamp: { $gte: startTime }
-          }
-        },
-        {
-          $group: {
-            _id: null,
-            totalAlerts: { $sum: 1 },
-            criticalAlerts: {
-              $sum: { $cond: [{ $eq: ['$severity', 'critical'] }, 1, 0] }
-            },
-            warningAlerts: {
-              $sum: { $cond: [{ $eq: ['$severity', 'warning'] }, 1, 0] }
-            },
-            activeAlerts: {
-              $sum: { $cond: [{ $eq: ['$status', 'active'] }, 1, 0] }
-            },
-            acknowledgedAlerts: {
-              $sum: { $cond: [{ $eq: ['$status', 'acknowledged'] }, 1, 0] }
-            },
-            resolvedAlerts: {
-              $sum: { $cond: [{ $eq: ['$status', 'resolved'] }, 1, 0] }
-            }
-          }
-        }
-      ];
-      
-      const result = await Alert.aggregate(pipeline);
-      return result[0] || {
-        totalAlerts: 0,
-        criticalAlerts: 0,
-        warningAlerts: 0,
-        activeAlerts: 0,
-        acknowledgedAlerts: 0,
-        resolvedAlerts: 0
-      };
+      return await this.repositories.alerts.getStatistics(startTime);
     } catch (error) {
       logger.error('Error getting alert statistics:', error);
       throw error;
@@ -523,18 +473,7 @@ class AlertEngine extends EventEmitter {
    * Get start time for period
    */
   getStartTimeForPeriod(period) {
-    switch (period) {
-      case '1h':
-        return moment().subtract(1, 'hours').toDate();
-      case '24h':
-        return moment().subtract(24, 'hours').toDate();
-      case '7d':
-        return moment().subtract(7, 'days').toDate();
-      case '30d':
-        return moment().subtract(30, 'days').toDate();
-      default:
-        return moment().subtract(24, 'hours').toDate();
-    }
+    return periodStart(period);
   }
 }
 
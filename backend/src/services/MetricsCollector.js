@@ -1,18 +1,24 @@
 const EventEmitter = require('events');
-const moment = require('moment');
-const _ = require('lodash');
 
-const Build = require('../models/Build');
-const Metric = require('../models/Metric');
-const Project = require('../models/Project');
-const logger = require('../utils/logger');
-const { calculateMetrics, aggregateMetrics } = require('../utils/metricsCalculator');
+const { createRepositories } = require('../repositories');
+const { processGitHubEvent } = require('../processors/github');
+const { processGitLabEvent } = require('../processors/gitlab');
+const { applyBuildEvent } = require('../processors/builds');
+const { normalizeStatus } = require('../lite/normalize');
+const logger = require('../../../shared/utils/logger');
+const { calculateMetrics } = require('../utils/metricsCalculator');
+const { MINUTE_MS, HOUR_MS, periodStart } = require('../utils/periods');
 
 class MetricsCollector extends EventEmitter {
-  constructor({ socketIo, notificationService }) {
+  /**
+   * @param {Object} options
+   * @param {Object} options.repositories - From createRepositories(), in memory when omitted
+   */
+  constructor({ socketIo, notificationService, repositories = createRepositories('memory') }) {
     super();
     this.socketIo = socketIo;
     this.notificationService = notificationService;
+    this.repositories = repositories;
     this.processingQueue = [];
     this.isProcessing = false;
     
@@ -38,27 +44,77 @@ class MetricsCollector extends EventEmitter {
       // Save build to database
       const build = await this.saveBuild(normalizedData);
       
-      // Update project information
-      await this.updateProject(build);
-      
-      // Calculate and save metrics
-      await this.calculateAndSaveMetrics(build);
-      
-      // Emit real-time updates
-      this.emitRealtimeUpdates(build);
-      
-      // Emit event for alert processing
-      this.emit('build.processed', build);
-      
-      logger.info(`Build processing completed for ${build.projectName}#${build.buildNumber}`);
-      
-      return build;
+      return await this.publishBuild(build);
     } catch (error) {
       logger.error('Error processing build data:', error);
       throw error;
     }
   }
 
+  /**
+   * Update the project and metrics of a saved build, then tell real-time clients and the
+   * alert engine about it
+   */
+  async publishBuild(build) {
+    // Update project information
+    await this.updateProject(build);
+    
+    // Calculate and save metrics
+    await this.calculateAndSaveMetrics(build);
+    
+    // Emit real-time updates
+    this.emitRealtimeUpdates(build);
+    
+    // Emit event for alert processing
+    this.emit('build.processed', build);
+    
+    logger.info(`Build processing completed for ${build.projectName}#${build.buildNumber}`);
+    
+    return build;
+  }
+
+  /**
+   * Process a GitHub Actions webhook whose signature has been verified. workflow_run events
+   * create and update the run's build; workflow_job events add the job and its steps as stages.
+   * @param {string} event - X-GitHub-Event header
+   * @returns {Object|null} The stored build, null for events that are not about builds
+   */
+  async processGitHubEvent(event, payload) {
+    const result = processGitHubEvent(event, payload);
+    return result ? this.processWebhookBuild(result, 'github') : null;
+  }
+
+  /**
+   * Process a GitLab webhook whose X-Gitlab-Token has been verified. Pipeline hooks create and
+   * update the pipeline's build with its stages and jobs; job hooks add or update one job.
+   * @param {string} event - X-Gitlab-Event header
+   * @returns {Object|null} The stored build, null for events that are not about builds
+   */
+  async processGitLabEvent(event, payload) {
+    const result = processGitLabEvent(event, payload);
+    return result ? this.processWebhookBuild(result, 'gitlab') : null;
+  }
+
+  /**
+   * Store and publish the build of a processed webhook, merging its stages into those already stored
+   */
+  async processWebhookBuild(result, source) {
+    const key = { buildId: result.build.buildId, projectName: result.build.projectName };
+    const existing = await this.repositories.builds.findOne(key);
+    const stored = existing && {
+      stages: (existing.stages || []).map(stage => (stage.toObject ? stage.toObject() : stage))
+    };
+
+    const { partial, changes } = applyBuildEvent(result, stored);
+    if (!partial) {
+      return this.processBuildData(changes, source);
+    }
+
+    // A job of a stored build only changes its stages, normalized like those of whole builds
+    const build = await this.saveBuild({ ...key, ...changes, stages: this.normalizeStages(changes.stages) });
+    return this.publishBuild(build);
+  }
+
   /**
    * Normalize build data from different sources
    */
@@ -74,6 +130,7 @@ class MetricsCollector extends EventEmitter {
       startTime: buildData.startTime ? new Date(buildData.startTime) : new Date(),
       endTime: buildData.endTime ? new Date(buildData.endTime) : new Date(),
       buildNumber: parseInt(buildData.buildNumber) || parseInt(buildData.build_number) || 1,
+      runAttempt: parseInt(buildData.runAttempt) || 1,
       triggeredBy: buildData.triggeredBy || buildData.triggered_by || 'system',
       environment: buildData.environment || 'development',
       testResults: this.normalizeTestResults(buildData.testResults),
@@ -89,35 +146,17 @@ class MetricsCollector extends EventEmitter {
 
     // Calculate end time if not provided
     if (!buildData.endTime && normalized.startTime && normalized.duration) {
-      normalized.endTime = moment(normalized.startTime).add(normalized.duration, 'seconds').toDate();
+      normalized.endTime = new Date(normalized.startTime.getTime() + normalized.duration * 1000);
     }
 
     return normalized;
   }
 
   /**
-   * Normalize status values from different CI/CD systems
+   * Normalize status values from different CI/CD systems, as the lightweight backend does
    */
   normalizeStatus(status) {
-    if (!status) return 'unknown';
-    
-    const statusMap = {
-      'SUCCESS': 'success',
-      'PASSED': 'success',
-      'COMPLETED': 'success',
-      'FAILURE': 'failure',
-      'FAILED': 'failure',
-      'ERROR': 'failure',
-      'ABORTED': 'aborted',
-      'CANCELLED': 'aborted',
-      'UNSTABLE': 'unstable',
-      'RUNNING': 'running',
-      'IN_PROGRESS': 'running',
-      'PENDING': 'pending',
-      'QUEUED': 'pending'
-    };
-
-    return statusMap[status.toUpperCase()] || status.toLowerCase();
+    return normalizeStatus(status);
   }
 
   /**
@@ -162,23 +201,11 @@ class MetricsCollector extends EventEmitter {
    */
   async saveBuild(buildData) {
     try {
-      // Check if build already exists
-      const existingBuild = await Build.findOne({
+      // Updates the build when it was reported before
+      return await this.repositories.builds.upsert({
         buildId: buildData.buildId,
         projectName: buildData.projectName
-      });
-
-      if (existingBuild) {
-        // Update existing build
-        Object.assign(existingBuild, buildData);
-        await existingBuild.save();
-        return existingBuild;
-      } else {
-        // Create new build
-        const build = new Build(buildData);
-        await build.save();
-        return build;
-      }
+      }, buildData);
     } catch (error) {
       logger.error('Error saving build:', error);
       throw error;
@@ -199,11 +226,7 @@ class MetricsCollector extends EventEmitter {
         updatedAt: new Date()
       };
 
-      await Project.findOneAndUpdate(
-        { name: build.projectName },
-        projectData,
-        { upsert: true, new: true }
-      );
+      await this.repositories.projects.upsert({ name: build.projectName }, projectData);
 
       logger.debug(`Project ${build.projectName} updated`);
     } catch (error) {
@@ -238,10 +261,10 @@ class MetricsCollector extends EventEmitter {
     const startTime = this.getStartTimeForPeriod(period);
     
     // Get builds for the period
-    const builds = await Build.find({
+    const builds = await this.repositories.builds.find({
       projectName: build.projectName,
       endTime: { $gte: startTime }
-    }).sort({ endTime: -1 });
+    }, { sort: { endTime: -1 } });
 
     if (builds.length === 0) return;
 
@@ -257,17 +280,17 @@ class MetricsCollector extends EventEmitter {
       buildIds: builds.map(b => b._id)
     };
 
-    await Metric.findOneAndUpdate(
+    const hourStart = new Date(Math.floor(Date.now() / HOUR_MS) * HOUR_MS);
+    await this.repositories.metrics.upsert(
       { 
         projectName: build.projectName,
         period,
         timestamp: {
-          $gte: moment().startOf('hour').toDate(),
-          $lt: moment().endOf('hour').toDate()
+          $gte: hourStart,
+          $lt: new Date(hourStart.getTime() + HOUR_MS)
         }
       },
-      metricData,
-      { upsert: true, new: true }
+      metricData
     );
   }
 
@@ -275,18 +298,7 @@ class MetricsCollector extends EventEmitter {
    * Get start time for period calculation
    */
   getStartTimeForPeriod(period) {
-    switch (period) {
-      case '1h':
-        return moment().subtract(1, 'hours').toDate();
-      case '24h':
-        return moment().subtract(24, 'hours').toDate();
-      case '7d':
-        return moment().subtract(7, 'days').toDate();
-      case '30d':
-        return moment().subtract(30, 'days').toDate();
-      default:
-        return moment().subtract(24, 'hours').toDate();
-    }
+    return periodStart(period);
   }
 
   /**
@@ -354,7 +366,7 @@ class MetricsCollector extends EventEmitter {
       }
 
       // Get builds
-      const builds = await Build.find(query).sort({ endTime: -1 });
+      const builds = await this.repositories.builds.find(query, { sort: { endTime: -1 } });
       
       // Calculate overall metrics
       const overallMetrics = calculateMetrics(builds);
@@ -399,7 +411,7 @@ class MetricsCollector extends EventEmitter {
         }
       };
 
-      const builds = await Build.find(query);
+      const builds = await this.repositories.builds.find(query);
       const metrics = calculateMetrics(builds);
 
       trendData.successRate.push({
@@ -462,13 +474,13 @@ class MetricsCollector extends EventEmitter {
         count = 24;
     }
 
+    const now = Date.now();
     for (let i = count - 1; i >= 0; i--) {
-      const end = moment().subtract(i * interval, 'minutes');
-      const start = moment(end).subtract(interval, 'minutes');
+      const end = now - i * interval * MINUTE_MS;
       
       intervals.push({
-        start: start.toDate(),
-        end: end.toDate()
+        start: new Date(end - interval * MINUTE_MS),
+        end: new Date(end)
       });
     }
 
@@ -480,12 +492,12 @@ class MetricsCollector extends EventEmitter {
    */
   async getProjectStatus(projectFilter) {
     const query = projectFilter !== 'all' ? { name: projectFilter } : {};
-    const projects = await Project.find(query);
+    const projects = await this.repositories.projects.find(query);
     
     const projectStatus = await Promise.all(projects.map(async (project) => {
-      const recentBuilds = await Build.find({
+      const recentBuilds = await this.repositories.builds.find({
         projectName: project.name
-      }).sort({ endTime: -1 }).limit(10);
+      }, { sort: { endTime: -1 }, limit: 10 });
 
       const metrics = calculateMetrics(recentBuilds);
 
@@ -513,11 +525,12 @@ class MetricsCollector extends EventEmitter {
 
     const query = project !== 'all' ? { projectName: project } : {};
     
-    const builds = await Build.find(query)
-      .sort({ endTime: -1 })
-      .limit(limit)
-      .skip(offset)
-      .lean();
+    const builds = await this.repositories.builds.find(query, {
+      sort: { endTime: -1 },
+      limit,
+      skip: offset,
+      lean: true
+    });
 
     return builds;
   }
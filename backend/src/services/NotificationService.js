@@ -1,7 +1,7 @@
 const axios = require('axios');
 const nodemailer = require('nodemailer');
 const moment = require('moment');
-const logger = require('../utils/logger');
+const logger = require('../../../shared/utils/logger');
 
 class NotificationService {
   constructor() {
@@ -1,89 +1,343 @@
 const http = require('http');
+const crypto = require('crypto');
 const url = require('url');
+const path = require('path');
+
+const BuildStore = require('./lite/BuildStore');
+const FileStore = require('./lite/FileStore');
+const EventStream = require('./lite/EventStream');
+const { normalizeJenkinsBuild } = require('./lite/jenkins');
+const { normalizeBuild, normalizeStatus } = require('./lite/normalize');
+const { parseBuildQuery } = require('./lite/buildQuery');
+const { sendJson, readBody, parseJsonBody, readJsonBody } = require('./lite/http');
+const { verifyGitHubSignature, resolveWebhookSecret, processGitHubEvent } = require('./processors/github');
+const { verifyGitLabToken, resolveWebhookToken, processGitLabEvent } = require('./processors/gitlab');
+const { applyBuildEvent } = require('./processors/builds');
 
 const PORT = process.env.PORT || 3001;
 
-// Simple in-memory data
-const appState = {
-  startTime: new Date(),
-  requestCount: 0,
-  errors: 0,
-  builds: [
-    { id: 1, project: 'frontend-app', status: 'success', duration: 300, timestamp: new Date() },
-    { id: 2, project: 'backend-api', status: 'success', duration: 450, timestamp: new Date() },
-    { id: 3, project: 'mobile-app', status: 'failure', duration: 720, timestamp: new Date() }
-  ]
-};
-
-const server = http.createServer((req, res) => {
-  appState.requestCount++;
-  
-  const parsedUrl = url.parse(req.url, true);
-  const path = parsedUrl.pathname;
-  
-  // CORS headers
-  res.setHeader('Access-Control-Allow-Origin', '*');
-  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
-  
-  if (req.method === 'OPTIONS') {
-    res.writeHead(200);
-    res.end();
-    return;
+/**
+ * Per-project webhook secrets: mapKey holds JSON mapping projects to their secret,
+ * defaultKey the secret of the others. Webhooks are accepted without one when neither is set.
+ */
+function loadWebhookSecrets(mapKey, defaultKey, env = process.env) {
+  let secrets = {};
+  try {
+    secrets = JSON.parse(env[mapKey] || '{}');
+  } catch (error) {
+    throw new Error(`${mapKey} is not valid JSON: ${error.message}`);
   }
 
-  try {
-    if (path === '/api/health') {
-      res.writeHead(200, { 'Content-Type': 'application/json' });
-      res.end(JSON.stringify({
-        status: 'healthy',
-        timestamp: new Date().toISOString(),
-        uptime: Math.floor((Date.now() - appState.startTime.getTime()) / 1000),
-        service: 'cicd-backend',
-        version: '1.0.0'
-      }));
-      
-    } else if (path === '/api/metrics/dashboard') {
-      res.writeHead(200, { 'Content-Type': 'application/json' });
-      res.end(JSON.stringify({
-        totalBuilds: appState.requestCount + 150,
-        successRate: 94.5,
-        averageBuildTime: 8.5,
-        activeAlerts: 1,
-        lastUpdated: new Date().toISOString()
-      }));
-      
-    } else if (path === '/api/builds') {
-      res.writeHead(200, { 'Content-Type': 'application/json' });
-      res.end(JSON.stringify({
-        builds: appState.builds,
-        total: appState.builds.length
-      }));
-      
-    } else {
-      res.writeHead(404, { 'Content-Type': 'application/json' });
-      res.end(JSON.stringify({ error: 'Not found' }));
+  return {
+    secrets,
+    defaultSecret: env[defaultKey] || null,
+    required: Boolean(env[defaultKey]) || Object.keys(secrets).length > 0
+  };
+}
+
+/**
+ * Check X-Webhook-Token against the shared secret without leaking how much of it matched
+ */
+function verifyWebhookToken(token, secret) {
+  if (!token) {
+    return false;
+  }
+
+  const expected = Buffer.from(secret);
+  const received = Buffer.from(token);
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+}
+
+/**
+ * HTTP server for a build store, publishing its builds and alerts on events. Webhook
+ * secrets default to those of the environment.
+ */
+function createServer({
+  buildStore,
+  events,
+  // Shared secret Jenkins sends in X-Webhook-Token; webhooks are open when unset
+  webhookToken = process.env.WEBHOOK_TOKEN,
+  // GitHub signs webhooks with the secret of the repository (owner/repo or name)
+  githubSecrets = loadWebhookSecrets('GITHUB_WEBHOOK_SECRETS', 'GITHUB_WEBHOOK_SECRET'),
+  // GitLab sends the secret token of the project (group/project or name) in X-Gitlab-Token
+  gitlabTokens = loadWebhookSecrets('GITLAB_WEBHOOK_TOKENS', 'GITLAB_WEBHOOK_TOKEN'),
+  logger = console
+}) {
+  // Simple in-memory data
+  const appState = {
+    startTime: new Date(),
+    requestCount: 0,
+    errors: 0
+  };
+
+  buildStore.on('build', (build, created) => {
+    events.publish(created ? 'build.created' : 'build.updated', build, build.project);
+  });
+  buildStore.on('alert', alert => {
+    events.publish(alert.status === 'active' ? 'alert.opened' : 'alert.resolved', alert, alert.project);
+  });
+
+  /**
+   * Stream events, optionally only those of ?project= (comma separated), resuming after
+   * the Last-Event-ID header or ?lastEventId=
+   */
+  function handleEvents(req, res, query) {
+    const lastEventId = req.headers['last-event-id'] || query.lastEventId;
+    events.subscribe(req, res, {
+      projects: query.project ? String(query.project).split(',').filter(Boolean) : [],
+      lastEventId: lastEventId !== undefined && /^\d+$/.test(lastEventId) ? Number(lastEventId) : null
+    });
+  }
+
+  /**
+   * Store a build and answer 201 for a new build, 200 when it replaces one
+   */
+  function storeBuild(res, data) {
+    const { build, created } = buildStore.upsert(data);
+    logger.log(`📥 Build ${build.project}#${build.buildNumber || build.buildId} ${build.status} (${created ? 'new' : 'updated'})`);
+    // Published once the build's alert has been evaluated, so activeAlerts is current
+    events.publish('metrics.updated', buildStore.getDashboardMetrics());
+    sendJson(res, created ? 201 : 200, build);
+  }
+
+  /**
+   * Answer a failed webhook: its own status for bad requests, 500 (and a log line) otherwise
+   */
+  function sendWebhookError(res, error, source) {
+    if (!error.statusCode) {
+      appState.errors++;
+      logger.error(`Failed to store ${source} build:`, error);
+    }
+    sendJson(res, error.statusCode || 500, { error: error.statusCode ? error.message : 'Internal server error' });
+  }
+
+  /**
+   * Store a build reported by Jenkins
+   */
+  async function handleJenkinsWebhook(req, res) {
+    if (webhookToken && !verifyWebhookToken(req.headers['x-webhook-token'], webhookToken)) {
+      sendJson(res, 401, { error: 'Invalid webhook token' });
+      return;
+    }
+
+    try {
+      const payload = await readJsonBody(req);
+      storeBuild(res, normalizeJenkinsBuild(payload));
+    } catch (error) {
+      sendWebhookError(res, error, 'Jenkins');
+    }
+  }
+
+  /**
+   * Store a GitHub Actions workflow run, or add the jobs and steps of a workflow_job event
+   * to its run as stages. Other events are acknowledged with 202.
+   */
+  async function handleGitHubWebhook(req, res) {
+    try {
+      const rawBody = await readBody(req);
+      const payload = parseJsonBody(rawBody);
+
+      if (githubSecrets.required) {
+        const secret = resolveWebhookSecret(payload.repository, githubSecrets);
+        if (!secret || !verifyGitHubSignature(rawBody, req.headers['x-hub-signature-256'], secret)) {
+          sendJson(res, 401, { error: 'Invalid webhook signature' });
+          return;
+        }
+      }
+
+      const event = req.headers['x-github-event'];
+      storeProcessedBuild(res, event, processGitHubEvent(event, payload), 'github');
+    } catch (error) {
+      sendWebhookError(res, error, 'GitHub');
+    }
+  }
+
+  /**
+   * Store a GitLab pipeline with its stages and jobs, or add the job of a job hook to its
+   * pipeline. Other events are acknowledged with 202.
+   */
+  async function handleGitLabWebhook(req, res) {
+    try {
+      const payload = await readJsonBody(req);
+
+      if (gitlabTokens.required) {
+        const token = resolveWebhookToken(payload, gitlabTokens);
+        if (!token || !verifyGitLabToken(req.headers['x-gitlab-token'], token)) {
+          sendJson(res, 401, { error: 'Invalid webhook token' });
+          return;
+        }
+      }
+
+      const event = req.headers['x-gitlab-event'];
+      storeProcessedBuild(res, event, processGitLabEvent(event, payload), 'gitlab');
+    } catch (error) {
+      sendWebhookError(res, error, 'GitLab');
     }
-  } catch (error) {
-    appState.errors++;
-    res.writeHead(500, { 'Content-Type': 'application/json' });
-    res.end(JSON.stringify({ error: 'Internal server error' }));
   }
-});
-
-server.listen(PORT, '0.0.0.0', () => {
-  console.log(`✅ CI/CD Backend API running on port ${PORT}`);
-  console.log(`📊 Health check: http://localhost:${PORT}/api/health`);
-  console.log(`🔧 Metrics API: http://localhost:${PORT}/api/metrics/dashboard`);
-});
-
-// Graceful shutdown
-process.on('SIGTERM', () => {
-  console.log('SIGTERM received, shutting down gracefully');
-  server.close(() => process.exit(0));
-});
-
-process.on('SIGINT', () => {
-  console.log('SIGINT received, shutting down gracefully'); 
-  server.close(() => process.exit(0));
-});
+
+  /**
+   * Store the build of a processed GitHub or GitLab event, 202 when the event was not about a build
+   */
+  function storeProcessedBuild(res, event, result, source) {
+    if (!result) {
+      sendJson(res, 202, { ignored: true, event: event || null });
+      return;
+    }
+
+    const existing = buildStore.get(result.build.projectName, result.build.buildId);
+    const { partial, changes } = applyBuildEvent(result, existing);
+
+    storeBuild(res, partial
+      ? {
+        ...changes,
+        project: existing.project,
+        buildId: existing.buildId,
+        stages: changes.stages.map(stage => ({ ...stage, status: normalizeStatus(stage.status) }))
+      }
+      : normalizeBuild(changes, source));
+  }
+
+  return http.createServer((req, res) => {
+    appState.requestCount++;
+
+    const parsedUrl = url.parse(req.url, true);
+    const pathname = parsedUrl.pathname;
+
+    // CORS headers
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Last-Event-ID');
+
+    if (req.method === 'OPTIONS') {
+      res.writeHead(200);
+      res.end();
+      return;
+    }
+
+    try {
+      if (pathname === '/api/health') {
+        sendJson(res, 200, {
+          status: 'healthy',
+          timestamp: new Date().toISOString(),
+          uptime: Math.floor((Date.now() - appState.startTime.getTime()) / 1000),
+          service: 'cicd-backend',
+          version: '1.0.0'
+        });
+
+      } else if (pathname === '/api/metrics/dashboard') {
+        sendJson(res, 200, buildStore.getDashboardMetrics());
+
+      } else if (pathname === '/api/builds') {
+        let options;
+        try {
+          options = parseBuildQuery(parsedUrl.query);
+        } catch (error) {
+          sendJson(res, error.statusCode, { error: error.message });
+          return;
+        }
+        const { builds, total, next } = buildStore.query(options);
+        sendJson(res, 200, {
+          builds,
+          total,
+          count: builds.length,
+          next
+        });
+
+      } else if (pathname === '/api/projects') {
+        const projects = buildStore.listProjects();
+        sendJson(res, 200, { projects, total: projects.length });
+
+      } else if (pathname === '/api/alerts') {
+        const alerts = buildStore.listAlerts({ status: parsedUrl.query.status });
+        sendJson(res, 200, { alerts, total: alerts.length });
+
+      } else if (pathname === '/api/events') {
+        handleEvents(req, res, parsedUrl.query);
+
+      } else if (pathname === '/api/webhooks/jenkins' || pathname === '/api/webhooks/jenkins/comprehensive') {
+        if (req.method !== 'POST') {
+          sendJson(res, 405, { error: 'Method not allowed' }, { Allow: 'POST' });
+          return;
+        }
+        handleJenkinsWebhook(req, res);
+
+      } else if (pathname === '/api/webhooks/github') {
+        if (req.method !== 'POST') {
+          sendJson(res, 405, { error: 'Method not allowed' }, { Allow: 'POST' });
+          return;
+        }
+        handleGitHubWebhook(req, res);
+
+      } else if (pathname === '/api/webhooks/gitlab') {
+        if (req.method !== 'POST') {
+          sendJson(res, 405, { error: 'Method not allowed' }, { Allow: 'POST' });
+          return;
+        }
+        handleGitLabWebhook(req, res);
+
+      } else {
+        sendJson(res, 404, { error: 'Not found' });
+      }
+    } catch (error) {
+      appState.errors++;
+      sendJson(res, 500, { error: 'Internal server error' });
+    }
+  });
+}
+
+/**
+ * Load the stored data and serve it on PORT
+ */
+function start() {
+  // Append-only log and snapshots under DATA_DIR, so builds, projects and alerts survive restarts
+  const fileStore = new FileStore({
+    dir: path.resolve(process.env.DATA_DIR || 'data'),
+    snapshotIntervalMs: parseInt(process.env.SNAPSHOT_INTERVAL_MS) || undefined
+  });
+  const { replayed, skipped } = fileStore.load();
+  console.log(`💾 Loaded data from ${fileStore.dir} (${replayed} log records replayed, ${skipped} corrupt records skipped)`);
+
+  // Builds reported through the Jenkins webhook
+  const buildStore = new BuildStore({
+    maxBuilds: parseInt(process.env.MAX_STORED_BUILDS) || undefined,
+    storage: fileStore
+  });
+
+  // Real-time updates for the dashboard on /api/events
+  const events = new EventStream({
+    bufferSize: parseInt(process.env.SSE_REPLAY_BUFFER) || undefined,
+    heartbeatMs: parseInt(process.env.SSE_HEARTBEAT_MS) || undefined
+  });
+
+  const server = createServer({ buildStore, events });
+
+  server.listen(PORT, '0.0.0.0', () => {
+    console.log(`✅ CI/CD Backend API running on port ${PORT}`);
+    console.log(`📊 Health check: http://localhost:${PORT}/api/health`);
+    console.log(`🔧 Metrics API: http://localhost:${PORT}/api/metrics/dashboard`);
+    console.log(`📥 Jenkins webhook: http://localhost:${PORT}/api/webhooks/jenkins`);
+    console.log(`📥 GitHub webhook: http://localhost:${PORT}/api/webhooks/github`);
+    console.log(`📥 GitLab webhook: http://localhost:${PORT}/api/webhooks/gitlab`);
+    console.log(`📡 Event stream: http://localhost:${PORT}/api/events`);
+  });
+
+  // Graceful shutdown, with a final snapshot so the next start has no log to replay
+  const shutdown = (signal) => {
+    console.log(`${signal} received, shutting down gracefully`);
+    // Open streams would keep server.close() waiting
+    events.close();
+    server.close(() => {
+      fileStore.close();
+      process.exit(0);
+    });
+  };
+
+  process.on('SIGTERM', () => shutdown('SIGTERM'));
+  process.on('SIGINT', () => shutdown('SIGINT'));
+}
+
+if (require.main === module) {
+  start();
+}
+
+module.exports = { createServer, loadWebhookSecrets };
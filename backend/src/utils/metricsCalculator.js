@@ -0,0 +1,31 @@
+// Statuses of builds that ran to an end
+const FINISHED_STATUSES = ['success', 'failure', 'unstable', 'aborted'];
+// Results that count against the success rate
+const FAILED_STATUSES = ['failure', 'unstable'];
+
+const round = value => Math.round(value * 10) / 10;
+
+/**
+ * Build figures of the dashboard and the stored metrics, counted the way the lightweight
+ * backend's BuildStore counts them: aborted builds are left out of the success rate, and
+ * build times are in minutes over finished builds.
+ * @param {Array<Object>} builds - Stored builds with status and duration in seconds
+ */
+function calculateMetrics(builds) {
+  const finished = builds.filter(build => FINISHED_STATUSES.includes(build.status));
+  const rated = finished.filter(build => build.status !== 'aborted');
+  const successful = rated.filter(build => build.status === 'success');
+  const minutes = finished.map(build => (build.duration || 0) / 60);
+
+  return {
+    totalBuilds: builds.length,
+    successfulBuilds: successful.length,
+    failedBuilds: rated.filter(build => FAILED_STATUSES.includes(build.status)).length,
+    successRate: rated.length > 0 ? round((successful.length / rated.length) * 100) : 0,
+    averageBuildTime: minutes.length > 0 ? round(minutes.reduce((total, value) => total + value, 0) / minutes.length) : 0,
+    maxBuildTime: minutes.length > 0 ? round(Math.max(...minutes)) : 0,
+    minBuildTime: minutes.length > 0 ? round(Math.min(...minutes)) : 0
+  };
+}
+
+module.exports = { calculateMetrics };
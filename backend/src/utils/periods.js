@@ -0,0 +1,21 @@
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+const DAY_MS = 24 * HOUR_MS;
+
+// Time ranges the dashboard and the alert statistics are asked for
+const PERIOD_MS = {
+  '1h': HOUR_MS,
+  '24h': DAY_MS,
+  '7d': 7 * DAY_MS,
+  '30d': 30 * DAY_MS
+};
+
+/**
+ * Start of a period that ends now; unknown periods span 24 hours
+ * @param {string} period - 1h, 24h, 7d or 30d
+ */
+function periodStart(period, now = Date.now()) {
+  return new Date(now - (PERIOD_MS[period] || PERIOD_MS['24h']));
+}
+
+module.exports = { MINUTE_MS, HOUR_MS, PERIOD_MS, periodStart };
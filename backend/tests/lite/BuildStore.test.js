@@ -0,0 +1,151 @@
+const BuildStore = require('../../src/lite/BuildStore');
+const { normalizeJenkinsBuild } = require('../../src/lite/jenkins');
+
+describe('BuildStore', () => {
+  const start = Date.parse('2024-01-01T00:00:00Z');
+  let builds = 0;
+
+  /**
+   * A normalized Jenkins build of the project, each one ending a minute after the previous
+   */
+  function build(project, status, fields = {}) {
+    builds++;
+    return normalizeJenkinsBuild({
+      projectName: project,
+      buildNumber: builds,
+      status,
+      duration: 60,
+      endTime: new Date(start + builds * 60 * 1000),
+      ...fields
+    });
+  }
+
+  describe('getDashboardMetrics', () => {
+    it('should report zeros without builds', () => {
+      expect(new BuildStore().getDashboardMetrics()).toMatchObject({
+        totalBuilds: 0,
+        successRate: 0,
+        averageBuildTime: 0,
+        activeAlerts: 0,
+        failingProjects: [],
+        totalProjects: 0,
+        lastBuildAt: null
+      });
+    });
+
+    it('should leave aborted builds out of the success rate', () => {
+      const store = new BuildStore();
+      store.upsert(build('api', 'SUCCESS'));
+      store.upsert(build('api', 'SUCCESS'));
+      store.upsert(build('api', 'FAILURE'));
+      store.upsert(build('web', 'ABORTED'));
+      store.upsert(build('web', 'ABORTED'));
+
+      expect(store.getDashboardMetrics()).toMatchObject({
+        totalBuilds: 5,
+        successRate: 66.7,
+        totalProjects: 2
+      });
+    });
+
+    it('should average the duration of finished builds in minutes', () => {
+      const store = new BuildStore();
+      store.upsert(build('api', 'success', { duration: 60 }));
+      store.upsert(build('api', 'failure', { duration: 180 }));
+      store.upsert(build('api', 'aborted', { duration: 30 }));
+      // Still running, so its duration so far does not count
+      store.upsert(build('api', 'running', { duration: 6000 }));
+
+      const metrics = store.getDashboardMetrics();
+
+      // (60 + 180 + 30) / 3 = 90s
+      expect(metrics.averageBuildTime).toBe(1.5);
+      expect(metrics.lastBuildAt).toEqual(new Date(start + builds * 60 * 1000));
+    });
+  });
+
+  describe('alerts', () => {
+    it('should open an alert when the latest build fails and resolve it once one succeeds', () => {
+      const store = new BuildStore();
+      const emitted = [];
+      store.on('alert', alert => emitted.push({ ...alert }));
+
+      store.upsert(build('api', 'success'));
+      store.upsert(build('web', 'success'));
+      store.upsert(build('api', 'failure', { buildNumber: 41 }));
+
+      expect(store.listAlerts({ status: 'active' })).toEqual([
+        expect.objectContaining({
+          project: 'api',
+          severity: 'critical',
+          message: 'Build 41 of api ended with failure',
+          resolvedAt: null
+        })
+      ]);
+      expect(store.getDashboardMetrics()).toMatchObject({ activeAlerts: 1, failingProjects: ['api'] });
+
+      // Another failure keeps the one alert open
+      store.upsert(build('api', 'unstable'));
+      expect(store.listAlerts()).toHaveLength(1);
+
+      store.upsert(build('api', 'success'));
+
+      expect(store.listAlerts({ status: 'active' })).toEqual([]);
+      expect(store.listAlerts({ status: 'resolved' })[0].resolvedAt).toBeInstanceOf(Date);
+      expect(store.getDashboardMetrics()).toMatchObject({ activeAlerts: 0, failingProjects: [] });
+      expect(emitted.map(alert => alert.status)).toEqual(['active', 'resolved']);
+    });
+
+    it('should raise a warning for unstable builds', () => {
+      const store = new BuildStore();
+      store.upsert(build('web', 'UNSTABLE'));
+
+      expect(store.listAlerts()[0].severity).toBe('warning');
+    });
+
+    it('should only resolve an alert on a successful build', () => {
+      const store = new BuildStore();
+      store.upsert(build('api', 'failure'));
+      store.upsert(build('api', 'aborted'));
+
+      expect(store.getDashboardMetrics().activeAlerts).toBe(1);
+    });
+
+    it('should not resolve an alert on a build that has no result yet', () => {
+      const store = new BuildStore();
+      store.upsert(build('api', 'failure'));
+      store.upsert(build('api', 'running'));
+      store.upsert(build('api', 'pending'));
+
+      expect(store.getDashboardMetrics().activeAlerts).toBe(1);
+    });
+  });
+
+  describe('upsert', () => {
+    it('should replace a build reported again and keep the fields it leaves out', () => {
+      const store = new BuildStore();
+      const running = build('api', 'running', { buildId: 'b-1', branch: 'main' });
+      const { build: first, created } = store.upsert(running);
+
+      const { build: second, created: createdAgain } = store.upsert(
+        normalizeJenkinsBuild({ projectName: 'api', buildId: 'b-1', status: 'success', duration: 90 })
+      );
+
+      expect(created).toBe(true);
+      expect(createdAgain).toBe(false);
+      expect(second).toMatchObject({ id: first.id, status: 'success', branch: 'main', duration: 90 });
+      expect(store.list()).toHaveLength(1);
+      expect(store.listProjects()[0]).toMatchObject({ name: 'api', totalBuilds: 1, lastStatus: 'success' });
+    });
+
+    it('should drop the oldest builds beyond maxBuilds', () => {
+      const store = new BuildStore({ maxBuilds: 2 });
+      store.upsert(build('api', 'success', { buildId: 'old' }));
+      store.upsert(build('api', 'success'));
+      store.upsert(build('api', 'success'));
+
+      expect(store.list()).toHaveLength(2);
+      expect(store.list().map(stored => stored.buildId)).not.toContain('old');
+    });
+  });
+});
@@ -0,0 +1,144 @@
+const EventEmitter = require('events');
+
+const EventStream = require('../../src/lite/EventStream');
+
+describe('EventStream', () => {
+  let stream;
+
+  /**
+   * A subscribed client, with the events written to it parsed back
+   */
+  function connect(options) {
+    const req = new EventEmitter();
+    const res = {
+      chunks: [],
+      writeHead: jest.fn(),
+      write: jest.fn(chunk => res.chunks.push(chunk)),
+      end: jest.fn()
+    };
+    stream.subscribe(req, res, options);
+
+    const events = () => res.chunks
+      .filter(chunk => chunk.startsWith('id: '))
+      .map(chunk => {
+        const [, id, type, data] = chunk.match(/^id: (\d+)\nevent: (.+)\ndata: (.*)\n\n$/);
+        return { id: Number(id), type, data: JSON.parse(data) };
+      });
+
+    return { req, res, events, disconnect: () => req.emit('close') };
+  }
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    stream = new EventStream({ bufferSize: 3, heartbeatMs: 1000 });
+  });
+
+  afterEach(() => {
+    stream.close();
+    jest.useRealTimers();
+  });
+
+  it('should open the stream with a retry delay', () => {
+    const { res } = connect();
+
+    expect(res.writeHead).toHaveBeenCalledWith(200, expect.objectContaining({ 'Content-Type': 'text/event-stream' }));
+    expect(res.chunks).toEqual(['retry: 3000\n\n']);
+  });
+
+  it('should send published events with increasing ids', () => {
+    const client = connect();
+
+    stream.publish('build.created', { project: 'api' }, 'api');
+    stream.publish('metrics.updated', { totalBuilds: 1 });
+
+    expect(client.events()).toEqual([
+      { id: 1, type: 'build.created', data: { project: 'api' } },
+      { id: 2, type: 'metrics.updated', data: { totalBuilds: 1 } }
+    ]);
+  });
+
+  it('should replay the events after Last-Event-ID', () => {
+    ['a', 'b', 'c', 'd'].forEach(name => stream.publish('build.created', { name }));
+
+    const client = connect({ lastEventId: 2 });
+
+    expect(client.events().map(event => event.id)).toEqual([3, 4]);
+
+    stream.publish('build.created', { name: 'e' });
+    expect(client.events().map(event => event.id)).toEqual([3, 4, 5]);
+  });
+
+  it('should replay nothing to a client that is up to date', () => {
+    stream.publish('build.created', {});
+
+    expect(connect({ lastEventId: 1 }).events()).toEqual([]);
+  });
+
+  it('should send a reset when the missed events have left the buffer', () => {
+    ['a', 'b', 'c', 'd', 'e'].forEach(name => stream.publish('build.created', { name }));
+
+    // Events 3 to 5 are buffered, so a client that last saw 2 missed nothing it cannot get
+    expect(connect({ lastEventId: 2 }).events().map(event => event.id)).toEqual([3, 4, 5]);
+    expect(connect({ lastEventId: 1 }).events()).toEqual([
+      { id: 5, type: 'reset', data: { reason: 'Missed events are no longer available' } }
+    ]);
+  });
+
+  it('should send a reset when Last-Event-ID is ahead of the last event', () => {
+    // As after a restart, which starts counting from 1 again
+    stream.publish('build.created', {});
+
+    expect(connect({ lastEventId: 40 }).events()).toEqual([
+      { id: 1, type: 'reset', data: { reason: 'Missed events are no longer available' } }
+    ]);
+  });
+
+  it('should only send the events of the projects a client asked for', () => {
+    const api = connect({ projects: ['api'] });
+    const all = connect();
+
+    stream.publish('build.created', { project: 'api' }, 'api');
+    stream.publish('build.created', { project: 'web' }, 'web');
+    stream.publish('metrics.updated', {});
+
+    expect(api.events().map(event => event.id)).toEqual([1, 3]);
+    expect(all.events().map(event => event.id)).toEqual([1, 2, 3]);
+
+    // Replays are filtered too
+    expect(connect({ projects: ['web'], lastEventId: 0 }).events().map(event => event.id)).toEqual([2, 3]);
+  });
+
+  it('should send heartbeats to connected clients', () => {
+    const client = connect();
+
+    jest.advanceTimersByTime(2000);
+
+    expect(client.res.chunks.filter(chunk => chunk === ': heartbeat\n\n')).toHaveLength(2);
+  });
+
+  it('should stop writing to a client once it disconnects', () => {
+    const client = connect();
+    const other = connect();
+    expect(stream.clients.size).toBe(2);
+
+    client.disconnect();
+    const written = client.res.write.mock.calls.length;
+    stream.publish('build.created', {});
+    jest.advanceTimersByTime(5000);
+
+    expect(stream.clients.size).toBe(1);
+    expect(client.res.write).toHaveBeenCalledTimes(written);
+    expect(other.events()).toHaveLength(1);
+  });
+
+  it('should end every stream on close', () => {
+    const client = connect();
+
+    stream.close();
+    jest.advanceTimersByTime(5000);
+
+    expect(client.res.end).toHaveBeenCalled();
+    expect(stream.clients.size).toBe(0);
+    expect(client.res.chunks).toEqual(['retry: 3000\n\n']);
+  });
+});
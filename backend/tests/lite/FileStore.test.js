@@ -0,0 +1,147 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const FileStore = require('../../src/lite/FileStore');
+const BuildStore = require('../../src/lite/BuildStore');
+const { normalizeJenkinsBuild } = require('../../src/lite/jenkins');
+
+describe('FileStore', () => {
+  let dir;
+  let stores;
+  const logger = { warn: jest.fn() };
+
+  /**
+   * A loaded store on the test directory, closed after each test
+   */
+  function open(options = {}) {
+    const store = new FileStore({ dir, snapshotIntervalMs: 0, logger, ...options });
+    store.result = store.load();
+    stores.push(store);
+    return store;
+  }
+
+  const readLog = () => fs.readFileSync(path.join(dir, 'log.ndjson'), 'utf8');
+  const logLines = () => readLog().split('\n').filter(Boolean);
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'filestore-'));
+    stores = [];
+    logger.warn.mockClear();
+  });
+
+  afterEach(() => {
+    stores.forEach(store => clearInterval(store.timer));
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('should replay the log on load', () => {
+    const store = open();
+    store.put('builds', 'a', { status: 'success' });
+    store.put('builds', 'b', { status: 'failure' });
+    store.delete('builds', 'a');
+    store.put('projects', 1, { name: 'api' });
+
+    const reloaded = open();
+
+    expect(reloaded.result).toEqual({ replayed: 4, skipped: 0 });
+    expect([...reloaded.collection('builds')]).toEqual([['b', { status: 'failure' }]]);
+    expect(reloaded.collection('projects').get('1')).toEqual({ name: 'api' });
+    expect(reloaded.seq).toBe(4);
+  });
+
+  it('should skip a torn last line and cut it from the log', () => {
+    const store = open();
+    store.put('builds', 'a', { status: 'success' });
+    store.put('builds', 'b', { status: 'failure' });
+    // A crash in the middle of the last append
+    const [first, second] = logLines();
+    fs.writeFileSync(store.logPath, `${first}\n${second.slice(0, 20)}`);
+
+    const reloaded = open();
+
+    expect(reloaded.result).toEqual({ replayed: 1, skipped: 1 });
+    expect([...reloaded.collection('builds').keys()]).toEqual(['a']);
+    expect(readLog()).toBe(`${first}\n`);
+    expect(logger.warn).toHaveBeenCalledWith(`Skipping corrupt record on line 2 of ${reloaded.logPath}`);
+
+    // The next append starts on a line of its own
+    reloaded.put('builds', 'c', { status: 'success' });
+    expect(open().result).toEqual({ replayed: 2, skipped: 0 });
+  });
+
+  it('should skip a record whose checksum does not match and cut it from the log', () => {
+    const store = open();
+    store.put('builds', 'a', { status: 'success' });
+    store.put('builds', 'b', { status: 'failure' });
+    store.put('builds', 'c', { status: 'success' });
+    const [first, second, third] = logLines();
+    // Edited after it was written, so its crc no longer matches
+    const edited = second.replace('"failure"', '"success"');
+    fs.writeFileSync(store.logPath, `${first}\n${edited}\n${third}\n`);
+
+    const reloaded = open();
+
+    expect(reloaded.result).toEqual({ replayed: 2, skipped: 1 });
+    expect([...reloaded.collection('builds').keys()]).toEqual(['a', 'c']);
+    expect(readLog()).toBe(`${first}\n${third}\n`);
+  });
+
+  it('should snapshot and truncate the log once it reaches compactAfterRecords', () => {
+    const store = open({ compactAfterRecords: 3 });
+    store.put('builds', 'a', 1);
+    store.put('builds', 'b', 2);
+    expect(logLines()).toHaveLength(2);
+
+    store.put('builds', 'c', 3);
+
+    expect(readLog()).toBe('');
+    expect(store.logRecords).toBe(0);
+    const snapshot = JSON.parse(fs.readFileSync(store.snapshotPath, 'utf8'));
+    expect(snapshot).toMatchObject({ seq: 3, collections: { builds: { a: 1, b: 2, c: 3 } } });
+  });
+
+  it('should not replay records the snapshot already holds', () => {
+    const store = open();
+    store.put('builds', 'a', 1);
+    const log = readLog();
+    store.snapshot();
+    // A crash between writing the snapshot and truncating the log
+    fs.writeFileSync(store.logPath, log);
+
+    const reloaded = open();
+
+    expect(reloaded.result).toEqual({ replayed: 0, skipped: 0 });
+    expect(reloaded.collection('builds').get('a')).toBe(1);
+  });
+
+  it('should restore the same builds, projects and alerts from a snapshot', () => {
+    const store = open();
+    const builds = new BuildStore({ storage: store });
+    const endTime = Date.parse('2024-01-01T00:00:00Z');
+    [['api', 'success'], ['api', 'failure'], ['web', 'unstable'], ['web', 'success']].forEach(([project, status], i) => {
+      builds.upsert(normalizeJenkinsBuild({ projectName: project, buildNumber: i + 1, status, duration: 60, endTime: endTime + i * 1000 }));
+    });
+
+    store.close();
+    expect(readLog()).toBe('');
+
+    const restored = new BuildStore({ storage: open() });
+
+    expect(restored.list()).toEqual(builds.list());
+    expect(restored.listProjects()).toEqual(builds.listProjects());
+    expect(restored.listAlerts()).toEqual(builds.listAlerts());
+    expect(restored.listAlerts().map(alert => [alert.project, alert.status])).toEqual([['web', 'resolved'], ['api', 'active']]);
+    expect(restored.list()[0].endTime).toBeInstanceOf(Date);
+
+    // Ids carry on after the restored ones
+    const { build } = restored.upsert(normalizeJenkinsBuild({ projectName: 'api', status: 'success', endTime: endTime + 10000 }));
+    expect(build.id).toBe(5);
+  });
+
+  it('should refuse writes before it is loaded', () => {
+    const store = new FileStore({ dir, logger });
+
+    expect(() => store.put('builds', 'a', 1)).toThrow('FileStore must be loaded before it is written to');
+  });
+});
@@ -0,0 +1,159 @@
+const { parseBuildQuery, encodeCursor } = require('../../src/lite/buildQuery');
+const BuildStore = require('../../src/lite/BuildStore');
+const { normalizeJenkinsBuild } = require('../../src/lite/jenkins');
+const { BUILD_STATUSES } = require('../../src/lite/normalize');
+
+describe('buildQuery', () => {
+  /**
+   * Parse the query and report the 400 it is rejected with
+   */
+  function rejection(query) {
+    try {
+      parseBuildQuery(query);
+    } catch (error) {
+      return { statusCode: error.statusCode, message: error.message };
+    }
+    throw new Error('query was accepted');
+  }
+
+  describe('parseBuildQuery', () => {
+    it('should default to the 50 latest builds', () => {
+      expect(parseBuildQuery({})).toEqual({ filters: {}, sort: 'endTime', order: 'desc', limit: 50, cursor: null });
+    });
+
+    it('should split comma separated filters and parse dates', () => {
+      const { filters } = parseBuildQuery({
+        project: 'api, web,',
+        status: 'failure,unstable',
+        since: '2024-01-01',
+        until: '1704153600000'
+      });
+
+      expect(filters).toEqual({
+        project: ['api', 'web'],
+        status: ['failure', 'unstable'],
+        since: new Date('2024-01-01'),
+        until: new Date(1704153600000)
+      });
+    });
+
+    it('should cap the limit', () => {
+      expect(parseBuildQuery({ limit: '20' }).limit).toBe(20);
+      expect(parseBuildQuery({ limit: '5000' }).limit).toBe(200);
+    });
+
+    it.each(['abc', '0', '-5', '2.5', '10abc'])('should reject limit=%s with 400', (limit) => {
+      expect(rejection({ limit })).toEqual({ statusCode: 400, message: 'limit must be a positive whole number' });
+    });
+
+    it('should reject an unknown status with 400', () => {
+      expect(rejection({ status: 'failure,broken' })).toEqual({
+        statusCode: 400,
+        message: `status must be one of ${BUILD_STATUSES.join(', ')}`
+      });
+    });
+
+    it.each(['since', 'until'])('should reject a %s that is not a date with 400', (name) => {
+      expect(rejection({ [name]: 'yesterday' })).toEqual({
+        statusCode: 400,
+        message: `${name} must be an ISO date or a timestamp in milliseconds`
+      });
+    });
+
+    it('should reject an unknown sort or order with 400', () => {
+      expect(rejection({ sort: 'project' }).statusCode).toBe(400);
+      expect(rejection({ order: 'up' }).statusCode).toBe(400);
+    });
+
+    it('should reject a cursor that does not decode with 400', () => {
+      expect(rejection({ cursor: 'not-a-cursor' })).toEqual({ statusCode: 400, message: 'Invalid cursor' });
+    });
+
+    it('should reject a cursor reused with another sort or order with 400', () => {
+      const cursor = encodeCursor({ id: 3, endTime: new Date(1000) }, { sort: 'endTime', order: 'desc' });
+
+      expect(parseBuildQuery({ cursor }).cursor).toEqual({ sort: 'endTime', order: 'desc', value: 1000, id: 3 });
+      expect(rejection({ cursor, order: 'asc' })).toEqual({
+        statusCode: 400,
+        message: 'cursor was issued for a different sort order'
+      });
+      expect(rejection({ cursor, sort: 'duration' }).statusCode).toBe(400);
+    });
+  });
+
+  describe('BuildStore.query', () => {
+    const endTime = Date.parse('2024-01-01T00:00:00Z');
+    let store;
+
+    beforeEach(() => {
+      store = new BuildStore();
+      // Five builds of 60s and two of 120s, ending a minute apart
+      [60, 60, 120, 60, 120, 60, 60].forEach((duration, i) => {
+        store.upsert(normalizeJenkinsBuild({
+          projectName: i % 2 ? 'web' : 'api',
+          buildNumber: i + 1,
+          status: i === 2 ? 'failure' : 'success',
+          duration,
+          endTime: endTime + i * 60 * 1000
+        }));
+      });
+    });
+
+    /**
+     * Follow next until the last page, returning the build numbers of every page
+     */
+    function pages(query) {
+      const result = [];
+      let cursor;
+      do {
+        const page = store.query(parseBuildQuery({ ...query, cursor }));
+        result.push(page.builds.map(build => build.buildNumber));
+        cursor = page.next;
+      } while (cursor);
+      return result;
+    }
+
+    it('should list the newest builds first with the next page cursor', () => {
+      const page = store.query(parseBuildQuery({ limit: '3' }));
+
+      expect(page.builds.map(build => build.buildNumber)).toEqual([7, 6, 5]);
+      expect(page.total).toBe(7);
+      expect(page.next).toEqual(expect.any(String));
+    });
+
+    it('should page through builds with the same sort value by id', () => {
+      expect(pages({ sort: 'duration', limit: '2' })).toEqual([[5, 3], [7, 6], [4, 2], [1]]);
+      expect(pages({ sort: 'duration', order: 'asc', limit: '2' })).toEqual([[1, 2], [4, 6], [7, 3], [5]]);
+    });
+
+    it('should have no next page on the last page', () => {
+      const last = store.query(parseBuildQuery({ limit: '7' }));
+
+      expect(last.builds).toHaveLength(7);
+      expect(last.next).toBeNull();
+      expect(pages({ limit: '4' })).toEqual([[7, 6, 5, 4], [3, 2, 1]]);
+    });
+
+    it('should filter and count before paging', () => {
+      const page = store.query(parseBuildQuery({
+        project: 'api',
+        status: 'success',
+        since: String(endTime + 60 * 1000),
+        limit: '1'
+      }));
+
+      expect(page.total).toBe(2);
+      expect(page.builds.map(build => build.buildNumber)).toEqual([7]);
+      expect(pages({ project: 'api', status: 'success', since: String(endTime + 60 * 1000), limit: '1' }))
+        .toEqual([[7], [5]]);
+    });
+
+    it('should find builds stored with a result it does not know by the unknown status', () => {
+      store.upsert(normalizeJenkinsBuild({ projectName: 'api', buildNumber: 8, status: 'EXPLODED', endTime: endTime + 8 * 60 * 1000 }));
+
+      const page = store.query(parseBuildQuery({ status: 'unknown' }));
+
+      expect(page.builds.map(build => [build.buildNumber, build.status])).toEqual([[8, 'unknown']]);
+    });
+  });
+});
@@ -0,0 +1,238 @@
+const crypto = require('crypto');
+
+const {
+  githubStatus,
+  verifyGitHubSignature,
+  resolveWebhookSecret,
+  processGitHubEvent
+} = require('../../src/processors/github');
+const { applyBuildEvent } = require('../../src/processors/builds');
+
+describe('github', () => {
+  const repository = { name: 'api', full_name: 'acme/api', html_url: 'https://github.com/acme/api' };
+
+  const workflowRun = (fields = {}) => ({
+    id: 9001,
+    name: 'CI',
+    run_number: 42,
+    run_attempt: 1,
+    head_branch: 'main',
+    head_sha: 'abc123',
+    event: 'push',
+    status: 'completed',
+    conclusion: 'success',
+    run_started_at: '2024-01-01T10:00:00Z',
+    updated_at: '2024-01-01T10:05:00Z',
+    html_url: 'https://github.com/acme/api/actions/runs/9001',
+    actor: { login: 'octocat' },
+    ...fields
+  });
+
+  const workflowJob = (fields = {}) => ({
+    run_id: 9001,
+    run_attempt: 1,
+    name: 'test',
+    workflow_name: 'CI',
+    head_branch: 'main',
+    head_sha: 'abc123',
+    status: 'completed',
+    conclusion: 'failure',
+    started_at: '2024-01-01T10:01:00Z',
+    completed_at: '2024-01-01T10:03:00Z',
+    html_url: 'https://github.com/acme/api/actions/runs/9001/job/1',
+    steps: [
+      { name: 'Install', status: 'completed', conclusion: 'success', started_at: '2024-01-01T10:01:00Z', completed_at: '2024-01-01T10:01:30Z' },
+      { name: 'Test', status: 'completed', conclusion: 'failure', started_at: '2024-01-01T10:01:30Z', completed_at: '2024-01-01T10:03:00Z' }
+    ],
+    ...fields
+  });
+
+  describe('verifyGitHubSignature', () => {
+    const body = Buffer.from(JSON.stringify({ action: 'completed', repository }));
+    const sign = (payload, secret) => `sha256=${crypto.createHmac('sha256', secret).update(payload).digest('hex')}`;
+
+    it('should accept the HMAC of the raw body', () => {
+      expect(verifyGitHubSignature(body, sign(body, 's3cret'), 's3cret')).toBe(true);
+      expect(verifyGitHubSignature(body.toString(), sign(body, 's3cret'), 's3cret')).toBe(true);
+    });
+
+    it('should reject a tampered body or a signature made with another secret', () => {
+      const tampered = Buffer.from(body.toString().replace('completed', 'requested'));
+
+      expect(verifyGitHubSignature(tampered, sign(body, 's3cret'), 's3cret')).toBe(false);
+      expect(verifyGitHubSignature(body, sign(body, 'other'), 's3cret')).toBe(false);
+    });
+
+    it.each([
+      ['missing', undefined],
+      ['without its sha256= prefix', crypto.createHmac('sha256', 's3cret').update('{}').digest('hex')],
+      ['cut short', 'sha256=abc']
+    ])('should reject a signature that is %s', (_, signature) => {
+      expect(verifyGitHubSignature(Buffer.from('{}'), signature, 's3cret')).toBe(false);
+    });
+  });
+
+  describe('resolveWebhookSecret', () => {
+    const config = {
+      secrets: { 'acme/api': 'by-full-name', web: 'by-name' },
+      defaultSecret: 'default'
+    };
+
+    it('should look the secret up by full name, then name, then fall back to the default', () => {
+      expect(resolveWebhookSecret(repository, config)).toBe('by-full-name');
+      expect(resolveWebhookSecret({ name: 'web', full_name: 'acme/web' }, config)).toBe('by-name');
+      expect(resolveWebhookSecret({ name: 'docs', full_name: 'acme/docs' }, config)).toBe('default');
+    });
+
+    it('should have no secret for an unknown repository without a default', () => {
+      expect(resolveWebhookSecret({ name: 'docs' }, { secrets: config.secrets })).toBeNull();
+      expect(resolveWebhookSecret(undefined, {})).toBeNull();
+    });
+  });
+
+  describe('githubStatus', () => {
+    it.each([
+      ['success', 'success'],
+      ['neutral', 'success'],
+      ['failure', 'failure'],
+      ['timed_out', 'failure'],
+      ['startup_failure', 'failure'],
+      ['cancelled', 'aborted'],
+      ['stale', 'aborted'],
+      ['skipped', 'skipped'],
+      ['action_required', 'pending']
+    ])('should store a run concluded %s as %s', (conclusion, status) => {
+      expect(githubStatus({ status: 'completed', conclusion })).toBe(status);
+    });
+
+    it('should report runs that have not completed by their status', () => {
+      expect(githubStatus({ status: 'in_progress', conclusion: null })).toBe('running');
+      expect(githubStatus({ status: 'queued', conclusion: null })).toBe('pending');
+      expect(githubStatus({ status: 'waiting', conclusion: null })).toBe('pending');
+    });
+  });
+
+  describe('processGitHubEvent', () => {
+    it('should map a completed workflow run to a build', () => {
+      const { build, stages, partial } = processGitHubEvent('workflow_run', { workflow_run: workflowRun(), repository });
+
+      expect(build).toMatchObject({
+        buildId: '9001-1',
+        buildNumber: 42,
+        runAttempt: 1,
+        projectName: 'acme/api',
+        workflow: 'CI',
+        branch: 'main',
+        commit: 'abc123',
+        status: 'success',
+        duration: 300,
+        startTime: '2024-01-01T10:00:00Z',
+        endTime: '2024-01-01T10:05:00Z',
+        triggeredBy: 'octocat'
+      });
+      expect(stages).toEqual([]);
+      expect(partial).toBe(false);
+    });
+
+    it('should give every attempt of a run a build of its own', () => {
+      const first = processGitHubEvent('workflow_run', { workflow_run: workflowRun({ conclusion: 'failure' }), repository });
+      const rerun = processGitHubEvent('workflow_run', { workflow_run: workflowRun({ run_attempt: 2 }), repository });
+
+      expect(first.build.buildId).toBe('9001-1');
+      expect(rerun.build).toMatchObject({ buildId: '9001-2', runAttempt: 2, buildNumber: 42 });
+    });
+
+    it('should leave the end time of a run in progress open', () => {
+      const { build } = processGitHubEvent('workflow_run', {
+        workflow_run: workflowRun({ status: 'in_progress', conclusion: null }),
+        repository
+      });
+
+      expect(build).toMatchObject({ status: 'running', duration: 0, endTime: undefined });
+    });
+
+    it('should turn a job and its steps into stages of its run', () => {
+      const { build, stages, partial } = processGitHubEvent('workflow_job', { workflow_job: workflowJob({ run_attempt: 2 }), repository });
+
+      expect(partial).toBe(true);
+      expect(build).toMatchObject({ buildId: '9001-2', projectName: 'acme/api', status: 'running' });
+      expect(stages).toEqual([
+        expect.objectContaining({ name: 'test', status: 'failure', duration: 120, logs: workflowJob().html_url }),
+        expect.objectContaining({ name: 'test / Install', status: 'success', duration: 30 }),
+        expect.objectContaining({ name: 'test / Test', status: 'failure', duration: 90 })
+      ]);
+    });
+
+    it('should ignore events that are not about workflows', () => {
+      expect(processGitHubEvent('ping', { zen: 'Keep it logically awesome.' })).toBeNull();
+      expect(processGitHubEvent(undefined, {})).toBeNull();
+    });
+
+    it.each(['workflow_run', 'workflow_job'])('should reject a %s payload without its subject or repository', (event) => {
+      const error = expect.objectContaining({ statusCode: 400, message: `${event} payload requires ${event} and repository` });
+
+      expect(() => processGitHubEvent(event, { repository })).toThrow(error);
+      expect(() => processGitHubEvent(event, { [event]: {} })).toThrow(error);
+    });
+  });
+
+  describe('applyBuildEvent', () => {
+    const stored = () => ({
+      ...processGitHubEvent('workflow_run', { workflow_run: workflowRun({ status: 'in_progress', conclusion: null }), repository }).build,
+      stages: [{ name: 'lint', status: 'success', duration: 20 }]
+    });
+
+    it('should add the stages of a job to the stored run without touching the rest', () => {
+      const result = processGitHubEvent('workflow_job', { workflow_job: workflowJob(), repository });
+
+      const { partial, changes } = applyBuildEvent(result, stored());
+
+      expect(partial).toBe(true);
+      expect(changes).toEqual({
+        stages: [
+          { name: 'lint', status: 'success', duration: 20 },
+          expect.objectContaining({ name: 'test', status: 'failure' }),
+          expect.objectContaining({ name: 'test / Install', status: 'success' }),
+          expect.objectContaining({ name: 'test / Test', status: 'failure' })
+        ]
+      });
+    });
+
+    it('should update stages reported again by name', () => {
+      const running = processGitHubEvent('workflow_job', {
+        workflow_job: workflowJob({ status: 'in_progress', conclusion: null, completed_at: null, steps: [] }),
+        repository
+      });
+      const { changes: first } = applyBuildEvent(running, stored());
+      const done = processGitHubEvent('workflow_job', { workflow_job: workflowJob(), repository });
+
+      const { changes } = applyBuildEvent(done, { ...stored(), stages: first.stages });
+
+      expect(changes.stages.map(stage => [stage.name, stage.status])).toEqual([
+        ['lint', 'success'],
+        ['test', 'failure'],
+        ['test / Install', 'success'],
+        ['test / Test', 'failure']
+      ]);
+    });
+
+    it('should store a job for a run that is not stored yet as a whole build', () => {
+      const result = processGitHubEvent('workflow_job', { workflow_job: workflowJob(), repository });
+
+      const { partial, changes } = applyBuildEvent(result, null);
+
+      expect(partial).toBe(false);
+      expect(changes).toMatchObject({ buildId: '9001-1', projectName: 'acme/api', status: 'running' });
+      expect(changes.stages).toHaveLength(3);
+    });
+
+    it('should keep the stages of the stored run when the run itself is reported', () => {
+      const result = processGitHubEvent('workflow_run', { workflow_run: workflowRun(), repository });
+
+      const { partial, changes } = applyBuildEvent(result, stored());
+
+      expect(partial).toBe(false);
+      expect(changes).toMatchObject({ status: 'success', stages: [{ name: 'lint', status: 'success', duration: 20 }] });
+    });
+  });
+});
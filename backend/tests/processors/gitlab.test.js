@@ -0,0 +1,241 @@
+const {
+  GITLAB_EVENTS,
+  verifyGitLabToken,
+  resolveWebhookToken,
+  processGitLabEvent
+} = require('../../src/processors/gitlab');
+const { normalizeStatus } = require('../../src/lite/normalize');
+
+describe('gitlab', () => {
+  const project = {
+    name: 'api',
+    path_with_namespace: 'acme/backend/api',
+    web_url: 'https://gitlab.com/acme/backend/api'
+  };
+
+  const job = (fields = {}) => ({
+    id: 1,
+    stage: 'test',
+    name: 'unit',
+    status: 'success',
+    allow_failure: false,
+    duration: 60.4,
+    started_at: '2024-01-01 10:01:00 UTC',
+    finished_at: '2024-01-01 10:02:00 UTC',
+    ...fields
+  });
+
+  const pipelineHook = (attributes = {}, builds = []) => ({
+    object_kind: 'pipeline',
+    object_attributes: {
+      id: 5001,
+      iid: 12,
+      ref: 'main',
+      sha: 'abc123',
+      status: 'success',
+      stages: ['build', 'test', 'deploy'],
+      duration: 300,
+      created_at: '2024-01-01 10:00:00 UTC',
+      finished_at: '2024-01-01 10:05:00 UTC',
+      ...attributes
+    },
+    user: { username: 'jane' },
+    project,
+    builds
+  });
+
+  const jobHook = (fields = {}) => ({
+    object_kind: 'build',
+    pipeline_id: 5001,
+    ref: 'main',
+    sha: 'abc123',
+    build_stage: 'test',
+    build_name: 'unit',
+    build_status: 'failed',
+    build_duration: 42.6,
+    build_started_at: '2024-01-01 10:01:00 UTC',
+    build_finished_at: '2024-01-01 10:01:42 UTC',
+    repository: { name: 'api', homepage: 'https://gitlab.com/acme/backend/api' },
+    ...fields
+  });
+
+  describe('verifyGitLabToken', () => {
+    it('should accept the exact token only', () => {
+      expect(verifyGitLabToken('s3cret', 's3cret')).toBe(true);
+      expect(verifyGitLabToken('s3crex', 's3cret')).toBe(false);
+      expect(verifyGitLabToken('s3cret-but-longer', 's3cret')).toBe(false);
+      expect(verifyGitLabToken(undefined, 's3cret')).toBe(false);
+      expect(verifyGitLabToken('', 's3cret')).toBe(false);
+    });
+  });
+
+  describe('resolveWebhookToken', () => {
+    const config = {
+      secrets: { 'acme/backend/api': 'by-path', web: 'by-name' },
+      defaultSecret: 'default'
+    };
+
+    it('should look a pipeline hook up by project path, then name, then fall back to the default', () => {
+      expect(resolveWebhookToken(pipelineHook(), config)).toBe('by-path');
+      expect(resolveWebhookToken({ project: { name: 'web', path_with_namespace: 'acme/web' } }, config)).toBe('by-name');
+      expect(resolveWebhookToken({ project: { name: 'docs', path_with_namespace: 'acme/docs' } }, config)).toBe('default');
+    });
+
+    it('should take the project path of a job hook from its repository homepage', () => {
+      expect(resolveWebhookToken(jobHook(), config)).toBe('by-path');
+      expect(resolveWebhookToken(jobHook(), { secrets: config.secrets })).toBe('by-path');
+    });
+
+    it('should fall back to the repository name when the homepage is not a URL', () => {
+      const hook = jobHook({ repository: { name: 'web', homepage: 'not a url' } });
+
+      expect(resolveWebhookToken(hook, config)).toBe('by-name');
+      expect(resolveWebhookToken(jobHook({ repository: { name: 'docs' } }), { secrets: config.secrets })).toBeNull();
+    });
+  });
+
+  describe('processGitLabEvent', () => {
+    it('should map a pipeline hook to a build', () => {
+      const { build, partial } = processGitLabEvent('Pipeline Hook', pipelineHook({}, [
+        job({ stage: 'deploy', name: 'production', environment: { name: 'production' } })
+      ]));
+
+      expect(partial).toBe(false);
+      expect(build).toEqual({
+        buildId: '5001',
+        buildNumber: 12,
+        projectName: 'api',
+        repositoryUrl: project.web_url,
+        branch: 'main',
+        commit: 'abc123',
+        status: 'success',
+        duration: 300,
+        startTime: '2024-01-01 10:00:00 UTC',
+        endTime: '2024-01-01 10:05:00 UTC',
+        triggeredBy: 'jane',
+        environment: 'production',
+        url: `${project.web_url}/-/pipelines/5001`
+      });
+    });
+
+    it('should build stages in pipeline order, each followed by its jobs', () => {
+      // GitLab lists the jobs of a pipeline newest first
+      const { stages } = processGitLabEvent('Pipeline Hook', pipelineHook({}, [
+        job({ id: 3, stage: 'deploy', name: 'staging', started_at: '2024-01-01 10:03:00 UTC', finished_at: '2024-01-01 10:04:00 UTC' }),
+        job({ id: 2, stage: 'test', name: 'lint', started_at: '2024-01-01 10:01:30 UTC', finished_at: '2024-01-01 10:02:30 UTC' }),
+        job({ id: 1, stage: 'test', name: 'unit' }),
+        job({ id: 0, stage: 'build', name: 'compile', started_at: '2024-01-01 10:00:00 UTC', finished_at: '2024-01-01 10:01:00 UTC' })
+      ]));
+
+      expect(stages.map(stage => stage.name)).toEqual([
+        'build', 'build / compile',
+        'test', 'test / lint', 'test / unit',
+        'deploy', 'deploy / staging'
+      ]);
+      expect(stages[2]).toEqual({
+        name: 'test',
+        status: 'success',
+        duration: 90,
+        startTime: '2024-01-01 10:01:00 UTC',
+        endTime: '2024-01-01 10:02:30 UTC',
+        logs: null
+      });
+      // GitLab reports fractional seconds
+      expect(stages[4]).toMatchObject({ name: 'test / unit', duration: 60 });
+    });
+
+    it('should order stages by their first job without the pipeline stage list', () => {
+      const { stages } = processGitLabEvent('Pipeline Hook', pipelineHook({ stages: undefined }, [
+        job({ stage: 'build', name: 'compile' }),
+        job({ stage: 'test', name: 'unit' })
+      ]));
+
+      expect(stages.map(stage => stage.name)).toEqual(['build', 'build / compile', 'test', 'test / unit']);
+    });
+
+    it('should count failed jobs that are allowed to fail as passing their stage', () => {
+      const stageOf = jobs => processGitLabEvent('Pipeline Hook', pipelineHook({}, jobs)).stages[0];
+
+      expect(stageOf([job(), job({ name: 'audit', status: 'failed', allow_failure: true })]))
+        .toMatchObject({ name: 'test', status: 'success' });
+      expect(stageOf([job(), job({ name: 'audit', status: 'failed', allow_failure: false })]))
+        .toMatchObject({ status: 'failed' });
+      // The job itself keeps its status
+      expect(processGitLabEvent('Pipeline Hook', pipelineHook({}, [job({ status: 'failed', allow_failure: true })])).stages[1])
+        .toMatchObject({ status: 'failed' });
+    });
+
+    it.each([
+      [['success', 'running'], 'running'],
+      [['manual', 'success'], 'manual'],
+      [['success', 'canceled'], 'canceled'],
+      [['skipped', 'skipped'], 'skipped'],
+      [['skipped', 'success'], 'success']
+    ])('should give a stage with jobs %j the status %s', (statuses, status) => {
+      const jobs = statuses.map((jobStatus, i) => job({ name: `job${i}`, status: jobStatus, finished_at: null }));
+
+      const [stage] = processGitLabEvent('Pipeline Hook', pipelineHook({}, jobs)).stages;
+
+      expect(stage).toMatchObject({ status, endTime: null, duration: 0 });
+    });
+
+    it('should turn a job hook into a stage of its pipeline', () => {
+      const { build, stages, partial } = processGitLabEvent('Job Hook', jobHook({ environment: { name: 'staging' } }));
+
+      expect(partial).toBe(true);
+      expect(build).toMatchObject({
+        buildId: '5001',
+        projectName: 'api',
+        repositoryUrl: 'https://gitlab.com/acme/backend/api',
+        status: 'running',
+        environment: 'staging'
+      });
+      expect(stages).toEqual([{
+        name: 'test / unit',
+        status: 'failed',
+        duration: 43,
+        startTime: '2024-01-01 10:01:00 UTC',
+        endTime: '2024-01-01 10:01:42 UTC',
+        logs: null
+      }]);
+    });
+
+    it('should ignore other events', () => {
+      expect(Object.keys(GITLAB_EVENTS)).toEqual(['Pipeline Hook', 'Job Hook']);
+      expect(processGitLabEvent('Push Hook', { object_kind: 'push' })).toBeNull();
+      expect(processGitLabEvent(undefined, {})).toBeNull();
+    });
+
+    it.each([
+      ['Pipeline Hook', { object_kind: 'pipeline', project }, 'pipeline or project'],
+      ['Pipeline Hook', { ...pipelineHook(), project: undefined }, 'pipeline or project'],
+      ['Pipeline Hook', { ...pipelineHook(), object_kind: 'build' }, 'pipeline or project'],
+      ['Job Hook', { ...jobHook(), pipeline_id: undefined }, 'pipeline_id or repository'],
+      ['Job Hook', { ...jobHook(), repository: undefined }, 'pipeline_id or repository'],
+      ['Job Hook', {}, 'pipeline_id or repository']
+    ])('should reject a malformed %s with 400', (event, payload, missing) => {
+      expect(() => processGitLabEvent(event, payload)).toThrow(expect.objectContaining({
+        statusCode: 400,
+        message: `${event} payload is missing its ${missing}`
+      }));
+    });
+  });
+
+  describe('statuses', () => {
+    it.each([
+      ['success', 'success'],
+      ['failed', 'failure'],
+      ['canceled', 'aborted'],
+      ['skipped', 'skipped'],
+      ['running', 'running'],
+      ['pending', 'pending'],
+      ['created', 'pending'],
+      ['waiting_for_resource', 'pending'],
+      ['preparing', 'pending'],
+      ['scheduled', 'pending'],
+      ['manual', 'pending']
+    ])('should store GitLab status %s as %s', (gitlabStatus, status) => {
+      expect(normalizeStatus(gitlabStatus)).toBe(status);
+    });
+  });
+});
@@ -0,0 +1,58 @@
+const MemoryRepository = require('../../src/repositories/MemoryRepository');
+const MemoryAlertRepository = require('../../src/repositories/MemoryAlertRepository');
+const { EMPTY_STATISTICS } = require('../../src/repositories/MemoryAlertRepository');
+
+describe('MemoryAlertRepository', () => {
+  const since = new Date('2024-01-02T00:00:00Z');
+  let rules;
+  let alerts;
+
+  beforeEach(() => {
+    rules = new MemoryRepository();
+    alerts = new MemoryAlertRepository({ rules });
+  });
+
+  it('should populate ruleId with the rule', async () => {
+    const rule = await rules.create({ name: 'Build failure', severity: 'critical' });
+    await alerts.create({ title: 'api failed', ruleId: rule._id });
+    await alerts.create({ title: 'manual', ruleId: null });
+
+    const [populated, manual] = await alerts.find({}, { populate: 'ruleId', sort: { title: 1 } });
+
+    expect(populated.ruleId).toEqual(rule);
+    expect(manual.ruleId).toBeNull();
+
+    const [plain] = await alerts.find({ title: 'api failed' });
+    expect(plain.ruleId).toBe(rule._id);
+  });
+
+  it('should count alerts by severity and status since the given time', async () => {
+    await Promise.all([
+      { severity: 'critical', status: 'active', timestamp: new Date('2024-01-02T00:00:00Z') },
+      { severity: 'critical', status: 'resolved', timestamp: new Date('2024-01-03T00:00:00Z') },
+      { severity: 'warning', status: 'acknowledged', timestamp: new Date('2024-01-04T00:00:00Z') },
+      { severity: 'warning', status: 'active', timestamp: new Date('2024-01-05T00:00:00Z') },
+      { severity: 'info', status: 'active', timestamp: new Date('2024-01-06T00:00:00Z') },
+      // Before the window
+      { severity: 'critical', status: 'active', timestamp: new Date('2024-01-01T00:00:00Z') }
+    ].map(alert => alerts.create(alert)));
+
+    expect(await alerts.getStatistics(since)).toEqual({
+      totalAlerts: 5,
+      criticalAlerts: 2,
+      warningAlerts: 2,
+      activeAlerts: 3,
+      acknowledgedAlerts: 1,
+      resolvedAlerts: 1
+    });
+  });
+
+  it('should report zeros without alerts in the window', async () => {
+    await alerts.create({ severity: 'critical', status: 'active', timestamp: new Date('2023-12-31T00:00:00Z') });
+
+    const statistics = await alerts.getStatistics(since);
+
+    expect(statistics).toEqual(EMPTY_STATISTICS);
+    expect(statistics).not.toBe(EMPTY_STATISTICS);
+  });
+});
@@ -0,0 +1,90 @@
+const MemoryRepository = require('../../src/repositories/MemoryRepository');
+const { createRepositories } = require('../../src/repositories');
+
+describe('MemoryRepository', () => {
+  let builds;
+
+  beforeEach(async () => {
+    builds = new MemoryRepository();
+    await Promise.all([1, 2, 3, 4, 5].map(number => builds.create({
+      project: number % 2 ? 'api' : 'web',
+      buildNumber: number,
+      status: number === 3 ? 'failure' : 'success',
+      endTime: new Date(Date.UTC(2024, 0, number))
+    })));
+  });
+
+  const numbers = docs => docs.map(doc => doc.buildNumber);
+
+  it('should give created documents an ObjectId shaped id', async () => {
+    const doc = await builds.create({ project: 'api' });
+
+    expect(doc._id).toMatch(/^[0-9a-f]{24}$/);
+    expect(await builds.findById(doc._id)).toEqual(doc);
+    expect(await builds.findById('000000000000000000000000')).toBeNull();
+  });
+
+  it('should find by filter with sort, skip and limit', async () => {
+    const newest = { endTime: -1 };
+
+    expect(numbers(await builds.find({ status: 'success' }, { sort: newest }))).toEqual([5, 4, 2, 1]);
+    expect(numbers(await builds.find({}, { sort: newest, skip: 1, limit: 2 }))).toEqual([4, 3]);
+    expect(numbers(await builds.find({}, { sort: newest, skip: 4, limit: 2 }))).toEqual([1]);
+    expect(numbers(await builds.find({ endTime: { $gte: new Date(Date.UTC(2024, 0, 4)) } }, { sort: { buildNumber: 1 } })))
+      .toEqual([4, 5]);
+    expect((await builds.findOne({ project: 'web' }, { sort: newest })).buildNumber).toBe(4);
+    expect(await builds.count({ project: 'api' })).toBe(3);
+  });
+
+  it('should hand out copies', async () => {
+    const [doc] = await builds.find({ buildNumber: 1 });
+    doc.status = 'changed';
+    doc.endTime.setFullYear(2000);
+
+    const [stored] = await builds.find({ buildNumber: 1 });
+    expect(stored.status).toBe('success');
+    expect(stored.endTime.getUTCFullYear()).toBe(2024);
+  });
+
+  it('should create a document from the filter equalities on upsert', async () => {
+    const created = await builds.upsert(
+      { project: 'docs', buildId: '7', endTime: { $gte: new Date(0) } },
+      { status: 'running' }
+    );
+
+    expect(created).toEqual({ _id: expect.any(String), project: 'docs', buildId: '7', status: 'running' });
+  });
+
+  it('should update the matching document on upsert', async () => {
+    const updated = await builds.upsert({ project: 'api', buildNumber: 3 }, { status: 'success' });
+
+    expect(updated).toMatchObject({ buildNumber: 3, status: 'success' });
+    expect(await builds.count({})).toBe(5);
+    expect(await builds.count({ status: 'failure' })).toBe(0);
+  });
+
+  it('should update and delete by id', async () => {
+    const doc = await builds.findOne({ buildNumber: 2 });
+
+    expect(await builds.update(doc._id, { status: 'aborted' })).toMatchObject({ _id: doc._id, status: 'aborted' });
+    expect(await builds.update('missing', { status: 'aborted' })).toBeNull();
+
+    await builds.delete(doc._id);
+    expect(await builds.findById(doc._id)).toBeNull();
+    expect(await builds.count()).toBe(4);
+  });
+
+  describe('createRepositories', () => {
+    it('should keep every collection in memory with the memory driver', () => {
+      const repositories = createRepositories('memory');
+
+      expect(Object.keys(repositories)).toEqual(['builds', 'projects', 'metrics', 'alerts', 'rules']);
+      expect(repositories.builds).toBeInstanceOf(MemoryRepository);
+      expect(repositories.alerts.rules).toBe(repositories.rules);
+    });
+
+    it('should reject unknown drivers', () => {
+      expect(() => createRepositories('sqlite')).toThrow('Unknown storage driver sqlite, expected one of mongodb, memory');
+    });
+  });
+});
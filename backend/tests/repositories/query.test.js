@@ -0,0 +1,95 @@
+const { matches, sortDocuments, compareValues, equalityFields } = require('../../src/repositories/query');
+
+describe('query', () => {
+  const jan = new Date('2024-01-01T00:00:00Z');
+  const feb = new Date('2024-02-01T00:00:00Z');
+  const mar = new Date('2024-03-01T00:00:00Z');
+
+  describe('matches', () => {
+    it('should compare dates with $gte and $lt', () => {
+      const range = { endTime: { $gte: feb, $lt: mar } };
+
+      expect(matches({ endTime: jan }, range)).toBe(false);
+      expect(matches({ endTime: feb }, range)).toBe(true);
+      expect(matches({ endTime: new Date('2024-02-15') }, range)).toBe(true);
+      expect(matches({ endTime: mar }, range)).toBe(false);
+    });
+
+    it('should not match missing values with range operators', () => {
+      expect(matches({}, { endTime: { $lt: mar } })).toBe(false);
+      expect(matches({ endTime: null }, { endTime: { $gte: jan } })).toBe(false);
+    });
+
+    it('should match $in and $nin against a list', () => {
+      const doc = { status: 'failure' };
+
+      expect(matches(doc, { status: { $in: ['failure', 'unstable'] } })).toBe(true);
+      expect(matches(doc, { status: { $in: ['success'] } })).toBe(false);
+      expect(matches(doc, { status: { $nin: ['failure', 'unstable'] } })).toBe(false);
+      expect(matches(doc, { status: { $nin: ['success'] } })).toBe(true);
+    });
+
+    it('should match an array field when any element equals the value', () => {
+      const doc = { tags: ['api', 'release'] };
+
+      expect(matches(doc, { tags: 'release' })).toBe(true);
+      expect(matches(doc, { tags: 'web' })).toBe(false);
+      expect(matches(doc, { tags: { $in: ['web', 'api'] } })).toBe(true);
+      expect(matches(doc, { tags: { $ne: 'api' } })).toBe(false);
+    });
+
+    it('should match equalities on dates, ids, null and nested paths', () => {
+      const doc = { endTime: new Date(feb), ruleId: 'abc123', resolvedAt: null, git: { branch: 'main' } };
+
+      expect(matches(doc, { endTime: feb, ruleId: 'abc123', 'git.branch': 'main' })).toBe(true);
+      expect(matches(doc, { resolvedAt: null, acknowledgedAt: null })).toBe(true);
+      expect(matches(doc, { 'git.commit': 'abc' })).toBe(false);
+    });
+
+    it('should reject unsupported operators', () => {
+      expect(() => matches({}, { status: { $regex: 'fail' } })).toThrow('Unsupported query operator $regex');
+    });
+  });
+
+  describe('sortDocuments', () => {
+    const docs = [
+      { name: 'b', endTime: feb, duration: 2 },
+      { name: 'a', duration: 2 },
+      { name: 'c', endTime: jan, duration: 1 },
+      { name: 'd', endTime: null, duration: 3 }
+    ];
+    const names = sorted => sorted.map(doc => doc.name);
+
+    it('should put missing values first in ascending order and last in descending order', () => {
+      // null and undefined are equally missing, so a and d keep their order
+      expect(names(sortDocuments(docs, { endTime: 1 }))).toEqual(['a', 'd', 'c', 'b']);
+      expect(names(sortDocuments(docs, { endTime: -1 }))).toEqual(['b', 'c', 'a', 'd']);
+    });
+
+    it('should sort by the following keys on ties', () => {
+      expect(names(sortDocuments(docs, { duration: -1, name: 1 }))).toEqual(['d', 'a', 'b', 'c']);
+    });
+
+    it('should leave the input in place', () => {
+      sortDocuments(docs, { name: 1 });
+
+      expect(names(docs)).toEqual(['b', 'a', 'c', 'd']);
+    });
+  });
+
+  it('should compare dates by time', () => {
+    expect(compareValues(new Date(jan), jan)).toBe(0);
+    expect(compareValues(jan, feb)).toBe(-1);
+    expect(compareValues(undefined, 0)).toBe(-1);
+    expect(compareValues(null, undefined)).toBe(0);
+  });
+
+  it('should take the plain equalities of a filter for upserts', () => {
+    expect(equalityFields({
+      project: 'api',
+      buildId: '42',
+      endTime: { $gte: jan },
+      'git.branch': 'main'
+    })).toEqual({ project: 'api', buildId: '42' });
+  });
+});
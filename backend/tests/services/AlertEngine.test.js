@@ -0,0 +1,109 @@
+const AlertEngine = require('../../src/services/AlertEngine');
+const { createRepositories } = require('../../src/repositories');
+
+describe('AlertEngine', () => {
+  let repositories;
+  let socketIo;
+  let notificationService;
+  let engine;
+
+  const failureRule = {
+    name: 'Build failure',
+    severity: 'critical',
+    enabled: true,
+    condition: { type: 'build_failure', parameters: { projects: ['api'] } },
+    channels: [{ type: 'slack', configuration: { channel: '#builds' } }],
+    messageTemplate: '{projectName}#{buildNumber} {status} on {branch}'
+  };
+
+  const build = (buildNumber, status, fields = {}) => ({
+    _id: `build-${buildNumber}`,
+    projectName: 'api',
+    buildNumber,
+    status,
+    branch: 'main',
+    duration: 300,
+    environment: 'production',
+    endTime: new Date(),
+    ...fields
+  });
+
+  beforeEach(async () => {
+    repositories = createRepositories('memory');
+    socketIo = { emit: jest.fn() };
+    notificationService = { sendSlackAlert: jest.fn(), sendEmailAlert: jest.fn(), sendWebhookAlert: jest.fn() };
+    engine = new AlertEngine({ notificationService, socketIo, repositories });
+    // The constructor starts loading the rules without waiting for them
+    await engine.loadAlertRules();
+  });
+
+  it('should load only the enabled rules', async () => {
+    await repositories.rules.create(failureRule);
+    await repositories.rules.create({ ...failureRule, name: 'Disabled', enabled: false });
+
+    await engine.loadAlertRules();
+
+    expect([...engine.rules.values()].map(rule => rule.name)).toEqual(['Build failure']);
+  });
+
+  it('should store, notify and emit an alert for a matching build, then cool down', async () => {
+    const rule = await engine.createAlertRule(failureRule);
+
+    await engine.evaluateRules(build(7, 'failure'));
+    await engine.evaluateRules(build(8, 'failure'));
+    await engine.evaluateRules(build(9, 'failure', { projectName: 'web' }));
+
+    const alerts = await engine.getActiveAlerts();
+    expect(alerts).toHaveLength(1);
+    expect(alerts[0]).toMatchObject({
+      ruleId: rule,
+      severity: 'critical',
+      message: 'api#7 failure on main',
+      buildId: 'build-7'
+    });
+    expect(notificationService.sendSlackAlert).toHaveBeenCalledWith(
+      expect.objectContaining({ _id: alerts[0]._id }),
+      { channel: '#builds' }
+    );
+    expect(socketIo.emit).toHaveBeenCalledWith('alert.triggered', expect.objectContaining({ ruleName: 'Build failure' }));
+  });
+
+  it('should only raise consecutive failure alerts once enough builds of the branch failed', async () => {
+    await engine.createAlertRule({
+      ...failureRule,
+      condition: { type: 'consecutive_failures', parameters: { consecutiveCount: 2 } }
+    });
+
+    await repositories.builds.create(build(1, 'failure'));
+    await engine.evaluateRules(build(1, 'failure'));
+    expect(await repositories.alerts.count()).toBe(0);
+
+    await repositories.builds.create(build(2, 'failure'));
+    await engine.evaluateRules(build(2, 'failure'));
+    expect(await repositories.alerts.count()).toBe(1);
+  });
+
+  it('should stop evaluating a rule once it is disabled', async () => {
+    const rule = await engine.createAlertRule(failureRule);
+
+    await engine.updateAlertRule(rule._id, { enabled: false });
+    await engine.evaluateRules(build(7, 'failure'));
+
+    expect(await repositories.alerts.count()).toBe(0);
+  });
+
+  it('should acknowledge and resolve alerts and count them by status', async () => {
+    await engine.createAlertRule(failureRule);
+    await engine.evaluateRules(build(7, 'failure'));
+    const [alert] = await engine.getActiveAlerts();
+
+    await engine.acknowledgeAlert(alert._id, 'alice');
+    expect(await engine.getActiveAlerts()).toHaveLength(0);
+
+    const resolved = await engine.resolveAlert(alert._id, 'alice', 'Flaky test fixed');
+    expect(resolved).toMatchObject({ status: 'resolved', resolvedBy: 'alice', resolution: 'Flaky test fixed' });
+    expect(socketIo.emit).toHaveBeenCalledWith('alert.resolved', { id: alert._id, resolvedBy: 'alice', resolution: 'Flaky test fixed' });
+
+    expect(await engine.getAlertStatistics('1h')).toMatchObject({ totalAlerts: 1, resolvedAlerts: 1, criticalAlerts: 1 });
+  });
+});
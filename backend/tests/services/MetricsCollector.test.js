@@ -0,0 +1,183 @@
+const MetricsCollector = require('../../src/services/MetricsCollector');
+const { createRepositories } = require('../../src/repositories');
+
+describe('MetricsCollector', () => {
+  let repositories;
+  let socketIo;
+  let collector;
+
+  /**
+   * Jenkins payload of a build that ended the given number of minutes ago
+   */
+  const jenkinsBuild = (buildNumber, status, minutesAgo, fields = {}) => ({
+    buildId: `api-${buildNumber}`,
+    projectName: 'api',
+    buildNumber,
+    status,
+    duration: 120,
+    endTime: new Date(Date.now() - minutesAgo * 60 * 1000).toISOString(),
+    ...fields
+  });
+
+  beforeEach(() => {
+    repositories = createRepositories('memory');
+    const emit = jest.fn();
+    socketIo = { emit, to: jest.fn(() => ({ emit })) };
+    collector = new MetricsCollector({ socketIo, repositories });
+  });
+
+  describe('processBuildData', () => {
+    it('should store the build, its project and the metrics of each period', async () => {
+      const processed = jest.fn();
+      collector.on('build.processed', processed);
+
+      const build = await collector.processBuildData(jenkinsBuild(1, 'FAILURE', 5, { stages: [{ name: 'test', status: 'FAILED' }] }));
+
+      expect(build).toMatchObject({ buildId: 'api-1', projectName: 'api', status: 'failure', duration: 120 });
+      expect(build.stages).toEqual([expect.objectContaining({ name: 'test', status: 'failure' })]);
+      expect(await repositories.builds.count()).toBe(1);
+      expect(await repositories.projects.findOne({ name: 'api' }))
+        .toMatchObject({ lastBuildId: build._id, lastBuildStatus: 'failure' });
+
+      const metrics = await repositories.metrics.find({}, { sort: { period: 1 } });
+      expect(metrics.map(metric => metric.period)).toEqual(['1h', '24h', '30d', '7d']);
+      expect(metrics[0]).toMatchObject({ projectName: 'api', totalBuilds: 1, failedBuilds: 1, buildIds: [build._id] });
+
+      expect(processed).toHaveBeenCalledWith(build);
+      expect(socketIo.emit).toHaveBeenCalledWith('build.completed', expect.objectContaining({ id: build._id, status: 'failure' }));
+      expect(socketIo.to).toHaveBeenCalledWith('project-api');
+    });
+
+    it('should update a build reported again and keep one metric per period and hour', async () => {
+      await collector.processBuildData(jenkinsBuild(1, 'RUNNING', 5));
+      const build = await collector.processBuildData(jenkinsBuild(1, 'SUCCESS', 5));
+
+      expect(await repositories.builds.count()).toBe(1);
+      expect(build.status).toBe('success');
+      expect(await repositories.metrics.count({ period: '1h' })).toBe(1);
+      expect(await repositories.metrics.findOne({ period: '1h' })).toMatchObject({ totalBuilds: 1, successRate: 100 });
+    });
+  });
+
+  describe('processGitHubEvent', () => {
+    const repository = { name: 'api', full_name: 'acme/api' };
+    const workflowRun = {
+      id: 9001,
+      run_number: 42,
+      run_attempt: 1,
+      status: 'in_progress',
+      conclusion: null,
+      run_started_at: new Date(Date.now() - 5 * 60 * 1000).toISOString()
+    };
+    const workflowJob = {
+      run_id: 9001,
+      run_attempt: 1,
+      name: 'test',
+      status: 'completed',
+      conclusion: 'failure',
+      started_at: '2024-01-01T10:01:00Z',
+      completed_at: '2024-01-01T10:03:00Z',
+      steps: [{ name: 'Test', status: 'completed', conclusion: 'timed_out' }]
+    };
+
+    it('should normalize, store and publish the stages of a job of a stored run', async () => {
+      const processed = jest.fn();
+      collector.on('build.processed', processed);
+      await collector.processGitHubEvent('workflow_run', { workflow_run: workflowRun, repository });
+
+      const build = await collector.processGitHubEvent('workflow_job', { workflow_job: workflowJob, repository });
+
+      expect(build).toMatchObject({ buildId: '9001-1', projectName: 'acme/api', status: 'running', buildNumber: 42 });
+      expect(build.stages).toEqual([
+        expect.objectContaining({ name: 'test', status: 'failure', duration: 120, startTime: new Date('2024-01-01T10:01:00Z') }),
+        expect.objectContaining({ name: 'test / Test', status: 'failure', startTime: null })
+      ]);
+      expect(await repositories.builds.count()).toBe(1);
+      expect(processed).toHaveBeenCalledTimes(2);
+      expect(processed).toHaveBeenLastCalledWith(build);
+      expect(socketIo.emit).toHaveBeenLastCalledWith('project.build.update', expect.objectContaining({ projectName: 'acme/api' }));
+      expect(await repositories.metrics.findOne({ period: '1h' })).toMatchObject({ totalBuilds: 1 });
+    });
+
+    it('should ignore events that are not about builds', async () => {
+      expect(await collector.processGitHubEvent('ping', { zen: 'Keep it logically awesome.' })).toBeNull();
+      expect(await repositories.builds.count()).toBe(0);
+    });
+  });
+
+  describe('processGitLabEvent', () => {
+    const project = { name: 'api', path_with_namespace: 'acme/api' };
+    const pipelineHook = {
+      object_kind: 'pipeline',
+      object_attributes: { id: 5001, iid: 12, status: 'running', stages: ['test'], created_at: '2024-01-01 10:00:00 UTC' },
+      project,
+      builds: [{ id: 1, stage: 'test', name: 'unit', status: 'running', started_at: '2024-01-01 10:01:00 UTC' }]
+    };
+    const jobHook = (fields = {}) => ({
+      object_kind: 'build',
+      pipeline_id: 5001,
+      build_stage: 'test',
+      build_name: 'unit',
+      build_status: 'canceled',
+      build_duration: 42.6,
+      build_started_at: '2024-01-01 10:01:00 UTC',
+      build_finished_at: '2024-01-01 10:01:42 UTC',
+      repository: { name: 'api', homepage: 'https://gitlab.com/acme/api' },
+      ...fields
+    });
+
+    it('should store the job of a job hook with GitLab statuses and dates normalized', async () => {
+      await collector.processGitLabEvent('Pipeline Hook', pipelineHook);
+
+      const build = await collector.processGitLabEvent('Job Hook', jobHook());
+
+      expect(build).toMatchObject({ buildId: '5001', status: 'running', buildNumber: 12 });
+      expect(build.stages.find(stage => stage.name === 'test / unit')).toEqual(expect.objectContaining({
+        status: 'aborted',
+        duration: 43,
+        startTime: new Date('2024-01-01T10:01:00Z'),
+        endTime: new Date('2024-01-01T10:01:42Z')
+      }));
+      expect(await repositories.builds.count()).toBe(1);
+    });
+
+    it('should store a manual job as pending', async () => {
+      await collector.processGitLabEvent('Pipeline Hook', pipelineHook);
+
+      const build = await collector.processGitLabEvent('Job Hook', jobHook({ build_status: 'manual', build_started_at: null }));
+
+      expect(build.stages.find(stage => stage.name === 'test / unit').status).toBe('pending');
+    });
+  });
+
+  describe('getDashboardMetrics', () => {
+    it('should count the builds of the time range and report each project', async () => {
+      await collector.processBuildData(jenkinsBuild(1, 'SUCCESS', 90));
+      await collector.processBuildData(jenkinsBuild(2, 'FAILURE', 30));
+      await collector.processBuildData(jenkinsBuild(3, 'SUCCESS', 10));
+      await collector.processBuildData(jenkinsBuild(1, 'SUCCESS', 10, { buildId: 'web-1', projectName: 'web' }));
+
+      const all = await collector.getDashboardMetrics({ timeRange: '24h' });
+      expect(all).toMatchObject({ totalBuilds: 4, successfulBuilds: 3, failedBuilds: 1, successRate: 75, averageBuildTime: 2 });
+      expect(all.successRateTrend).toHaveLength(24);
+      expect(all.projectStatus.map(project => [project.name, project.lastBuildStatus]).sort())
+        .toEqual([['api', 'success'], ['web', 'success']]);
+
+      const api = await collector.getDashboardMetrics({ timeRange: '1h', project: 'api' });
+      expect(api).toMatchObject({ totalBuilds: 2, successRate: 50 });
+      expect(api.projectStatus).toHaveLength(1);
+    });
+  });
+
+  describe('getRecentBuilds', () => {
+    it('should page the builds of a project, latest first', async () => {
+      await collector.processBuildData(jenkinsBuild(1, 'SUCCESS', 30));
+      await collector.processBuildData(jenkinsBuild(2, 'FAILURE', 20));
+      await collector.processBuildData(jenkinsBuild(3, 'SUCCESS', 10));
+
+      const builds = await collector.getRecentBuilds({ project: 'api', limit: 2, offset: 1 });
+
+      expect(builds.map(build => build.buildNumber)).toEqual([2, 1]);
+    });
+  });
+});
@@ -0,0 +1,379 @@
+const crypto = require('crypto');
+const http = require('http');
+const request = require('supertest');
+
+const { createServer, loadWebhookSecrets } = require('../src/simple-server');
+const BuildStore = require('../src/lite/BuildStore');
+const EventStream = require('../src/lite/EventStream');
+const { BUILD_STATUSES } = require('../src/lite/normalize');
+
+describe('simple-server', () => {
+  const noSecrets = { secrets: {}, defaultSecret: null, required: false };
+  const logger = { log: jest.fn(), error: jest.fn() };
+
+  let buildStore;
+  let events;
+
+  function serve(options = {}) {
+    return createServer({
+      buildStore,
+      events,
+      webhookToken: null,
+      githubSecrets: noSecrets,
+      gitlabTokens: noSecrets,
+      logger,
+      ...options
+    });
+  }
+
+  beforeEach(() => {
+    buildStore = new BuildStore();
+    events = new EventStream();
+  });
+
+  afterEach(() => {
+    events.close();
+  });
+
+  describe('POST /api/webhooks/jenkins', () => {
+    const payload = {
+      buildId: 'api-42',
+      buildNumber: 42,
+      projectName: 'api',
+      status: 'SUCCESS',
+      duration: 120,
+      branch: 'main'
+    };
+
+    it('should store a new build with 201 and replace it with 200', async () => {
+      const server = serve();
+
+      const created = await request(server).post('/api/webhooks/jenkins').send({ ...payload, status: 'IN_PROGRESS' }).expect(201);
+      expect(created.body).toMatchObject({ project: 'api', buildId: 'api-42', status: 'running', source: 'jenkins' });
+
+      const replaced = await request(server).post('/api/webhooks/jenkins').send(payload).expect(200);
+      expect(replaced.body).toMatchObject({ id: created.body.id, status: 'success', duration: 120 });
+
+      const response = await request(server).get('/api/builds').expect(200);
+      expect(response.body).toMatchObject({ total: 1, count: 1, next: null });
+    });
+
+    it('should store the nested payload of the comprehensive endpoint', async () => {
+      const response = await request(serve())
+        .post('/api/webhooks/jenkins/comprehensive')
+        .send({
+          build: { id: 'web-7', number: 7, project: 'web', status: 'FAILURE', duration: 300 },
+          git: { branch: 'release', commit: 'abc123' },
+          deployment: { environment: 'staging' }
+        })
+        .expect(201);
+
+      expect(response.body).toMatchObject({
+        project: 'web',
+        buildNumber: 7,
+        status: 'failure',
+        branch: 'release',
+        commit: 'abc123',
+        environment: 'staging'
+      });
+    });
+
+    it('should reflect stored builds in the dashboard metrics and alerts', async () => {
+      const server = serve();
+      await request(server).post('/api/webhooks/jenkins').send({ ...payload, buildId: 'api-41', status: 'ABORTED', duration: 0 }).expect(201);
+      await request(server).post('/api/webhooks/jenkins').send(payload).expect(201);
+      await request(server).post('/api/webhooks/jenkins').send({ ...payload, buildId: 'api-43', status: 'FAILURE', duration: 240 }).expect(201);
+
+      const metrics = await request(server).get('/api/metrics/dashboard').expect(200);
+      expect(metrics.body).toMatchObject({
+        totalBuilds: 3,
+        successRate: 50,
+        averageBuildTime: 2,
+        activeAlerts: 1,
+        failingProjects: ['api']
+      });
+
+      const alerts = await request(server).get('/api/alerts?status=active').expect(200);
+      expect(alerts.body.alerts[0]).toMatchObject({ project: 'api', buildId: 'api-43', severity: 'critical' });
+    });
+
+    it('should publish the build and the updated metrics', async () => {
+      const published = jest.spyOn(events, 'publish');
+
+      await request(serve()).post('/api/webhooks/jenkins').send(payload).expect(201);
+
+      expect(published.mock.calls.map(([type]) => type)).toEqual(['build.created', 'metrics.updated']);
+    });
+
+    it('should answer 400 without a project or status', async () => {
+      const response = await request(serve()).post('/api/webhooks/jenkins').send({ status: 'SUCCESS' }).expect(400);
+
+      expect(response.body.error).toBe('Jenkins payload requires a project name and a status');
+      expect(buildStore.list()).toHaveLength(0);
+    });
+
+    it('should answer 400 on a body that is not JSON', async () => {
+      await request(serve())
+        .post('/api/webhooks/jenkins')
+        .set('Content-Type', 'application/json')
+        .send('{"projectName":')
+        .expect(400);
+    });
+
+    it.each(['null', '[]', '42', '"SUCCESS"'])('should answer 400 on a JSON body of %s', async body => {
+      const response = await request(serve())
+        .post('/api/webhooks/jenkins')
+        .set('Content-Type', 'application/json')
+        .send(body)
+        .expect(400);
+
+      expect(response.body.error).toBe('Request body must be a JSON object');
+    });
+
+    it('should only accept POST', async () => {
+      const response = await request(serve()).get('/api/webhooks/jenkins').expect(405);
+
+      expect(response.headers.allow).toBe('POST');
+    });
+
+    describe('with WEBHOOK_TOKEN set', () => {
+      it('should accept the token', async () => {
+        await request(serve({ webhookToken: 's3cret' }))
+          .post('/api/webhooks/jenkins')
+          .set('X-Webhook-Token', 's3cret')
+          .send(payload)
+          .expect(201);
+      });
+
+      it.each([
+        ['a wrong token', 's3crex'],
+        ['a token of another length', 's3cret-but-longer'],
+        ['no token', null]
+      ])('should reject %s with 401', async (_, token) => {
+        const req = request(serve({ webhookToken: 's3cret' })).post('/api/webhooks/jenkins');
+        if (token) req.set('X-Webhook-Token', token);
+
+        const response = await req.send(payload).expect(401);
+
+        expect(response.body.error).toBe('Invalid webhook token');
+        expect(buildStore.list()).toHaveLength(0);
+      });
+    });
+  });
+
+  describe('POST /api/webhooks/github', () => {
+    const repository = { name: 'api', full_name: 'acme/api' };
+    const workflowRun = {
+      id: 9001,
+      run_number: 42,
+      run_attempt: 1,
+      status: 'completed',
+      conclusion: 'cancelled',
+      run_started_at: '2024-01-01T10:00:00Z',
+      updated_at: '2024-01-01T10:05:00Z'
+    };
+    const body = JSON.stringify({ workflow_run: workflowRun, repository });
+    const sign = (payload, secret) => `sha256=${crypto.createHmac('sha256', secret).update(payload).digest('hex')}`;
+
+    const post = (server, payload, headers = {}) => request(server)
+      .post('/api/webhooks/github')
+      .set('Content-Type', 'application/json')
+      .set('X-GitHub-Event', 'workflow_run')
+      .set(headers)
+      .send(payload);
+
+    it('should store a run signed with the secret of its repository', async () => {
+      const server = serve({ githubSecrets: loadWebhookSecrets('MAP', 'DEFAULT', { MAP: '{"acme/api":"s3cret"}' }) });
+
+      const response = await post(server, body, { 'X-Hub-Signature-256': sign(body, 's3cret') }).expect(201);
+
+      expect(response.body).toMatchObject({ project: 'acme/api', buildId: '9001-1', status: 'aborted', source: 'github' });
+    });
+
+    it('should keep the runs of same-named repositories of different owners apart', async () => {
+      const server = serve();
+      await post(server, body).expect(201);
+      await post(server, { workflow_run: workflowRun, repository: { name: 'api', full_name: 'other/api' } }).expect(201);
+
+      expect(buildStore.list().map(build => build.project).sort()).toEqual(['acme/api', 'other/api']);
+    });
+
+    it.each([
+      ['a tampered body', body.replace('cancelled', 'success'), sign(body, 's3cret')],
+      ['a signature made with another secret', body, sign(body, 'other')],
+      ['no signature', body, null]
+    ])('should reject %s with 401', async (_, payload, signature) => {
+      const server = serve({ githubSecrets: loadWebhookSecrets('MAP', 'DEFAULT', { DEFAULT: 's3cret' }) });
+
+      const response = await post(server, payload, signature ? { 'X-Hub-Signature-256': signature } : {}).expect(401);
+
+      expect(response.body.error).toBe('Invalid webhook signature');
+      expect(buildStore.list()).toHaveLength(0);
+    });
+
+    it('should add the steps of a job to its stored run', async () => {
+      const server = serve();
+      await post(server, body).expect(201);
+
+      const job = {
+        run_id: 9001,
+        name: 'test',
+        status: 'completed',
+        conclusion: 'success',
+        steps: [{ name: 'Test', status: 'completed', conclusion: 'timed_out' }]
+      };
+      const response = await post(server, { workflow_job: job, repository }, { 'X-GitHub-Event': 'workflow_job' }).expect(200);
+
+      expect(response.body).toMatchObject({ buildId: '9001-1', status: 'aborted', duration: 300 });
+      expect(response.body.stages.map(stage => [stage.name, stage.status])).toEqual([
+        ['test', 'success'],
+        ['test / Test', 'failure']
+      ]);
+    });
+
+    it('should acknowledge other events with 202', async () => {
+      const response = await post(serve(), { zen: 'Design for failure.' }, { 'X-GitHub-Event': 'ping' }).expect(202);
+
+      expect(response.body).toEqual({ ignored: true, event: 'ping' });
+    });
+  });
+
+  describe('POST /api/webhooks/gitlab', () => {
+    const pipelineHook = {
+      object_kind: 'pipeline',
+      object_attributes: { id: 5001, iid: 12, status: 'canceled', stages: ['test'], duration: 60 },
+      project: { name: 'api', path_with_namespace: 'acme/api' },
+      builds: []
+    };
+    const jobHook = {
+      object_kind: 'build',
+      pipeline_id: 5001,
+      build_stage: 'test',
+      build_name: 'unit',
+      build_status: 'manual',
+      repository: { name: 'api', homepage: 'https://gitlab.com/acme/api' }
+    };
+
+    const post = (server, event, payload, token) => {
+      const req = request(server).post('/api/webhooks/gitlab').set('X-Gitlab-Event', event);
+      if (token) req.set('X-Gitlab-Token', token);
+      return req.send(payload);
+    };
+
+    it('should check the token of the project a job hook comes from', async () => {
+      const server = serve({ gitlabTokens: loadWebhookSecrets('MAP', 'DEFAULT', { MAP: '{"acme/api":"s3cret"}' }) });
+
+      await post(server, 'Job Hook', jobHook, 'wrong').expect(401);
+      await post(server, 'Job Hook', jobHook).expect(401);
+      const response = await post(server, 'Job Hook', jobHook, 's3cret').expect(201);
+
+      expect(response.body).toMatchObject({ project: 'api', buildId: '5001', source: 'gitlab' });
+    });
+
+    it('should add the job of a job hook to its stored pipeline', async () => {
+      const server = serve();
+      await post(server, 'Pipeline Hook', pipelineHook).expect(201);
+
+      const response = await post(server, 'Job Hook', jobHook).expect(200);
+
+      expect(response.body).toMatchObject({ buildId: '5001', status: 'aborted', duration: 60 });
+      expect(response.body.stages).toEqual([expect.objectContaining({ name: 'test / unit', status: 'pending' })]);
+    });
+
+    it('should answer 400 on a malformed hook', async () => {
+      const response = await post(serve(), 'Pipeline Hook', { object_kind: 'pipeline' }).expect(400);
+
+      expect(response.body.error).toBe('Pipeline Hook payload is missing its pipeline or project');
+    });
+  });
+
+  describe('GET /api/builds', () => {
+    it.each([
+      ['limit=abc', 'limit must be a positive whole number'],
+      ['status=broken', `status must be one of ${BUILD_STATUSES.join(', ')}`],
+      ['since=yesterday', 'since must be an ISO date or a timestamp in milliseconds']
+    ])('should answer 400 on %s', async (query, error) => {
+      const response = await request(serve()).get(`/api/builds?${query}`).expect(400);
+
+      expect(response.body).toEqual({ error });
+    });
+  });
+
+  describe('GET /api/events', () => {
+    let server;
+
+    beforeEach((done) => {
+      server = serve().listen(0, done);
+    });
+
+    afterEach((done) => {
+      events.close();
+      server.close(done);
+    });
+
+    /**
+     * Open the stream and resolve with what was received once it contains `until`,
+     * leaving the connection open
+     */
+    function stream(path, headers, until) {
+      return new Promise((resolve, reject) => {
+        const req = http.get({ port: server.address().port, path, headers }, (res) => {
+          let body = '';
+          res.setEncoding('utf8');
+          res.on('data', (chunk) => {
+            body += chunk;
+            if (body.includes(until)) resolve({ req, res, body });
+          });
+        });
+        req.on('error', reject);
+      });
+    }
+
+    const waitFor = async (condition) => {
+      while (!condition()) {
+        await new Promise(resolve => setTimeout(resolve, 5));
+      }
+    };
+
+    it('should replay the events after the Last-Event-ID header of the requested projects', async () => {
+      await request(server).post('/api/webhooks/jenkins').send({ projectName: 'api', buildId: '1', status: 'SUCCESS' });
+      await request(server).post('/api/webhooks/jenkins').send({ projectName: 'web', buildId: '2', status: 'SUCCESS' });
+
+      // Events 1 and 2 are the api build and its metrics, 3 and 4 those of web
+      const { req, res, body } = await stream('/api/events?project=api', { 'Last-Event-ID': '1' }, 'id: 4\n');
+
+      expect(res.headers['content-type']).toBe('text/event-stream');
+      expect(body.match(/^id: \d+$/gm)).toEqual(['id: 2', 'id: 4']);
+      expect(body).toContain('event: metrics.updated');
+      expect(body).not.toContain('event: build.created');
+      req.destroy();
+    });
+
+    it('should drop the client when it disconnects', async () => {
+      const { req } = await stream('/api/events', {}, 'retry:');
+      expect(events.clients.size).toBe(1);
+
+      req.destroy();
+
+      await waitFor(() => events.clients.size === 0);
+    });
+  });
+
+  it('should answer 404 on unknown paths', async () => {
+    await request(serve()).get('/api/unknown').expect(404);
+  });
+
+  describe('loadWebhookSecrets', () => {
+    it('should require secrets once a default or a per-project one is set', () => {
+      expect(loadWebhookSecrets('MAP', 'DEFAULT', {})).toEqual(noSecrets);
+      expect(loadWebhookSecrets('MAP', 'DEFAULT', { DEFAULT: 'x' }))
+        .toEqual({ secrets: {}, defaultSecret: 'x', required: true });
+      expect(loadWebhookSecrets('MAP', 'DEFAULT', { MAP: '{"org/api":"y"}' }))
+        .toEqual({ secrets: { 'org/api': 'y' }, defaultSecret: null, required: true });
+    });
+
+    it('should reject a map that is not JSON', () => {
+      expect(() => loadWebhookSecrets('MAP', 'DEFAULT', { MAP: '{' })).toThrow('MAP is not valid JSON');
+    });
+  });
+});
@@ -0,0 +1,35 @@
+const { calculateMetrics } = require('../../src/utils/metricsCalculator');
+
+describe('calculateMetrics', () => {
+  it('should leave aborted builds out of the success rate and unfinished ones out of build times', () => {
+    const metrics = calculateMetrics([
+      { status: 'success', duration: 60 },
+      { status: 'success', duration: 180 },
+      { status: 'unstable', duration: 120 },
+      { status: 'aborted', duration: 30 },
+      { status: 'running', duration: 0 }
+    ]);
+
+    expect(metrics).toEqual({
+      totalBuilds: 5,
+      successfulBuilds: 2,
+      failedBuilds: 1,
+      successRate: 66.7,
+      averageBuildTime: 1.6,
+      maxBuildTime: 3,
+      minBuildTime: 0.5
+    });
+  });
+
+  it('should report zeros without builds', () => {
+    expect(calculateMetrics([])).toEqual({
+      totalBuilds: 0,
+      successfulBuilds: 0,
+      failedBuilds: 0,
+      successRate: 0,
+      averageBuildTime: 0,
+      maxBuildTime: 0,
+      minBuildTime: 0
+    });
+  });
+});
@@ -0,0 +1,23 @@
+#!/usr/bin/env node
+// Records the build metadata of this checkout in build-info.json, read at runtime by src/config/buildInfo.js
+const fs = require('fs');
+const { execSync } = require('child_process');
+const { loadBuildInfo, DEFAULT_BUILD_INFO_FILE } = require('../src/config/buildInfo');
+
+function gitSha() {
+  try {
+    return execSync('git rev-parse HEAD', { stdio: ['ignore', 'pipe', 'ignore'] }).toString().trim();
+  } catch (error) {
+    return undefined;
+  }
+}
+
+const buildInfo = loadBuildInfo({
+  ...process.env,
+  GIT_SHA: process.env.GIT_SHA || process.env.GIT_COMMIT || gitSha(),
+  BUILD_TIMESTAMP: process.env.BUILD_TIMESTAMP || new Date().toISOString()
+}, { file: null });
+
+const file = process.env.BUILD_INFO_FILE || DEFAULT_BUILD_INFO_FILE;
+fs.writeFileSync(file, JSON.stringify(buildInfo, null, 2) + '\n');
+console.log(`Build info written to ${file}: ${JSON.stringify(buildInfo)}`);
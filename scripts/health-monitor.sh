@@ -63,13 +63,14 @@ detailed_health_check() {
         # Parse and display key metrics
         local uptime memory_used request_count error_count
         uptime=$(echo "$response" | grep -o '"uptime":[0-9]*' | cut -d':' -f2 || echo "0")
-        memory_used=$(echo "$response" | grep -o '"heapUsed":"[^"]*"' | cut -d'"' -f4 || echo "Unknown")
+        memory_used=$(echo "$response" | grep -o '"heapUsedBytes":[0-9]*' | cut -d':' -f2 || echo "")
+        memory_used=${memory_used:+$((memory_used / 1024 / 1024)) MB}
         request_count=$(echo "$response" | grep -o '"requestCount":[0-9]*' | cut -d':' -f2 || echo "0")
         error_count=$(echo "$response" | grep -o '"errors":[0-9]*' | cut -d':' -f2 || echo "0")
         
         echo "📊 Metrics:"
         echo "   - Uptime: ${uptime}s"
-        echo "   - Memory Used: $memory_used"
+        echo "   - Memory Used: ${memory_used:-Unknown}"
         echo "   - Request Count: $request_count"
         echo "   - Error Count: $error_count"
         
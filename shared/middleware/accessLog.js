@@ -0,0 +1,34 @@
+const logger = require('../utils/logger');
+const { routeTemplate } = require('../utils/routeTemplate');
+
+/**
+ * Emit one structured access log entry per request once the response has been sent,
+ * carrying the correlation IDs set by requestContext
+ * @param {Object} options - log: receives each entry, the shared logger at info by default
+ */
+function accessLog({ log = entry => logger.info('HTTP request', entry) } = {}) {
+  return (req, res, next) => {
+    const started = process.hrtime.bigint();
+
+    res.on('finish', () => {
+      log({
+        type: 'access',
+        requestId: req.id,
+        traceId: req.traceId,
+        spanId: req.spanId,
+        method: req.method,
+        path: req.originalUrl,
+        route: routeTemplate(req),
+        status: res.statusCode,
+        latencyMs: Math.round(Number(process.hrtime.bigint() - started) / 1e4) / 100,
+        contentLength: Number(res.getHeader('Content-Length')) || 0,
+        userAgent: req.get('User-Agent') || null,
+        remoteAddress: req.ip
+      });
+    });
+
+    next();
+  };
+}
+
+module.exports = accessLog;
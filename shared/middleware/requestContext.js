@@ -0,0 +1,48 @@
+const crypto = require('crypto');
+
+// Incoming request IDs are echoed back and logged, so only accept plain tokens
+const VALID_REQUEST_ID = /^[\w\-.:@]{1,128}$/;
+// W3C trace context: version-traceid-parentid-flags
+const TRACEPARENT = /^([0-9a-f]{2})-([0-9a-f]{32})-([0-9a-f]{16})-([0-9a-f]{2})$/;
+const ALL_ZEROS = /^0+$/;
+
+/**
+ * Parse a W3C traceparent header
+ * @returns {{traceId: string, parentId: string, flags: string}|null} null when missing or invalid
+ */
+function parseTraceparent(header) {
+  const match = TRACEPARENT.exec(String(header || '').trim().toLowerCase());
+  if (!match) return null;
+
+  const [, version, traceId, parentId, flags] = match;
+  if (version === 'ff' || ALL_ZEROS.test(traceId) || ALL_ZEROS.test(parentId)) {
+    return null;
+  }
+
+  return { traceId, parentId, flags };
+}
+
+/**
+ * Give every request an ID and a trace span. X-Request-ID and the trace ID of
+ * traceparent are propagated from the caller when valid, generated otherwise;
+ * both are echoed in the response and exposed as req.id, req.traceId and req.spanId.
+ */
+function requestContext() {
+  return (req, res, next) => {
+    const incomingId = req.get('X-Request-ID');
+    const parent = parseTraceparent(req.get('traceparent'));
+
+    req.id = incomingId && VALID_REQUEST_ID.test(incomingId) ? incomingId : crypto.randomUUID();
+    req.traceId = parent ? parent.traceId : crypto.randomBytes(16).toString('hex');
+    req.parentSpanId = parent ? parent.parentId : null;
+    req.spanId = crypto.randomBytes(8).toString('hex');
+
+    res.setHeader('X-Request-ID', req.id);
+    res.setHeader('traceparent', `00-${req.traceId}-${req.spanId}-${parent ? parent.flags : '01'}`);
+
+    next();
+  };
+}
+
+module.exports = requestContext;
+module.exports.parseTraceparent = parseTraceparent;
@@ -0,0 +1,50 @@
+const express = require('express');
+const request = require('supertest');
+
+const accessLog = require('../../middleware/accessLog');
+const requestContext = require('../../middleware/requestContext');
+const logger = require('../../utils/logger');
+
+describe('accessLog', () => {
+  it('should log one structured entry per request', async () => {
+    const entries = [];
+    const app = express();
+    app.use(requestContext());
+    app.use(accessLog({ log: entry => entries.push(entry) }));
+    app.get('/api/users/:id', (req, res) => res.json({ id: req.params.id }));
+
+    const response = await request(app)
+      .get('/api/users/7?fields=name')
+      .set('User-Agent', 'jenkins-deploy-check')
+      .expect(200);
+
+    expect(entries).toHaveLength(1);
+    expect(entries[0]).toMatchObject({
+      type: 'access',
+      requestId: response.headers['x-request-id'],
+      method: 'GET',
+      path: '/api/users/7?fields=name',
+      route: '/api/users/:id',
+      status: 200,
+      userAgent: 'jenkins-deploy-check'
+    });
+    expect(entries[0].traceId).toMatch(/^[0-9a-f]{32}$/);
+    expect(entries[0].latencyMs).toBeGreaterThanOrEqual(0);
+    expect(entries[0].contentLength).toBeGreaterThan(0);
+  });
+
+  it('should log through the shared logger by default', async () => {
+    const info = jest.spyOn(logger, 'info');
+    try {
+      const app = express();
+      app.use(accessLog());
+      app.get('/', (req, res) => res.end());
+
+      await request(app).get('/').expect(200);
+
+      expect(info).toHaveBeenCalledWith('HTTP request', expect.objectContaining({ type: 'access', method: 'GET', route: '/', status: 200 }));
+    } finally {
+      info.mockRestore();
+    }
+  });
+});
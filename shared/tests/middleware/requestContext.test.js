@@ -0,0 +1,60 @@
+const express = require('express');
+const request = require('supertest');
+
+const requestContext = require('../../middleware/requestContext');
+const { parseTraceparent } = require('../../middleware/requestContext');
+
+describe('requestContext', () => {
+  const app = express();
+  app.use(requestContext());
+  app.get('/', (req, res) => {
+    res.json({ id: req.id, traceId: req.traceId, spanId: req.spanId, parentSpanId: req.parentSpanId });
+  });
+
+  const traceId = '4bf92f3577b34da6a3ce929d0e0e4736';
+  const parentId = '00f067aa0ba902b7';
+
+  it('should generate a request ID and a new trace', async () => {
+    const response = await request(app).get('/').expect(200);
+
+    expect(response.headers['x-request-id']).toMatch(/^[0-9a-f-]{36}$/);
+    expect(response.body.id).toBe(response.headers['x-request-id']);
+    expect(response.body.traceId).toMatch(/^[0-9a-f]{32}$/);
+    expect(response.body.parentSpanId).toBeNull();
+    expect(response.headers.traceparent).toBe(`00-${response.body.traceId}-${response.body.spanId}-01`);
+  });
+
+  it('should propagate the caller request ID and trace', async () => {
+    const response = await request(app)
+      .get('/')
+      .set('X-Request-ID', 'build-42.deploy')
+      .set('traceparent', `00-${traceId}-${parentId}-00`)
+      .expect(200);
+
+    expect(response.headers['x-request-id']).toBe('build-42.deploy');
+    expect(response.body).toMatchObject({ traceId, parentSpanId: parentId });
+    expect(response.body.spanId).not.toBe(parentId);
+    expect(response.headers.traceparent).toBe(`00-${traceId}-${response.body.spanId}-00`);
+  });
+
+  it('should replace request IDs that are not plain tokens', async () => {
+    const response = await request(app)
+      .get('/')
+      .set('X-Request-ID', 'bad id\twith "quotes"')
+      .expect(200);
+
+    expect(response.headers['x-request-id']).not.toBe('bad id\twith "quotes"');
+    expect(response.headers['x-request-id']).toMatch(/^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/);
+  });
+
+  describe('parseTraceparent', () => {
+    it('should reject malformed and all-zero trace contexts', () => {
+      expect(parseTraceparent(`00-${traceId}-${parentId}-01`)).toEqual({ traceId, parentId, flags: '01' });
+      expect(parseTraceparent(undefined)).toBeNull();
+      expect(parseTraceparent(`00-${traceId}-${parentId}`)).toBeNull();
+      expect(parseTraceparent(`ff-${traceId}-${parentId}-01`)).toBeNull();
+      expect(parseTraceparent(`00-${'0'.repeat(32)}-${parentId}-01`)).toBeNull();
+      expect(parseTraceparent(`00-${traceId}-${'0'.repeat(16)}-01`)).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,42 @@
+const { createLogger } = require('../../utils/logger');
+
+describe('logger', () => {
+  let stdout;
+  let stderr;
+
+  const entries = stream => stream.mock.calls.map(([chunk]) => JSON.parse(chunk));
+
+  beforeEach(() => {
+    stdout = jest.spyOn(process.stdout, 'write').mockImplementation(() => true);
+    stderr = jest.spyOn(process.stderr, 'write').mockImplementation(() => true);
+  });
+
+  afterEach(() => {
+    stdout.mockRestore();
+    stderr.mockRestore();
+  });
+
+  it('should write info to stdout and warnings to stderr as JSON lines', () => {
+    const logger = createLogger({ level: 'info' });
+
+    logger.debug('Cache miss');
+    logger.info('HTTP request', { status: 200 });
+    logger.warn('Fault injected', { fault: { type: 'latency' } });
+
+    expect(entries(stdout)).toEqual([expect.objectContaining({ level: 'info', message: 'HTTP request', status: 200 })]);
+    expect(entries(stderr)).toEqual([expect.objectContaining({ level: 'warn', fault: { type: 'latency' } })]);
+  });
+
+  it('should log an Error with its message and stack', () => {
+    createLogger({ level: 'error' }).error('Failed to stop server', new Error('socket hang up'));
+
+    expect(entries(stderr)[0]).toMatchObject({ message: 'Failed to stop server', error: 'socket hang up' });
+    expect(entries(stderr)[0].stack).toContain('socket hang up');
+  });
+
+  it('should stay silent under jest unless LOG_LEVEL is set', () => {
+    createLogger().error('Request failed');
+
+    expect(stderr).not.toHaveBeenCalled();
+  });
+});
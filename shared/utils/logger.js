@@ -0,0 +1,36 @@
+// Severity of each level; entries below LOG_LEVEL are dropped
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: Infinity };
+
+/**
+ * Default level: info, and nothing at all under jest so test output stays readable
+ */
+const defaultLevel = () => process.env.LOG_LEVEL || (process.env.NODE_ENV === 'test' ? 'silent' : 'info');
+
+/**
+ * Logger of the sample app and the backend writing one JSON line per entry: debug and
+ * info to stdout, warn and error to stderr. The second argument of a call adds fields to
+ * the entry; an Error is logged with its message and stack.
+ * @param {Object} options
+ * @param {string} options.level - debug, info, warn, error or silent; LOG_LEVEL by default
+ */
+function createLogger({ level = defaultLevel() } = {}) {
+  const threshold = LEVELS[level] || LEVELS.info;
+
+  const write = (entryLevel, message, meta) => {
+    if (LEVELS[entryLevel] < threshold) return;
+
+    const fields = meta instanceof Error ? { error: meta.message, stack: meta.stack } : meta;
+    const line = JSON.stringify({ timestamp: new Date().toISOString(), level: entryLevel, message, ...fields });
+    (LEVELS[entryLevel] >= LEVELS.warn ? process.stderr : process.stdout).write(`${line}\n`);
+  };
+
+  return {
+    debug: (message, meta) => write('debug', message, meta),
+    info: (message, meta) => write('info', message, meta),
+    warn: (message, meta) => write('warn', message, meta),
+    error: (message, meta) => write('error', message, meta)
+  };
+}
+
+module.exports = createLogger();
+module.exports.createLogger = createLogger;
@@ -0,0 +1,12 @@
+/**
+ * Route template of the handler that served the request, e.g. /api/users/:id.
+ * Unmatched requests share one label so 404 scans cannot explode label cardinality.
+ */
+function routeTemplate(req) {
+  if (!req.route) {
+    return 'unmatched';
+  }
+  return `${req.baseUrl || ''}${req.route.path}`;
+}
+
+module.exports = { routeTemplate };
@@ -1,125 +1,399 @@
 const express = require('express');
 const cors = require('cors');
 const helmet = require('helmet');
-const morgan = require('morgan');
-const cron = require('node-cron');
+
+const DependencyMonitor = require('./services/DependencyMonitor');
+const DependencyHistory = require('./services/DependencyHistory');
+const RuntimeMonitor = require('./services/RuntimeMonitor');
+const Lifecycle = require('./services/Lifecycle');
+const FaultInjector = require('./services/FaultInjector');
+const SloTracker = require('./services/SloTracker');
+const StatusAggregator = require('./services/StatusAggregator');
+const MaintenanceManager = require('./services/MaintenanceManager');
+const SyntheticMonitor = require('./services/SyntheticMonitor');
+const { isSyntheticRequest } = require('./services/SyntheticMonitor');
+const ErrorTracker = require('./services/ErrorTracker');
+const { loadDependencyChecks } = require('./config/dependencies');
+const { loadBuildInfo } = require('./config/buildInfo');
+const { loadSlos } = require('./config/slos');
+const { loadStatusServices } = require('./config/statusServices');
+const { loadRuntimeThresholds } = require('./config/runtime');
+const { loadSyntheticChecks } = require('./config/synthetics');
+const { createMetrics } = require('./metrics');
+const requestMetrics = require('./middleware/requestMetrics');
+const requestContext = require('../shared/middleware/requestContext');
+const accessLog = require('../shared/middleware/accessLog');
+const adminAuth = require('./middleware/adminAuth');
+const createFaultRouter = require('./routes/faults');
+const createMaintenanceRouter = require('./routes/maintenance');
+const createHealthRouter = require('./routes/health');
+const { evaluateDeployment } = require('./health/deployment');
+const { systemCheck } = require('./health/healthJson');
+const { syntheticChecks } = require('./health/synthetic');
+const { renderStatusPage } = require('./health/statusPage');
+const logger = require('../shared/utils/logger');
+const { isProbePath } = require('./utils/routeMatch');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
+// Identifies this service in application/health+json responses
+const SERVICE_ID = process.env.SERVICE_ID || 'health-monitoring-app';
+// Fault injection is off in production unless explicitly enabled
+const FAULT_INJECTION_ENABLED = process.env.FAULT_INJECTION_ENABLED
+  ? process.env.FAULT_INJECTION_ENABLED === 'true'
+  : process.env.NODE_ENV !== 'production';
+// Synthetic checks of the app's own API run once the server is listening
+const SYNTHETIC_CHECKS_ENABLED = process.env.SYNTHETIC_CHECKS_ENABLED !== 'false';
+// Share of failed requests since startup above which /health/deployment fails
+const DEPLOYMENT_MAX_ERROR_RATE = parseFloat(process.env.DEPLOYMENT_MAX_ERROR_RATE) || 0.05;
+// Time for load balancers to notice the failing readiness probe before connections close; 0 turns it off
+const parsedDrainMs = parseInt(process.env.SHUTDOWN_DRAIN_MS);
+const SHUTDOWN_DRAIN_MS = Number.isNaN(parsedDrainMs) ? 5000 : parsedDrainMs;
+// Deadline for in-flight requests once the server stops accepting connections
+const SHUTDOWN_TIMEOUT_MS = parseInt(process.env.SHUTDOWN_TIMEOUT_MS) || 10000;
 
 // Middleware
 app.use(helmet());
-app.use(cors());
-app.use(morgan('combined'));
+app.use(requestContext());
+app.use(cors({ exposedHeaders: ['X-Request-ID', 'traceparent'] }));
+app.use(accessLog());
 app.use(express.json());
 
 // Application state tracking
 const appState = {
   startTime: new Date(),
   requestCount: 0,
-  errors: 0,
-  lastHealthCheck: new Date(),
-  dependencies: {
-    database: { status: 'healthy', lastCheck: new Date() },
-    redis: { status: 'healthy', lastCheck: new Date() },
-    externalApi: { status: 'healthy', lastCheck: new Date() }
-  }
+  errors: 0
+};
+
+// Responses /health/deployment judges a new instance by: application routes only, since
+// probes answer 503 on purpose during startup, maintenance and shutdown
+const deploymentTraffic = {
+  requests: 0,
+  serverErrors: 0
 };
 
-// Middleware to track requests
+// Version, git SHA and build of the running code, from the environment or build-info.json
+const buildInfo = loadBuildInfo();
+const buildDetails = {
+  gitSha: buildInfo.gitSha,
+  buildNumber: buildInfo.buildNumber,
+  buildTimestamp: buildInfo.buildTimestamp
+};
+
+// Prometheus registry served on /metrics
+const metrics = createMetrics(appState, buildInfo);
+
+// Dependency probes (HTTP, TCP, MongoDB, Redis) declared through HEALTH_CHECKS
+const dependencyMonitor = new DependencyMonitor(loadDependencyChecks());
+
+dependencyMonitor.on('statusChange', (name, state, previousStatus) => {
+  const message = `Dependency ${name} changed from ${previousStatus} to ${state.status}`;
+  if (state.status === 'healthy') {
+    logger.info(message);
+  } else {
+    logger.warn(`${message}: ${state.error}`);
+  }
+});
+
+// Bounded probe history per dependency for uptime and flap detection
+const dependencyHistory = new DependencyHistory({
+  windows: process.env.HEALTH_HISTORY_WINDOWS,
+  maxSamples: parseInt(process.env.HEALTH_HISTORY_MAX_SAMPLES) || undefined,
+  flapThreshold: parseInt(process.env.HEALTH_FLAP_THRESHOLD) || undefined
+})
+  .attach(dependencyMonitor)
+  .registerMetrics(metrics.registry);
+
+// Startup gating: /startup and /ready stay 503 until the first dependency
+// round and every registered warm-up task have finished
+const lifecycle = new Lifecycle();
+
+lifecycle.on('started', ({ startupDurationMs }) => {
+  logger.info(`Startup completed in ${startupDurationMs}ms`);
+});
+
+lifecycle.on('startupFailed', ({ warmupTasks }) => {
+  logger.error('Startup failed', { warmupTasks });
+});
+
+lifecycle.on('phase', (phase, { inFlightRequests, shutdown }) => {
+  if (!shutdown) return;
+  logger.info(`Shutdown phase: ${phase} (in-flight requests: ${inFlightRequests})`);
+});
+
+lifecycle.on('shutdownHookFailed', (name, error) => {
+  logger.error(`Failed to stop ${name} during shutdown`, error);
+});
+
+// Event loop stalls for the liveness probe; event loop delay, GC pauses and heap usage
+// degrade or fail the health endpoints past their RUNTIME_* thresholds
+const runtimeMonitor = new RuntimeMonitor({
+  stallThresholdMs: parseInt(process.env.LIVENESS_EVENT_LOOP_STALL_MS) || undefined,
+  stallWindowMs: parseInt(process.env.LIVENESS_STALL_WINDOW_MS) || undefined,
+  statsWindowMs: parseInt(process.env.RUNTIME_STATS_WINDOW_MS) || undefined,
+  thresholds: loadRuntimeThresholds()
+}).registerMetrics(metrics.registry);
+
+// Availability and latency objectives with error budget burn rates, declared through SLOS
+const sloTracker = new SloTracker(loadSlos()).registerMetrics(metrics.registry);
+
+// Downstream services polled for the /status page, declared through STATUS_SERVICES
+const statusAggregator = new StatusAggregator({
+  ...loadStatusServices(),
+  windows: process.env.STATUS_HISTORY_WINDOWS || undefined
+});
+
+statusAggregator.monitor.on('statusChange', (name, state, previousStatus) => {
+  logger.warn(`Downstream service ${name} changed from ${previousStatus} to ${state.status}${state.error ? `: ${state.error}` : ''}`);
+});
+
+// Chaos testing: latency, error ratios, forced-unhealthy dependencies and memory pressure
+const faultInjector = new FaultInjector({
+  dependencyMonitor,
+  maxTtlSeconds: parseInt(process.env.FAULT_MAX_TTL_SECONDS) || undefined,
+  maxMemoryMb: parseInt(process.env.FAULT_MAX_MEMORY_MB) || undefined
+}).registerMetrics(metrics.registry);
+
+faultInjector.on('added', fault => {
+  logger.warn('Fault injected', { fault });
+});
+
+faultInjector.on('removed', (fault, reason) => {
+  logger.info(`Fault ${fault.id} (${fault.type}) ${reason}`);
+});
+
+// 4xx and 5xx responses per route, and recent errors grouped by fingerprint for /health/errors
+const errorTracker = new ErrorTracker({
+  maxGroups: parseInt(process.env.ERROR_TRACKER_MAX_GROUPS) || undefined
+}).registerMetrics(metrics.registry);
+
+// Planned work: takes the instance out of rotation through /ready without stopping it
+const maintenance = new MaintenanceManager({
+  retryAfterSeconds: parseInt(process.env.MAINTENANCE_RETRY_AFTER_SECONDS) || undefined
+}).registerMetrics(metrics.registry);
+
+maintenance.on('enabled', ({ reason, until }) => {
+  logger.warn(`Maintenance mode enabled${until ? ` until ${until.toISOString()}` : ''}: ${reason}`);
+});
+
+maintenance.on('disabled', () => {
+  logger.info('Maintenance mode disabled');
+});
+
+maintenance.on('scheduled', ({ id, start, end, reason }) => {
+  logger.info(`Maintenance window ${id} scheduled from ${start.toISOString()} to ${end.toISOString()}: ${reason}`);
+});
+
+maintenance.on('cancelled', ({ id }) => {
+  logger.info(`Maintenance window ${id} cancelled`);
+});
+
+// Scheduled request scenarios against the app's own API, declared through SYNTHETIC_CHECKS
+const syntheticMonitor = new SyntheticMonitor(loadSyntheticChecks()).registerMetrics(metrics.registry);
+
+syntheticMonitor.on('statusChange', (name, result, previousStatus) => {
+  if (result.status === 'pass') {
+    if (previousStatus === 'fail') logger.info(`Synthetic check ${name} passing again`);
+  } else {
+    logger.warn(`Synthetic check ${name} failing: ${result.error}`);
+  }
+});
+
+lifecycle.onShutdown('synthetic checks', () => syntheticMonitor.stop());
+
+// /health, /health/detailed, /ready, /live, /startup and /metrics, shared with our other services
+const healthRouter = createHealthRouter({
+  service: {
+    id: SERVICE_ID,
+    name: 'health-monitoring-app',
+    version: buildInfo.version,
+    description: 'Health of the health monitoring application',
+    build: buildDetails
+  },
+  dependencyMonitor,
+  dependencyHistory,
+  runtimeMonitor,
+  lifecycle,
+  maintenance,
+  registry: metrics.registry,
+  startTime: appState.startTime,
+  details: () => ({
+    application: {
+      requestCount: appState.requestCount,
+      errors: appState.errors,
+      startTime: appState.startTime
+    },
+    faults: {
+      enabled: FAULT_INJECTION_ENABLED,
+      active: faultInjector.list()
+    },
+    synthetics: syntheticMonitor.getResults()
+  }),
+  detailedChecks: timestamp => ({
+    'requests:total': systemCheck(appState.requestCount, 'requests', timestamp),
+    'requests:errors': systemCheck(appState.errors, 'errors', timestamp),
+    'faults:active': [{
+      componentType: 'system',
+      observedValue: faultInjector.faults.size,
+      observedUnit: 'faults',
+      status: faultInjector.faults.size > 0 ? 'warn' : 'pass',
+      time: timestamp
+    }],
+    ...syntheticChecks(syntheticMonitor.getResults())
+  })
+});
+
+lifecycle.onShutdown('status aggregator', () => statusAggregator.stop());
+lifecycle.onShutdown('fault injector', () => faultInjector.clear());
+
+app.use(lifecycle.trackRequests());
+
+// Middleware to track requests. The synthetic checks' own requests are left out of
+// the counts /health/deployment and the SLOs judge the instance by.
 app.use((req, res, next) => {
-  appState.requestCount++;
+  if (!isSyntheticRequest(req)) {
+    appState.requestCount++;
+    metrics.requestsTotal.inc();
+
+    if (!isProbePath(req.path)) {
+      // Every 5xx, whether thrown or sent by a handler
+      res.on('finish', () => {
+        deploymentTraffic.requests++;
+        if (res.statusCode >= 500) deploymentTraffic.serverErrors++;
+      });
+    }
+  }
   next();
 });
 
-// Basic health endpoint
-app.get('/health', (req, res) => {
-  appState.lastHealthCheck = new Date();
-  const uptime = Date.now() - appState.startTime.getTime();
-  
+app.use(requestMetrics(metrics));
+// Probes answer 503 on purpose during startup, maintenance and shutdown
+app.use(errorTracker.middleware({ skip: req => isProbePath(req.path) }));
+app.use(sloTracker.middleware({ skip: isSyntheticRequest }));
+app.use(faultInjector.middleware());
+
+// Admin APIs
+app.use('/admin/faults', adminAuth(process.env.ADMIN_TOKEN), createFaultRouter(faultInjector, {
+  enabled: FAULT_INJECTION_ENABLED
+}));
+app.use('/admin/maintenance', adminAuth(process.env.ADMIN_TOKEN), createMaintenanceRouter(maintenance));
+
+// Health probes and metrics
+app.use(healthRouter);
+
+// Dependency history: uptime, transitions and flapping per configured window
+app.get('/health/history', (req, res) => {
+  const { dependency } = req.query;
+  const limit = Math.min(parseInt(req.query.limit) || 20, dependencyHistory.maxTransitions);
+  const dependencies = dependencyHistory.getReport({ dependency, limit });
+
+  if (dependency && !dependencies[dependency]) {
+    return res.status(404).json({ error: `No history recorded for dependency ${dependency}` });
+  }
+
   res.json({
-    status: 'healthy',
     timestamp: new Date().toISOString(),
-    uptime: Math.floor(uptime / 1000),
-    service: 'health-monitoring-app',
-    version: '1.0.0'
+    windows: dependencyHistory.windows.map(window => window.label),
+    flapThreshold: dependencyHistory.flapThreshold,
+    dependencies
   });
 });
 
-// Detailed health endpoint
-app.get('/health/detailed', (req, res) => {
-  const uptime = Date.now() - appState.startTime.getTime();
-  const memoryUsage = process.memoryUsage();
-  
+// Error responses per route and recent errors grouped by fingerprint (?class=4xx|5xx, ?limit=).
+// Admin only: the groups carry messages, stack frames, paths and request IDs.
+app.get('/health/errors', adminAuth(process.env.ADMIN_TOKEN), (req, res) => {
+  const statusClass = req.query.class;
+  if (statusClass !== undefined && !['4xx', '5xx'].includes(statusClass)) {
+    return res.status(400).json({ error: 'class must be 4xx or 5xx' });
+  }
+
+  const limit = Math.min(parseInt(req.query.limit) || 20, errorTracker.maxGroups);
+
   res.json({
-    status: 'healthy',
     timestamp: new Date().toISOString(),
-    uptime: Math.floor(uptime / 1000),
-    service: 'health-monitoring-app',
-    version: '1.0.0',
-    system: {
-      memory: {
-        rss: Math.round(memoryUsage.rss / 1024 / 1024) + ' MB',
-        heapTotal: Math.round(memoryUsage.heapTotal / 1024 / 1024) + ' MB',
-        heapUsed: Math.round(memoryUsage.heapUsed / 1024 / 1024) + ' MB'
-      },
-      platform: process.platform,
-      nodeVersion: process.version
-    },
-    application: {
-      requestCount: appState.requestCount,
-      errors: appState.errors,
-      startTime: appState.startTime
-    },
-    dependencies: appState.dependencies
+    ...errorTracker.getReport({ statusClass, limit })
   });
 });
 
-// Readiness probe
-app.get('/ready', (req, res) => {
-  // Check if all dependencies are healthy
-  const allHealthy = Object.values(appState.dependencies)
-    .every(dep => dep.status === 'healthy');
-  
-  if (allHealthy) {
-    res.json({ status: 'ready', timestamp: new Date().toISOString() });
-  } else {
-    res.status(503).json({ status: 'not ready', timestamp: new Date().toISOString() });
+// Post-deploy verification gate: ?version= and/or ?sha= of the build the pipeline deployed
+app.get('/health/deployment', (req, res) => {
+  const { version, sha } = req.query;
+  const maxErrorRate = req.query.maxErrorRate === undefined
+    ? DEPLOYMENT_MAX_ERROR_RATE
+    : Number(req.query.maxErrorRate);
+
+  if (!(maxErrorRate >= 0 && maxErrorRate <= 1)) {
+    return res.status(400).json({ error: 'maxErrorRate must be a number between 0 and 1' });
   }
+
+  const result = evaluateDeployment({
+    buildInfo,
+    expected: { version, sha },
+    dependencies: dependencyMonitor.getStatus(),
+    totalsFor: name => dependencyHistory.getTotals(name),
+    requests: { total: deploymentTraffic.requests, errors: deploymentTraffic.serverErrors },
+    maxErrorRate,
+    started: lifecycle.isStarted()
+  });
+
+  res.status(result.status === 'pass' ? 200 : 503).json({
+    ...result,
+    service: 'health-monitoring-app',
+    build: buildInfo,
+    timestamp: new Date().toISOString()
+  });
 });
 
-// Metrics endpoint
-app.get('/metrics', (req, res) => {
-  const uptime = Date.now() - appState.startTime.getTime();
-  
-  res.setHeader('Content-Type', 'text/plain');
-  res.send(`# HELP app_uptime_seconds Application uptime in seconds
-# TYPE app_uptime_seconds counter
-app_uptime_seconds ${Math.floor(uptime / 1000)}
+// Service level objectives: compliance, remaining error budget and burn rates
+app.get('/slo', (req, res) => {
+  res.json({
+    timestamp: new Date().toISOString(),
+    burnWindows: sloTracker.burnWindows.map(window => window.label),
+    slos: sloTracker.getReport()
+  });
+});
 
-# HELP app_requests_total Total number of requests
-# TYPE app_requests_total counter
-app_requests_total ${appState.requestCount}
+// Aggregated status of downstream services: JSON, or an HTML status page for browsers
+app.get('/status', (req, res) => {
+  const limit = Math.min(parseInt(req.query.incidents) || 10, statusAggregator.maxIncidents);
+  const body = {
+    timestamp: new Date().toISOString(),
+    ...statusAggregator.getStatus({ incidents: limit })
+  };
 
-# HELP app_errors_total Total number of errors
-# TYPE app_errors_total counter
-app_errors_total ${appState.errors}
+  res.format({
+    json: () => res.json(body),
+    html: () => res.send(renderStatusPage(body)),
+    default: () => res.json(body)
+  });
+});
 
-# HELP app_memory_usage_bytes Memory usage in bytes
-# TYPE app_memory_usage_bytes gauge
-app_memory_usage_bytes ${process.memoryUsage().heapUsed}
-`);
+// Version endpoint, to verify which build a deployment is running
+app.get('/version', (req, res) => {
+  res.json({
+    service: 'health-monitoring-app',
+    ...buildInfo
+  });
 });
 
 // API endpoints
 app.get('/', (req, res) => {
   res.json({
     message: 'Welcome to Health Monitoring Application',
-    version: '1.0.0',
+    version: buildInfo.version,
     endpoints: [
       '/health',
       '/health/detailed',
+      '/health/history',
+      '/health/errors',
+      '/health/deployment',
       '/ready',
+      '/live',
+      '/startup',
+      '/version',
+      '/slo',
+      '/status',
       '/metrics',
       '/api/users',
       '/api/status'
@@ -147,53 +421,123 @@ app.get('/api/status', (req, res) => {
   });
 });
 
-// Error simulation endpoint for testing
-app.get('/error', (req, res) => {
-  appState.errors++;
-  res.status(500).json({ error: 'Simulated error for testing' });
-});
-
 // Error handling middleware
 app.use((err, req, res, next) => {
-  appState.errors++;
-  console.error(err.stack);
-  res.status(500).json({ error: 'Something went wrong!' });
+  if (!isSyntheticRequest(req)) {
+    appState.errors++;
+    metrics.errorsTotal.inc();
+  }
+  // Lets the error tracker group the response by the error's stack
+  res.locals.error = err;
+  // Injected faults are expected, their stack is noise
+  if (!err.injected) {
+    logger.error('Request failed', {
+      type: 'error',
+      requestId: req.id,
+      traceId: req.traceId,
+      method: req.method,
+      path: req.originalUrl,
+      message: err.message,
+      stack: err.stack
+    });
+  }
+  res.status(err.statusCode || 500).json({
+    error: err.expose ? err.message : 'Something went wrong!',
+    requestId: req.id
+  });
 });
 
 // 404 handler
 app.use((req, res) => {
-  res.status(404).json({ error: 'Endpoint not found' });
-});
-
-// Scheduled health checks for dependencies
-cron.schedule('*/30 * * * * *', () => {
-  // Simulate dependency health checks
-  Object.keys(appState.dependencies).forEach(dep => {
-    appState.dependencies[dep].lastCheck = new Date();
-    // Randomly simulate occasional dependency issues
-    if (Math.random() > 0.95) {
-      appState.dependencies[dep].status = 'unhealthy';
-      setTimeout(() => {
-        appState.dependencies[dep].status = 'healthy';
-      }, 5000);
-    }
-  });
+  res.status(404).json({ error: 'Endpoint not found', requestId: req.id });
 });
 
-// Graceful shutdown handling
-process.on('SIGTERM', () => {
-  console.log('Received SIGTERM, shutting down gracefully');
-  process.exit(0);
-});
+/**
+ * Run the synthetic checks against this instance once it is listening,
+ * or against SYNTHETIC_BASE_URL when set
+ * @param {http.Server} server - Server returned by app.listen()
+ */
+function startSyntheticChecks(server) {
+  const begin = () => {
+    const target = process.env.SYNTHETIC_BASE_URL || `http://127.0.0.1:${server.address().port}`;
+    syntheticMonitor.start(target);
+  };
 
-process.on('SIGINT', () => {
-  console.log('Received SIGINT, shutting down gracefully');
-  process.exit(0);
-});
+  if (server.listening) {
+    begin();
+  } else {
+    server.once('listening', begin);
+  }
+}
 
-const server = app.listen(PORT, () => {
-  console.log(`Health Monitoring App running on port ${PORT}`);
-  console.log(`Health check available at: http://localhost:${PORT}/health`);
-});
+/**
+ * Begin probing dependencies and run the startup sequence. Safe to call more than once.
+ * @param {Object} options - server to run the synthetic checks against, if any
+ * @returns {Promise<boolean>} Whether startup completed
+ */
+function startup({ server } = {}) {
+  // Downstream services and synthetic checks do not gate startup
+  statusAggregator.start();
+  if (server && SYNTHETIC_CHECKS_ENABLED) {
+    startSyntheticChecks(server);
+  }
+  return healthRouter.start();
+}
+
+/**
+ * Start the app and listen for requests. Listening begins right away so the
+ * startup probe can be answered while warm-up is still running.
+ * Only runs when the file is executed directly so tests can require the app in isolation.
+ */
+function start() {
+  const server = app.listen(PORT, () => {
+    logger.info(`Health Monitoring App running on port ${PORT}`);
+    logger.info(`Health check available at: http://localhost:${PORT}/health`);
+  });
+
+  startup({ server });
+
+  // Graceful shutdown handling; a second signal skips the sequence
+  const shutdown = async (signal) => {
+    if (lifecycle.isShuttingDown()) {
+      logger.info(`Received ${signal} again, exiting immediately`);
+      process.exit(1);
+    }
+
+    logger.info(`Received ${signal}, shutting down gracefully`);
+    const { forced } = await lifecycle.shutdown({
+      server,
+      signal,
+      drainMs: SHUTDOWN_DRAIN_MS,
+      timeoutMs: SHUTDOWN_TIMEOUT_MS
+    });
+
+    if (forced) {
+      logger.warn(`In-flight requests did not finish within ${SHUTDOWN_TIMEOUT_MS}ms, connections were closed`);
+    }
+    process.exit(forced ? 1 : 0);
+  };
+
+  process.on('SIGTERM', () => shutdown('SIGTERM'));
+  process.on('SIGINT', () => shutdown('SIGINT'));
+
+  return server;
+}
+
+if (require.main === module) {
+  start();
+}
 
 module.exports = app;
+module.exports.dependencyMonitor = dependencyMonitor;
+module.exports.lifecycle = lifecycle;
+module.exports.runtimeMonitor = runtimeMonitor;
+module.exports.faultInjector = faultInjector;
+module.exports.buildInfo = buildInfo;
+module.exports.sloTracker = sloTracker;
+module.exports.statusAggregator = statusAggregator;
+module.exports.maintenance = maintenance;
+module.exports.syntheticMonitor = syntheticMonitor;
+module.exports.errorTracker = errorTracker;
+module.exports.startup = startup;
+module.exports.start = start;
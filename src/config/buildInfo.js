@@ -0,0 +1,30 @@
+const fs = require('fs');
+const path = require('path');
+const { version: packageVersion } = require('../../package.json');
+
+const DEFAULT_BUILD_INFO_FILE = path.join(__dirname, '..', '..', 'build-info.json');
+const UNKNOWN = 'unknown';
+
+/**
+ * Load the version and build metadata of the running code.
+ *
+ * Values come from the environment first (APP_VERSION, GIT_SHA or Jenkins' GIT_COMMIT,
+ * BUILD_NUMBER, BUILD_TIMESTAMP), then from the build-info file written by `npm run build`
+ * (BUILD_INFO_FILE, default ./build-info.json), then from package.json.
+ */
+function loadBuildInfo(env = process.env, { file = env.BUILD_INFO_FILE || DEFAULT_BUILD_INFO_FILE } = {}) {
+  let recorded = {};
+
+  if (file && fs.existsSync(file)) {
+    recorded = JSON.parse(fs.readFileSync(path.resolve(file), 'utf8'));
+  }
+
+  return {
+    version: env.APP_VERSION || recorded.version || packageVersion,
+    gitSha: env.GIT_SHA || env.GIT_COMMIT || recorded.gitSha || UNKNOWN,
+    buildNumber: env.BUILD_NUMBER || recorded.buildNumber || UNKNOWN,
+    buildTimestamp: env.BUILD_TIMESTAMP || recorded.buildTimestamp || UNKNOWN
+  };
+}
+
+module.exports = { loadBuildInfo, DEFAULT_BUILD_INFO_FILE };
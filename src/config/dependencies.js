@@ -0,0 +1,28 @@
+const { readJsonList } = require('./jsonList');
+
+/**
+ * Load dependency check definitions from the environment.
+ *
+ * HEALTH_CHECKS_FILE points to a JSON file, HEALTH_CHECKS holds the JSON inline.
+ * Both contain an array such as:
+ *   [{ "name": "redis", "type": "redis", "url": "redis://redis:6379", "intervalMs": 10000 }]
+ *
+ * HEALTH_CHECK_INTERVAL and HEALTH_CHECK_TIMEOUT (ms) apply to checks that do not set their own.
+ */
+function loadDependencyChecks(env = process.env) {
+  const checks = readJsonList(env, {
+    fileKey: 'HEALTH_CHECKS_FILE',
+    inlineKey: 'HEALTH_CHECKS',
+    label: 'Dependency checks'
+  }) || [];
+
+  return {
+    checks,
+    defaults: {
+      intervalMs: parseInt(env.HEALTH_CHECK_INTERVAL) || undefined,
+      timeoutMs: parseInt(env.HEALTH_CHECK_TIMEOUT) || undefined
+    }
+  };
+}
+
+module.exports = { loadDependencyChecks };
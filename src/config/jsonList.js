@@ -0,0 +1,28 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Read a JSON array from the file named by env[fileKey], or inline from env[inlineKey]
+ * @param {Object} env - Environment to read from
+ * @param {Object} options - fileKey and inlineKey variable names, label used in errors
+ * @returns {Array|undefined} undefined when neither variable is set
+ */
+function readJsonList(env, { fileKey, inlineKey, label }) {
+  let list;
+
+  if (env[fileKey]) {
+    list = JSON.parse(fs.readFileSync(path.resolve(env[fileKey]), 'utf8'));
+  } else if (env[inlineKey]) {
+    list = JSON.parse(env[inlineKey]);
+  } else {
+    return undefined;
+  }
+
+  if (!Array.isArray(list)) {
+    throw new Error(`${label} must be configured as a JSON array`);
+  }
+
+  return list;
+}
+
+module.exports = { readJsonList };
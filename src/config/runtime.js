@@ -0,0 +1,31 @@
+const { DEFAULT_RUNTIME_THRESHOLDS } = require('../health/runtime');
+
+// Environment variables overriding each runtime threshold
+const VARIABLES = {
+  eventLoopDelayMs: ['RUNTIME_EVENT_LOOP_DELAY_DEGRADED_MS', 'RUNTIME_EVENT_LOOP_DELAY_UNHEALTHY_MS'],
+  gcPauseMs: ['RUNTIME_GC_PAUSE_DEGRADED_MS', 'RUNTIME_GC_PAUSE_UNHEALTHY_MS'],
+  heapUsedRatio: ['RUNTIME_HEAP_USED_DEGRADED_RATIO', 'RUNTIME_HEAP_USED_UNHEALTHY_RATIO']
+};
+
+/**
+ * Load the thresholds that make runtime signals degrade or fail the service,
+ * falling back to DEFAULT_RUNTIME_THRESHOLDS for anything not set
+ */
+function loadRuntimeThresholds(env = process.env) {
+  const thresholds = {};
+
+  Object.entries(VARIABLES).forEach(([name, [degraded, unhealthy]]) => {
+    thresholds[name] = {
+      degraded: parseFloat(env[degraded]) || DEFAULT_RUNTIME_THRESHOLDS[name].degraded,
+      unhealthy: parseFloat(env[unhealthy]) || DEFAULT_RUNTIME_THRESHOLDS[name].unhealthy
+    };
+
+    if (thresholds[name].degraded > thresholds[name].unhealthy) {
+      throw new Error(`${degraded} must not be above ${unhealthy}`);
+    }
+  });
+
+  return thresholds;
+}
+
+module.exports = { loadRuntimeThresholds };
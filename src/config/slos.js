@@ -0,0 +1,48 @@
+const { readJsonList } = require('./jsonList');
+
+// Used when neither SLOS_FILE nor SLOS is set
+const DEFAULT_SLOS = [
+  { name: 'api-availability', type: 'availability', objective: 99.9, window: '30d', routes: ['/api/*'] },
+  { name: 'api-latency', type: 'latency', objective: 99, thresholdMs: 500, window: '30d', routes: ['/api/*'] }
+];
+
+const SLO_TYPES = ['availability', 'latency'];
+
+/**
+ * Load service level objectives from the environment.
+ *
+ * SLOS_FILE points to a JSON file, SLOS holds the JSON inline. Both contain an array such as:
+ *   [{ "name": "api-latency", "type": "latency", "objective": 99, "thresholdMs": 300, "window": "30d", "routes": ["/api/*"] }]
+ *
+ * availability SLOs count 5xx responses as bad, latency SLOs count responses slower than thresholdMs.
+ * SLO_BURN_WINDOWS lists the windows burn rates are reported over.
+ */
+function loadSlos(env = process.env) {
+  const slos = readJsonList(env, {
+    fileKey: 'SLOS_FILE',
+    inlineKey: 'SLOS',
+    label: 'SLOs'
+  }) || DEFAULT_SLOS;
+
+  slos.forEach(slo => {
+    if (!slo.name) {
+      throw new Error('Every SLO needs a name');
+    }
+    if (!SLO_TYPES.includes(slo.type)) {
+      throw new Error(`SLO ${slo.name} must have a type of ${SLO_TYPES.join(' or ')}`);
+    }
+    if (!(slo.objective > 0 && slo.objective < 100)) {
+      throw new Error(`SLO ${slo.name} needs an objective between 0 and 100 (percent)`);
+    }
+    if (slo.type === 'latency' && !(slo.thresholdMs > 0)) {
+      throw new Error(`Latency SLO ${slo.name} needs a positive thresholdMs`);
+    }
+  });
+
+  return {
+    slos,
+    burnWindows: env.SLO_BURN_WINDOWS || undefined
+  };
+}
+
+module.exports = { loadSlos, DEFAULT_SLOS };
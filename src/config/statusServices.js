@@ -0,0 +1,29 @@
+const { readJsonList } = require('./jsonList');
+
+/**
+ * Load the downstream services aggregated on /status.
+ *
+ * STATUS_SERVICES_FILE points to a JSON file, STATUS_SERVICES holds the JSON inline.
+ * Both contain an array such as:
+ *   [{ "name": "backend", "url": "http://backend:3001/api/health", "intervalMs": 30000 }]
+ *
+ * Services are probed over HTTP unless they declare another check type.
+ * STATUS_CHECK_INTERVAL and STATUS_CHECK_TIMEOUT (ms) apply to services that do not set their own.
+ */
+function loadStatusServices(env = process.env) {
+  const services = readJsonList(env, {
+    fileKey: 'STATUS_SERVICES_FILE',
+    inlineKey: 'STATUS_SERVICES',
+    label: 'Status services'
+  }) || [];
+
+  return {
+    checks: services.map(service => ({ type: 'http', ...service })),
+    defaults: {
+      intervalMs: parseInt(env.STATUS_CHECK_INTERVAL) || undefined,
+      timeoutMs: parseInt(env.STATUS_CHECK_TIMEOUT) || undefined
+    }
+  };
+}
+
+module.exports = { loadStatusServices };
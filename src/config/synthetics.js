@@ -0,0 +1,42 @@
+const { readJsonList } = require('./jsonList');
+
+// Used when neither SYNTHETIC_CHECKS_FILE nor SYNTHETIC_CHECKS is set
+const DEFAULT_SYNTHETIC_CHECKS = [
+  {
+    name: 'api-users',
+    path: '/api/users',
+    expect: { status: 200, fields: ['users.0.id', 'total'], maxLatencyMs: 500 }
+  },
+  {
+    name: 'api-status',
+    path: '/api/status',
+    expect: { status: 200, body: { apiStatus: 'operational' }, maxLatencyMs: 500 }
+  }
+];
+
+/**
+ * Load the synthetic request scenarios run against the app's own API.
+ *
+ * SYNTHETIC_CHECKS_FILE points to a JSON file, SYNTHETIC_CHECKS holds the JSON inline. Both contain an array such as:
+ *   [{ "name": "list-users", "steps": [{ "path": "/api/users", "expect": { "status": 200, "body": { "total": 2 } } }] }]
+ *
+ * A scenario with a single request can put path, method and expect at the top level instead of steps.
+ * SYNTHETIC_CHECK_INTERVAL and SYNTHETIC_CHECK_TIMEOUT (ms) apply to every scenario without its own,
+ * SYNTHETIC_LATENCY_BUDGET_MS to every step without a maxLatencyMs.
+ */
+function loadSyntheticChecks(env = process.env) {
+  const scenarios = readJsonList(env, {
+    fileKey: 'SYNTHETIC_CHECKS_FILE',
+    inlineKey: 'SYNTHETIC_CHECKS',
+    label: 'Synthetic checks'
+  }) || DEFAULT_SYNTHETIC_CHECKS;
+
+  return {
+    scenarios,
+    intervalMs: parseInt(env.SYNTHETIC_CHECK_INTERVAL) || undefined,
+    timeoutMs: parseInt(env.SYNTHETIC_CHECK_TIMEOUT) || undefined,
+    latencyBudgetMs: parseInt(env.SYNTHETIC_LATENCY_BUDGET_MS) || undefined
+  };
+}
+
+module.exports = { loadSyntheticChecks, DEFAULT_SYNTHETIC_CHECKS };
@@ -0,0 +1,82 @@
+// Git SHAs shorter than this could match more than one commit
+const MIN_SHA_LENGTH = 7;
+
+/**
+ * Decide whether a freshly deployed instance is the expected build and behaves.
+ * Every failed criterion adds a human readable reason; the deployment passes when there are none.
+ * @param {Object} options
+ * @param {Object} options.buildInfo - loadBuildInfo() output of this instance
+ * @param {Object} options.expected - version and/or sha the pipeline deployed (sha may be abbreviated)
+ * @param {Object} options.dependencies - DependencyMonitor.getStatus() output
+ * @param {Function} options.totalsFor - Checks and failures since startup of a dependency
+ * @param {Object} options.requests - total requests and 5xx errors since startup
+ * @param {number} options.maxErrorRate - Highest acceptable share of 5xx responses
+ * @param {boolean} options.started - Whether startup completed
+ */
+function evaluateDeployment({
+  buildInfo,
+  expected = {},
+  dependencies,
+  totalsFor,
+  requests,
+  maxErrorRate,
+  started
+}) {
+  const reasons = [];
+  const checks = {};
+
+  if (!started) {
+    reasons.push('startup has not completed');
+  }
+
+  if (expected.version) {
+    const pass = expected.version === buildInfo.version;
+    checks.version = { expected: expected.version, actual: buildInfo.version, pass };
+    if (!pass) reasons.push(`version ${buildInfo.version} does not match expected ${expected.version}`);
+  }
+
+  if (expected.sha) {
+    const sha = expected.sha.toLowerCase();
+    const pass = sha.length >= MIN_SHA_LENGTH && buildInfo.gitSha.toLowerCase().startsWith(sha);
+    checks.sha = { expected: expected.sha, actual: buildInfo.gitSha, pass };
+    if (!pass) reasons.push(`git SHA ${buildInfo.gitSha} does not match expected ${expected.sha}`);
+  }
+
+  const critical = {};
+  Object.entries(dependencies)
+    .filter(([, dependency]) => dependency.critical)
+    .forEach(([name]) => {
+      const totals = totalsFor(name);
+      critical[name] = totals;
+
+      if (totals.checks === 0) {
+        reasons.push(`critical dependency ${name} has not been checked yet`);
+      } else if (totals.failures > 0) {
+        reasons.push(`critical dependency ${name} failed ${totals.failures} of ${totals.checks} checks since startup`);
+      }
+    });
+  checks.criticalDependencies = {
+    pass: Object.values(critical).every(totals => totals.checks > 0 && totals.failures === 0),
+    dependencies: critical
+  };
+
+  const rate = requests.total > 0 ? requests.errors / requests.total : 0;
+  checks.errorRate = {
+    rate: Math.round(rate * 10000) / 10000,
+    threshold: maxErrorRate,
+    errors: requests.errors,
+    requests: requests.total,
+    pass: rate <= maxErrorRate
+  };
+  if (!checks.errorRate.pass) {
+    reasons.push(`error rate ${(rate * 100).toFixed(2)}% since startup exceeds ${(maxErrorRate * 100).toFixed(2)}%`);
+  }
+
+  return {
+    status: reasons.length === 0 ? 'pass' : 'fail',
+    reasons,
+    checks
+  };
+}
+
+module.exports = { evaluateDeployment, MIN_SHA_LENGTH };
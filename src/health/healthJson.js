@@ -0,0 +1,87 @@
+// Media type of the API health check draft (draft-inadarei-api-health-check)
+const HEALTH_JSON_TYPE = 'application/health+json';
+
+// Service and dependency states mapped to the draft's pass/warn/fail.
+// A dependency that has not been checked yet is reported as warn.
+const CHECK_STATUS = {
+  healthy: 'pass',
+  degraded: 'warn',
+  unhealthy: 'fail'
+};
+
+const COMPONENT_TYPES = {
+  mongodb: 'datastore',
+  redis: 'datastore'
+};
+
+const toCheckStatus = status => CHECK_STATUS[status] || 'warn';
+
+/**
+ * Whether the client asked for health+json; plain JSON stays the default for
+ * clients that accept anything
+ */
+function prefersHealthJson(req) {
+  return req.accepts(['application/json', HEALTH_JSON_TYPE]) === HEALTH_JSON_TYPE;
+}
+
+/**
+ * One `<dependency>:responseTime` check per dependency
+ * @param {Object} dependencies - DependencyMonitor.getStatus() output
+ */
+function dependencyChecks(dependencies) {
+  const checks = {};
+
+  Object.entries(dependencies).forEach(([name, dependency]) => {
+    checks[`${name}:responseTime`] = [{
+      componentId: name,
+      componentType: COMPONENT_TYPES[dependency.type] || 'component',
+      observedValue: dependency.latencyMs,
+      observedUnit: 'ms',
+      status: toCheckStatus(dependency.status),
+      time: dependency.lastCheck ? dependency.lastCheck.toISOString() : null,
+      ...(dependency.error && { output: dependency.error })
+    }];
+  });
+
+  return checks;
+}
+
+/**
+ * A measurement of the process itself, e.g. uptime or memory; passing unless a status is given
+ */
+function systemCheck(observedValue, observedUnit, time = new Date().toISOString(), status = 'healthy') {
+  return [{
+    componentType: 'system',
+    observedValue,
+    observedUnit,
+    status: toCheckStatus(status),
+    time
+  }];
+}
+
+/**
+ * Build a health+json document
+ * @param {Object} options - status (healthy|degraded|unhealthy), serviceId, version,
+ *   releaseId, description, checks and optional output/notes
+ */
+function formatHealthJson({ status, serviceId, version, releaseId, description, checks = {}, output, notes }) {
+  return {
+    status: toCheckStatus(status),
+    version,
+    releaseId,
+    serviceId,
+    description,
+    ...(output && { output }),
+    ...(notes && { notes }),
+    checks
+  };
+}
+
+module.exports = {
+  HEALTH_JSON_TYPE,
+  toCheckStatus,
+  prefersHealthJson,
+  dependencyChecks,
+  systemCheck,
+  formatHealthJson
+};
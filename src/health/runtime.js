@@ -0,0 +1,58 @@
+const { HEALTHY, DEGRADED, UNHEALTHY, worstStatus } = require('./status');
+
+// Degraded/unhealthy limits of each runtime signal
+const DEFAULT_RUNTIME_THRESHOLDS = {
+  // p99 event loop delay over the stats window
+  eventLoopDelayMs: { degraded: 200, unhealthy: 1000 },
+  // Longest GC pause over the stats window
+  gcPauseMs: { degraded: 100, unhealthy: 500 },
+  // Heap used relative to the V8 heap limit
+  heapUsedRatio: { degraded: 0.85, unhealthy: 0.95 }
+};
+
+const DESCRIPTIONS = {
+  eventLoopDelayMs: value => `p99 event loop delay is ${value}ms`,
+  gcPauseMs: value => `longest GC pause is ${value}ms`,
+  heapUsedRatio: value => `heap usage is ${Math.round(value * 100)}% of the heap limit`
+};
+
+/**
+ * Rate the runtime signals of RuntimeMonitor.getStats() against thresholds.
+ * Signals without a value yet (nothing sampled) count as healthy.
+ * @returns {{status: string, signals: Object, problems: string[]}}
+ */
+function evaluateRuntime(stats, thresholds = DEFAULT_RUNTIME_THRESHOLDS) {
+  const values = {
+    eventLoopDelayMs: stats.eventLoop.delayMs.p99,
+    gcPauseMs: stats.gc.maxPauseMs,
+    heapUsedRatio: stats.memory.heapUsedRatio
+  };
+
+  const signals = {};
+  const problems = [];
+
+  Object.entries(values).forEach(([name, value]) => {
+    const limits = thresholds[name];
+    let status = HEALTHY;
+
+    if (value !== null && value >= limits.unhealthy) {
+      status = UNHEALTHY;
+    } else if (value !== null && value >= limits.degraded) {
+      status = DEGRADED;
+    }
+
+    signals[name] = { value, status, ...limits };
+    if (status !== HEALTHY) {
+      const limit = status === UNHEALTHY ? limits.unhealthy : limits.degraded;
+      problems.push(`${DESCRIPTIONS[name](value)}, ${status} at ${limit}`);
+    }
+  });
+
+  return {
+    status: worstStatus(...Object.values(signals).map(signal => signal.status)),
+    signals,
+    problems
+  };
+}
+
+module.exports = { evaluateRuntime, DEFAULT_RUNTIME_THRESHOLDS };
@@ -0,0 +1,71 @@
+// Overall service states, ordered from best to worst
+const HEALTHY = 'healthy';
+const DEGRADED = 'degraded';
+const UNHEALTHY = 'unhealthy';
+
+const severity = {
+  [HEALTHY]: 0,
+  [DEGRADED]: 1,
+  [UNHEALTHY]: 2
+};
+
+/**
+ * Pick the worst of several states
+ */
+function worstStatus(...statuses) {
+  return statuses.reduce(
+    (worst, status) => (severity[status] > severity[worst] ? status : worst),
+    HEALTHY
+  );
+}
+
+/**
+ * HTTP code that matches a state: a degraded service still serves traffic
+ */
+function httpStatusFor(status) {
+  return status === UNHEALTHY ? 503 : 200;
+}
+
+/**
+ * Derive the service state from dependency results.
+ * A failing critical dependency makes the service unhealthy, a failing
+ * optional one only degrades it. Dependencies not checked yet do not count.
+ * @param {Object} dependencies - DependencyMonitor.getStatus() output
+ */
+function evaluateDependencies(dependencies) {
+  const failing = { critical: [], optional: [] };
+
+  Object.entries(dependencies).forEach(([name, dependency]) => {
+    if (dependency.status === UNHEALTHY) {
+      failing[dependency.critical ? 'critical' : 'optional'].push(name);
+    }
+  });
+
+  let status = HEALTHY;
+  if (failing.critical.length > 0) {
+    status = UNHEALTHY;
+  } else if (failing.optional.length > 0) {
+    status = DEGRADED;
+  }
+
+  return { status, failing };
+}
+
+/**
+ * Critical dependencies that have not (yet) passed their latest check
+ */
+function unreadyDependencies(dependencies) {
+  return Object.entries(dependencies)
+    .filter(([, dependency]) => dependency.critical && dependency.status !== HEALTHY)
+    .map(([name]) => name);
+}
+
+module.exports = {
+  HEALTHY,
+  DEGRADED,
+  UNHEALTHY,
+  worstStatus,
+  httpStatusFor,
+  evaluateDependencies,
+  unreadyDependencies
+};
@@ -0,0 +1,101 @@
+// Heading and colour of each overall and per-service state
+const LABELS = {
+  operational: ['All systems operational', '#2e7d32'],
+  degraded: ['Partial outage', '#ef6c00'],
+  outage: ['Major outage', '#c62828'],
+  unknown: ['Status unknown', '#616161'],
+  healthy: ['Up', '#2e7d32'],
+  unhealthy: ['Down', '#c62828']
+};
+
+const escapeHtml = value => String(value === null || value === undefined ? '' : value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+const label = status => LABELS[status] || LABELS.unknown;
+
+const percent = value => (value === null ? '–' : `${value}%`);
+
+const milliseconds = value => (value === null || value === undefined ? '–' : `${Math.round(value)} ms`);
+
+function formatDuration(ms) {
+  const minutes = Math.round(ms / 60000);
+  if (minutes < 1) return `${Math.round(ms / 1000)}s`;
+  if (minutes < 60) return `${minutes}m`;
+  return `${Math.floor(minutes / 60)}h ${minutes % 60}m`;
+}
+
+function serviceRow(name, service, windows) {
+  const [text, colour] = label(service.status);
+  const uptime = windows.map(window => `<td>${percent(service.uptime[window])}</td>`).join('');
+
+  return `<tr>
+        <td><strong>${escapeHtml(name)}</strong><br><small>${escapeHtml(service.url)}</small></td>
+        <td><span class="badge" style="background:${colour}">${text}</span>${service.error ? `<br><small>${escapeHtml(service.error)}</small>` : ''}</td>
+        <td>${milliseconds(service.latencyMs)}</td>
+        ${uptime}
+      </tr>`;
+}
+
+function incidentItem(incident) {
+  const state = incident.resolvedAt
+    ? `resolved after ${formatDuration(incident.durationMs)}`
+    : 'ongoing';
+
+  return `<li><strong>${escapeHtml(incident.service)}</strong> down since ${escapeHtml(new Date(incident.startedAt).toISOString())}, ${state}${incident.error ? ` – ${escapeHtml(incident.error)}` : ''}</li>`;
+}
+
+/**
+ * Render StatusAggregator.getStatus() output as a self-contained HTML page
+ * that refreshes itself every refreshSeconds
+ */
+function renderStatusPage(status, { title = 'Service Status', refreshSeconds = 30 } = {}) {
+  const [heading, colour] = label(status.status);
+  const names = Object.keys(status.services);
+
+  const services = names.length > 0
+    ? names.map(name => serviceRow(name, status.services[name], status.windows)).join('\n      ')
+    : `<tr><td colspan="${3 + status.windows.length}">No services configured, set STATUS_SERVICES</td></tr>`;
+
+  const incidents = status.incidents.length > 0
+    ? `<ul>${status.incidents.map(incidentItem).join('')}</ul>`
+    : '<p>No recent incidents.</p>';
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <meta http-equiv="refresh" content="${refreshSeconds}">
+  <title>${escapeHtml(title)}</title>
+  <style>
+    body { font-family: -apple-system, "Segoe UI", Roboto, sans-serif; max-width: 960px; margin: 2rem auto; color: #212121; }
+    .banner { padding: 1rem; border-radius: 4px; color: #fff; font-size: 1.25rem; }
+    table { width: 100%; border-collapse: collapse; margin: 1.5rem 0; }
+    th, td { padding: 0.5rem; border-bottom: 1px solid #e0e0e0; text-align: left; vertical-align: top; }
+    .badge { padding: 0.1rem 0.5rem; border-radius: 3px; color: #fff; }
+    small { color: #757575; }
+  </style>
+</head>
+<body>
+  <h1>${escapeHtml(title)}</h1>
+  <div class="banner" style="background:${colour}">${heading}</div>
+  <table>
+    <thead>
+      <tr><th>Service</th><th>Status</th><th>Response time</th>${status.windows.map(window => `<th>Uptime ${escapeHtml(window)}</th>`).join('')}</tr>
+    </thead>
+    <tbody>
+      ${services}
+    </tbody>
+  </table>
+  <h2>Recent incidents</h2>
+  ${incidents}
+  <p><small>Updated ${escapeHtml(status.timestamp || new Date().toISOString())}</small></p>
+</body>
+</html>
+`;
+}
+
+module.exports = { renderStatusPage, escapeHtml };
@@ -0,0 +1,67 @@
+/**
+ * Value at a dotted path such as "users.0.email", undefined when any segment is missing
+ */
+function getField(body, path) {
+  return String(path).split('.').reduce(
+    (value, key) => (value !== null && typeof value === 'object' ? value[key] : undefined),
+    body
+  );
+}
+
+/**
+ * Compare a response with the expectations of a synthetic step
+ * @param {Object} response - statusCode, body (parsed JSON when possible) and latencyMs
+ * @param {Object} expect - status (number or list), body (dotted path to expected value),
+ *   fields (dotted paths that must be present) and maxLatencyMs
+ * @returns {Array<string>} Failed assertions, empty when the step passed
+ */
+function assertResponse(response, { status = 200, body = {}, fields = [], maxLatencyMs } = {}) {
+  const failures = [];
+
+  if (![].concat(status).includes(response.statusCode)) {
+    failures.push(`expected status ${[].concat(status).join(' or ')}, got ${response.statusCode}`);
+  }
+
+  Object.entries(body).forEach(([path, expected]) => {
+    const actual = getField(response.body, path);
+    if (JSON.stringify(actual) !== JSON.stringify(expected)) {
+      failures.push(`expected ${path} to be ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`);
+    }
+  });
+
+  fields.forEach(path => {
+    if (getField(response.body, path) === undefined) {
+      failures.push(`expected field ${path}`);
+    }
+  });
+
+  if (maxLatencyMs && response.latencyMs > maxLatencyMs) {
+    failures.push(`took ${response.latencyMs}ms, budget is ${maxLatencyMs}ms`);
+  }
+
+  return failures;
+}
+
+/**
+ * One `synthetic:<scenario>` health+json check per scenario, warning until it has run
+ * @param {Object} results - SyntheticMonitor.getResults() output
+ */
+function syntheticChecks(results) {
+  const checks = {};
+
+  Object.entries(results).forEach(([name, result]) => {
+    checks[`synthetic:${name}`] = [{
+      componentId: name,
+      componentType: 'component',
+      observedValue: result.durationMs,
+      observedUnit: 'ms',
+      status: result.status === 'unknown' ? 'warn' : result.status,
+      time: result.lastRun ? result.lastRun.toISOString() : null,
+      ...(result.error && { output: result.error })
+    }];
+  });
+
+  return checks;
+}
+
+module.exports = { getField, assertResponse, syntheticChecks };
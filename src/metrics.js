@@ -0,0 +1,91 @@
+const client = require('prom-client');
+
+/**
+ * Create the Prometheus registry served on /metrics together with the
+ * application-level series recorded by the app and its middleware
+ * @param {Object} appState - Application state read by the collected gauges
+ * @param {Object} buildInfo - Version and build metadata from loadBuildInfo
+ */
+function createMetrics(appState, buildInfo) {
+  const registry = new client.Registry();
+  client.collectDefaultMetrics({ register: registry });
+
+  if (buildInfo) {
+    new client.Gauge({
+      name: 'app_build_info',
+      help: 'Version and build of the running application, always 1',
+      labelNames: ['version', 'git_sha', 'build_number', 'build_timestamp'],
+      registers: [registry]
+    }).set({
+      version: buildInfo.version,
+      git_sha: buildInfo.gitSha,
+      build_number: buildInfo.buildNumber,
+      build_timestamp: buildInfo.buildTimestamp
+    }, 1);
+  }
+
+  new client.Gauge({
+    name: 'app_uptime_seconds',
+    help: 'Application uptime in seconds',
+    registers: [registry],
+    collect() {
+      this.set(Math.floor((Date.now() - appState.startTime.getTime()) / 1000));
+    }
+  });
+
+  new client.Gauge({
+    name: 'app_memory_usage_bytes',
+    help: 'Memory usage in bytes',
+    registers: [registry],
+    collect() {
+      this.set(process.memoryUsage().heapUsed);
+    }
+  });
+
+  const requestsTotal = new client.Counter({
+    name: 'app_requests_total',
+    help: 'Total number of requests',
+    registers: [registry]
+  });
+
+  const errorsTotal = new client.Counter({
+    name: 'app_errors_total',
+    help: 'Total number of errors',
+    registers: [registry]
+  });
+
+  const labelNames = ['method', 'route', 'status_code'];
+
+  const httpRequestDuration = new client.Histogram({
+    name: 'http_request_duration_seconds',
+    help: 'HTTP request duration in seconds',
+    labelNames,
+    buckets: [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10],
+    registers: [registry]
+  });
+
+  const httpRequestsTotal = new client.Counter({
+    name: 'http_requests_total',
+    help: 'Total number of HTTP requests',
+    labelNames,
+    registers: [registry]
+  });
+
+  const httpRequestErrorsTotal = new client.Counter({
+    name: 'http_request_errors_total',
+    help: 'Total number of HTTP requests answered with a 5xx status',
+    labelNames,
+    registers: [registry]
+  });
+
+  return {
+    registry,
+    requestsTotal,
+    errorsTotal,
+    httpRequestDuration,
+    httpRequestsTotal,
+    httpRequestErrorsTotal
+  };
+}
+
+module.exports = { createMetrics };
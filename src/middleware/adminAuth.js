@@ -0,0 +1,29 @@
+const crypto = require('crypto');
+
+/**
+ * Protect admin routes with a shared token sent as `Authorization: Bearer <token>`
+ * or `X-Admin-Token`. Without a configured token the admin API is disabled.
+ * @param {string} token - Expected token, usually process.env.ADMIN_TOKEN
+ */
+function adminAuth(token) {
+  const expected = token ? Buffer.from(token) : null;
+
+  return (req, res, next) => {
+    if (!expected) {
+      return res.status(403).json({ error: 'Admin API is disabled, set ADMIN_TOKEN to enable it' });
+    }
+
+    const header = req.get('authorization') || '';
+    const provided = Buffer.from(
+      header.startsWith('Bearer ') ? header.slice('Bearer '.length) : (req.get('x-admin-token') || '')
+    );
+
+    if (provided.length !== expected.length || !crypto.timingSafeEqual(provided, expected)) {
+      return res.status(401).json({ error: 'Invalid or missing admin token' });
+    }
+
+    next();
+  };
+}
+
+module.exports = adminAuth;
@@ -0,0 +1,30 @@
+const { routeTemplate } = require('../../shared/utils/routeTemplate');
+
+/**
+ * Record request duration and counters once the response has been sent
+ * @param {Object} metrics - Metrics created by createMetrics()
+ */
+function requestMetrics(metrics) {
+  return (req, res, next) => {
+    const endTimer = metrics.httpRequestDuration.startTimer();
+
+    res.on('finish', () => {
+      const labels = {
+        method: req.method,
+        route: routeTemplate(req),
+        status_code: res.statusCode
+      };
+
+      endTimer(labels);
+      metrics.httpRequestsTotal.inc(labels);
+
+      if (res.statusCode >= 500) {
+        metrics.httpRequestErrorsTotal.inc(labels);
+      }
+    });
+
+    next();
+  };
+}
+
+module.exports = requestMetrics;
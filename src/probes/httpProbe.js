@@ -0,0 +1,44 @@
+const http = require('http');
+const https = require('https');
+
+/**
+ * HTTP probe: healthy when the endpoint answers with an expected status code
+ * @param {Object} options - url, method, headers and expectedStatus (number or list, default any 2xx/3xx)
+ */
+function httpProbe(options, { signal } = {}) {
+  const {
+    url,
+    method = 'GET',
+    headers = {},
+    expectedStatus
+  } = options;
+
+  if (!url) {
+    return Promise.reject(new Error('HTTP check requires a url'));
+  }
+
+  const client = url.startsWith('https:') ? https : http;
+
+  return new Promise((resolve, reject) => {
+    const req = client.request(url, { method, headers, signal }, (res) => {
+      // Drain the body, only the status code matters
+      res.resume();
+      res.on('end', () => {
+        const accepted = expectedStatus
+          ? [].concat(expectedStatus).includes(res.statusCode)
+          : res.statusCode >= 200 && res.statusCode < 400;
+
+        if (accepted) {
+          resolve({ statusCode: res.statusCode });
+        } else {
+          reject(new Error(`Unexpected status code ${res.statusCode} from ${url}`));
+        }
+      });
+    });
+
+    req.on('error', reject);
+    req.end();
+  });
+}
+
+module.exports = httpProbe;
@@ -0,0 +1,30 @@
+const httpProbe = require('./httpProbe');
+const tcpProbe = require('./tcpProbe');
+const mongoProbe = require('./mongoProbe');
+const redisProbe = require('./redisProbe');
+
+// Dependency check types that can be declared in configuration
+const probes = {
+  http: httpProbe,
+  https: httpProbe,
+  tcp: tcpProbe,
+  mongodb: mongoProbe,
+  redis: redisProbe
+};
+
+/**
+ * Look up the probe function for a check type
+ * @param {string} type - One of http, https, tcp, mongodb, redis
+ */
+function getProbe(type) {
+  const probe = probes[type];
+  if (!probe) {
+    throw new Error(`Unknown dependency check type: ${type}`);
+  }
+  return probe;
+}
+
+module.exports = {
+  getProbe,
+  probeTypes: Object.keys(probes)
+};
@@ -0,0 +1,143 @@
+const { connect, exchange } = require('./socket');
+
+const OP_MSG = 2013;
+
+/**
+ * Encode the { ping: 1, $db: 'admin' } command as a BSON document
+ */
+function encodePingCommand() {
+  const database = Buffer.from('admin\0');
+  const elements = Buffer.concat([
+    // int32 ping: 1
+    Buffer.from([0x10]), Buffer.from('ping\0'), int32(1),
+    // string $db: 'admin'
+    Buffer.from([0x02]), Buffer.from('$db\0'), int32(database.length), database
+  ]);
+
+  return Buffer.concat([int32(elements.length + 5), elements, Buffer.from([0x00])]);
+}
+
+function int32(value) {
+  const buffer = Buffer.alloc(4);
+  buffer.writeInt32LE(value);
+  return buffer;
+}
+
+/**
+ * Wrap a BSON command in an OP_MSG wire protocol message
+ */
+function encodeMessage(document, requestId) {
+  const header = Buffer.alloc(16);
+  const flagBits = Buffer.alloc(4);
+  const messageLength = header.length + flagBits.length + 1 + document.length;
+
+  header.writeInt32LE(messageLength, 0);
+  header.writeInt32LE(requestId, 4);
+  header.writeInt32LE(0, 8);
+  header.writeInt32LE(OP_MSG, 12);
+
+  return Buffer.concat([header, flagBits, Buffer.from([0x00]), document]);
+}
+
+/**
+ * Read the top-level scalar fields of a BSON document.
+ * Only the types a ping reply can contain are decoded; parsing stops at anything else.
+ */
+function decodeDocument(buffer) {
+  const result = {};
+  const end = buffer.readInt32LE(0) - 1;
+  let offset = 4;
+
+  while (offset < end) {
+    const type = buffer[offset];
+    const nameEnd = buffer.indexOf(0x00, offset + 1);
+    const name = buffer.toString('utf8', offset + 1, nameEnd);
+    offset = nameEnd + 1;
+
+    switch (type) {
+      case 0x01:
+        result[name] = buffer.readDoubleLE(offset);
+        offset += 8;
+        break;
+      case 0x02: {
+        const length = buffer.readInt32LE(offset);
+        result[name] = buffer.toString('utf8', offset + 4, offset + 4 + length - 1);
+        offset += 4 + length;
+        break;
+      }
+      case 0x03:
+      case 0x04:
+        offset += buffer.readInt32LE(offset);
+        break;
+      case 0x08:
+        result[name] = buffer[offset] === 1;
+        offset += 1;
+        break;
+      case 0x10:
+        result[name] = buffer.readInt32LE(offset);
+        offset += 4;
+        break;
+      case 0x09:
+      case 0x11:
+      case 0x12:
+        offset += 8;
+        break;
+      case 0x07:
+        offset += 12;
+        break;
+      case 0x0a:
+        result[name] = null;
+        break;
+      default:
+        return result;
+    }
+  }
+
+  return result;
+}
+
+const isMessageComplete = buffer => buffer.length >= 4 && buffer.length >= buffer.readInt32LE(0);
+
+/**
+ * MongoDB probe: healthy when the server answers the `ping` command with ok: 1.
+ * Speaks the wire protocol directly so the app does not need a driver just for health checks.
+ * @param {Object} options - url in the mongodb://[user:pass@]host:port/db form (first host is used)
+ */
+async function mongoProbe(options, { signal } = {}) {
+  const url = options.url || 'mongodb://localhost:27017';
+
+  if (url.startsWith('mongodb+srv:')) {
+    throw new Error('mongodb+srv urls are not supported by the MongoDB check, use a host:port url');
+  }
+
+  // Only the first host of a replica set seed list is pinged
+  const [, hostList] = url.match(/^mongodb:\/\/(?:[^@/]*@)?([^/?]+)/) || [];
+  if (!hostList) {
+    throw new Error(`Invalid MongoDB url: ${url}`);
+  }
+  const [host, port] = hostList.split(',')[0].split(':');
+
+  const socket = await connect({ host, port: parseInt(port) || 27017, signal });
+
+  try {
+    const reply = await exchange(socket, encodeMessage(encodePingCommand(), 1), isMessageComplete, signal);
+
+    if (reply.readInt32LE(12) !== OP_MSG) {
+      throw new Error(`Unexpected MongoDB reply opcode ${reply.readInt32LE(12)}`);
+    }
+
+    // Skip header (16), flag bits (4) and section kind (1)
+    const document = decodeDocument(reply.subarray(21));
+    if (document.ok !== 1) {
+      throw new Error(`MongoDB ping failed: ${document.errmsg || 'ok != 1'}`);
+    }
+
+    return { host, port: parseInt(port) || 27017 };
+  } finally {
+    socket.destroy();
+  }
+}
+
+module.exports = mongoProbe;
+module.exports.encodePingCommand = encodePingCommand;
+module.exports.decodeDocument = decodeDocument;
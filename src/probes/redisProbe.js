@@ -0,0 +1,48 @@
+const { connect, exchange } = require('./socket');
+
+/**
+ * Encode a command in the Redis serialization protocol (RESP)
+ */
+function encodeCommand(...args) {
+  return args.reduce(
+    (command, arg) => command + `$${Buffer.byteLength(String(arg))}\r\n${arg}\r\n`,
+    `*${args.length}\r\n`
+  );
+}
+
+const isLineComplete = buffer => buffer.includes('\r\n');
+
+/**
+ * Redis probe: healthy when the server answers PING with PONG
+ * @param {Object} options - url in the redis://[:password@]host:port form
+ */
+async function redisProbe(options, { signal } = {}) {
+  const target = new URL(options.url || 'redis://localhost:6379');
+  const host = target.hostname || 'localhost';
+  const port = parseInt(target.port) || 6379;
+
+  const socket = await connect({ host, port, signal });
+
+  try {
+    if (target.password) {
+      const authArgs = target.username
+        ? ['AUTH', decodeURIComponent(target.username), decodeURIComponent(target.password)]
+        : ['AUTH', decodeURIComponent(target.password)];
+      const authReply = (await exchange(socket, encodeCommand(...authArgs), isLineComplete, signal)).toString();
+      if (!authReply.startsWith('+OK')) {
+        throw new Error(`Redis AUTH failed: ${authReply.trim()}`);
+      }
+    }
+
+    const reply = (await exchange(socket, encodeCommand('PING'), isLineComplete, signal)).toString();
+    if (!reply.startsWith('+PONG')) {
+      throw new Error(`Unexpected PING reply: ${reply.trim()}`);
+    }
+
+    return { host, port };
+  } finally {
+    socket.destroy();
+  }
+}
+
+module.exports = redisProbe;
@@ -0,0 +1,85 @@
+const net = require('net');
+
+/**
+ * Open a TCP connection that is torn down when the probe is aborted
+ * @param {Object} options - host, port and the AbortSignal of the running check
+ */
+function connect({ host, port, signal }) {
+  return new Promise((resolve, reject) => {
+    const socket = net.createConnection({ host, port });
+
+    const onAbort = () => {
+      socket.destroy();
+      reject(new Error(`Connection to ${host}:${port} aborted`));
+    };
+
+    if (signal) {
+      if (signal.aborted) return onAbort();
+      signal.addEventListener('abort', onAbort, { once: true });
+    }
+
+    socket.once('connect', () => {
+      if (signal) signal.removeEventListener('abort', onAbort);
+      resolve(socket);
+    });
+
+    socket.once('error', (error) => {
+      if (signal) signal.removeEventListener('abort', onAbort);
+      socket.destroy();
+      reject(error);
+    });
+  });
+}
+
+/**
+ * Write a request and collect the reply until `isComplete` says it is whole
+ * @param {net.Socket} socket - Connected socket
+ * @param {Buffer|string} payload - Bytes to send
+ * @param {Function} isComplete - Receives the buffered reply, returns true once it is complete
+ * @param {AbortSignal} signal - Aborts the exchange when the check times out
+ */
+function exchange(socket, payload, isComplete, signal) {
+  return new Promise((resolve, reject) => {
+    let buffer = Buffer.alloc(0);
+
+    const cleanup = () => {
+      socket.removeListener('data', onData);
+      socket.removeListener('error', onError);
+      socket.removeListener('close', onClose);
+      if (signal) signal.removeEventListener('abort', onAbort);
+    };
+
+    const onData = (chunk) => {
+      buffer = Buffer.concat([buffer, chunk]);
+      if (isComplete(buffer)) {
+        cleanup();
+        resolve(buffer);
+      }
+    };
+
+    const onError = (error) => {
+      cleanup();
+      reject(error);
+    };
+
+    const onClose = () => {
+      cleanup();
+      reject(new Error('Connection closed before a complete reply was received'));
+    };
+
+    const onAbort = () => {
+      cleanup();
+      socket.destroy();
+      reject(new Error('Probe aborted while waiting for a reply'));
+    };
+
+    socket.on('data', onData);
+    socket.once('error', onError);
+    socket.once('close', onClose);
+    if (signal) signal.addEventListener('abort', onAbort, { once: true });
+
+    socket.write(payload);
+  });
+}
+
+module.exports = { connect, exchange };
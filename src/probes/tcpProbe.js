@@ -0,0 +1,30 @@
+const { connect } = require('./socket');
+
+/**
+ * Resolve host and port from either explicit options or a tcp://host:port url
+ */
+function resolveTarget(options) {
+  if (options.url) {
+    const target = new URL(options.url);
+    return { host: target.hostname, port: parseInt(target.port) };
+  }
+  return { host: options.host || 'localhost', port: parseInt(options.port) };
+}
+
+/**
+ * TCP probe: healthy when a connection can be established
+ */
+async function tcpProbe(options, { signal } = {}) {
+  const { host, port } = resolveTarget(options);
+
+  if (!port) {
+    throw new Error('TCP check requires a port');
+  }
+
+  const socket = await connect({ host, port, signal });
+  socket.end();
+
+  return { host, port };
+}
+
+module.exports = tcpProbe;
@@ -0,0 +1,49 @@
+const express = require('express');
+
+/**
+ * Admin API for the fault injector, mounted behind adminAuth
+ * @param {FaultInjector} faultInjector - Injector shared with the request middleware
+ * @param {Object} options - enabled: false turns every route into a 403
+ */
+function createFaultRouter(faultInjector, { enabled = true } = {}) {
+  const router = express.Router();
+
+  router.use((req, res, next) => {
+    if (!enabled) {
+      return res.status(403).json({ error: 'Fault injection is disabled, set FAULT_INJECTION_ENABLED=true to enable it' });
+    }
+    next();
+  });
+
+  // List active faults
+  router.get('/', (req, res) => {
+    res.json({ faults: faultInjector.list(), timestamp: new Date().toISOString() });
+  });
+
+  // Activate a fault
+  router.post('/', (req, res) => {
+    try {
+      res.status(201).json(faultInjector.add(req.body));
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+    }
+  });
+
+  // Remove every fault
+  router.delete('/', (req, res) => {
+    faultInjector.clear();
+    res.status(204).end();
+  });
+
+  // Remove one fault
+  router.delete('/:id', (req, res) => {
+    if (!faultInjector.remove(req.params.id)) {
+      return res.status(404).json({ error: `No active fault ${req.params.id}` });
+    }
+    res.status(204).end();
+  });
+
+  return router;
+}
+
+module.exports = createFaultRouter;
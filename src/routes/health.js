@@ -0,0 +1,329 @@
+const express = require('express');
+const client = require('prom-client');
+
+const DependencyMonitor = require('../services/DependencyMonitor');
+const DependencyHistory = require('../services/DependencyHistory');
+const RuntimeMonitor = require('../services/RuntimeMonitor');
+const Lifecycle = require('../services/Lifecycle');
+const {
+  worstStatus,
+  httpStatusFor,
+  evaluateDependencies,
+  unreadyDependencies
+} = require('../health/status');
+const {
+  prefersHealthJson,
+  dependencyChecks,
+  systemCheck,
+  formatHealthJson,
+  HEALTH_JSON_TYPE
+} = require('../health/healthJson');
+
+/**
+ * Failing dependencies and runtime problems as a one-line health+json output
+ */
+function failureOutput({ critical, optional }, runtimeProblems = []) {
+  const parts = [];
+  if (critical.length > 0) parts.push(`critical dependencies failing: ${critical.join(', ')}`);
+  if (optional.length > 0) parts.push(`optional dependencies failing: ${optional.join(', ')}`);
+  parts.push(...runtimeProblems);
+  return parts.join('; ') || undefined;
+}
+
+/**
+ * Maintenance state as a health+json check, warning while planned work is under way
+ */
+function maintenanceCheck(state, time) {
+  return [{
+    componentType: 'system',
+    observedValue: state.active,
+    status: state.active ? 'warn' : 'pass',
+    time,
+    ...(state.active && { output: state.reason })
+  }];
+}
+
+/**
+ * The health endpoints shared by our services: /health, /health/detailed, /ready, /live,
+ * /startup and /metrics. Nothing runs until start() is called, so instances can be built
+ * freely in tests and mounted into any Express app.
+ * @param {Object} options
+ * @param {Object} options.service - id, name, version, description and build of the service
+ * @param {Array} options.checks - Dependency checks, when no dependencyMonitor is given
+ * @param {Object} options.defaults - Defaults applied to those checks
+ * @param {DependencyMonitor} options.dependencyMonitor - Monitor to report instead of a new one
+ * @param {DependencyHistory} options.dependencyHistory - History exporting dependency_* metrics
+ * @param {RuntimeMonitor} options.runtimeMonitor - Event loop, GC and heap signals
+ * @param {Lifecycle} options.lifecycle - Startup and shutdown state for the probes
+ * @param {MaintenanceManager} options.maintenance - Optional maintenance mode for /ready and /health
+ * @param {client.Registry} options.registry - Registry served on /metrics; false leaves /metrics out
+ * @param {Date} options.startTime - Start of the reported uptime
+ * @param {Function} options.details - Extra fields for the /health/detailed body
+ * @param {Function} options.detailedChecks - Extra health+json checks for /health/detailed, given the timestamp
+ * @returns {express.Router} Router with start(), stop() and the services it reports on
+ */
+function createHealthRouter({
+  service = {},
+  checks = [],
+  defaults,
+  dependencyMonitor,
+  dependencyHistory,
+  runtimeMonitor,
+  lifecycle = new Lifecycle(),
+  maintenance = null,
+  registry,
+  startTime = new Date(),
+  details = () => ({}),
+  detailedChecks = () => ({})
+} = {}) {
+  const {
+    id: serviceId = service.name,
+    name: serviceName,
+    version = 'unknown',
+    description = `Health of ${service.name}`,
+    build
+  } = service;
+
+  if (!serviceName) {
+    throw new Error('service.name is required');
+  }
+
+  if (registry === undefined) {
+    registry = new client.Registry();
+    client.collectDefaultMetrics({ register: registry });
+  }
+
+  const monitor = dependencyMonitor || new DependencyMonitor({ checks, defaults });
+  const history = dependencyHistory || new DependencyHistory().attach(monitor);
+  const runtime = runtimeMonitor || new RuntimeMonitor();
+
+  if (registry) {
+    if (!dependencyHistory) history.registerMetrics(registry);
+    if (!runtimeMonitor) runtime.registerMetrics(registry);
+  }
+
+  lifecycle.onShutdown('dependency probes', () => monitor.stop());
+  lifecycle.onShutdown('runtime monitor', () => runtime.stop());
+
+  const router = express.Router();
+  const uptimeSeconds = () => Math.floor((Date.now() - startTime.getTime()) / 1000);
+  const maintenanceState = () => (maintenance ? maintenance.getState() : { active: false });
+
+  /**
+   * Answer a health request in the format the client negotiated: the service's own JSON by
+   * default, or application/health+json when asked for in Accept
+   * @param {Object} health - status, the default JSON body and the health+json checks
+   */
+  function sendHealth(req, res, { status, body, checks: healthChecks, output }) {
+    res.vary('Accept');
+    res.status(httpStatusFor(status));
+
+    if (!prefersHealthJson(req)) {
+      return res.json(body);
+    }
+
+    res.type(HEALTH_JSON_TYPE).json(formatHealthJson({
+      status,
+      serviceId,
+      version: String(version).split('.')[0],
+      releaseId: version,
+      description,
+      checks: healthChecks,
+      output
+    }));
+  }
+
+  // Basic health endpoint
+  router.get('/health', (req, res) => {
+    const dependencies = monitor.getStatus();
+    const { status: dependencyStatus, failing } = evaluateDependencies(dependencies);
+    const runtimeHealth = runtime.evaluate();
+    const status = worstStatus(dependencyStatus, runtimeHealth.status);
+    const maintenanceNow = maintenanceState();
+    const timestamp = new Date().toISOString();
+
+    sendHealth(req, res, {
+      status,
+      body: {
+        status,
+        timestamp,
+        uptime: uptimeSeconds(),
+        service: serviceName,
+        version,
+        ...(build && { build }),
+        ...(runtimeHealth.problems.length > 0 && { problems: runtimeHealth.problems }),
+        ...(maintenanceNow.active && { maintenance: maintenanceNow })
+      },
+      checks: {
+        uptime: systemCheck(uptimeSeconds(), 's', timestamp),
+        ...(maintenance && { maintenance: maintenanceCheck(maintenanceNow, timestamp) }),
+        ...dependencyChecks(dependencies)
+      },
+      output: failureOutput(failing, runtimeHealth.problems)
+    });
+  });
+
+  // Detailed health endpoint
+  router.get('/health/detailed', (req, res) => {
+    const dependencies = monitor.getStatus();
+    const { status: dependencyStatus, failing } = evaluateDependencies(dependencies);
+    const { stats, ...runtimeHealth } = runtime.evaluate();
+    const { signals } = runtimeHealth;
+    const status = worstStatus(dependencyStatus, runtimeHealth.status);
+    const maintenanceNow = maintenanceState();
+    const timestamp = new Date().toISOString();
+
+    sendHealth(req, res, {
+      status,
+      body: {
+        status,
+        timestamp,
+        uptime: uptimeSeconds(),
+        service: serviceName,
+        version,
+        ...(build && { build }),
+        ...(maintenance && {
+          maintenance: { ...maintenanceNow, windows: maintenance.listWindows() }
+        }),
+        system: {
+          ...stats,
+          platform: process.platform,
+          nodeVersion: process.version
+        },
+        runtime: runtimeHealth,
+        dependencies,
+        failingDependencies: failing,
+        lifecycle: lifecycle.getStatus(),
+        ...details(req)
+      },
+      checks: {
+        uptime: systemCheck(uptimeSeconds(), 's', timestamp),
+        'memory:rss': systemCheck(stats.memory.rssBytes, 'bytes', timestamp),
+        'memory:heapUsed': systemCheck(stats.memory.heapUsedBytes, 'bytes', timestamp, signals.heapUsedRatio.status),
+        'memory:heapUsedRatio': systemCheck(stats.memory.heapUsedRatio, 'ratio', timestamp, signals.heapUsedRatio.status),
+        'eventLoop:delay': systemCheck(stats.eventLoop.delayMs.p99, 'ms', timestamp, signals.eventLoopDelayMs.status),
+        'gc:pause': systemCheck(stats.gc.maxPauseMs, 'ms', timestamp, signals.gcPauseMs.status),
+        'handles:active': systemCheck(stats.activeHandles.total, 'handles', timestamp),
+        ...detailedChecks(timestamp),
+        ...(maintenance && { maintenance: maintenanceCheck(maintenanceNow, timestamp) }),
+        ...dependencyChecks(dependencies)
+      },
+      output: failureOutput(failing, runtimeHealth.problems)
+    });
+  });
+
+  // Readiness probe: only critical dependencies and maintenance can take the instance out of rotation
+  router.get('/ready', (req, res) => {
+    if (lifecycle.isShuttingDown()) {
+      return res.status(503).json({
+        status: 'not ready',
+        reason: 'shutting down',
+        phase: lifecycle.phase,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const maintenanceNow = maintenanceState();
+    if (maintenanceNow.active) {
+      res.set('Retry-After', String(maintenanceNow.retryAfterSeconds));
+      return res.status(503).json({
+        status: 'not ready',
+        reason: 'maintenance',
+        maintenance: maintenanceNow,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    if (!lifecycle.isStarted()) {
+      return res.status(503).json({
+        status: 'not ready',
+        reason: 'starting',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const dependencies = monitor.getStatus();
+    const unready = unreadyDependencies(dependencies);
+    const { status } = evaluateDependencies(dependencies);
+
+    if (unready.length === 0) {
+      res.json({ status: 'ready', health: status, timestamp: new Date().toISOString() });
+    } else {
+      res.status(503).json({
+        status: 'not ready',
+        health: status,
+        unreadyDependencies: unready,
+        timestamp: new Date().toISOString()
+      });
+    }
+  });
+
+  // Liveness probe: fails only on conditions a restart can fix, never on dependencies
+  router.get('/live', (req, res) => {
+    const problems = [];
+
+    const stall = runtime.getEventLoopStall();
+    if (stall) {
+      problems.push(`Event loop stalled for ${stall.durationMs}ms at ${stall.at.toISOString()}`);
+    }
+
+    const stalledChecks = monitor.getStalledChecks();
+    if (stalledChecks.length > 0) {
+      problems.push(`Dependency check loop stalled: ${stalledChecks.join(', ')}`);
+    }
+
+    res.status(problems.length === 0 ? 200 : 503).json({
+      status: problems.length === 0 ? 'alive' : 'not alive',
+      problems,
+      timestamp: new Date().toISOString()
+    });
+  });
+
+  // Startup probe: succeeds once initial checks and warm-up tasks have finished
+  router.get('/startup', (req, res) => {
+    const startup = lifecycle.getStartupStatus();
+
+    res.status(startup.started ? 200 : 503).json({
+      status: startup.started ? 'started' : 'starting',
+      ...startup,
+      timestamp: new Date().toISOString()
+    });
+  });
+
+  if (registry) {
+    // Metrics endpoint
+    router.get('/metrics', async (req, res, next) => {
+      try {
+        res.setHeader('Content-Type', 'text/plain');
+        res.send(await registry.metrics());
+      } catch (error) {
+        next(error);
+      }
+    });
+  }
+
+  /**
+   * Begin probing dependencies and sampling the runtime, then run the startup sequence.
+   * Safe to call more than once.
+   * @returns {Promise<boolean>} Whether startup completed
+   */
+  router.start = () => {
+    runtime.start();
+    return lifecycle.startup(monitor.start());
+  };
+
+  router.stop = () => {
+    monitor.stop();
+    runtime.stop();
+  };
+
+  router.dependencyMonitor = monitor;
+  router.dependencyHistory = history;
+  router.runtimeMonitor = runtime;
+  router.lifecycle = lifecycle;
+  router.registry = registry;
+
+  return router;
+}
+
+module.exports = createHealthRouter;
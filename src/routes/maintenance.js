@@ -0,0 +1,55 @@
+const express = require('express');
+
+/**
+ * Admin API for maintenance mode, mounted behind adminAuth
+ * @param {MaintenanceManager} maintenance - Manager consulted by the probes
+ */
+function createMaintenanceRouter(maintenance) {
+  const router = express.Router();
+
+  // Current state and pending windows
+  router.get('/', (req, res) => {
+    res.json({
+      ...maintenance.getState(),
+      windows: maintenance.listWindows(),
+      timestamp: new Date().toISOString()
+    });
+  });
+
+  // Switch maintenance on
+  router.post('/', (req, res) => {
+    try {
+      maintenance.enable(req.body);
+      res.status(201).json(maintenance.getState());
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+    }
+  });
+
+  // Switch maintenance off
+  router.delete('/', (req, res) => {
+    maintenance.disable();
+    res.status(204).end();
+  });
+
+  // Schedule a window
+  router.post('/windows', (req, res) => {
+    try {
+      res.status(201).json(maintenance.schedule(req.body));
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+    }
+  });
+
+  // Cancel a window
+  router.delete('/windows/:id', (req, res) => {
+    if (!maintenance.cancel(req.params.id)) {
+      return res.status(404).json({ error: `No maintenance window ${req.params.id}` });
+    }
+    res.status(204).end();
+  });
+
+  return router;
+}
+
+module.exports = createMaintenanceRouter;
@@ -0,0 +1,252 @@
+const client = require('prom-client');
+
+const { parseDurationList } = require('../utils/duration');
+
+const DEFAULT_WINDOWS = '5m,1h,24h';
+// Enough samples for the longest default window at the default 30s interval; samples
+// older than the longest window are dropped anyway
+const DEFAULT_MAX_SAMPLES = 2880;
+const DEFAULT_MAX_TRANSITIONS = 200;
+const DEFAULT_FLAP_THRESHOLD = 4;
+
+class DependencyHistory {
+  /**
+   * @param {Object} options
+   * @param {string} options.windows - Comma separated windows to summarise, e.g. "5m,1h"
+   * @param {number} options.maxSamples - Probe results kept per dependency, at most; results older
+   *   than the longest window are dropped before this cap is reached
+   * @param {number} options.maxTransitions - State transitions kept per dependency
+   * @param {number} options.flapThreshold - Transitions within a window that count as flapping
+   */
+  constructor({
+    windows = DEFAULT_WINDOWS,
+    maxSamples = DEFAULT_MAX_SAMPLES,
+    maxTransitions = DEFAULT_MAX_TRANSITIONS,
+    flapThreshold = DEFAULT_FLAP_THRESHOLD
+  } = {}) {
+    this.windows = parseDurationList(windows);
+    this.retentionMs = Math.max(...this.windows.map(window => window.ms));
+    this.maxSamples = maxSamples;
+    this.maxTransitions = maxTransitions;
+    this.flapThreshold = flapThreshold;
+    this.dependencies = new Map();
+    this.transitionCounter = null;
+  }
+
+  /**
+   * Record every result and transition a DependencyMonitor produces
+   */
+  attach(monitor) {
+    monitor.on('check', (name, state) => this.recordCheck(name, state));
+    monitor.on('statusChange', (name, state, previousStatus) => {
+      this.recordTransition(name, previousStatus, state);
+    });
+    return this;
+  }
+
+  entry(name) {
+    if (!this.dependencies.has(name)) {
+      this.dependencies.set(name, {
+        samples: [],
+        transitions: [],
+        totalTransitions: 0,
+        totalChecks: 0,
+        totalFailures: 0,
+        lastFailure: null
+      });
+    }
+    return this.dependencies.get(name);
+  }
+
+  recordCheck(name, state) {
+    const entry = this.entry(name);
+    const { samples } = entry;
+
+    entry.totalChecks++;
+    if (state.status !== 'healthy') {
+      entry.totalFailures++;
+      entry.lastFailure = { at: state.lastCheck, error: state.error };
+    }
+
+    samples.push({
+      at: state.lastCheck,
+      status: state.status,
+      latencyMs: state.latencyMs,
+      error: state.error
+    });
+
+    const expired = samples.findIndex(sample => sample.at.getTime() > state.lastCheck.getTime() - this.retentionMs);
+    if (expired > 0) {
+      samples.splice(0, expired);
+    }
+
+    if (samples.length > this.maxSamples) {
+      samples.splice(0, samples.length - this.maxSamples);
+    }
+  }
+
+  recordTransition(name, from, state) {
+    // The first result after startup is not a change of state
+    if (from === 'unknown') return;
+
+    const entry = this.entry(name);
+    entry.totalTransitions++;
+    entry.transitions.push({
+      at: state.lastCheck,
+      from,
+      to: state.status,
+      error: state.error
+    });
+
+    if (entry.transitions.length > this.maxTransitions) {
+      entry.transitions.splice(0, entry.transitions.length - this.maxTransitions);
+    }
+
+    if (this.transitionCounter) {
+      this.transitionCounter.inc({ dependency: name });
+    }
+  }
+
+  /**
+   * Uptime, transition count and flapping flag for one dependency over one window
+   */
+  summarize(name, windowMs, now = Date.now()) {
+    const { samples, transitions } = this.entry(name);
+    const since = now - windowMs;
+
+    const inWindow = samples.filter(sample => sample.at.getTime() > since);
+    const healthy = inWindow.filter(sample => sample.status === 'healthy').length;
+    const transitionCount = transitions.filter(transition => transition.at.getTime() > since).length;
+
+    return {
+      checks: inWindow.length,
+      failures: inWindow.length - healthy,
+      uptimePercent: inWindow.length > 0
+        ? Math.round((healthy / inWindow.length) * 10000) / 100
+        : null,
+      transitions: transitionCount,
+      flapping: transitionCount >= this.flapThreshold
+    };
+  }
+
+  /**
+   * Average and slowest probe latency of one dependency over one window
+   */
+  latency(name, windowMs, now = Date.now()) {
+    const since = now - windowMs;
+    const latencies = this.entry(name).samples
+      .filter(sample => sample.at.getTime() > since && sample.latencyMs !== null)
+      .map(sample => sample.latencyMs);
+
+    if (latencies.length === 0) {
+      return { averageMs: null, maxMs: null };
+    }
+
+    const total = latencies.reduce((sum, latencyMs) => sum + latencyMs, 0);
+    return {
+      averageMs: Math.round((total / latencies.length) * 100) / 100,
+      maxMs: Math.max(...latencies)
+    };
+  }
+
+  /**
+   * Checks and failures recorded since startup, unaffected by sample trimming
+   */
+  getTotals(name) {
+    const { totalChecks, totalFailures, lastFailure } = this.entry(name);
+    return { checks: totalChecks, failures: totalFailures, lastFailure };
+  }
+
+  /**
+   * History report for /health/history
+   * @param {Object} options - dependency to restrict to, limit of recent transitions/checks to include
+   */
+  getReport({ dependency, limit = 20, now = Date.now() } = {}) {
+    const report = {};
+    const names = dependency ? [dependency] : [...this.dependencies.keys()];
+
+    names.filter(name => this.dependencies.has(name)).forEach(name => {
+      const { samples, transitions, totalTransitions } = this.entry(name);
+      const windows = {};
+
+      this.windows.forEach(({ label, ms }) => {
+        windows[label] = this.summarize(name, ms, now);
+      });
+
+      report[name] = {
+        flapping: Object.values(windows).some(window => window.flapping),
+        totalTransitions,
+        sinceStartup: this.getTotals(name),
+        windows,
+        recentTransitions: transitions.slice(-limit).reverse(),
+        recentChecks: samples.slice(-limit).reverse()
+      };
+    });
+
+    return report;
+  }
+
+  /**
+   * Mirror the history on the Prometheus registry
+   */
+  registerMetrics(registry) {
+    const history = this;
+
+    new client.Gauge({
+      name: 'dependency_up',
+      help: 'Whether the latest check of the dependency passed (1) or failed (0)',
+      labelNames: ['dependency'],
+      registers: [registry],
+      collect() {
+        this.reset();
+        for (const [name, { samples }] of history.dependencies) {
+          if (samples.length === 0) continue;
+          this.set({ dependency: name }, samples[samples.length - 1].status === 'healthy' ? 1 : 0);
+        }
+      }
+    });
+
+    new client.Gauge({
+      name: 'dependency_uptime_ratio',
+      help: 'Share of passing dependency checks within the window',
+      labelNames: ['dependency', 'window'],
+      registers: [registry],
+      collect() {
+        this.reset();
+        for (const name of history.dependencies.keys()) {
+          history.windows.forEach(({ label, ms }) => {
+            const { uptimePercent } = history.summarize(name, ms);
+            if (uptimePercent !== null) {
+              this.set({ dependency: name, window: label }, uptimePercent / 100);
+            }
+          });
+        }
+      }
+    });
+
+    new client.Gauge({
+      name: 'dependency_flapping',
+      help: 'Whether the dependency changed state at least the flap threshold within any window',
+      labelNames: ['dependency'],
+      registers: [registry],
+      collect() {
+        this.reset();
+        for (const name of history.dependencies.keys()) {
+          const flapping = history.windows.some(({ ms }) => history.summarize(name, ms).flapping);
+          this.set({ dependency: name }, flapping ? 1 : 0);
+        }
+      }
+    });
+
+    this.transitionCounter = new client.Counter({
+      name: 'dependency_state_transitions_total',
+      help: 'Number of dependency state transitions',
+      labelNames: ['dependency'],
+      registers: [registry]
+    });
+
+    return this;
+  }
+}
+
+module.exports = DependencyHistory;
@@ -0,0 +1,255 @@
+const EventEmitter = require('events');
+
+const { getProbe } = require('../probes');
+
+const DEFAULT_INTERVAL_MS = 30000;
+const DEFAULT_TIMEOUT_MS = 5000;
+
+class DependencyMonitor extends EventEmitter {
+  constructor({ checks = [], defaults = {} } = {}) {
+    super();
+    this.defaults = {
+      intervalMs: defaults.intervalMs || DEFAULT_INTERVAL_MS,
+      timeoutMs: defaults.timeoutMs || DEFAULT_TIMEOUT_MS
+    };
+    this.checks = new Map();
+    this.timers = new Map();
+    this.running = false;
+    this.initialRound = null;
+
+    checks.forEach(check => this.register(check));
+  }
+
+  /**
+   * Register a dependency check
+   * @param {Object} definition - name, type (http, tcp, mongodb, redis) or a custom `probe`
+   *   function, plus intervalMs, timeoutMs, critical (default true) and the probe's own
+   *   options (url, host, port...)
+   */
+  register(definition) {
+    const { name, type, probe, intervalMs, timeoutMs, critical, ...options } = definition;
+
+    if (!name) {
+      throw new Error('Dependency check requires a name');
+    }
+    if (this.checks.has(name)) {
+      throw new Error(`Dependency check "${name}" is already registered`);
+    }
+
+    const check = {
+      name,
+      type: type || 'custom',
+      critical: critical !== false,
+      probe: probe || getProbe(type),
+      intervalMs: parseInt(intervalMs) || this.defaults.intervalMs,
+      timeoutMs: parseInt(timeoutMs) || this.defaults.timeoutMs,
+      options,
+      inFlightSince: null,
+      nextRunAt: null,
+      forcedFailure: null,
+      state: {
+        status: 'unknown',
+        lastCheck: null,
+        latencyMs: null,
+        error: null
+      }
+    };
+
+    this.checks.set(name, check);
+
+    if (this.running) {
+      this.schedule(check, 0);
+    }
+
+    return this;
+  }
+
+  /**
+   * Start running every check on its own interval, first round immediately
+   * @returns {Promise} Resolves once every check has completed its first run
+   */
+  start() {
+    if (!this.running) {
+      this.running = true;
+      this.initialRound = Promise.all(
+        [...this.checks.values()].map(check => this.schedule(check, 0))
+      );
+    }
+
+    return this.initialRound;
+  }
+
+  /**
+   * Stop scheduling checks; a check already in flight finishes on its own
+   */
+  stop() {
+    this.running = false;
+
+    for (const timer of this.timers.values()) {
+      clearTimeout(timer);
+    }
+    this.timers.clear();
+
+    for (const check of this.checks.values()) {
+      check.nextRunAt = null;
+    }
+  }
+
+  /**
+   * Schedule the next run of a check; the next run is only scheduled once
+   * the current one has settled so slow checks never overlap
+   * @returns {Promise} Resolves when the scheduled run has completed
+   */
+  schedule(check, delay) {
+    check.nextRunAt = Date.now() + delay;
+
+    return new Promise(resolve => {
+      const timer = setTimeout(async () => {
+        check.nextRunAt = null;
+        await this.runCheck(check.name);
+        resolve();
+
+        if (this.running) {
+          this.schedule(check, check.intervalMs);
+        }
+      }, delay);
+
+      // Probes must never keep the process alive on their own
+      timer.unref();
+      this.timers.set(check.name, timer);
+    });
+  }
+
+  /**
+   * Checks whose loop has stopped making progress: a run that outlived its own
+   * timeout, or a scheduled run that never fired. Both mean the timers are not
+   * being serviced and only a restart will recover.
+   * @param {number} graceMs - Tolerance for timer jitter under load
+   */
+  getStalledChecks(graceMs = 5000) {
+    if (!this.running) return [];
+
+    const now = Date.now();
+
+    return [...this.checks.values()]
+      .filter(check => {
+        if (check.inFlightSince) {
+          return now - check.inFlightSince > check.timeoutMs + graceMs;
+        }
+        return check.nextRunAt !== null && now - check.nextRunAt > graceMs;
+      })
+      .map(check => check.name);
+  }
+
+  /**
+   * Run a single check now, enforcing its timeout and measuring latency
+   * @param {string} name - Registered check name
+   */
+  async runCheck(name) {
+    const check = this.getCheck(name);
+
+    const controller = new AbortController();
+    const startedAt = process.hrtime.bigint();
+    let timer;
+
+    check.inFlightSince = Date.now();
+
+    const timeout = new Promise((resolve, reject) => {
+      timer = setTimeout(() => {
+        controller.abort();
+        reject(new Error(`Check timed out after ${check.timeoutMs}ms`));
+      }, check.timeoutMs);
+    });
+
+    let result;
+    try {
+      const probe = check.forcedFailure
+        ? () => Promise.reject(new Error(check.forcedFailure))
+        : check.probe;
+      const details = await Promise.race([
+        Promise.resolve().then(() => probe(check.options, { signal: controller.signal })),
+        timeout
+      ]);
+      result = { status: 'healthy', error: null, details: details || undefined };
+    } catch (error) {
+      result = { status: 'unhealthy', error: error.message };
+    } finally {
+      clearTimeout(timer);
+      check.inFlightSince = null;
+    }
+
+    const latencyMs = Number(process.hrtime.bigint() - startedAt) / 1e6;
+    const previousStatus = check.state.status;
+
+    check.state = {
+      ...result,
+      lastCheck: new Date(),
+      latencyMs: Math.round(latencyMs * 100) / 100
+    };
+
+    this.emit('check', check.name, check.state);
+
+    if (previousStatus !== check.state.status) {
+      this.emit('statusChange', check.name, check.state, previousStatus);
+    }
+
+    return check.state;
+  }
+
+  /**
+   * Make a dependency fail its checks without probing it (fault injection).
+   * The check runs right away so the failure shows up immediately.
+   * @param {string} name - Registered check name
+   * @param {string} reason - Error reported for the forced failure
+   */
+  forceFailure(name, reason) {
+    this.getCheck(name).forcedFailure = reason;
+    return this.runCheck(name);
+  }
+
+  /**
+   * Resume real probing of a dependency and check it right away
+   */
+  clearForcedFailure(name) {
+    this.getCheck(name).forcedFailure = null;
+    return this.runCheck(name);
+  }
+
+  getCheck(name) {
+    const check = this.checks.get(name);
+    if (!check) {
+      throw new Error(`Unknown dependency check: ${name}`);
+    }
+    return check;
+  }
+
+  /**
+   * Run every registered check once, in parallel
+   */
+  async runAll() {
+    await Promise.all([...this.checks.keys()].map(name => this.runCheck(name)));
+    return this.getStatus();
+  }
+
+  /**
+   * Current state of every dependency keyed by name
+   */
+  getStatus() {
+    const status = {};
+
+    for (const check of this.checks.values()) {
+      status[check.name] = {
+        type: check.type,
+        critical: check.critical,
+        ...check.state,
+        ...(check.forcedFailure && { forced: true }),
+        intervalMs: check.intervalMs,
+        timeoutMs: check.timeoutMs
+      };
+    }
+
+    return status;
+  }
+}
+
+module.exports = DependencyMonitor;
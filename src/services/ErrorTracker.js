@@ -0,0 +1,173 @@
+const crypto = require('crypto');
+const http = require('http');
+const client = require('prom-client');
+
+const { routeTemplate } = require('../../shared/utils/routeTemplate');
+
+const DEFAULT_MAX_GROUPS = 100;
+// Frames of a stack that identify where an error comes from
+const FINGERPRINT_FRAMES = 5;
+
+const errorClass = status => (status >= 500 ? '5xx' : '4xx');
+
+/**
+ * Stack frames without line and column numbers or the checkout path, so the same
+ * error keeps its fingerprint across deployments and message variations
+ */
+function normalizeFrames(stack = '') {
+  return stack
+    .split('\n')
+    .slice(1)
+    .map(line => line.trim())
+    .filter(line => line.startsWith('at '))
+    .slice(0, FINGERPRINT_FRAMES)
+    .map(line => line.split(process.cwd()).join('').replace(/:\d+:\d+(\)?)$/, '$1'));
+}
+
+/**
+ * Identify an error group: thrown errors by name and stack, plain error responses by
+ * status, method and route
+ */
+function fingerprint({ error, status, method, route }) {
+  const source = error
+    ? [error.name, ...normalizeFrames(error.stack)].join('\n')
+    : `${status} ${method} ${route}`;
+  return crypto.createHash('sha1').update(source).digest('hex').slice(0, 12);
+}
+
+/**
+ * Counts 4xx and 5xx responses per route and keeps the most recent errors grouped by
+ * fingerprint, so on-call can see what is failing without searching the logs
+ */
+class ErrorTracker {
+  /**
+   * @param {Object} options
+   * @param {number} options.maxGroups - Error groups kept; the least recently seen is dropped first
+   */
+  constructor({ maxGroups = DEFAULT_MAX_GROUPS } = {}) {
+    this.maxGroups = maxGroups;
+    this.routes = new Map();
+    this.groups = new Map();
+    this.routeErrorsCounter = null;
+  }
+
+  /**
+   * Record an error response
+   * @param {Object} entry - status, method, route, path, requestId and the thrown error, if any
+   */
+  record({ status, method, route, path, requestId, error, at = new Date() }) {
+    const statusClass = errorClass(status);
+
+    const routeKey = `${method} ${route}`;
+    const counts = this.routes.get(routeKey) || { method, route, '4xx': 0, '5xx': 0, byStatus: {} };
+    counts[statusClass]++;
+    counts.byStatus[status] = (counts.byStatus[status] || 0) + 1;
+    this.routes.set(routeKey, counts);
+
+    if (this.routeErrorsCounter) {
+      this.routeErrorsCounter.inc({ method, route, class: statusClass });
+    }
+
+    const id = fingerprint({ error, status, method, route });
+    const group = this.groups.get(id) || {
+      fingerprint: id,
+      type: error ? 'exception' : 'response',
+      name: error ? error.name : http.STATUS_CODES[status] || 'Error',
+      stack: error ? normalizeFrames(error.stack) : [],
+      firstSeen: at,
+      count: 0
+    };
+
+    Object.assign(group, {
+      message: error ? error.message : http.STATUS_CODES[status] || `HTTP ${status}`,
+      status,
+      statusClass,
+      method,
+      route,
+      lastPath: path,
+      lastRequestId: requestId || null,
+      lastSeen: at,
+      count: group.count + 1
+    });
+
+    // Re-inserting keeps the Map ordered from least to most recently seen
+    this.groups.delete(id);
+    this.groups.set(id, group);
+
+    if (this.groups.size > this.maxGroups) {
+      this.groups.delete(this.groups.keys().next().value);
+    }
+
+    return group;
+  }
+
+  /**
+   * Record every 4xx and 5xx response once it has been sent. The error handler leaves
+   * the thrown error in res.locals.error so exceptions are grouped by their stack.
+   * @param {Object} options - skip: requests for which it returns true are not recorded
+   */
+  middleware({ skip = () => false } = {}) {
+    return (req, res, next) => {
+      if (skip(req)) {
+        return next();
+      }
+
+      res.on('finish', () => {
+        if (res.statusCode < 400) return;
+
+        this.record({
+          status: res.statusCode,
+          method: req.method,
+          route: routeTemplate(req),
+          path: req.path,
+          requestId: req.id,
+          error: res.locals.error
+        });
+      });
+
+      next();
+    };
+  }
+
+  /**
+   * Per-route counts and recent error groups, most recently seen first
+   * @param {Object} options - statusClass (4xx or 5xx) to filter by, limit on the groups returned
+   */
+  getReport({ statusClass, limit = this.maxGroups } = {}) {
+    const allRoutes = [...this.routes.values()];
+    const routes = allRoutes
+      .filter(counts => !statusClass || counts[statusClass] > 0)
+      .sort((a, b) => (b['4xx'] + b['5xx']) - (a['4xx'] + a['5xx']));
+
+    const errors = [...this.groups.values()]
+      .reverse()
+      .filter(group => !statusClass || group.statusClass === statusClass)
+      .slice(0, limit);
+
+    return {
+      totals: {
+        '4xx': allRoutes.reduce((total, counts) => total + counts['4xx'], 0),
+        '5xx': allRoutes.reduce((total, counts) => total + counts['5xx'], 0)
+      },
+      routes,
+      errors
+    };
+  }
+
+  /**
+   * Export error responses per route and status class
+   */
+  registerMetrics(registry) {
+    this.routeErrorsCounter = new client.Counter({
+      name: 'app_route_errors_total',
+      help: 'Error responses per route and status class (4xx, 5xx)',
+      labelNames: ['method', 'route', 'class'],
+      registers: [registry]
+    });
+
+    return this;
+  }
+}
+
+module.exports = ErrorTracker;
+module.exports.fingerprint = fingerprint;
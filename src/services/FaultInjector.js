@@ -0,0 +1,224 @@
+const EventEmitter = require('events');
+const crypto = require('crypto');
+const client = require('prom-client');
+
+const { routeMatches, isProbePath } = require('../utils/routeMatch');
+
+const DEFAULT_TTL_SECONDS = 60;
+const DEFAULT_MAX_TTL_SECONDS = 3600;
+const DEFAULT_MAX_MEMORY_MB = 256;
+
+const FAULT_TYPES = ['latency', 'error', 'dependency', 'memory'];
+
+// Paths faults never apply to, so an injected fault can always be removed again
+const EXEMPT_PATH = /^\/admin(\/|$)/;
+
+const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+class FaultInjector extends EventEmitter {
+  /**
+   * @param {Object} options
+   * @param {DependencyMonitor} options.dependencyMonitor - Target of dependency faults
+   * @param {number} options.maxTtlSeconds - Longest lifetime a fault may request
+   * @param {number} options.maxMemoryMb - Cap on memory held by memory pressure faults
+   */
+  constructor({
+    dependencyMonitor,
+    maxTtlSeconds = DEFAULT_MAX_TTL_SECONDS,
+    maxMemoryMb = DEFAULT_MAX_MEMORY_MB
+  } = {}) {
+    super();
+    this.dependencyMonitor = dependencyMonitor;
+    this.maxTtlSeconds = maxTtlSeconds;
+    this.maxMemoryMb = maxMemoryMb;
+    this.faults = new Map();
+  }
+
+  /**
+   * Activate a fault until its TTL expires
+   * @param {Object} definition - type plus its parameters:
+   *   latency: { route?, delayMs }, error: { route?, ratio, statusCode? },
+   *   dependency: { dependency }, memory: { megabytes }; all accept ttlSeconds
+   */
+  add(definition = {}) {
+    const { type, ttlSeconds = DEFAULT_TTL_SECONDS } = definition;
+
+    if (!FAULT_TYPES.includes(type)) {
+      throw new Error(`Fault type must be one of ${FAULT_TYPES.join(', ')}`);
+    }
+
+    const ttl = Number(ttlSeconds);
+    if (!(ttl > 0) || ttl > this.maxTtlSeconds) {
+      throw new Error(`ttlSeconds must be between 1 and ${this.maxTtlSeconds}`);
+    }
+
+    const fault = {
+      id: crypto.randomUUID(),
+      type,
+      ...this.validate(definition),
+      createdAt: new Date(),
+      expiresAt: new Date(Date.now() + ttl * 1000)
+    };
+
+    const timer = setTimeout(() => this.remove(fault.id, 'expired'), ttl * 1000);
+    timer.unref();
+
+    const resources = { timer };
+    if (type === 'memory') {
+      // Filled, so the pages are actually committed
+      resources.ballast = Buffer.alloc(fault.megabytes * 1024 * 1024, 1);
+    }
+
+    this.faults.set(fault.id, { fault, resources });
+
+    if (type === 'dependency') {
+      this.dependencyMonitor.forceFailure(fault.dependency, `Fault injected (${fault.id})`);
+    }
+
+    this.emit('added', fault);
+    return fault;
+  }
+
+  /**
+   * Check and normalise the parameters of each fault type
+   */
+  validate(definition) {
+    const { type, route } = definition;
+
+    if (route !== undefined && (typeof route !== 'string' || !route.startsWith('/'))) {
+      throw new Error('route must be a path such as /api/users, optionally ending in *');
+    }
+
+    switch (type) {
+      case 'latency': {
+        const delayMs = Number(definition.delayMs);
+        if (!(delayMs > 0)) throw new Error('latency faults require a positive delayMs');
+        return { route: route || '*', delayMs };
+      }
+
+      case 'error': {
+        const ratio = Number(definition.ratio === undefined ? 1 : definition.ratio);
+        const statusCode = Number(definition.statusCode || 500);
+        if (!(ratio > 0 && ratio <= 1)) throw new Error('error faults require a ratio between 0 and 1');
+        if (!(statusCode >= 400 && statusCode <= 599)) throw new Error('statusCode must be a 4xx or 5xx code');
+        return { route: route || '*', ratio, statusCode };
+      }
+
+      case 'dependency': {
+        const { dependency } = definition;
+        if (!this.dependencyMonitor || !this.dependencyMonitor.checks.has(dependency)) {
+          throw new Error(`Unknown dependency: ${dependency}`);
+        }
+        return { dependency };
+      }
+
+      case 'memory': {
+        const megabytes = Number(definition.megabytes);
+        const held = this.heldMemoryMb();
+        if (!(megabytes > 0) || held + megabytes > this.maxMemoryMb) {
+          throw new Error(`megabytes must be positive and keep total memory pressure under ${this.maxMemoryMb} MB (${held} MB held)`);
+        }
+        return { megabytes };
+      }
+
+      default:
+        return {};
+    }
+  }
+
+  /**
+   * Deactivate a fault before or when its TTL expires
+   * @returns {boolean} Whether the fault existed
+   */
+  remove(id, reason = 'removed') {
+    const entry = this.faults.get(id);
+    if (!entry) return false;
+
+    const { fault, resources } = entry;
+    clearTimeout(resources.timer);
+    this.faults.delete(id);
+
+    if (fault.type === 'dependency' && !this.list().some(other => other.dependency === fault.dependency)) {
+      this.dependencyMonitor.clearForcedFailure(fault.dependency);
+    }
+
+    this.emit('removed', fault, reason);
+    return true;
+  }
+
+  clear() {
+    [...this.faults.keys()].forEach(id => this.remove(id));
+  }
+
+  list() {
+    return [...this.faults.values()].map(({ fault }) => fault);
+  }
+
+  heldMemoryMb() {
+    return this.list()
+      .filter(fault => fault.type === 'memory')
+      .reduce((total, fault) => total + fault.megabytes, 0);
+  }
+
+  /**
+   * Faults of a type that target the request path. Probe, health and metrics paths only
+   * take faults that name them exactly, so a catch-all fault does not get the instance
+   * restarted or pulled out of rotation.
+   */
+  matching(type, path) {
+    const probe = isProbePath(path);
+    return this.list().filter(fault => fault.type === type
+      && (probe ? fault.route === path : routeMatches(fault.route, path)));
+  }
+
+  /**
+   * Apply latency and error faults to incoming requests. Injected errors are passed
+   * to the error handler so they are counted like real ones.
+   */
+  middleware() {
+    return async (req, res, next) => {
+      if (this.faults.size === 0 || EXEMPT_PATH.test(req.path)) {
+        return next();
+      }
+
+      const latency = this.matching('latency', req.path);
+      if (latency.length > 0) {
+        await delay(Math.max(...latency.map(fault => fault.delayMs)));
+      }
+
+      const failing = this.matching('error', req.path).find(fault => Math.random() < fault.ratio);
+      if (failing) {
+        const error = new Error(`Injected fault ${failing.id}`);
+        error.statusCode = failing.statusCode;
+        error.expose = true;
+        error.injected = true;
+        return next(error);
+      }
+
+      next();
+    };
+  }
+
+  /**
+   * Export active faults per type so a forgotten fault can be alerted on
+   */
+  registerMetrics(registry) {
+    const injector = this;
+
+    new client.Gauge({
+      name: 'app_active_faults',
+      help: 'Number of active injected faults',
+      labelNames: ['type'],
+      registers: [registry],
+      collect() {
+        FAULT_TYPES.forEach(type => {
+          this.set({ type }, injector.list().filter(fault => fault.type === type).length);
+        });
+      }
+    });
+
+    return this;
+  }
+}
+
+module.exports = FaultInjector;
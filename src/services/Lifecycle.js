@@ -0,0 +1,239 @@
+const EventEmitter = require('events');
+
+const DEFAULT_SHUTDOWN_TIMEOUT_MS = 10000;
+
+const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+class Lifecycle extends EventEmitter {
+  constructor() {
+    super();
+    this.phase = 'starting';
+    this.phaseHistory = [{ phase: 'starting', at: new Date() }];
+    this.startupBegan = null;
+    this.startupCompleted = null;
+    this.warmupTasks = new Map();
+    this.startupPromise = null;
+    this.shutdownHooks = new Map();
+    this.shutdownState = null;
+    this.shutdownPromise = null;
+    this.inFlightRequests = 0;
+  }
+
+  /**
+   * Move to the next phase and announce it.
+   * Phases run starting -> running -> draining -> stopping -> closing -> stopped.
+   */
+  setPhase(phase) {
+    this.phase = phase;
+    this.phaseHistory.push({ phase, at: new Date() });
+    this.emit('phase', phase, this.getStatus());
+  }
+
+  /**
+   * Register work that has to finish before the instance may receive traffic
+   * (cache priming, migrations check, JIT warm-up requests...)
+   * @param {string} name - Task name shown on /startup
+   * @param {Function} task - Async function; a rejection keeps the instance in startup
+   */
+  registerWarmupTask(name, task) {
+    if (this.startupPromise) {
+      throw new Error(`Cannot register warm-up task "${name}" after startup has begun`);
+    }
+
+    this.warmupTasks.set(name, {
+      task,
+      state: { status: 'pending', durationMs: null, error: null }
+    });
+
+    return this;
+  }
+
+  /**
+   * Run the startup sequence once: the initial dependency round and every warm-up task
+   * @param {Promise} initialChecks - Resolves when the first dependency round has completed
+   */
+  startup(initialChecks = Promise.resolve()) {
+    if (!this.startupPromise) {
+      this.startupBegan = new Date();
+      this.startupPromise = this.runStartup(initialChecks);
+    }
+    return this.startupPromise;
+  }
+
+  async runStartup(initialChecks) {
+    const warmups = [...this.warmupTasks.entries()].map(([name, entry]) => this.runWarmupTask(name, entry));
+    const results = await Promise.all([initialChecks.then(() => true), ...warmups]);
+
+    if (results.every(Boolean)) {
+      this.startupCompleted = new Date();
+      // A shutdown may already be under way when a slow warm-up finishes
+      if (this.phase === 'starting') {
+        this.setPhase('running');
+      }
+      this.emit('started', this.getStartupStatus());
+    } else {
+      this.emit('startupFailed', this.getStartupStatus());
+    }
+
+    return this.isStarted();
+  }
+
+  async runWarmupTask(name, entry) {
+    const startedAt = Date.now();
+    entry.state = { status: 'running', durationMs: null, error: null };
+
+    try {
+      await entry.task();
+      entry.state = { status: 'completed', durationMs: Date.now() - startedAt, error: null };
+      return true;
+    } catch (error) {
+      entry.state = { status: 'failed', durationMs: Date.now() - startedAt, error: error.message };
+      return false;
+    }
+  }
+
+  isStarted() {
+    return this.startupCompleted !== null;
+  }
+
+  isShuttingDown() {
+    return this.shutdownState !== null;
+  }
+
+  /**
+   * Register background work to stop once traffic has drained (probe loops, pollers...)
+   * @param {string} name - Name used in logs
+   * @param {Function} hook - Sync or async function
+   */
+  onShutdown(name, hook) {
+    this.shutdownHooks.set(name, hook);
+    return this;
+  }
+
+  /**
+   * Middleware counting in-flight requests. Once shutdown has begun responses ask
+   * keep-alive clients to close their connection so the server can close cleanly.
+   */
+  trackRequests() {
+    return (req, res, next) => {
+      this.inFlightRequests++;
+      res.once('close', () => {
+        this.inFlightRequests--;
+      });
+
+      if (this.isShuttingDown()) {
+        res.setHeader('Connection', 'close');
+      }
+
+      next();
+    };
+  }
+
+  /**
+   * Shut down gracefully: fail readiness, wait for load balancers to stop routing,
+   * stop background work, then let in-flight requests finish up to a deadline
+   * before the server is closed. Safe to call more than once.
+   * @param {Object} options - server, signal, drainMs, timeoutMs
+   * @returns {Promise<Object>} Shutdown summary; `forced` is true if connections had to be cut
+   */
+  shutdown({ server, signal = null, drainMs = 0, timeoutMs = DEFAULT_SHUTDOWN_TIMEOUT_MS } = {}) {
+    if (!this.shutdownPromise) {
+      this.shutdownState = {
+        signal,
+        drainMs,
+        timeoutMs,
+        startedAt: new Date(),
+        completedAt: null,
+        forced: false
+      };
+      this.shutdownPromise = this.runShutdown(server);
+    }
+    return this.shutdownPromise;
+  }
+
+  async runShutdown(server) {
+    const { drainMs, timeoutMs } = this.shutdownState;
+
+    this.setPhase('draining');
+    await delay(drainMs);
+
+    this.setPhase('stopping');
+    for (const [name, hook] of this.shutdownHooks) {
+      try {
+        await hook();
+      } catch (error) {
+        this.emit('shutdownHookFailed', name, error);
+      }
+    }
+
+    this.setPhase('closing');
+    this.shutdownState.forced = await this.closeServer(server, timeoutMs);
+    this.shutdownState.completedAt = new Date();
+
+    this.setPhase('stopped');
+    return { ...this.shutdownState };
+  }
+
+  /**
+   * Stop accepting connections and wait for open ones to finish
+   * @returns {Promise<boolean>} true when the deadline passed and connections were destroyed
+   */
+  closeServer(server, timeoutMs) {
+    if (!server || !server.listening) {
+      return Promise.resolve(false);
+    }
+
+    return new Promise(resolve => {
+      // Keep-alive sockets become idle as their last request finishes and would
+      // otherwise hold close() open until the keep-alive timeout
+      const reaper = setInterval(() => server.closeIdleConnections(), 100);
+
+      const deadline = setTimeout(() => {
+        clearInterval(reaper);
+        server.closeAllConnections();
+        resolve(true);
+      }, timeoutMs);
+
+      server.close(() => {
+        clearInterval(reaper);
+        clearTimeout(deadline);
+        resolve(false);
+      });
+
+      server.closeIdleConnections();
+    });
+  }
+
+  /**
+   * Full lifecycle view for /health/detailed
+   */
+  getStatus() {
+    return {
+      phase: this.phase,
+      phaseHistory: this.phaseHistory,
+      inFlightRequests: this.inFlightRequests,
+      startup: this.getStartupStatus(),
+      shutdown: this.shutdownState
+    };
+  }
+
+  getStartupStatus() {
+    const tasks = {};
+    for (const [name, entry] of this.warmupTasks) {
+      tasks[name] = entry.state;
+    }
+
+    return {
+      phase: this.phase,
+      started: this.isStarted(),
+      startupBegan: this.startupBegan,
+      startupCompleted: this.startupCompleted,
+      startupDurationMs: this.isStarted()
+        ? this.startupCompleted.getTime() - this.startupBegan.getTime()
+        : null,
+      warmupTasks: tasks
+    };
+  }
+}
+
+module.exports = Lifecycle;
@@ -0,0 +1,175 @@
+const EventEmitter = require('events');
+const crypto = require('crypto');
+const client = require('prom-client');
+
+const DEFAULT_RETRY_AFTER_SECONDS = 300;
+const DEFAULT_MAX_WINDOWS = 20;
+
+/**
+ * Parse a window boundary given as an ISO timestamp or epoch milliseconds
+ */
+function parseTime(value, field) {
+  const time = new Date(value);
+  if (value === undefined || value === null || Number.isNaN(time.getTime())) {
+    throw new Error(`${field} must be an ISO timestamp or epoch milliseconds`);
+  }
+  return time;
+}
+
+class MaintenanceManager extends EventEmitter {
+  /**
+   * @param {Object} options
+   * @param {number} options.retryAfterSeconds - Retry-After hint while maintenance has no known end
+   * @param {number} options.maxWindows - Cap on pending scheduled windows
+   */
+  constructor({
+    retryAfterSeconds = DEFAULT_RETRY_AFTER_SECONDS,
+    maxWindows = DEFAULT_MAX_WINDOWS
+  } = {}) {
+    super();
+    this.retryAfterSeconds = retryAfterSeconds;
+    this.maxWindows = maxWindows;
+    this.manual = null;
+    this.windows = new Map();
+  }
+
+  /**
+   * Switch maintenance on until disable() or, with durationSeconds, until it lapses
+   * @param {Object} options - reason and optional durationSeconds
+   */
+  enable({ reason, durationSeconds } = {}, now = Date.now()) {
+    let until = null;
+    if (durationSeconds !== undefined) {
+      const duration = Number(durationSeconds);
+      if (!(duration > 0)) throw new Error('durationSeconds must be a positive number');
+      until = new Date(now + duration * 1000);
+    }
+
+    this.manual = {
+      reason: reason || 'Maintenance in progress',
+      since: new Date(now),
+      until
+    };
+
+    this.emit('enabled', this.manual);
+    return this.manual;
+  }
+
+  /**
+   * Switch manual maintenance off; scheduled windows are not affected
+   * @returns {boolean} Whether manual maintenance was on
+   */
+  disable(now = Date.now()) {
+    const wasActive = Boolean(this.activeManual(now));
+    this.manual = null;
+    if (wasActive) this.emit('disabled');
+    return wasActive;
+  }
+
+  /**
+   * Plan a maintenance window that activates between start and end
+   * @param {Object} definition - start, end and reason
+   */
+  schedule({ start, end, reason } = {}, now = Date.now()) {
+    const window = {
+      id: crypto.randomUUID(),
+      reason: reason || 'Scheduled maintenance',
+      start: parseTime(start, 'start'),
+      end: parseTime(end, 'end')
+    };
+
+    if (window.end <= window.start) throw new Error('end must be after start');
+    if (window.end.getTime() <= now) throw new Error('end must be in the future');
+    if (this.listWindows(now).length >= this.maxWindows) {
+      throw new Error(`At most ${this.maxWindows} maintenance windows can be scheduled`);
+    }
+
+    this.windows.set(window.id, window);
+    this.emit('scheduled', window);
+    return window;
+  }
+
+  /**
+   * Remove a scheduled window, whether it has started or not
+   * @returns {boolean} Whether the window existed
+   */
+  cancel(id) {
+    const window = this.windows.get(id);
+    if (!window) return false;
+
+    this.windows.delete(id);
+    this.emit('cancelled', window);
+    return true;
+  }
+
+  /**
+   * Windows that have not ended yet, in start order. Ended windows are dropped.
+   */
+  listWindows(now = Date.now()) {
+    this.windows.forEach((window, id) => {
+      if (window.end.getTime() <= now) this.windows.delete(id);
+    });
+    return [...this.windows.values()].sort((a, b) => a.start - b.start);
+  }
+
+  activeManual(now) {
+    if (this.manual && this.manual.until && this.manual.until.getTime() <= now) {
+      this.manual = null;
+    }
+    return this.manual;
+  }
+
+  /**
+   * Whether maintenance is active, why, and for how long clients should stay away.
+   * Manual maintenance wins over windows; overlapping windows last until the latest end.
+   */
+  getState(now = Date.now()) {
+    const manual = this.activeManual(now);
+    const windows = this.listWindows(now).filter(window => window.start.getTime() <= now);
+
+    if (!manual && windows.length === 0) {
+      return { active: false };
+    }
+
+    const state = manual
+      ? { active: true, source: 'manual', reason: manual.reason, since: manual.since, until: manual.until }
+      : {
+        active: true,
+        source: 'scheduled',
+        reason: windows[0].reason,
+        since: windows[0].start,
+        until: new Date(Math.max(...windows.map(window => window.end.getTime()))),
+        windowIds: windows.map(window => window.id)
+      };
+
+    state.retryAfterSeconds = state.until
+      ? Math.max(1, Math.ceil((state.until.getTime() - now) / 1000))
+      : this.retryAfterSeconds;
+
+    return state;
+  }
+
+  isActive(now = Date.now()) {
+    return this.getState(now).active;
+  }
+
+  /**
+   * Export the maintenance state so alert rules can suppress pages during planned work
+   */
+  registerMetrics(registry) {
+    const manager = this;
+
+    new client.Gauge({
+      name: 'app_maintenance_mode',
+      help: 'Whether the instance is in maintenance mode (1) or not (0)',
+      registers: [registry],
+      collect() {
+        this.set(manager.isActive() ? 1 : 0);
+      }
+    });
+
+    return this;
+  }
+}
+
+module.exports = MaintenanceManager;
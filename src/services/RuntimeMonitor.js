@@ -0,0 +1,288 @@
+const v8 = require('v8');
+const { monitorEventLoopDelay, PerformanceObserver, constants } = require('perf_hooks');
+const client = require('prom-client');
+
+const { evaluateRuntime, DEFAULT_RUNTIME_THRESHOLDS } = require('../health/runtime');
+
+const DEFAULT_SAMPLE_INTERVAL_MS = 500;
+const DEFAULT_STALL_THRESHOLD_MS = 5000;
+const DEFAULT_STALL_WINDOW_MS = 30000;
+const DEFAULT_STATS_WINDOW_MS = 60000;
+// Resolution of the event loop delay histogram
+const EVENT_LOOP_RESOLUTION_MS = 10;
+
+const GC_KINDS = {
+  [constants.NODE_PERFORMANCE_GC_MAJOR]: 'major',
+  [constants.NODE_PERFORMANCE_GC_MINOR]: 'minor',
+  [constants.NODE_PERFORMANCE_GC_INCREMENTAL]: 'incremental',
+  [constants.NODE_PERFORMANCE_GC_WEAKCB]: 'weakcb'
+};
+
+const STATUS_VALUES = { healthy: 0, degraded: 1, unhealthy: 2 };
+
+const round = value => Math.round(value * 100) / 100;
+const nsToMs = ns => round(ns / 1e6);
+
+class RuntimeMonitor {
+  /**
+   * @param {Object} options
+   * @param {number} options.sampleIntervalMs - Interval of the stall detection tick
+   * @param {number} options.stallThresholdMs - Lag that counts as an event loop stall
+   * @param {number} options.stallWindowMs - How long a stall keeps failing the liveness probe
+   * @param {number} options.statsWindowMs - Window event loop delay and GC pause stats cover
+   * @param {Object} options.thresholds - Degraded/unhealthy limits from loadRuntimeThresholds()
+   */
+  constructor({
+    sampleIntervalMs = DEFAULT_SAMPLE_INTERVAL_MS,
+    stallThresholdMs = DEFAULT_STALL_THRESHOLD_MS,
+    stallWindowMs = DEFAULT_STALL_WINDOW_MS,
+    statsWindowMs = DEFAULT_STATS_WINDOW_MS,
+    thresholds = DEFAULT_RUNTIME_THRESHOLDS
+  } = {}) {
+    this.sampleIntervalMs = sampleIntervalMs;
+    this.stallThresholdMs = stallThresholdMs;
+    this.stallWindowMs = stallWindowMs;
+    this.statsWindowMs = statsWindowMs;
+    this.thresholds = thresholds;
+    this.timer = null;
+    this.lastTick = null;
+    this.lastStall = null;
+    this.eventLoopDelay = null;
+    this.gcObserver = null;
+    this.windowStartedAt = null;
+    this.gc = { count: 0, totalPauseMs: 0, maxPauseMs: 0, byKind: {} };
+    this.gcPauseCounter = null;
+  }
+
+  /**
+   * Start sampling the event loop. A tick that arrives much later than
+   * scheduled means the loop was blocked for the difference.
+   * Event loop delay percentiles and GC pauses are collected alongside.
+   */
+  start() {
+    if (this.timer) return;
+
+    this.lastTick = Date.now();
+    this.windowStartedAt = this.lastTick;
+    this.timer = setInterval(() => this.sample(), this.sampleIntervalMs);
+    this.timer.unref();
+
+    this.eventLoopDelay = monitorEventLoopDelay({ resolution: EVENT_LOOP_RESOLUTION_MS });
+    this.eventLoopDelay.enable();
+
+    this.gcObserver = new PerformanceObserver(list => {
+      list.getEntries().forEach(entry => {
+        this.recordGc(GC_KINDS[(entry.detail || entry).kind] || 'unknown', entry.duration);
+      });
+    });
+    this.gcObserver.observe({ entryTypes: ['gc'] });
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+
+    if (this.eventLoopDelay) {
+      this.eventLoopDelay.disable();
+    }
+    if (this.gcObserver) {
+      this.gcObserver.disconnect();
+      this.gcObserver = null;
+    }
+  }
+
+  /**
+   * Record how late this tick fired, and start a new stats window when the current one is over
+   */
+  sample(now = Date.now()) {
+    const lagMs = now - this.lastTick - this.sampleIntervalMs;
+    this.lastTick = now;
+
+    if (lagMs >= this.stallThresholdMs) {
+      this.lastStall = { at: new Date(now), durationMs: lagMs };
+    }
+
+    if (this.windowStartedAt !== null && now - this.windowStartedAt >= this.statsWindowMs) {
+      this.windowStartedAt = now;
+      this.gc.maxPauseMs = 0;
+      if (this.eventLoopDelay) this.eventLoopDelay.reset();
+    }
+  }
+
+  /**
+   * Count a GC pause; totals cover the process lifetime, the maximum the stats window
+   */
+  recordGc(kind, durationMs) {
+    const byKind = this.gc.byKind[kind] || (this.gc.byKind[kind] = { count: 0, totalPauseMs: 0 });
+
+    this.gc.count++;
+    this.gc.totalPauseMs += durationMs;
+    this.gc.maxPauseMs = Math.max(this.gc.maxPauseMs, durationMs);
+    byKind.count++;
+    byKind.totalPauseMs += durationMs;
+
+    if (this.gcPauseCounter) {
+      this.gcPauseCounter.inc({ kind }, durationMs / 1000);
+    }
+  }
+
+  /**
+   * The most recent event loop stall within the stall window, if any.
+   * A loop that is blocked right now cannot answer the liveness probe at all;
+   * this reports stalls the process came back from so repeated ones surface.
+   */
+  getEventLoopStall(now = Date.now()) {
+    if (this.timer && now - this.lastTick - this.sampleIntervalMs >= this.stallThresholdMs) {
+      return { at: new Date(this.lastTick), durationMs: now - this.lastTick, ongoing: true };
+    }
+
+    if (this.lastStall && now - this.lastStall.at.getTime() < this.stallWindowMs) {
+      return this.lastStall;
+    }
+
+    return null;
+  }
+
+  /**
+   * Event loop delay percentiles (ms) over the current stats window, null before any sample
+   */
+  getEventLoopDelay() {
+    const histogram = this.eventLoopDelay;
+
+    if (!histogram || histogram.count === 0) {
+      return { min: null, mean: null, p50: null, p90: null, p99: null, max: null };
+    }
+
+    return {
+      min: nsToMs(histogram.min),
+      mean: nsToMs(histogram.mean),
+      p50: nsToMs(histogram.percentile(50)),
+      p90: nsToMs(histogram.percentile(90)),
+      p99: nsToMs(histogram.percentile(99)),
+      max: nsToMs(histogram.max)
+    };
+  }
+
+  /**
+   * Numeric runtime signals: sizes in bytes, durations in ms
+   */
+  getStats() {
+    const memory = process.memoryUsage();
+    const { heap_size_limit: heapLimitBytes } = v8.getHeapStatistics();
+    const resources = process.getActiveResourcesInfo();
+    const byType = {};
+    resources.forEach(type => { byType[type] = (byType[type] || 0) + 1; });
+
+    return {
+      eventLoop: {
+        windowMs: this.statsWindowMs,
+        delayMs: this.getEventLoopDelay()
+      },
+      gc: {
+        count: this.gc.count,
+        totalPauseMs: round(this.gc.totalPauseMs),
+        maxPauseMs: round(this.gc.maxPauseMs),
+        byKind: Object.fromEntries(Object.entries(this.gc.byKind).map(([kind, stats]) => [
+          kind,
+          { count: stats.count, totalPauseMs: round(stats.totalPauseMs) }
+        ]))
+      },
+      memory: {
+        rssBytes: memory.rss,
+        heapTotalBytes: memory.heapTotal,
+        heapUsedBytes: memory.heapUsed,
+        externalBytes: memory.external,
+        heapLimitBytes,
+        heapUsedRatio: Math.round((memory.heapUsed / heapLimitBytes) * 10000) / 10000
+      },
+      activeHandles: {
+        total: resources.length,
+        byType
+      }
+    };
+  }
+
+  /**
+   * Current stats rated against the thresholds
+   */
+  evaluate() {
+    const stats = this.getStats();
+    return { stats, ...evaluateRuntime(stats, this.thresholds) };
+  }
+
+  /**
+   * Mirror the runtime signals of /health/detailed on the Prometheus registry
+   */
+  registerMetrics(registry) {
+    const monitor = this;
+
+    new client.Gauge({
+      name: 'app_event_loop_delay_seconds',
+      help: 'Event loop delay percentiles over the runtime stats window',
+      labelNames: ['quantile'],
+      registers: [registry],
+      collect() {
+        const delay = monitor.getEventLoopDelay();
+        [['0.5', delay.p50], ['0.9', delay.p90], ['0.99', delay.p99], ['1', delay.max]].forEach(([quantile, ms]) => {
+          if (ms !== null) this.set({ quantile }, ms / 1000);
+        });
+      }
+    });
+
+    new client.Gauge({
+      name: 'app_gc_pause_max_seconds',
+      help: 'Longest GC pause over the runtime stats window',
+      registers: [registry],
+      collect() {
+        this.set(monitor.gc.maxPauseMs / 1000);
+      }
+    });
+
+    this.gcPauseCounter = new client.Counter({
+      name: 'app_gc_pause_seconds_total',
+      help: 'Time spent in GC pauses since metrics were registered, by kind',
+      labelNames: ['kind'],
+      registers: [registry]
+    });
+
+    new client.Gauge({
+      name: 'app_heap_used_ratio',
+      help: 'Heap used relative to the V8 heap size limit',
+      registers: [registry],
+      collect() {
+        this.set(monitor.getStats().memory.heapUsedRatio);
+      }
+    });
+
+    new client.Gauge({
+      name: 'app_heap_limit_bytes',
+      help: 'V8 heap size limit in bytes',
+      registers: [registry],
+      collect() {
+        this.set(v8.getHeapStatistics().heap_size_limit);
+      }
+    });
+
+    new client.Gauge({
+      name: 'app_active_handles',
+      help: 'Active libuv handles and requests keeping the event loop alive',
+      registers: [registry],
+      collect() {
+        this.set(process.getActiveResourcesInfo().length);
+      }
+    });
+
+    new client.Gauge({
+      name: 'app_runtime_status',
+      help: 'Runtime health from event loop delay, GC pauses and heap usage: 0 healthy, 1 degraded, 2 unhealthy',
+      registers: [registry],
+      collect() {
+        this.set(STATUS_VALUES[monitor.evaluate().status]);
+      }
+    });
+
+    return this;
+  }
+}
+
+module.exports = RuntimeMonitor;
@@ -0,0 +1,211 @@
+const client = require('prom-client');
+
+const { parseDuration, parseDurationList } = require('../utils/duration');
+const { routeMatches } = require('../utils/routeMatch');
+
+const DEFAULT_BURN_WINDOWS = '5m,30m,1h,6h';
+const DEFAULT_BUCKET_MS = 60 * 1000;
+const DEFAULT_WINDOW = '30d';
+
+const round = (value, digits = 4) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+class SloTracker {
+  /**
+   * @param {Object} options
+   * @param {Array} options.slos - SLO definitions from loadSlos()
+   * @param {string} options.burnWindows - Comma separated windows to report burn rates over, e.g. "1h,6h"
+   * @param {number} options.bucketMs - Resolution events are aggregated at
+   */
+  constructor({ slos = [], burnWindows = DEFAULT_BURN_WINDOWS, bucketMs = DEFAULT_BUCKET_MS } = {}) {
+    this.slos = slos.map(slo => ({
+      routes: ['*'],
+      window: DEFAULT_WINDOW,
+      ...slo,
+      windowMs: parseDuration(slo.window || DEFAULT_WINDOW),
+      errorBudget: 1 - slo.objective / 100
+    }));
+    this.burnWindows = parseDurationList(burnWindows);
+    this.bucketMs = bucketMs;
+    this.retentionMs = Math.max(0, ...this.slos.map(slo => slo.windowMs), ...this.burnWindows.map(window => window.ms));
+    // Oldest first, each holding { total, bad } per SLO
+    this.buckets = [];
+    this.eventCounter = null;
+  }
+
+  /**
+   * Whether a response counts against an SLO
+   */
+  static isBad(slo, { statusCode, durationMs }) {
+    if (slo.type === 'latency') {
+      return durationMs > slo.thresholdMs;
+    }
+    return statusCode >= 500;
+  }
+
+  /**
+   * Count one response against every SLO covering its path
+   */
+  record({ path, statusCode, durationMs, at = Date.now() }) {
+    const bucket = this.bucketAt(at);
+
+    this.slos.forEach((slo, index) => {
+      if (!slo.routes.some(route => routeMatches(route, path))) return;
+
+      const bad = SloTracker.isBad(slo, { statusCode, durationMs });
+      bucket.counts[index].total++;
+      if (bad) bucket.counts[index].bad++;
+
+      if (this.eventCounter) {
+        this.eventCounter.inc({ slo: slo.name, result: bad ? 'bad' : 'good' });
+      }
+    });
+  }
+
+  bucketAt(at) {
+    const start = at - (at % this.bucketMs);
+    const last = this.buckets[this.buckets.length - 1];
+    if (last && last.start === start) return last;
+
+    const bucket = { start, counts: this.slos.map(() => ({ total: 0, bad: 0 })) };
+    this.buckets.push(bucket);
+
+    const oldest = start - this.retentionMs;
+    while (this.buckets.length > 0 && this.buckets[0].start + this.bucketMs <= oldest) {
+      this.buckets.shift();
+    }
+    return bucket;
+  }
+
+  /**
+   * Total and bad events of one SLO within a window ending now
+   */
+  count(index, windowMs, now = Date.now()) {
+    const since = now - windowMs;
+    return this.buckets
+      .filter(bucket => bucket.start > since)
+      .reduce((sum, bucket) => ({
+        total: sum.total + bucket.counts[index].total,
+        bad: sum.bad + bucket.counts[index].bad
+      }), { total: 0, bad: 0 });
+  }
+
+  /**
+   * How fast the error budget is consumed: 1 spends exactly the budget over the SLO window
+   */
+  burnRate(index, windowMs, now = Date.now()) {
+    const { total, bad } = this.count(index, windowMs, now);
+    if (total === 0) return 0;
+    return round((bad / total) / this.slos[index].errorBudget);
+  }
+
+  /**
+   * Compliance, error budget and burn rates of every SLO for /slo
+   */
+  getReport(now = Date.now()) {
+    const report = {};
+
+    this.slos.forEach((slo, index) => {
+      const { total, bad } = this.count(index, slo.windowMs, now);
+      const badRatio = total > 0 ? bad / total : 0;
+      const burnRates = {};
+
+      this.burnWindows.forEach(({ label, ms }) => {
+        burnRates[label] = round(this.burnRate(index, ms, now), 2);
+      });
+
+      report[slo.name] = {
+        type: slo.type,
+        objective: slo.objective,
+        ...(slo.type === 'latency' && { thresholdMs: slo.thresholdMs }),
+        window: slo.window,
+        routes: slo.routes,
+        events: { total, bad },
+        compliance: total > 0 ? round((1 - badRatio) * 100, 3) : null,
+        errorBudgetRemaining: round(1 - badRatio / slo.errorBudget),
+        burnRates
+      };
+    });
+
+    return report;
+  }
+
+  /**
+   * Record every response once it has been sent
+   * @param {Object} options - skip: requests for which it returns true are not counted
+   */
+  middleware({ skip = () => false } = {}) {
+    return (req, res, next) => {
+      if (skip(req)) {
+        return next();
+      }
+
+      const started = process.hrtime.bigint();
+      const { path } = req;
+
+      res.on('finish', () => {
+        this.record({
+          path,
+          statusCode: res.statusCode,
+          durationMs: Number(process.hrtime.bigint() - started) / 1e6
+        });
+      });
+
+      next();
+    };
+  }
+
+  /**
+   * Export objectives, error budgets and burn rates so alert rules can use them directly
+   */
+  registerMetrics(registry) {
+    const tracker = this;
+
+    this.eventCounter = new client.Counter({
+      name: 'slo_events_total',
+      help: 'Responses counted against each SLO, by good or bad result',
+      labelNames: ['slo', 'result'],
+      registers: [registry]
+    });
+
+    new client.Gauge({
+      name: 'slo_objective_ratio',
+      help: 'Target share of good events of each SLO',
+      labelNames: ['slo'],
+      registers: [registry],
+      collect() {
+        tracker.slos.forEach(slo => this.set({ slo: slo.name }, slo.objective / 100));
+      }
+    });
+
+    new client.Gauge({
+      name: 'slo_error_budget_remaining_ratio',
+      help: 'Share of the error budget left over the SLO window, negative once exhausted',
+      labelNames: ['slo'],
+      registers: [registry],
+      collect() {
+        Object.entries(tracker.getReport()).forEach(([name, slo]) => {
+          this.set({ slo: name }, slo.errorBudgetRemaining);
+        });
+      }
+    });
+
+    new client.Gauge({
+      name: 'slo_burn_rate',
+      help: 'Error budget burn rate of each SLO per window, 1 spends the budget exactly over the SLO window',
+      labelNames: ['slo', 'window'],
+      registers: [registry],
+      collect() {
+        const now = Date.now();
+        tracker.slos.forEach((slo, index) => {
+          tracker.burnWindows.forEach(({ label, ms }) => {
+            this.set({ slo: slo.name, window: label }, tracker.burnRate(index, ms, now));
+          });
+        });
+      }
+    });
+
+    return this;
+  }
+}
+
+module.exports = SloTracker;
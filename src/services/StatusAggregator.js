@@ -0,0 +1,129 @@
+const DependencyMonitor = require('./DependencyMonitor');
+const DependencyHistory = require('./DependencyHistory');
+
+const DEFAULT_WINDOWS = '1h,24h,7d';
+// Enough samples for the longest default window at the default 30s interval
+const DEFAULT_MAX_SAMPLES = 20160;
+const DEFAULT_MAX_INCIDENTS = 50;
+
+// Overall state of the downstream services
+const OPERATIONAL = 'operational';
+const DEGRADED = 'degraded';
+const OUTAGE = 'outage';
+const UNKNOWN = 'unknown';
+
+/**
+ * Polls the health endpoints of downstream services, keeping uptime, response
+ * times and incidents for the /status page. Unlike dependencies, downstream
+ * services never affect this instance's own health.
+ */
+class StatusAggregator {
+  /**
+   * @param {Object} options
+   * @param {Array} options.checks - Services from loadStatusServices()
+   * @param {Object} options.defaults - intervalMs and timeoutMs for services without their own
+   * @param {string} options.windows - Comma separated windows to report uptime over, e.g. "24h,7d"
+   * @param {number} options.maxSamples - Results kept per service
+   * @param {number} options.maxIncidents - Incidents kept in total
+   */
+  constructor({
+    checks = [],
+    defaults,
+    windows = DEFAULT_WINDOWS,
+    maxSamples = DEFAULT_MAX_SAMPLES,
+    maxIncidents = DEFAULT_MAX_INCIDENTS
+  } = {}) {
+    this.monitor = new DependencyMonitor({ checks, defaults });
+    this.history = new DependencyHistory({ windows, maxSamples }).attach(this.monitor);
+    this.maxIncidents = maxIncidents;
+    this.incidents = [];
+
+    this.monitor.on('statusChange', (name, state) => this.recordIncident(name, state));
+  }
+
+  /**
+   * Open an incident when a service goes down, resolve it when it recovers
+   */
+  recordIncident(name, state) {
+    const open = this.incidents.find(incident => incident.service === name && !incident.resolvedAt);
+
+    if (state.status === 'unhealthy' && !open) {
+      this.incidents.push({
+        service: name,
+        startedAt: state.lastCheck,
+        resolvedAt: null,
+        durationMs: null,
+        error: state.error
+      });
+
+      if (this.incidents.length > this.maxIncidents) {
+        this.incidents.splice(0, this.incidents.length - this.maxIncidents);
+      }
+    } else if (state.status === 'healthy' && open) {
+      open.resolvedAt = state.lastCheck;
+      open.durationMs = open.resolvedAt - open.startedAt;
+    }
+  }
+
+  start() {
+    return this.monitor.start();
+  }
+
+  stop() {
+    this.monitor.stop();
+  }
+
+  /**
+   * Overall state: operational when every service is up, outage when all are down
+   */
+  static overallStatus(statuses) {
+    const checked = statuses.filter(status => status !== 'unknown');
+    const down = checked.filter(status => status !== 'healthy').length;
+
+    if (checked.length === 0) return UNKNOWN;
+    if (down === 0) return OPERATIONAL;
+    if (down === checked.length) return OUTAGE;
+    return DEGRADED;
+  }
+
+  /**
+   * Current state, uptime and response times of every service plus recent incidents
+   * @param {Object} options - incidents: how many recent incidents to include
+   */
+  getStatus({ incidents = 10, now = Date.now() } = {}) {
+    const services = {};
+
+    Object.entries(this.monitor.getStatus()).forEach(([name, state]) => {
+      const uptime = {};
+      const responseTime = {};
+
+      this.history.windows.forEach(({ label, ms }) => {
+        uptime[label] = this.history.summarize(name, ms, now).uptimePercent;
+        responseTime[label] = this.history.latency(name, ms, now);
+      });
+
+      services[name] = {
+        url: this.monitor.getCheck(name).options.url,
+        status: state.status,
+        lastCheck: state.lastCheck,
+        latencyMs: state.latencyMs,
+        error: state.error,
+        uptime,
+        responseTime
+      };
+    });
+
+    return {
+      status: StatusAggregator.overallStatus(Object.values(services).map(service => service.status)),
+      windows: this.history.windows.map(window => window.label),
+      services,
+      incidents: this.incidents.slice(-incidents).reverse()
+    };
+  }
+}
+
+module.exports = StatusAggregator;
+module.exports.OPERATIONAL = OPERATIONAL;
+module.exports.DEGRADED = DEGRADED;
+module.exports.OUTAGE = OUTAGE;
+module.exports.UNKNOWN = UNKNOWN;
@@ -0,0 +1,287 @@
+const EventEmitter = require('events');
+const crypto = require('crypto');
+const http = require('http');
+const https = require('https');
+const client = require('prom-client');
+
+const DependencyMonitor = require('./DependencyMonitor');
+const { assertResponse } = require('../health/synthetic');
+
+const DEFAULT_INTERVAL_MS = 60000;
+const DEFAULT_TIMEOUT_MS = 10000;
+const DEFAULT_LATENCY_BUDGET_MS = 1000;
+
+// User-Agent of every synthetic request, so they are easy to find in the access logs
+const SYNTHETIC_USER_AGENT = 'synthetic-monitor';
+// Header with a token only this process knows, so the app can tell its own synthetic
+// requests from real traffic without clients being able to pass for them
+const SYNTHETIC_TOKEN_HEADER = 'X-Synthetic-Token';
+const SYNTHETIC_TOKEN = Buffer.from(crypto.randomBytes(16).toString('hex'));
+
+const round = value => Math.round(value * 100) / 100;
+
+/**
+ * Whether a request was sent by the synthetic checks of this process
+ */
+function isSyntheticRequest(req) {
+  const token = Buffer.from(req.get(SYNTHETIC_TOKEN_HEADER) || '');
+  return token.length === SYNTHETIC_TOKEN.length && crypto.timingSafeEqual(token, SYNTHETIC_TOKEN);
+}
+
+/**
+ * Send one request and collect the status, the body (parsed when it is JSON) and the latency
+ */
+function sendRequest(url, { method, headers, body, signal }) {
+  const transport = url.startsWith('https:') ? https : http;
+  const payload = body === undefined ? undefined : JSON.stringify(body);
+  const startedAt = process.hrtime.bigint();
+
+  return new Promise((resolve, reject) => {
+    const req = transport.request(url, {
+      method,
+      headers: {
+        ...(payload && { 'Content-Type': 'application/json' }),
+        ...headers
+      },
+      signal
+    }, (res) => {
+      const chunks = [];
+      res.on('data', chunk => chunks.push(chunk));
+      res.on('end', () => {
+        const latencyMs = round(Number(process.hrtime.bigint() - startedAt) / 1e6);
+        const text = Buffer.concat(chunks).toString('utf8');
+        let parsed = text;
+        if (/json/.test(res.headers['content-type'] || '')) {
+          try {
+            parsed = JSON.parse(text);
+          } catch (error) {
+            // Reported by the body assertions
+          }
+        }
+        resolve({ statusCode: res.statusCode, body: parsed, latencyMs });
+      });
+      res.on('error', reject);
+    });
+
+    req.on('error', reject);
+    req.end(payload);
+  });
+}
+
+/**
+ * Runs request scenarios against the app's own API on a schedule and asserts on
+ * status codes, body fields and latency budgets. Scheduling and timeouts come from
+ * a private DependencyMonitor; results never change the instance's health status.
+ */
+class SyntheticMonitor extends EventEmitter {
+  /**
+   * @param {Object} options
+   * @param {Array} options.scenarios - Scenarios from loadSyntheticChecks(): name plus steps,
+   *   or a single request's method, path, headers, body and expect
+   * @param {number} options.intervalMs - Interval for scenarios without their own
+   * @param {number} options.timeoutMs - Deadline of a whole scenario run
+   * @param {number} options.latencyBudgetMs - maxLatencyMs for steps that do not set one
+   * @param {Function} options.request - Sends a step, for tests; defaults to node's http client
+   */
+  constructor({
+    scenarios = [],
+    intervalMs = DEFAULT_INTERVAL_MS,
+    timeoutMs = DEFAULT_TIMEOUT_MS,
+    latencyBudgetMs = DEFAULT_LATENCY_BUDGET_MS,
+    request = sendRequest
+  } = {}) {
+    super();
+    this.latencyBudgetMs = latencyBudgetMs;
+    this.request = request;
+    this.baseUrl = null;
+    this.scenarios = new Map();
+    this.results = new Map();
+    // Steps of the latest run per scenario, kept by the probe so a timed out run still shows its progress
+    this.runSteps = new Map();
+    this.metrics = null;
+    this.monitor = new DependencyMonitor({ defaults: { intervalMs, timeoutMs } });
+
+    scenarios.forEach(scenario => this.register(scenario));
+    this.monitor.on('check', (name, state) => this.recordResult(name, state));
+  }
+
+  /**
+   * Validate a scenario and schedule it with the monitor
+   */
+  register(definition) {
+    const { name, steps, intervalMs, timeoutMs, ...request } = definition;
+
+    if (!name) {
+      throw new Error('Synthetic check requires a name');
+    }
+
+    const scenario = {
+      name,
+      steps: (steps || [request]).map(step => ({ method: 'GET', headers: {}, expect: {}, ...step }))
+    };
+
+    if (scenario.steps.length === 0) {
+      throw new Error(`Synthetic check ${name} needs at least one step`);
+    }
+    scenario.steps.forEach(step => {
+      if (typeof step.path !== 'string' || !step.path.startsWith('/')) {
+        throw new Error(`Every step of synthetic check ${name} needs a path starting with /`);
+      }
+    });
+
+    this.monitor.register({
+      name,
+      critical: false,
+      intervalMs,
+      timeoutMs,
+      probe: (options, { signal }) => this.runScenario(scenario, signal)
+    });
+    this.scenarios.set(name, scenario);
+    this.results.set(name, { status: 'unknown', lastRun: null, durationMs: null, error: null, steps: [] });
+
+    return this;
+  }
+
+  /**
+   * Start running scenarios against baseUrl, e.g. http://127.0.0.1:3000
+   * @returns {Promise} Resolves once every scenario has run once
+   */
+  start(baseUrl) {
+    this.baseUrl = baseUrl;
+    return this.monitor.start();
+  }
+
+  stop() {
+    this.monitor.stop();
+  }
+
+  /**
+   * Run every scenario once, now
+   */
+  runAll() {
+    return this.monitor.runAll();
+  }
+
+  /**
+   * Send the steps of a scenario in order, stopping at the first failed one
+   */
+  async runScenario(scenario, signal) {
+    const steps = [];
+    this.runSteps.set(scenario.name, steps);
+
+    if (!this.baseUrl) {
+      throw new Error('Synthetic checks have no target URL');
+    }
+
+    for (const step of scenario.steps) {
+      const result = { method: step.method, path: step.path, statusCode: null, latencyMs: null, failures: [] };
+      steps.push(result);
+
+      let response;
+      try {
+        response = await this.request(new URL(step.path, this.baseUrl).href, {
+          method: step.method,
+          headers: {
+            ...step.headers,
+            'User-Agent': SYNTHETIC_USER_AGENT,
+            [SYNTHETIC_TOKEN_HEADER]: SYNTHETIC_TOKEN.toString()
+          },
+          body: step.body,
+          signal
+        });
+      } catch (error) {
+        result.failures.push(error.message);
+        throw new Error(`${step.method} ${step.path}: ${error.message}`);
+      }
+
+      result.statusCode = response.statusCode;
+      result.latencyMs = response.latencyMs;
+      result.failures = assertResponse(response, {
+        maxLatencyMs: this.latencyBudgetMs,
+        ...step.expect
+      });
+
+      if (result.failures.length > 0) {
+        throw new Error(`${step.method} ${step.path}: ${result.failures.join('; ')}`);
+      }
+    }
+
+    return { steps: steps.length };
+  }
+
+  /**
+   * Turn a finished monitor run into the scenario's result and update its metrics
+   */
+  recordResult(name, state) {
+    const previous = this.results.get(name);
+    const result = {
+      status: state.status === 'healthy' ? 'pass' : 'fail',
+      lastRun: state.lastCheck,
+      durationMs: state.latencyMs,
+      error: state.error,
+      steps: this.runSteps.get(name) || []
+    };
+
+    this.results.set(name, result);
+
+    if (this.metrics) {
+      this.metrics.runs.inc({ scenario: name, result: result.status });
+      this.metrics.duration.observe({ scenario: name }, result.durationMs / 1000);
+    }
+
+    this.emit('result', name, result);
+    if (previous.status !== result.status) {
+      this.emit('statusChange', name, result, previous.status);
+    }
+  }
+
+  /**
+   * Latest result per scenario: pass, fail or unknown before the first run
+   */
+  getResults() {
+    return Object.fromEntries(this.results);
+  }
+
+  /**
+   * Export pass/fail counts, run durations and whether each scenario currently passes
+   */
+  registerMetrics(registry) {
+    const synthetics = this;
+
+    new client.Gauge({
+      name: 'synthetic_check_success',
+      help: 'Whether the latest run of a synthetic check passed (1) or failed (0)',
+      labelNames: ['scenario'],
+      registers: [registry],
+      collect() {
+        synthetics.results.forEach((result, scenario) => {
+          if (result.status !== 'unknown') {
+            this.set({ scenario }, result.status === 'pass' ? 1 : 0);
+          }
+        });
+      }
+    });
+
+    this.metrics = {
+      runs: new client.Counter({
+        name: 'synthetic_check_runs_total',
+        help: 'Synthetic check runs by result',
+        labelNames: ['scenario', 'result'],
+        registers: [registry]
+      }),
+      duration: new client.Histogram({
+        name: 'synthetic_check_duration_seconds',
+        help: 'Duration of synthetic check runs in seconds',
+        labelNames: ['scenario'],
+        buckets: [0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10],
+        registers: [registry]
+      })
+    };
+
+    return this;
+  }
+}
+
+module.exports = SyntheticMonitor;
+module.exports.SYNTHETIC_USER_AGENT = SYNTHETIC_USER_AGENT;
+module.exports.isSyntheticRequest = isSyntheticRequest;
@@ -0,0 +1,36 @@
+const UNITS = {
+  ms: 1,
+  s: 1000,
+  m: 60 * 1000,
+  h: 60 * 60 * 1000,
+  d: 24 * 60 * 60 * 1000
+};
+
+/**
+ * Parse a duration such as "30s", "5m", "1h" or "7d" into milliseconds
+ * @param {string|number} value - Duration string, or a number of milliseconds
+ */
+function parseDuration(value) {
+  if (typeof value === 'number') return value;
+
+  const match = /^(\d+(?:\.\d+)?)(ms|s|m|h|d)$/.exec(String(value).trim());
+  if (!match) {
+    throw new Error(`Invalid duration "${value}", expected a number followed by ms, s, m, h or d`);
+  }
+
+  return parseFloat(match[1]) * UNITS[match[2]];
+}
+
+/**
+ * Parse a comma separated list of durations, keeping the original labels
+ * @returns {Array<{label: string, ms: number}>}
+ */
+function parseDurationList(value) {
+  return String(value)
+    .split(',')
+    .map(label => label.trim())
+    .filter(Boolean)
+    .map(label => ({ label, ms: parseDuration(label) }));
+}
+
+module.exports = { parseDuration, parseDurationList };
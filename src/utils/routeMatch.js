@@ -0,0 +1,18 @@
+// Probe, health and scrape endpoints polled by the orchestrator, load balancers and Prometheus
+const PROBE_PATH = /^\/(live|ready|startup|health|metrics)(\/|$)/;
+
+/**
+ * Match a request path against a route pattern: an exact path, a prefix ending in *, or * for every path
+ */
+function routeMatches(pattern, path) {
+  if (pattern === '*') return true;
+  if (pattern.endsWith('*')) return path.startsWith(pattern.slice(0, -1));
+  return pattern === path;
+}
+
+/**
+ * Whether a request path is a probe, health or metrics endpoint rather than application traffic
+ */
+const isProbePath = path => PROBE_PATH.test(path);
+
+module.exports = { routeMatches, isProbePath };
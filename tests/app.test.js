@@ -1,11 +1,15 @@
+process.env.ADMIN_TOKEN = 'test-admin-token';
+
 const request = require('supertest');
 const app = require('../src/app');
+const logger = require('../shared/utils/logger');
 
 describe('Health Monitoring Application', () => {
   let server;
 
-  beforeAll(() => {
+  beforeAll(async () => {
     server = app.listen(0); // Use random port for testing
+    await app.startup();
   });
 
   afterAll((done) => {
@@ -37,6 +41,11 @@ describe('Health Monitoring Application', () => {
         expect(response.body).toHaveProperty('uptime');
         expect(response.body).toHaveProperty('service', 'health-monitoring-app');
         expect(response.body).toHaveProperty('version', '1.0.0');
+        expect(response.body.build).toEqual({
+          gitSha: app.buildInfo.gitSha,
+          buildNumber: app.buildInfo.buildNumber,
+          buildTimestamp: app.buildInfo.buildTimestamp
+        });
       });
 
       it('should have valid timestamp format', async () => {
@@ -50,6 +59,50 @@ describe('Health Monitoring Application', () => {
       });
     });
 
+    describe('application/health+json', () => {
+      it('should keep plain JSON as the default format', async () => {
+        const response = await request(app)
+          .get('/health')
+          .set('Accept', '*/*')
+          .expect(200);
+
+        expect(response.headers['content-type']).toMatch(/^application\/json/);
+        expect(response.headers.vary).toMatch(/Accept/);
+        expect(response.body).toHaveProperty('status', 'healthy');
+      });
+
+      it('should return health+json when requested', async () => {
+        const response = await request(app)
+          .get('/health')
+          .set('Accept', 'application/health+json')
+          .expect(200);
+
+        expect(response.headers['content-type']).toMatch(/^application\/health\+json/);
+        const body = JSON.parse(response.text);
+        expect(body).toMatchObject({
+          status: 'pass',
+          releaseId: '1.0.0',
+          serviceId: 'health-monitoring-app'
+        });
+        expect(body.checks.uptime[0]).toMatchObject({ observedUnit: 's', status: 'pass' });
+        expect(body.checks.uptime[0]).toHaveProperty('time');
+      });
+
+      it('should include system checks on the detailed endpoint', async () => {
+        const response = await request(app)
+          .get('/health/detailed')
+          .set('Accept', 'application/health+json')
+          .expect(200);
+
+        const body = JSON.parse(response.text);
+        expect(body.checks['memory:heapUsed'][0]).toMatchObject({ observedUnit: 'bytes', status: 'pass' });
+        expect(body.checks['memory:heapUsed'][0].observedValue).toBeGreaterThan(0);
+        expect(body.checks['requests:total'][0].observedValue).toBeGreaterThan(0);
+        expect(body.checks['eventLoop:delay'][0]).toMatchObject({ observedUnit: 'ms', status: 'pass' });
+        expect(body.checks['memory:heapUsedRatio'][0].observedValue).toBeLessThan(1);
+      });
+    });
+
     describe('GET /health/detailed', () => {
       it('should return detailed health information', async () => {
         const response = await request(app)
@@ -65,6 +118,12 @@ describe('Health Monitoring Application', () => {
         expect(response.body.system).toHaveProperty('memory');
         expect(response.body.system).toHaveProperty('platform');
         expect(response.body.system).toHaveProperty('nodeVersion');
+        expect(response.body.system.memory.heapUsedBytes).toBeGreaterThan(0);
+        expect(response.body.system.memory.heapLimitBytes).toBeGreaterThan(0);
+        expect(response.body.system.eventLoop.delayMs).toHaveProperty('p99');
+        expect(response.body.system.gc).toHaveProperty('maxPauseMs');
+        expect(typeof response.body.system.activeHandles.total).toBe('number');
+        expect(response.body.runtime).toMatchObject({ status: 'healthy', problems: [] });
 
         // Check application metrics
         expect(response.body.application).toHaveProperty('requestCount');
@@ -72,6 +131,22 @@ describe('Health Monitoring Application', () => {
         expect(response.body.application).toHaveProperty('startTime');
       });
 
+      it('should degrade and fail on runtime thresholds', async () => {
+        const { thresholds } = app.runtimeMonitor;
+        try {
+          app.runtimeMonitor.thresholds = { ...thresholds, heapUsedRatio: { degraded: 0.0001, unhealthy: 1 } };
+          const degraded = await request(app).get('/health').expect(200);
+          expect(degraded.body.status).toBe('degraded');
+          expect(degraded.body.problems[0]).toMatch(/^heap usage is \d+% of the heap limit, degraded at 0.0001$/);
+
+          app.runtimeMonitor.thresholds = { ...thresholds, heapUsedRatio: { degraded: 0.0001, unhealthy: 0.0002 } };
+          const unhealthy = await request(app).get('/health/detailed').expect(503);
+          expect(unhealthy.body.runtime.signals.heapUsedRatio.status).toBe('unhealthy');
+        } finally {
+          app.runtimeMonitor.thresholds = thresholds;
+        }
+      });
+
       it('should track request count correctly', async () => {
         // Make multiple requests and verify count increases
         const initialResponse = await request(app).get('/health/detailed');
@@ -98,6 +173,66 @@ describe('Health Monitoring Application', () => {
       });
     });
 
+    describe('GET /live', () => {
+      it('should report the process as alive', async () => {
+        const response = await request(app)
+          .get('/live')
+          .expect(200);
+
+        expect(response.body).toHaveProperty('status', 'alive');
+        expect(response.body.problems).toEqual([]);
+      });
+    });
+
+    describe('GET /startup', () => {
+      it('should report startup as completed', async () => {
+        const response = await request(app)
+          .get('/startup')
+          .expect(200);
+
+        expect(response.body).toHaveProperty('status', 'started');
+        expect(response.body).toHaveProperty('phase', 'running');
+        expect(response.body.startupDurationMs).toBeGreaterThanOrEqual(0);
+      });
+    });
+
+    describe('GET /version', () => {
+      it('should return the version and build metadata', async () => {
+        const response = await request(app)
+          .get('/version')
+          .expect(200);
+
+        expect(response.body).toEqual({ service: 'health-monitoring-app', ...app.buildInfo });
+        expect(response.body).toHaveProperty('version', '1.0.0');
+        expect(response.body).toHaveProperty('gitSha');
+        expect(response.body).toHaveProperty('buildNumber');
+        expect(response.body).toHaveProperty('buildTimestamp');
+      });
+    });
+
+    describe('GET /slo', () => {
+      it('should report error budgets and burn rates of the API SLOs', async () => {
+        await request(app).get('/api/users').expect(200);
+
+        const response = await request(app)
+          .get('/slo')
+          .expect(200);
+
+        expect(response.body.burnWindows).toEqual(['5m', '30m', '1h', '6h']);
+        expect(response.body.slos['api-availability']).toMatchObject({
+          type: 'availability',
+          objective: 99.9,
+          routes: ['/api/*']
+        });
+        expect(response.body.slos['api-availability'].events.total).toBeGreaterThan(0);
+        expect(response.body.slos['api-latency'].burnRates).toHaveProperty('1h');
+
+        const metrics = await request(app).get('/metrics');
+        expect(metrics.text).toMatch(/slo_burn_rate\{slo="api-availability",window="1h"\} \d/);
+        expect(metrics.text).toContain('slo_objective_ratio{slo="api-latency"} 0.99');
+      });
+    });
+
     describe('GET /metrics', () => {
       it('should return prometheus-style metrics', async () => {
         const response = await request(app)
@@ -109,6 +244,19 @@ describe('Health Monitoring Application', () => {
         expect(response.text).toContain('app_requests_total');
         expect(response.text).toContain('app_errors_total');
         expect(response.text).toContain('app_memory_usage_bytes');
+        expect(response.text).toContain('app_heap_used_ratio');
+        expect(response.text).toContain('app_runtime_status 0');
+      });
+
+      it('should expose build metadata as app_build_info', async () => {
+        const response = await request(app)
+          .get('/metrics')
+          .expect(200);
+
+        const { version, gitSha, buildNumber, buildTimestamp } = app.buildInfo;
+        expect(response.text).toContain(
+          `app_build_info{version="${version}",git_sha="${gitSha}",build_number="${buildNumber}",build_timestamp="${buildTimestamp}"} 1`
+        );
       });
 
       it('should contain valid metric values', async () => {
@@ -134,6 +282,25 @@ describe('Health Monitoring Application', () => {
         expect(parseInt(errorsMatch[1])).toBeGreaterThanOrEqual(0);
         expect(parseInt(memoryMatch[1])).toBeGreaterThan(0);
       });
+
+      it('should expose request duration histogram and counters by route template', async () => {
+        const fault = app.faultInjector.add({ type: 'error', route: '/api/status', statusCode: 503 });
+        await request(app).get('/api/users').expect(200);
+        await request(app).get('/api/status').expect(503);
+        await request(app).get('/nonexistent').expect(404);
+        app.faultInjector.remove(fault.id);
+
+        const response = await request(app)
+          .get('/metrics')
+          .expect(200);
+
+        const metrics = response.text;
+        expect(metrics).toContain('# TYPE http_request_duration_seconds histogram');
+        expect(metrics).toMatch(/http_request_duration_seconds_bucket\{le="0.5",method="GET",route="\/api\/users",status_code="200"\} [1-9]/);
+        expect(metrics).toMatch(/http_requests_total\{method="GET",route="\/api\/users",status_code="200"\} [1-9]/);
+        expect(metrics).toMatch(/http_request_errors_total\{method="GET",route="unmatched",status_code="503"\} [1-9]/);
+        expect(metrics).toMatch(/http_requests_total\{method="GET",route="unmatched",status_code="404"\} [1-9]/);
+      });
     });
   });
 
@@ -181,14 +348,18 @@ describe('Health Monitoring Application', () => {
   });
 
   describe('Error Handling', () => {
-    describe('GET /error', () => {
-      it('should simulate error and track error count', async () => {
+    describe('Injected errors', () => {
+      it('should return the injected status and track error count', async () => {
         const initialResponse = await request(app).get('/health/detailed');
         const initialErrors = initialResponse.body.application.errors;
 
-        await request(app)
-          .get('/error')
+        const fault = app.faultInjector.add({ type: 'error', route: '/api/users' });
+        const response = await request(app)
+          .get('/api/users')
           .expect(500);
+        app.faultInjector.remove(fault.id);
+
+        expect(response.body.error).toBe(`Injected fault ${fault.id}`);
 
         const finalResponse = await request(app).get('/health/detailed');
         const finalErrors = finalResponse.body.application.errors;
@@ -206,6 +377,86 @@ describe('Health Monitoring Application', () => {
         expect(response.body).toHaveProperty('error', 'Endpoint not found');
       });
     });
+
+    describe('GET /health/errors', () => {
+      const errorsReport = path => request(app).get(path).set('Authorization', 'Bearer test-admin-token');
+
+      it('should require the admin token', async () => {
+        await request(app).get('/health/errors').expect(401);
+      });
+
+      it('should count error responses per route and group recent errors', async () => {
+        await request(app).get('/missing-page').set('X-Request-ID', 'missing-1').expect(404);
+        const fault = app.faultInjector.add({ type: 'error', route: '/api/status', statusCode: 502 });
+        await request(app).get('/api/status').expect(502);
+        await request(app).get('/api/status').expect(502);
+        app.faultInjector.remove(fault.id);
+
+        const response = await errorsReport('/health/errors').expect(200);
+
+        expect(response.body.totals['5xx']).toBeGreaterThanOrEqual(2);
+        expect(response.body.routes).toEqual(expect.arrayContaining([
+          expect.objectContaining({ method: 'GET', route: 'unmatched', byStatus: expect.objectContaining({ 404: expect.any(Number) }) })
+        ]));
+
+        // Every injected fault is thrown from the same place, so they share one group
+        const [injected] = response.body.errors;
+        expect(injected).toMatchObject({ type: 'exception', status: 502, lastPath: '/api/status' });
+        expect(injected.count).toBeGreaterThanOrEqual(2);
+        expect(response.body.errors.find(group => group.lastRequestId === 'missing-1')).toMatchObject({ status: 404 });
+
+        const serverErrors = await errorsReport('/health/errors?class=5xx').expect(200);
+        expect(serverErrors.body.errors.every(group => group.statusClass === '5xx')).toBe(true);
+
+        await errorsReport('/health/errors?class=3xx').expect(400);
+      });
+
+      it('should leave the deliberate 503s of the probes out', async () => {
+        app.maintenance.enable({ reason: 'test' });
+        await request(app).get('/ready').expect(503);
+        app.maintenance.disable();
+
+        const response = await errorsReport('/health/errors').expect(200);
+
+        expect(response.body.routes.map(counts => counts.route)).not.toContain('/ready');
+      });
+    });
+  });
+
+  describe('Request Correlation', () => {
+    it('should echo the request ID and trace context', async () => {
+      const traceId = '4bf92f3577b34da6a3ce929d0e0e4736';
+      const response = await request(app)
+        .get('/api/status')
+        .set('X-Request-ID', 'pipeline-123')
+        .set('traceparent', `00-${traceId}-00f067aa0ba902b7-01`)
+        .expect(200);
+
+      expect(response.headers['x-request-id']).toBe('pipeline-123');
+      expect(response.headers.traceparent).toMatch(new RegExp(`^00-${traceId}-[0-9a-f]{16}-01$`));
+    });
+
+    it('should return and log the request ID of failed requests', async () => {
+      const error = jest.spyOn(logger, 'error');
+      try {
+        const response = await request(app)
+          .post('/api/status')
+          .set('X-Request-ID', 'broken-body')
+          .set('Content-Type', 'application/json')
+          .send('{"invalid":')
+          .expect(400);
+
+        expect(response.body.requestId).toBe('broken-body');
+
+        expect(error).toHaveBeenCalledWith('Request failed', expect.objectContaining({
+          type: 'error',
+          requestId: 'broken-body',
+          path: '/api/status'
+        }));
+      } finally {
+        error.mockRestore();
+      }
+    });
   });
 
   describe('Security Headers', () => {
@@ -0,0 +1,53 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadBuildInfo } = require('../../src/config/buildInfo');
+const { version: packageVersion } = require('../../package.json');
+
+describe('loadBuildInfo', () => {
+  let dir;
+  let file;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'build-info-'));
+    file = path.join(dir, 'build-info.json');
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('should fall back to the package version when nothing was recorded', () => {
+    expect(loadBuildInfo({}, { file })).toEqual({
+      version: packageVersion,
+      gitSha: 'unknown',
+      buildNumber: 'unknown',
+      buildTimestamp: 'unknown'
+    });
+  });
+
+  it('should read the build-info file', () => {
+    fs.writeFileSync(file, JSON.stringify({
+      version: '2.1.0',
+      gitSha: 'abc1234',
+      buildNumber: '42',
+      buildTimestamp: '2024-01-01T00:00:00.000Z'
+    }));
+
+    expect(loadBuildInfo({ BUILD_INFO_FILE: file })).toEqual({
+      version: '2.1.0',
+      gitSha: 'abc1234',
+      buildNumber: '42',
+      buildTimestamp: '2024-01-01T00:00:00.000Z'
+    });
+  });
+
+  it('should let the environment override the file', () => {
+    fs.writeFileSync(file, JSON.stringify({ gitSha: 'abc1234', buildNumber: '42' }));
+
+    const buildInfo = loadBuildInfo({ GIT_COMMIT: 'def5678', APP_VERSION: '3.0.0' }, { file });
+
+    expect(buildInfo).toMatchObject({ version: '3.0.0', gitSha: 'def5678', buildNumber: '42' });
+    expect(loadBuildInfo({ GIT_SHA: 'fff0000', GIT_COMMIT: 'def5678' }, { file }).gitSha).toBe('fff0000');
+  });
+});
@@ -0,0 +1,23 @@
+const { loadRuntimeThresholds } = require('../../src/config/runtime');
+const { DEFAULT_RUNTIME_THRESHOLDS } = require('../../src/health/runtime');
+
+describe('loadRuntimeThresholds', () => {
+  it('should default every threshold', () => {
+    expect(loadRuntimeThresholds({})).toEqual(DEFAULT_RUNTIME_THRESHOLDS);
+  });
+
+  it('should read overrides from the environment', () => {
+    const thresholds = loadRuntimeThresholds({
+      RUNTIME_EVENT_LOOP_DELAY_DEGRADED_MS: '50',
+      RUNTIME_HEAP_USED_UNHEALTHY_RATIO: '0.9'
+    });
+
+    expect(thresholds.eventLoopDelayMs).toEqual({ degraded: 50, unhealthy: 1000 });
+    expect(thresholds.heapUsedRatio).toEqual({ degraded: 0.85, unhealthy: 0.9 });
+  });
+
+  it('should reject a degraded threshold above the unhealthy one', () => {
+    expect(() => loadRuntimeThresholds({ RUNTIME_GC_PAUSE_DEGRADED_MS: '600' }))
+      .toThrow(/RUNTIME_GC_PAUSE_DEGRADED_MS must not be above RUNTIME_GC_PAUSE_UNHEALTHY_MS/);
+  });
+});
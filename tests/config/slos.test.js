@@ -0,0 +1,25 @@
+const { loadSlos, DEFAULT_SLOS } = require('../../src/config/slos');
+
+describe('loadSlos', () => {
+  it('should default to API availability and latency objectives', () => {
+    expect(loadSlos({})).toEqual({ slos: DEFAULT_SLOS, burnWindows: undefined });
+  });
+
+  it('should read inline SLOs and burn windows', () => {
+    const slos = [{ name: 'checkout', type: 'availability', objective: 99.95 }];
+
+    expect(loadSlos({ SLOS: JSON.stringify(slos), SLO_BURN_WINDOWS: '1h,6h' })).toEqual({
+      slos,
+      burnWindows: '1h,6h'
+    });
+  });
+
+  it('should reject invalid definitions', () => {
+    const load = slos => () => loadSlos({ SLOS: JSON.stringify(slos) });
+
+    expect(load({ name: 'x' })).toThrow(/JSON array/);
+    expect(load([{ name: 'x', type: 'throughput', objective: 99 }])).toThrow(/type of availability or latency/);
+    expect(load([{ name: 'x', type: 'availability', objective: 100 }])).toThrow(/objective/);
+    expect(load([{ name: 'x', type: 'latency', objective: 99 }])).toThrow(/thresholdMs/);
+  });
+});
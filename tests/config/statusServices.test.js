@@ -0,0 +1,24 @@
+const { loadStatusServices } = require('../../src/config/statusServices');
+
+describe('loadStatusServices', () => {
+  it('should default to no services', () => {
+    expect(loadStatusServices({}).checks).toEqual([]);
+  });
+
+  it('should probe services over HTTP unless they declare a type', () => {
+    const { checks, defaults } = loadStatusServices({
+      STATUS_SERVICES: JSON.stringify([
+        { name: 'backend', url: 'http://backend:3001/api/health' },
+        { name: 'mongodb', type: 'tcp', host: 'mongodb', port: 27017 }
+      ]),
+      STATUS_CHECK_INTERVAL: '60000'
+    });
+
+    expect(checks.map(check => check.type)).toEqual(['http', 'tcp']);
+    expect(defaults).toEqual({ intervalMs: 60000, timeoutMs: undefined });
+  });
+
+  it('should reject anything but an array', () => {
+    expect(() => loadStatusServices({ STATUS_SERVICES: '{}' })).toThrow(/Status services must be configured as a JSON array/);
+  });
+});
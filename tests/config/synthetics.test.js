@@ -0,0 +1,31 @@
+const { loadSyntheticChecks, DEFAULT_SYNTHETIC_CHECKS } = require('../../src/config/synthetics');
+
+describe('loadSyntheticChecks', () => {
+  it('should check the sample API by default', () => {
+    const { scenarios, intervalMs } = loadSyntheticChecks({});
+
+    expect(scenarios).toBe(DEFAULT_SYNTHETIC_CHECKS);
+    expect(scenarios.map(scenario => scenario.path)).toEqual(['/api/users', '/api/status']);
+    expect(intervalMs).toBeUndefined();
+  });
+
+  it('should read scenarios and timings from the environment', () => {
+    const config = loadSyntheticChecks({
+      SYNTHETIC_CHECKS: JSON.stringify([{ name: 'home', path: '/' }]),
+      SYNTHETIC_CHECK_INTERVAL: '30000',
+      SYNTHETIC_CHECK_TIMEOUT: '2000',
+      SYNTHETIC_LATENCY_BUDGET_MS: '250'
+    });
+
+    expect(config).toEqual({
+      scenarios: [{ name: 'home', path: '/' }],
+      intervalMs: 30000,
+      timeoutMs: 2000,
+      latencyBudgetMs: 250
+    });
+  });
+
+  it('should reject anything but an array', () => {
+    expect(() => loadSyntheticChecks({ SYNTHETIC_CHECKS: '{}' })).toThrow(/Synthetic checks must be configured as a JSON array/);
+  });
+});
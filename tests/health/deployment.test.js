@@ -0,0 +1,80 @@
+const { evaluateDeployment } = require('../../src/health/deployment');
+
+describe('evaluateDeployment', () => {
+  const buildInfo = {
+    version: '1.2.0',
+    gitSha: '3f2a9c1d8e7b6a5f4e3d2c1b0a9f8e7d6c5b4a39',
+    buildNumber: '57',
+    buildTimestamp: '2024-01-01T00:00:00.000Z'
+  };
+
+  const dependencies = {
+    database: { critical: true, status: 'healthy' },
+    cache: { critical: false, status: 'unhealthy' }
+  };
+
+  const totals = {
+    database: { checks: 10, failures: 0, lastFailure: null },
+    cache: { checks: 10, failures: 10, lastFailure: null }
+  };
+
+  const evaluate = (overrides = {}) => evaluateDeployment({
+    buildInfo,
+    expected: {},
+    dependencies,
+    totalsFor: name => totals[name],
+    requests: { total: 100, errors: 1 },
+    maxErrorRate: 0.05,
+    started: true,
+    ...overrides
+  });
+
+  it('should pass a started instance of the expected build', () => {
+    const result = evaluate({ expected: { version: '1.2.0', sha: '3f2a9c1' } });
+
+    expect(result.status).toBe('pass');
+    expect(result.reasons).toEqual([]);
+    expect(result.checks.sha).toMatchObject({ expected: '3f2a9c1', pass: true });
+    expect(result.checks.errorRate).toMatchObject({ rate: 0.01, pass: true });
+  });
+
+  it('should ignore optional dependency failures', () => {
+    const result = evaluate();
+
+    expect(result.checks.criticalDependencies.dependencies).toEqual({ database: totals.database });
+    expect(result.status).toBe('pass');
+  });
+
+  it('should reject a different or ambiguous git SHA', () => {
+    expect(evaluate({ expected: { sha: 'deadbee' } }).reasons).toEqual([
+      `git SHA ${buildInfo.gitSha} does not match expected deadbee`
+    ]);
+    expect(evaluate({ expected: { sha: '3f2a' } }).status).toBe('fail');
+    expect(evaluate({ expected: { sha: '3F2A9C1D' } }).status).toBe('pass');
+  });
+
+  it('should fail when a critical dependency failed or was never checked', () => {
+    const failed = evaluate({
+      totalsFor: () => ({ checks: 12, failures: 2, lastFailure: { at: new Date(), error: 'timeout' } })
+    });
+    expect(failed.reasons).toEqual(['critical dependency database failed 2 of 12 checks since startup']);
+
+    const unchecked = evaluate({ totalsFor: () => ({ checks: 0, failures: 0, lastFailure: null }) });
+    expect(unchecked.reasons).toEqual(['critical dependency database has not been checked yet']);
+  });
+
+  it('should fail above the error rate threshold', () => {
+    const result = evaluate({ requests: { total: 40, errors: 4 } });
+
+    expect(result.status).toBe('fail');
+    expect(result.reasons).toEqual(['error rate 10.00% since startup exceeds 5.00%']);
+    expect(result.checks.errorRate).toMatchObject({ rate: 0.1, threshold: 0.05, pass: false });
+  });
+
+  it('should fail before startup completed and treat no traffic as no errors', () => {
+    const result = evaluate({ started: false, requests: { total: 0, errors: 0 } });
+
+    expect(result.reasons).toEqual(['startup has not completed']);
+    expect(result.checks.errorRate.rate).toBe(0);
+  });
+});
@@ -0,0 +1,66 @@
+const {
+  toCheckStatus,
+  dependencyChecks,
+  systemCheck,
+  formatHealthJson
+} = require('../../src/health/healthJson');
+
+describe('health+json', () => {
+  it('should map service states to pass/warn/fail', () => {
+    expect(toCheckStatus('healthy')).toBe('pass');
+    expect(toCheckStatus('degraded')).toBe('warn');
+    expect(toCheckStatus('unhealthy')).toBe('fail');
+    expect(toCheckStatus('unknown')).toBe('warn');
+  });
+
+  it('should turn dependency results into responseTime checks', () => {
+    const lastCheck = new Date('2026-01-01T00:00:00.000Z');
+
+    expect(dependencyChecks({
+      redis: { type: 'redis', status: 'unhealthy', latencyMs: 3.2, lastCheck, error: 'ECONNREFUSED' },
+      api: { type: 'http', status: 'unknown', latencyMs: null, lastCheck: null, error: null }
+    })).toEqual({
+      'redis:responseTime': [{
+        componentId: 'redis',
+        componentType: 'datastore',
+        observedValue: 3.2,
+        observedUnit: 'ms',
+        status: 'fail',
+        time: '2026-01-01T00:00:00.000Z',
+        output: 'ECONNREFUSED'
+      }],
+      'api:responseTime': [{
+        componentId: 'api',
+        componentType: 'component',
+        observedValue: null,
+        observedUnit: 'ms',
+        status: 'warn',
+        time: null
+      }]
+    });
+  });
+
+  it('should build the top-level document', () => {
+    const document = formatHealthJson({
+      status: 'degraded',
+      serviceId: 'health-monitoring-app',
+      version: '1',
+      releaseId: '1.0.0',
+      description: 'Test service',
+      checks: { uptime: systemCheck(12, 's', 'now') },
+      output: 'optional dependencies failing: api'
+    });
+
+    expect(document).toEqual({
+      status: 'warn',
+      version: '1',
+      releaseId: '1.0.0',
+      serviceId: 'health-monitoring-app',
+      description: 'Test service',
+      output: 'optional dependencies failing: api',
+      checks: {
+        uptime: [{ componentType: 'system', observedValue: 12, observedUnit: 's', status: 'pass', time: 'now' }]
+      }
+    });
+  });
+});
@@ -0,0 +1,42 @@
+const { evaluateRuntime, DEFAULT_RUNTIME_THRESHOLDS } = require('../../src/health/runtime');
+
+describe('evaluateRuntime', () => {
+  const stats = ({ p99 = 12, maxPauseMs = 5, heapUsedRatio = 0.4 } = {}) => ({
+    eventLoop: { delayMs: { p99 } },
+    gc: { maxPauseMs },
+    memory: { heapUsedRatio }
+  });
+
+  it('should be healthy below every threshold', () => {
+    const result = evaluateRuntime(stats());
+
+    expect(result.status).toBe('healthy');
+    expect(result.problems).toEqual([]);
+    expect(result.signals.eventLoopDelayMs).toEqual({ value: 12, status: 'healthy', degraded: 200, unhealthy: 1000 });
+  });
+
+  it('should degrade on a slow event loop and fail on heap exhaustion', () => {
+    expect(evaluateRuntime(stats({ p99: 250 }))).toMatchObject({
+      status: 'degraded',
+      problems: ['p99 event loop delay is 250ms, degraded at 200']
+    });
+
+    expect(evaluateRuntime(stats({ p99: 250, heapUsedRatio: 0.97 }))).toMatchObject({
+      status: 'unhealthy',
+      problems: [
+        'p99 event loop delay is 250ms, degraded at 200',
+        'heap usage is 97% of the heap limit, unhealthy at 0.95'
+      ]
+    });
+  });
+
+  it('should treat signals without samples as healthy', () => {
+    expect(evaluateRuntime(stats({ p99: null })).status).toBe('healthy');
+  });
+
+  it('should apply custom thresholds', () => {
+    const thresholds = { ...DEFAULT_RUNTIME_THRESHOLDS, gcPauseMs: { degraded: 1, unhealthy: 4 } };
+
+    expect(evaluateRuntime(stats(), thresholds).signals.gcPauseMs.status).toBe('unhealthy');
+  });
+});
@@ -0,0 +1,59 @@
+const {
+  worstStatus,
+  httpStatusFor,
+  evaluateDependencies,
+  unreadyDependencies
+} = require('../../src/health/status');
+
+describe('Health status', () => {
+  const dependencies = {
+    database: { critical: true, status: 'healthy' },
+    externalApi: { critical: false, status: 'healthy' },
+    redis: { critical: true, status: 'healthy' }
+  };
+
+  it('should be healthy when every dependency passes', () => {
+    expect(evaluateDependencies(dependencies)).toEqual({
+      status: 'healthy',
+      failing: { critical: [], optional: [] }
+    });
+  });
+
+  it('should degrade when an optional dependency fails', () => {
+    const result = evaluateDependencies({
+      ...dependencies,
+      externalApi: { critical: false, status: 'unhealthy' }
+    });
+
+    expect(result.status).toBe('degraded');
+    expect(result.failing.optional).toEqual(['externalApi']);
+  });
+
+  it('should be unhealthy when a critical dependency fails', () => {
+    const result = evaluateDependencies({
+      ...dependencies,
+      externalApi: { critical: false, status: 'unhealthy' },
+      redis: { critical: true, status: 'unhealthy' }
+    });
+
+    expect(result.status).toBe('unhealthy');
+    expect(result.failing).toEqual({ critical: ['redis'], optional: ['externalApi'] });
+  });
+
+  it('should only hold readiness on critical dependencies that have not passed', () => {
+    expect(unreadyDependencies({
+      ...dependencies,
+      database: { critical: true, status: 'unknown' },
+      externalApi: { critical: false, status: 'unhealthy' }
+    })).toEqual(['database']);
+  });
+
+  it('should map states to HTTP codes and pick the worst state', () => {
+    expect(httpStatusFor('healthy')).toBe(200);
+    expect(httpStatusFor('degraded')).toBe(200);
+    expect(httpStatusFor('unhealthy')).toBe(503);
+    expect(worstStatus('healthy', 'degraded', 'healthy')).toBe('degraded');
+    expect(worstStatus('degraded', 'unhealthy')).toBe('unhealthy');
+    expect(worstStatus()).toBe('healthy');
+  });
+});
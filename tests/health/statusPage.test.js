@@ -0,0 +1,66 @@
+const { renderStatusPage, escapeHtml } = require('../../src/health/statusPage');
+
+describe('renderStatusPage', () => {
+  const status = {
+    timestamp: '2024-01-01T12:00:00.000Z',
+    status: 'degraded',
+    windows: ['24h'],
+    services: {
+      backend: {
+        url: 'http://backend:3001/api/health',
+        status: 'healthy',
+        latencyMs: 12.4,
+        error: null,
+        uptime: { '24h': 99.5 }
+      },
+      grafana: {
+        url: 'http://grafana:3000/api/health',
+        status: 'unhealthy',
+        latencyMs: 5000,
+        error: 'Timed out <after> 5000ms',
+        uptime: { '24h': null }
+      }
+    },
+    incidents: [{
+      service: 'grafana',
+      startedAt: new Date('2024-01-01T11:00:00.000Z'),
+      resolvedAt: null,
+      durationMs: null,
+      error: 'Timed out'
+    }, {
+      service: 'backend',
+      startedAt: new Date('2024-01-01T09:00:00.000Z'),
+      resolvedAt: new Date('2024-01-01T10:30:00.000Z'),
+      durationMs: 90 * 60 * 1000,
+      error: null
+    }]
+  };
+
+  it('should render the overall state, services and incidents', () => {
+    const html = renderStatusPage(status);
+
+    expect(html).toMatch(/^<!DOCTYPE html>/);
+    expect(html).toContain('Partial outage');
+    expect(html).toContain('<th>Uptime 24h</th>');
+    expect(html).toContain('99.5%');
+    expect(html).toContain('12 ms');
+    expect(html).toContain('down since 2024-01-01T11:00:00.000Z, ongoing');
+    expect(html).toContain('resolved after 1h 30m');
+  });
+
+  it('should escape values coming from downstream services', () => {
+    const html = renderStatusPage(status);
+
+    expect(html).toContain('Timed out &lt;after&gt; 5000ms');
+    expect(html).not.toContain('<after>');
+    expect(escapeHtml('"a" & \'b\'')).toBe('&quot;a&quot; &amp; &#39;b&#39;');
+  });
+
+  it('should explain how to configure an empty page', () => {
+    const html = renderStatusPage({ status: 'unknown', windows: ['24h'], services: {}, incidents: [] });
+
+    expect(html).toContain('Status unknown');
+    expect(html).toContain('No services configured, set STATUS_SERVICES');
+    expect(html).toContain('No recent incidents.');
+  });
+});
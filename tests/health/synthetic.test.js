@@ -0,0 +1,58 @@
+const { getField, assertResponse, syntheticChecks } = require('../../src/health/synthetic');
+
+describe('synthetic check assertions', () => {
+  const response = {
+    statusCode: 200,
+    body: { users: [{ id: 1, email: 'john@example.com' }], total: 1 },
+    latencyMs: 120
+  };
+
+  it('should read dotted paths', () => {
+    expect(getField(response.body, 'users.0.email')).toBe('john@example.com');
+    expect(getField(response.body, 'users.3.email')).toBeUndefined();
+    expect(getField('plain text', 'total')).toBeUndefined();
+  });
+
+  it('should pass a response that meets every expectation', () => {
+    expect(assertResponse(response, {
+      status: [200, 204],
+      body: { total: 1, 'users.0': { id: 1, email: 'john@example.com' } },
+      fields: ['users.0.id'],
+      maxLatencyMs: 500
+    })).toEqual([]);
+  });
+
+  it('should list every failed assertion', () => {
+    expect(assertResponse(response, {
+      status: 201,
+      body: { total: 2 },
+      fields: ['nextCursor'],
+      maxLatencyMs: 100
+    })).toEqual([
+      'expected status 201, got 200',
+      'expected total to be 2, got 1',
+      'expected field nextCursor',
+      'took 120ms, budget is 100ms'
+    ]);
+  });
+
+  it('should expect a 200 by default', () => {
+    expect(assertResponse({ ...response, statusCode: 500 })).toEqual(['expected status 200, got 500']);
+  });
+
+  it('should report results as health+json checks', () => {
+    const lastRun = new Date('2024-05-01T12:00:00.000Z');
+    const checks = syntheticChecks({
+      users: { status: 'fail', lastRun, durationMs: 12.5, error: 'GET /api/users: expected status 200, got 503' },
+      status: { status: 'unknown', lastRun: null, durationMs: null, error: null }
+    });
+
+    expect(checks['synthetic:users'][0]).toMatchObject({
+      status: 'fail',
+      observedValue: 12.5,
+      time: '2024-05-01T12:00:00.000Z',
+      output: 'GET /api/users: expected status 200, got 503'
+    });
+    expect(checks['synthetic:status'][0].status).toBe('warn');
+  });
+});
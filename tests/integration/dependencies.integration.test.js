@@ -0,0 +1,157 @@
+const request = require('supertest');
+const app = require('../../src/app');
+
+const { dependencyMonitor } = app;
+
+describe('Dependency Criticality Integration Tests', () => {
+  const state = { database: true, externalApi: true };
+
+  beforeAll(() => {
+    dependencyMonitor.register({
+      name: 'database',
+      critical: true,
+      probe: async () => { if (!state.database) throw new Error('connection refused'); }
+    });
+    dependencyMonitor.register({
+      name: 'externalApi',
+      critical: false,
+      probe: async () => { if (!state.externalApi) throw new Error('503 from upstream'); }
+    });
+  });
+
+  it('should not be started or ready before the startup sequence has run', async () => {
+    const startup = await request(app)
+      .get('/startup')
+      .expect(503);
+    expect(startup.body.status).toBe('starting');
+
+    const ready = await request(app)
+      .get('/ready')
+      .expect(503);
+    expect(ready.body.reason).toBe('starting');
+  });
+
+  it('should wait for warm-up tasks before reporting started', async () => {
+    let finishWarmup;
+    app.lifecycle.registerWarmupTask('primeCache', () => new Promise(resolve => { finishWarmup = resolve; }));
+
+    const started = app.startup();
+    await dependencyMonitor.initialRound;
+
+    const during = await request(app).get('/startup').expect(503);
+    expect(during.body.warmupTasks.primeCache.status).toBe('running');
+
+    finishWarmup();
+    await expect(started).resolves.toBe(true);
+
+    const after = await request(app).get('/startup').expect(200);
+    expect(after.body.warmupTasks.primeCache.status).toBe('completed');
+  });
+
+  it('should be healthy and ready when all dependencies pass', async () => {
+    const health = await request(app).get('/health').expect(200);
+    expect(health.body.status).toBe('healthy');
+
+    const ready = await request(app).get('/ready').expect(200);
+    expect(ready.body.status).toBe('ready');
+  });
+
+  it('should pass the deployment gate for the expected build', async () => {
+    const { version, gitSha } = app.buildInfo;
+    const response = await request(app)
+      .get(`/health/deployment?version=${version}&sha=${gitSha}`)
+      .expect(200);
+
+    expect(response.body).toMatchObject({ status: 'pass', reasons: [] });
+    expect(response.body.checks.version).toMatchObject({ expected: version, pass: true });
+    expect(response.body.checks.criticalDependencies.dependencies.database).toMatchObject({ failures: 0 });
+
+    const mismatch = await request(app)
+      .get('/health/deployment?version=9.9.9')
+      .expect(503);
+    expect(mismatch.body.reasons).toEqual([`version ${version} does not match expected 9.9.9`]);
+
+    await request(app).get('/health/deployment?maxErrorRate=2').expect(400);
+  });
+
+  it('should degrade but stay ready when an optional dependency fails', async () => {
+    state.externalApi = false;
+    await dependencyMonitor.runAll();
+
+    const health = await request(app).get('/health').expect(200);
+    expect(health.body.status).toBe('degraded');
+
+    const detailed = await request(app).get('/health/detailed').expect(200);
+    expect(detailed.body.dependencies.externalApi).toMatchObject({ critical: false, status: 'unhealthy' });
+    expect(detailed.body.failingDependencies.optional).toEqual(['externalApi']);
+
+    const ready = await request(app).get('/ready').expect(200);
+    expect(ready.body.health).toBe('degraded');
+  });
+
+  it('should be unhealthy and not ready when a critical dependency fails', async () => {
+    state.database = false;
+    await dependencyMonitor.runAll();
+
+    const health = await request(app).get('/health').expect(503);
+    expect(health.body.status).toBe('unhealthy');
+
+    const ready = await request(app).get('/ready').expect(503);
+    expect(ready.body.unreadyDependencies).toEqual(['database']);
+  });
+
+  it('should report failing checks in health+json', async () => {
+    const response = await request(app)
+      .get('/health')
+      .set('Accept', 'application/health+json')
+      .expect(503);
+
+    const body = JSON.parse(response.text);
+    expect(body.status).toBe('fail');
+    expect(body.output).toMatch(/critical dependencies failing: database/);
+    expect(body.checks['database:responseTime'][0]).toMatchObject({
+      status: 'fail',
+      observedUnit: 'ms',
+      output: 'connection refused'
+    });
+    expect(body.checks['externalApi:responseTime'][0].status).toBe('fail');
+  });
+
+  it('should expose history and transitions for each dependency', async () => {
+    const response = await request(app)
+      .get('/health/history?dependency=database')
+      .expect(200);
+
+    expect(response.body.windows).toEqual(['5m', '1h', '24h']);
+    expect(Object.keys(response.body.dependencies)).toEqual(['database']);
+    expect(response.body.dependencies.database.recentTransitions[0]).toMatchObject({ from: 'healthy', to: 'unhealthy' });
+    expect(response.body.dependencies.database.windows['5m'].failures).toBe(1);
+
+    await request(app).get('/health/history?dependency=unknown').expect(404);
+
+    const metrics = await request(app).get('/metrics');
+    expect(metrics.text).toContain('dependency_up{dependency="database"} 0');
+    expect(metrics.text).toContain('dependency_state_transitions_total{dependency="database"} 1');
+  });
+
+  it('should fail the deployment gate once a critical dependency failed', async () => {
+    const response = await request(app)
+      .get('/health/deployment')
+      .expect(503);
+
+    expect(response.body.status).toBe('fail');
+    expect(response.body.reasons).toEqual([
+      expect.stringMatching(/^critical dependency database failed 1 of \d+ checks since startup$/)
+    ]);
+    expect(response.body.checks.criticalDependencies.dependencies.database.lastFailure.error).toBe('connection refused');
+  });
+
+  it('should stay alive while dependencies fail', async () => {
+    const live = await request(app).get('/live').expect(200);
+    expect(live.body.status).toBe('alive');
+  });
+
+  afterAll(() => {
+    dependencyMonitor.stop();
+  });
+});
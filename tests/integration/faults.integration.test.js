@@ -0,0 +1,91 @@
+process.env.ADMIN_TOKEN = 'test-admin-token';
+
+const request = require('supertest');
+const app = require('../../src/app');
+
+describe('Fault Injection Integration Tests', () => {
+  let server;
+
+  beforeAll(async () => {
+    server = app.listen(0);
+    await app.startup();
+  });
+
+  afterAll((done) => {
+    app.faultInjector.clear();
+    server.close(done);
+  });
+
+  it('should require the admin token', async () => {
+    await request(app).get('/admin/faults').expect(401);
+    await request(app)
+      .get('/admin/faults')
+      .set('Authorization', 'Bearer wrong-token')
+      .expect(401);
+  });
+
+  it('should inject, list and remove faults through the admin API', async () => {
+    const created = await request(app)
+      .post('/admin/faults')
+      .set('Authorization', 'Bearer test-admin-token')
+      .send({ type: 'error', route: '/api/users', statusCode: 502, ttlSeconds: 30 })
+      .expect(201);
+
+    await request(app).get('/api/users').expect(502);
+    await request(app).get('/api/status').expect(200);
+
+    const listed = await request(app)
+      .get('/admin/faults')
+      .set('X-Admin-Token', 'test-admin-token')
+      .expect(200);
+    expect(listed.body.faults.map(fault => fault.id)).toEqual([created.body.id]);
+
+    const detailed = await request(app).get('/health/detailed');
+    expect(detailed.body.faults.active).toHaveLength(1);
+
+    const metrics = await request(app).get('/metrics');
+    expect(metrics.text).toContain('app_active_faults{type="error"} 1');
+
+    await request(app)
+      .delete(`/admin/faults/${created.body.id}`)
+      .set('Authorization', 'Bearer test-admin-token')
+      .expect(204);
+
+    await request(app).get('/api/users').expect(200);
+    await request(app)
+      .delete(`/admin/faults/${created.body.id}`)
+      .set('Authorization', 'Bearer test-admin-token')
+      .expect(404);
+  });
+
+  it('should judge the deployment by the 5xx responses of application routes only', async () => {
+    const errorRate = async () => (await request(app).get('/health/deployment')).body.checks.errorRate;
+    const before = await errorRate();
+
+    app.faultInjector.add({ type: 'error', route: '/api/users', statusCode: 502 });
+    await request(app).get('/api/users').expect(502);
+    app.faultInjector.clear();
+    await request(app).get('/api/status').expect(200);
+    await request(app).get('/api/unknown').expect(404);
+
+    app.maintenance.enable({ reason: 'test' });
+    await request(app).get('/ready').expect(503);
+    app.maintenance.disable();
+    await request(app).get('/live').expect(200);
+    await request(app).get('/metrics').expect(200);
+
+    const after = await errorRate();
+    expect(after.requests - before.requests).toBe(3);
+    expect(after.errors - before.errors).toBe(1);
+  });
+
+  it('should reject invalid fault definitions', async () => {
+    const response = await request(app)
+      .post('/admin/faults')
+      .set('Authorization', 'Bearer test-admin-token')
+      .send({ type: 'latency' })
+      .expect(400);
+
+    expect(response.body.error).toMatch(/delayMs/);
+  });
+});
@@ -4,8 +4,9 @@ const app = require('../../src/app');
 describe('Health Check Integration Tests', () => {
   let server;
 
-  beforeAll(() => {
+  beforeAll(async () => {
     server = app.listen(0);
+    await app.startup();
   });
 
   afterAll((done) => {
@@ -82,9 +83,11 @@ describe('Health Check Integration Tests', () => {
   describe('Error Recovery Testing', () => {
     it('should recover after errors and maintain health', async () => {
       // Generate some errors
-      await request(app).get('/error').expect(500);
-      await request(app).get('/error').expect(500);
-      await request(app).get('/error').expect(500);
+      const fault = app.faultInjector.add({ type: 'error', route: '/api/*' });
+      await request(app).get('/api/status').expect(500);
+      await request(app).get('/api/users').expect(500);
+      await request(app).get('/api/status').expect(500);
+      app.faultInjector.remove(fault.id);
 
       // Health check should still pass
       const healthResponse = await request(app)
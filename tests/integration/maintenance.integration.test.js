@@ -0,0 +1,99 @@
+process.env.ADMIN_TOKEN = 'test-admin-token';
+
+const request = require('supertest');
+const app = require('../../src/app');
+
+describe('Maintenance Mode Integration Tests', () => {
+  let server;
+
+  beforeAll(async () => {
+    server = app.listen(0);
+    await app.startup();
+  });
+
+  afterAll((done) => {
+    app.maintenance.disable();
+    server.close(done);
+  });
+
+  it('should require the admin token', async () => {
+    await request(app).post('/admin/maintenance').expect(401);
+  });
+
+  it('should take the instance out of rotation while maintenance is on', async () => {
+    await request(app).get('/ready').expect(200);
+
+    await request(app)
+      .post('/admin/maintenance')
+      .set('Authorization', 'Bearer test-admin-token')
+      .send({ reason: 'Database migration', durationSeconds: 600 })
+      .expect(201);
+
+    const ready = await request(app).get('/ready').expect(503);
+    expect(ready.body).toMatchObject({
+      status: 'not ready',
+      reason: 'maintenance',
+      maintenance: { source: 'manual', reason: 'Database migration' }
+    });
+    expect(Number(ready.headers['retry-after'])).toBeGreaterThan(590);
+
+    const health = await request(app).get('/health').expect(200);
+    expect(health.body.maintenance).toMatchObject({ active: true, reason: 'Database migration' });
+
+    const healthJson = await request(app).get('/health').set('Accept', 'application/health+json');
+    expect(healthJson.body.checks.maintenance[0]).toMatchObject({ status: 'warn', output: 'Database migration' });
+
+    const metrics = await request(app).get('/metrics');
+    expect(metrics.text).toContain('app_maintenance_mode 1');
+
+    await request(app)
+      .delete('/admin/maintenance')
+      .set('Authorization', 'Bearer test-admin-token')
+      .expect(204);
+
+    await request(app).get('/ready').expect(200);
+    const after = await request(app).get('/health');
+    expect(after.body.maintenance).toBeUndefined();
+  });
+
+  it('should schedule and cancel maintenance windows', async () => {
+    const start = new Date(Date.now() - 1000).toISOString();
+    const end = new Date(Date.now() + 60000).toISOString();
+
+    const created = await request(app)
+      .post('/admin/maintenance/windows')
+      .set('Authorization', 'Bearer test-admin-token')
+      .send({ start, end, reason: 'Kernel upgrade' })
+      .expect(201);
+
+    const ready = await request(app).get('/ready').expect(503);
+    expect(ready.body.maintenance).toMatchObject({ source: 'scheduled', reason: 'Kernel upgrade' });
+
+    const listed = await request(app)
+      .get('/admin/maintenance')
+      .set('Authorization', 'Bearer test-admin-token')
+      .expect(200);
+    expect(listed.body.windows.map(window => window.id)).toEqual([created.body.id]);
+
+    await request(app)
+      .delete(`/admin/maintenance/windows/${created.body.id}`)
+      .set('Authorization', 'Bearer test-admin-token')
+      .expect(204);
+    await request(app)
+      .delete(`/admin/maintenance/windows/${created.body.id}`)
+      .set('Authorization', 'Bearer test-admin-token')
+      .expect(404);
+
+    await request(app).get('/ready').expect(200);
+  });
+
+  it('should reject invalid windows', async () => {
+    const response = await request(app)
+      .post('/admin/maintenance/windows')
+      .set('Authorization', 'Bearer test-admin-token')
+      .send({ start: 'tomorrow' })
+      .expect(400);
+
+    expect(response.body.error).toMatch(/start must be/);
+  });
+});
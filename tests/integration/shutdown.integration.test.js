@@ -0,0 +1,30 @@
+const request = require('supertest');
+const app = require('../../src/app');
+
+describe('Graceful Shutdown Integration Tests', () => {
+  let server;
+
+  beforeAll(async () => {
+    server = app.listen(0);
+    await app.startup();
+  });
+
+  it('should flip readiness and expose the shutdown phase while draining', async () => {
+    await request(app).get('/ready').expect(200);
+
+    const shutdown = app.lifecycle.shutdown({ server, signal: 'SIGTERM', drainMs: 200, timeoutMs: 1000 });
+
+    const ready = await request(app)
+      .get('/ready')
+      .expect(503);
+    expect(ready.body).toMatchObject({ status: 'not ready', reason: 'shutting down', phase: 'draining' });
+
+    const detailed = await request(app).get('/health/detailed');
+    expect(detailed.body.lifecycle.phase).toBe('draining');
+    expect(detailed.body.lifecycle.shutdown).toMatchObject({ signal: 'SIGTERM', drainMs: 200 });
+
+    await expect(shutdown).resolves.toMatchObject({ forced: false });
+    expect(app.lifecycle.phase).toBe('stopped');
+    expect(server.listening).toBe(false);
+  });
+});
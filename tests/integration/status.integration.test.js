@@ -0,0 +1,59 @@
+const request = require('supertest');
+const app = require('../../src/app');
+
+const { statusAggregator } = app;
+
+describe('Status Page Integration Tests', () => {
+  let server;
+  let backendUp = true;
+
+  beforeAll(async () => {
+    statusAggregator.monitor.register({
+      name: 'backend',
+      url: 'http://backend:3001/api/health',
+      probe: async () => { if (!backendUp) throw new Error('connect ECONNREFUSED'); }
+    });
+    server = app.listen(0);
+    await app.startup();
+    await statusAggregator.monitor.initialRound;
+  });
+
+  afterAll((done) => {
+    statusAggregator.stop();
+    server.close(done);
+  });
+
+  it('should aggregate downstream services as JSON by default', async () => {
+    const response = await request(app)
+      .get('/status')
+      .expect(200);
+
+    expect(response.headers['content-type']).toMatch(/^application\/json/);
+    expect(response.body).toMatchObject({ status: 'operational', windows: ['1h', '24h', '7d'], incidents: [] });
+    expect(response.body.services.backend).toMatchObject({ status: 'healthy', url: 'http://backend:3001/api/health' });
+    expect(response.body.services.backend.uptime['1h']).toBe(100);
+  });
+
+  it('should not affect the health of the app when a downstream service fails', async () => {
+    backendUp = false;
+    await statusAggregator.monitor.runCheck('backend');
+
+    const status = await request(app).get('/status').expect(200);
+    expect(status.body.status).toBe('outage');
+    expect(status.body.incidents[0]).toMatchObject({ service: 'backend', resolvedAt: null });
+
+    const health = await request(app).get('/health').expect(200);
+    expect(health.body.status).toBe('healthy');
+  });
+
+  it('should serve an HTML status page to browsers', async () => {
+    const response = await request(app)
+      .get('/status')
+      .set('Accept', 'text/html,application/xhtml+xml')
+      .expect(200);
+
+    expect(response.headers['content-type']).toMatch(/^text\/html/);
+    expect(response.text).toContain('Major outage');
+    expect(response.text).toContain('connect ECONNREFUSED');
+  });
+});
@@ -0,0 +1,70 @@
+const request = require('supertest');
+const app = require('../../src/app');
+
+describe('Synthetic Checks Integration Tests', () => {
+  let server;
+
+  beforeAll(async () => {
+    server = app.listen(0);
+    await app.startup({ server });
+    await app.syntheticMonitor.runAll();
+  });
+
+  afterAll((done) => {
+    app.syntheticMonitor.stop();
+    server.close(done);
+  });
+
+  it('should report synthetic check results in /health/detailed', async () => {
+    const response = await request(app).get('/health/detailed').expect(200);
+
+    expect(response.body.synthetics['api-users']).toMatchObject({ status: 'pass', error: null });
+    expect(response.body.synthetics['api-status'].steps[0]).toMatchObject({ path: '/api/status', statusCode: 200 });
+
+    const healthJson = await request(app)
+      .get('/health/detailed')
+      .set('Accept', 'application/health+json');
+    expect(healthJson.body.checks['synthetic:api-users'][0].status).toBe('pass');
+  });
+
+  it('should export synthetic check metrics', async () => {
+    const response = await request(app).get('/metrics');
+
+    expect(response.text).toContain('synthetic_check_success{scenario="api-users"} 1');
+    expect(response.text).toMatch(/synthetic_check_runs_total\{scenario="api-status",result="pass"\} \d/);
+  });
+
+  it('should leave synthetic requests out of the deployment and SLO counts', async () => {
+    const sloEvents = () => Object.values(app.sloTracker.getReport())
+      .reduce((total, slo) => total + slo.events.total, 0);
+    const deploymentRequests = async () => {
+      const response = await request(app).get('/health/deployment');
+      return response.body.checks.errorRate.requests;
+    };
+
+    const requestsBefore = await deploymentRequests();
+    const sloEventsBefore = sloEvents();
+
+    app.faultInjector.add({ type: 'error', route: '/api/users', statusCode: 500 });
+    await app.syntheticMonitor.runAll();
+    app.faultInjector.clear();
+    expect(sloEvents()).toBe(sloEventsBefore);
+
+    // Only the direct /api/users requests are counted, even one claiming the synthetic User-Agent
+    await request(app).get('/api/users').expect(200);
+    await request(app).get('/api/users').set('User-Agent', 'synthetic-monitor').expect(200);
+    expect(await deploymentRequests()).toBe(requestsBefore + 2);
+  });
+
+  it('should catch a broken route', async () => {
+    app.faultInjector.add({ type: 'error', route: '/api/status', statusCode: 503 });
+    await app.syntheticMonitor.runAll();
+    app.faultInjector.clear();
+
+    const response = await request(app).get('/health/detailed').expect(200);
+    expect(response.body.synthetics['api-status']).toMatchObject({
+      status: 'fail',
+      error: 'GET /api/status: expected status 200, got 503; expected apiStatus to be "operational", got undefined'
+    });
+  });
+});
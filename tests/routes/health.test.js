@@ -0,0 +1,112 @@
+const express = require('express');
+const request = require('supertest');
+const createHealthRouter = require('../../src/routes/health');
+const MaintenanceManager = require('../../src/services/MaintenanceManager');
+
+describe('createHealthRouter', () => {
+  let health;
+  let databaseUp;
+
+  const appWith = router => express().use(router);
+
+  beforeEach(() => {
+    databaseUp = true;
+    health = createHealthRouter({
+      service: { id: 'orders', name: 'orders-api', version: '2.3.0' },
+      checks: [
+        { name: 'database', probe: async () => { if (!databaseUp) throw new Error('connection refused'); } },
+        { name: 'search', critical: false, probe: async () => {} }
+      ]
+    });
+  });
+
+  afterEach(() => {
+    health.stop();
+  });
+
+  it('should require a service name', () => {
+    expect(() => createHealthRouter({ service: {} })).toThrow(/service.name is required/);
+  });
+
+  it('should not probe anything before start()', async () => {
+    const app = appWith(health);
+
+    await request(app).get('/startup').expect(503);
+    await request(app).get('/ready').expect(503);
+    expect(health.dependencyMonitor.getStatus().database.lastCheck).toBeNull();
+    expect(health.runtimeMonitor.timer).toBeNull();
+  });
+
+  it('should serve the health contract once started', async () => {
+    const app = appWith(health);
+    await health.start();
+
+    await request(app).get('/startup').expect(200);
+    await request(app).get('/ready').expect(200);
+    await request(app).get('/live').expect(200);
+
+    const response = await request(app).get('/health').expect(200);
+    expect(response.body).toMatchObject({ status: 'healthy', service: 'orders-api', version: '2.3.0' });
+
+    const healthJson = await request(app)
+      .get('/health/detailed')
+      .set('Accept', 'application/health+json')
+      .expect(200);
+    expect(healthJson.body).toMatchObject({ status: 'pass', serviceId: 'orders', version: '2', releaseId: '2.3.0' });
+    expect(healthJson.body.checks).toHaveProperty(['database:responseTime']);
+    expect(healthJson.body.checks).toHaveProperty(['eventLoop:delay']);
+
+    const metrics = await request(app).get('/metrics').expect(200);
+    expect(metrics.text).toContain('dependency_up{dependency="database"} 1');
+    expect(metrics.text).toContain('app_runtime_status');
+  });
+
+  it('should fail health and readiness on a critical dependency', async () => {
+    const app = appWith(health);
+    await health.start();
+    databaseUp = false;
+    await health.dependencyMonitor.runCheck('database');
+
+    const response = await request(app).get('/health').expect(503);
+    expect(response.body.status).toBe('unhealthy');
+
+    const ready = await request(app).get('/ready').expect(503);
+    expect(ready.body.unreadyDependencies).toEqual(['database']);
+  });
+
+  it('should merge service specific details and checks into /health/detailed', async () => {
+    const router = createHealthRouter({
+      service: { name: 'orders-api' },
+      registry: false,
+      details: () => ({ queue: { depth: 3 } }),
+      detailedChecks: time => ({ 'queue:depth': [{ observedValue: 3, status: 'pass', time }] })
+    });
+    const app = appWith(router);
+
+    const detailed = await request(app).get('/health/detailed').expect(200);
+    expect(detailed.body.queue).toEqual({ depth: 3 });
+
+    const healthJson = await request(app).get('/health/detailed').set('Accept', 'application/health+json');
+    expect(healthJson.body.checks['queue:depth'][0].observedValue).toBe(3);
+
+    await request(app).get('/metrics').expect(404);
+  });
+
+  it('should take the instance out of rotation during maintenance', async () => {
+    const maintenance = new MaintenanceManager();
+    const router = createHealthRouter({ service: { name: 'orders-api' }, registry: false, maintenance });
+    const app = appWith(router);
+    await router.start();
+
+    maintenance.enable({ reason: 'Reindexing', durationSeconds: 120 });
+
+    const ready = await request(app).get('/ready').expect(503);
+    expect(ready.body.reason).toBe('maintenance');
+    expect(Number(ready.headers['retry-after'])).toBeGreaterThan(110);
+
+    const response = await request(app).get('/health').expect(200);
+    expect(response.body.maintenance).toMatchObject({ active: true, reason: 'Reindexing' });
+
+    router.stop();
+  });
+});
@@ -0,0 +1,118 @@
+const EventEmitter = require('events');
+const client = require('prom-client');
+
+const DependencyHistory = require('../../src/services/DependencyHistory');
+
+const minutesAgo = (minutes, now) => new Date(now - minutes * 60 * 1000);
+
+describe('DependencyHistory', () => {
+  const now = Date.now();
+
+  /**
+   * Feed a sequence of statuses, one per minute, ending now
+   */
+  function feed(history, name, statuses) {
+    let previous = 'unknown';
+    statuses.forEach((status, index) => {
+      const state = {
+        status,
+        lastCheck: minutesAgo(statuses.length - 1 - index, now),
+        latencyMs: 5,
+        error: status === 'healthy' ? null : 'ECONNREFUSED'
+      };
+      history.recordCheck(name, state);
+      if (status !== previous) history.recordTransition(name, previous, state);
+      previous = status;
+    });
+  }
+
+  it('should compute uptime and transitions per window', () => {
+    const history = new DependencyHistory({ windows: '5m,1h', flapThreshold: 3 });
+    feed(history, 'redis', [
+      ...Array(10).fill('healthy'),
+      'unhealthy', 'healthy', 'unhealthy', 'healthy', 'healthy'
+    ]);
+
+    const { redis } = history.getReport({ now });
+
+    expect(redis.windows['5m']).toEqual({
+      checks: 5,
+      failures: 2,
+      uptimePercent: 60,
+      transitions: 4,
+      flapping: true
+    });
+    expect(redis.windows['1h']).toMatchObject({ checks: 15, failures: 2, uptimePercent: 86.67 });
+    expect(redis.flapping).toBe(true);
+    expect(redis.totalTransitions).toBe(4);
+    expect(redis.recentTransitions[0]).toMatchObject({ from: 'unhealthy', to: 'healthy' });
+  });
+
+  it('should not flag a single outage as flapping', () => {
+    const history = new DependencyHistory({ windows: '1h', flapThreshold: 4 });
+    feed(history, 'database', ['healthy', 'unhealthy', 'unhealthy', 'healthy']);
+
+    expect(history.getReport({ now }).database).toMatchObject({ flapping: false, totalTransitions: 2 });
+  });
+
+  it('should keep history bounded', () => {
+    const history = new DependencyHistory({ maxSamples: 3, maxTransitions: 2 });
+    feed(history, 'api', ['healthy', 'unhealthy', 'healthy', 'unhealthy', 'healthy']);
+
+    const entry = history.entry('api');
+    expect(entry.samples).toHaveLength(3);
+    expect(entry.transitions).toHaveLength(2);
+    expect(entry.totalTransitions).toBe(4);
+  });
+
+  it('should cover the longest window at the default interval and drop older samples', () => {
+    const history = new DependencyHistory({ windows: '5m,24h' });
+    const start = now - 25 * 60 * 60 * 1000;
+
+    // One check every 30s for 25 hours
+    for (let at = start; at <= now; at += 30 * 1000) {
+      history.recordCheck('api', { status: 'healthy', lastCheck: new Date(at), latencyMs: 5, error: null });
+    }
+
+    const { api } = history.getReport({ now });
+    expect(api.windows['24h'].checks).toBe(24 * 60 * 2);
+    expect(history.entry('api').samples[0].at.getTime()).toBeGreaterThan(now - 24 * 60 * 60 * 1000);
+    expect(api.sinceStartup.checks).toBe(25 * 60 * 2 + 1);
+  });
+
+  it('should count checks and failures since startup beyond the kept samples', () => {
+    const history = new DependencyHistory({ maxSamples: 2 });
+    feed(history, 'api', ['healthy', 'unhealthy', 'healthy', 'healthy']);
+
+    expect(history.getTotals('api')).toEqual({
+      checks: 4,
+      failures: 1,
+      lastFailure: { at: minutesAgo(2, now), error: 'ECONNREFUSED' }
+    });
+    expect(history.getReport({ now }).api.sinceStartup.failures).toBe(1);
+  });
+
+  it('should record events from an attached monitor', () => {
+    const monitor = new EventEmitter();
+    const history = new DependencyHistory().attach(monitor);
+    const state = { status: 'unhealthy', lastCheck: new Date(), latencyMs: 1, error: 'timeout' };
+
+    monitor.emit('check', 'api', state);
+    monitor.emit('statusChange', 'api', state, 'healthy');
+
+    expect(history.getReport().api).toMatchObject({ totalTransitions: 1, recentChecks: [{ status: 'unhealthy' }] });
+  });
+
+  it('should expose matching Prometheus series', async () => {
+    const registry = new client.Registry();
+    const history = new DependencyHistory({ windows: '5m', flapThreshold: 2 }).registerMetrics(registry);
+    feed(history, 'redis', ['healthy', 'unhealthy', 'healthy', 'healthy']);
+
+    const metrics = await registry.metrics();
+
+    expect(metrics).toContain('dependency_up{dependency="redis"} 1');
+    expect(metrics).toContain('dependency_uptime_ratio{dependency="redis",window="5m"} 0.75');
+    expect(metrics).toContain('dependency_flapping{dependency="redis"} 1');
+    expect(metrics).toContain('dependency_state_transitions_total{dependency="redis"} 2');
+  });
+});
@@ -0,0 +1,137 @@
+const DependencyMonitor = require('../../src/services/DependencyMonitor');
+
+describe('DependencyMonitor', () => {
+  let monitor;
+
+  afterEach(() => {
+    monitor.stop();
+  });
+
+  it('should report unknown status before the first check', () => {
+    monitor = new DependencyMonitor({
+      checks: [{ name: 'api', probe: async () => ({}) }]
+    });
+
+    expect(monitor.getStatus().api.status).toBe('unknown');
+    expect(monitor.getStatus().api.lastCheck).toBeNull();
+  });
+
+  it('should mark a dependency healthy and record latency', async () => {
+    monitor = new DependencyMonitor({
+      checks: [{ name: 'api', probe: async () => ({ statusCode: 200 }) }]
+    });
+
+    const state = await monitor.runCheck('api');
+
+    expect(state.status).toBe('healthy');
+    expect(state.details).toEqual({ statusCode: 200 });
+    expect(state.latencyMs).toBeGreaterThanOrEqual(0);
+    expect(state.lastCheck).toBeInstanceOf(Date);
+  });
+
+  it('should mark a dependency unhealthy when the probe throws', async () => {
+    monitor = new DependencyMonitor({
+      checks: [{ name: 'api', probe: async () => { throw new Error('connection refused'); } }]
+    });
+
+    const state = await monitor.runCheck('api');
+
+    expect(state.status).toBe('unhealthy');
+    expect(state.error).toBe('connection refused');
+  });
+
+  it('should time out slow probes and abort them', async () => {
+    let signal;
+    monitor = new DependencyMonitor({
+      checks: [{
+        name: 'slow',
+        timeoutMs: 50,
+        probe: (options, context) => {
+          signal = context.signal;
+          return new Promise(() => {});
+        }
+      }]
+    });
+
+    const state = await monitor.runCheck('slow');
+
+    expect(state.status).toBe('unhealthy');
+    expect(state.error).toMatch(/timed out after 50ms/);
+    expect(signal.aborted).toBe(true);
+  });
+
+  it('should emit statusChange only on transitions', async () => {
+    let healthy = true;
+    monitor = new DependencyMonitor({
+      checks: [{ name: 'api', probe: async () => { if (!healthy) throw new Error('down'); } }]
+    });
+    const changes = [];
+    monitor.on('statusChange', (name, state, previous) => changes.push([previous, state.status]));
+
+    await monitor.runCheck('api');
+    await monitor.runCheck('api');
+    healthy = false;
+    await monitor.runCheck('api');
+
+    expect(changes).toEqual([['unknown', 'healthy'], ['healthy', 'unhealthy']]);
+  });
+
+  it('should run checks on their own interval once started', async () => {
+    const probe = jest.fn().mockResolvedValue();
+    monitor = new DependencyMonitor({
+      checks: [{ name: 'api', probe, intervalMs: 20 }]
+    });
+
+    monitor.start();
+    await new Promise(resolve => setTimeout(resolve, 70));
+    monitor.stop();
+
+    expect(probe.mock.calls.length).toBeGreaterThanOrEqual(2);
+  });
+
+  it('should resolve start() once the first round has completed', async () => {
+    monitor = new DependencyMonitor({
+      checks: [{ name: 'api', probe: async () => {} }, { name: 'cache', probe: async () => {} }]
+    });
+
+    await monitor.start();
+
+    expect(Object.values(monitor.getStatus()).map(dep => dep.status)).toEqual(['healthy', 'healthy']);
+  });
+
+  it('should report checks whose loop stopped making progress', async () => {
+    monitor = new DependencyMonitor({
+      checks: [{ name: 'api', probe: async () => {}, intervalMs: 60000, timeoutMs: 100 }]
+    });
+
+    await monitor.start();
+    expect(monitor.getStalledChecks(1000)).toEqual([]);
+
+    const check = monitor.checks.get('api');
+    check.nextRunAt = Date.now() - 2000;
+    expect(monitor.getStalledChecks(1000)).toEqual(['api']);
+
+    check.nextRunAt = null;
+    check.inFlightSince = Date.now() - 2000;
+    expect(monitor.getStalledChecks(1000)).toEqual(['api']);
+
+    monitor.stop();
+    expect(monitor.getStalledChecks(1000)).toEqual([]);
+  });
+
+  it('should apply configured defaults and reject invalid checks', () => {
+    monitor = new DependencyMonitor({
+      defaults: { intervalMs: 1000, timeoutMs: 200 },
+      checks: [{ name: 'cache', type: 'redis', url: 'redis://localhost:6379' }]
+    });
+
+    const status = monitor.getStatus().cache;
+    expect(status).toMatchObject({ type: 'redis', critical: true, intervalMs: 1000, timeoutMs: 200 });
+
+    monitor.register({ name: 'externalApi', type: 'http', url: 'http://localhost', critical: false });
+    expect(monitor.getStatus().externalApi.critical).toBe(false);
+
+    expect(() => monitor.register({ name: 'cache', type: 'redis' })).toThrow(/already registered/);
+    expect(() => monitor.register({ name: 'queue', type: 'amqp' })).toThrow(/Unknown dependency check type/);
+  });
+});
@@ -0,0 +1,117 @@
+const express = require('express');
+const request = require('supertest');
+const client = require('prom-client');
+const ErrorTracker = require('../../src/services/ErrorTracker');
+const { fingerprint } = require('../../src/services/ErrorTracker');
+
+describe('ErrorTracker', () => {
+  let tracker;
+
+  beforeEach(() => {
+    tracker = new ErrorTracker({ maxGroups: 3 });
+  });
+
+  const failAt = message => new Error(message);
+
+  it('should group errors thrown from the same place whatever their message', () => {
+    const errors = ['user 1 not found', 'user 2 not found'].map(failAt);
+
+    expect(fingerprint({ error: errors[0] })).toBe(fingerprint({ error: errors[1] }));
+    expect(fingerprint({ error: errors[0] })).not.toBe(fingerprint({ error: new Error('user 1 not found') }));
+  });
+
+  it('should group plain error responses by status, method and route', () => {
+    tracker.record({ status: 404, method: 'GET', route: 'unmatched', path: '/wp-login.php' });
+    tracker.record({ status: 404, method: 'GET', route: 'unmatched', path: '/.env', requestId: 'scan-2' });
+    tracker.record({ status: 404, method: 'POST', route: 'unmatched', path: '/.env' });
+
+    const { errors, totals } = tracker.getReport();
+    expect(totals).toEqual({ '4xx': 3, '5xx': 0 });
+    expect(errors).toHaveLength(2);
+    expect(errors[1]).toMatchObject({
+      type: 'response',
+      name: 'Not Found',
+      count: 2,
+      lastPath: '/.env',
+      lastRequestId: 'scan-2'
+    });
+  });
+
+  it('should track first and last seen and count per fingerprint', () => {
+    const first = new Date('2024-05-01T12:00:00Z');
+    const last = new Date('2024-05-01T12:05:00Z');
+    const errors = ['timeout after 100ms', 'timeout after 250ms'].map(failAt);
+
+    tracker.record({ status: 500, method: 'GET', route: '/api/users', error: errors[0], at: first });
+    tracker.record({ status: 500, method: 'GET', route: '/api/users', error: errors[1], at: last });
+
+    const [group] = tracker.getReport().errors;
+    expect(group).toMatchObject({
+      type: 'exception',
+      name: 'Error',
+      message: 'timeout after 250ms',
+      statusClass: '5xx',
+      firstSeen: first,
+      lastSeen: last,
+      count: 2
+    });
+    expect(group.stack[0]).toMatch(/^at /);
+    expect(group.stack[0]).not.toMatch(/:\d+:\d+\)?$/);
+  });
+
+  it('should drop the least recently seen group past maxGroups', () => {
+    ['/a', '/b', '/c'].forEach(route => tracker.record({ status: 400, method: 'GET', route }));
+    tracker.record({ status: 400, method: 'GET', route: '/a' });
+    tracker.record({ status: 400, method: 'GET', route: '/d' });
+
+    expect(tracker.getReport().errors.map(group => group.route)).toEqual(['/d', '/a', '/c']);
+  });
+
+  it('should filter the report by status class', () => {
+    tracker.record({ status: 404, method: 'GET', route: '/api/users/:id' });
+    tracker.record({ status: 503, method: 'GET', route: '/api/status' });
+
+    const report = tracker.getReport({ statusClass: '5xx' });
+    expect(report.routes.map(counts => counts.route)).toEqual(['/api/status']);
+    expect(report.errors.map(group => group.status)).toEqual([503]);
+    expect(report.totals).toEqual({ '4xx': 1, '5xx': 1 });
+  });
+
+  it('should record error responses per route through its middleware', async () => {
+    const registry = new client.Registry();
+    tracker.registerMetrics(registry);
+
+    const app = express();
+    app.use(tracker.middleware());
+    app.get('/api/users/:id', (req, res) => res.status(404).json({ error: 'No such user' }));
+    app.get('/api/boom', () => { throw new Error('boom'); });
+    app.use((err, req, res, next) => {
+      res.locals.error = err;
+      res.status(500).json({ error: err.message });
+    });
+
+    await request(app).get('/api/users/7').expect(404);
+    await request(app).get('/api/users/8').expect(404);
+    await request(app).get('/api/boom').expect(500);
+    await request(app).get('/api/ok').expect(404);
+
+    const { routes, errors } = tracker.getReport();
+    expect(routes[0]).toMatchObject({ method: 'GET', route: '/api/users/:id', '4xx': 2, byStatus: { 404: 2 } });
+    expect(errors[0]).toMatchObject({ route: 'unmatched', status: 404 });
+    expect(errors[1]).toMatchObject({ type: 'exception', message: 'boom', route: '/api/boom' });
+
+    const metrics = await registry.metrics();
+    expect(metrics).toContain('app_route_errors_total{method="GET",route="/api/users/:id",class="4xx"} 2');
+    expect(metrics).toContain('app_route_errors_total{method="GET",route="/api/boom",class="5xx"} 1');
+  });
+
+  it('should not record the requests it is told to skip', async () => {
+    const app = express();
+    app.use(tracker.middleware({ skip: req => req.path === '/ready' }));
+    app.get('/ready', (req, res) => res.status(503).json({ status: 'not ready' }));
+
+    await request(app).get('/ready').expect(503);
+
+    expect(tracker.getReport().totals).toEqual({ '4xx': 0, '5xx': 0 });
+  });
+});
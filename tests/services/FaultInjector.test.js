@@ -0,0 +1,162 @@
+const express = require('express');
+const request = require('supertest');
+const client = require('prom-client');
+const FaultInjector = require('../../src/services/FaultInjector');
+const DependencyMonitor = require('../../src/services/DependencyMonitor');
+
+describe('FaultInjector', () => {
+  let monitor;
+  let injector;
+
+  beforeEach(() => {
+    monitor = new DependencyMonitor({
+      checks: [{ name: 'database', probe: async () => ({}) }]
+    });
+    injector = new FaultInjector({ dependencyMonitor: monitor, maxTtlSeconds: 600, maxMemoryMb: 16 });
+  });
+
+  afterEach(() => {
+    injector.clear();
+    monitor.stop();
+  });
+
+  const appWith = faults => {
+    const app = express();
+    app.use(faults.middleware());
+    app.get('/api/users', (req, res) => res.json({ ok: true }));
+    app.get('/admin/faults', (req, res) => res.json({ ok: true }));
+    app.get('/live', (req, res) => res.json({ status: 'alive' }));
+    app.get('/ready', (req, res) => res.json({ status: 'ready' }));
+    app.get('/metrics', (req, res) => res.send(''));
+    app.use((err, req, res, next) => {
+      res.status(err.statusCode || 500).json({ error: err.message, injected: err.injected });
+    });
+    return app;
+  };
+
+  describe('add', () => {
+    it('should reject unknown types and out of range TTLs', () => {
+      expect(() => injector.add({ type: 'explode' })).toThrow(/Fault type must be one of/);
+      expect(() => injector.add({ type: 'latency', delayMs: 10, ttlSeconds: 601 })).toThrow(/ttlSeconds/);
+      expect(() => injector.add({ type: 'latency', delayMs: 10, ttlSeconds: 0 })).toThrow(/ttlSeconds/);
+    });
+
+    it('should validate the parameters of each type', () => {
+      expect(() => injector.add({ type: 'latency' })).toThrow(/delayMs/);
+      expect(() => injector.add({ type: 'error', ratio: 1.5 })).toThrow(/ratio/);
+      expect(() => injector.add({ type: 'error', statusCode: 200 })).toThrow(/statusCode/);
+      expect(() => injector.add({ type: 'error', route: 'api' })).toThrow(/route/);
+      expect(() => injector.add({ type: 'dependency', dependency: 'cache' })).toThrow(/Unknown dependency: cache/);
+      expect(() => injector.add({ type: 'memory', megabytes: 17 })).toThrow(/16 MB/);
+    });
+
+    it('should apply defaults and an expiry', () => {
+      const fault = injector.add({ type: 'error' });
+
+      expect(fault).toMatchObject({ type: 'error', route: '*', ratio: 1, statusCode: 500 });
+      expect(fault.expiresAt - fault.createdAt).toBe(60000);
+      expect(injector.list()).toEqual([fault]);
+    });
+
+    it('should expire faults after their TTL', () => {
+      jest.useFakeTimers();
+      try {
+        const removed = jest.fn();
+        injector.on('removed', removed);
+        const fault = injector.add({ type: 'latency', delayMs: 10, ttlSeconds: 5 });
+
+        jest.advanceTimersByTime(5000);
+
+        expect(injector.list()).toEqual([]);
+        expect(removed).toHaveBeenCalledWith(fault, 'expired');
+      } finally {
+        jest.useRealTimers();
+      }
+    });
+  });
+
+  describe('dependency faults', () => {
+    it('should force the dependency unhealthy until the last fault is removed', async () => {
+      const first = injector.add({ type: 'dependency', dependency: 'database' });
+      const second = injector.add({ type: 'dependency', dependency: 'database' });
+      await new Promise(resolve => setImmediate(resolve));
+
+      expect(monitor.getStatus().database).toMatchObject({ status: 'unhealthy', forced: true });
+
+      injector.remove(first.id);
+      expect(monitor.getStatus().database.forced).toBe(true);
+
+      injector.remove(second.id);
+      const state = await monitor.runCheck('database');
+      expect(state.status).toBe('healthy');
+      expect(monitor.getStatus().database.forced).toBeUndefined();
+    });
+  });
+
+  describe('memory faults', () => {
+    it('should track held memory against the cap', () => {
+      const fault = injector.add({ type: 'memory', megabytes: 10 });
+
+      expect(injector.heldMemoryMb()).toBe(10);
+      expect(() => injector.add({ type: 'memory', megabytes: 8 })).toThrow(/10 MB held/);
+
+      injector.remove(fault.id);
+      expect(injector.heldMemoryMb()).toBe(0);
+    });
+  });
+
+  describe('middleware', () => {
+    it('should fail matching requests with the configured status', async () => {
+      const fault = injector.add({ type: 'error', route: '/api/*', statusCode: 503 });
+
+      const response = await request(appWith(injector))
+        .get('/api/users')
+        .expect(503);
+
+      expect(response.body).toEqual({ error: `Injected fault ${fault.id}`, injected: true });
+    });
+
+    it('should delay matching requests', async () => {
+      injector.add({ type: 'latency', route: '/api/users', delayMs: 100 });
+
+      const started = Date.now();
+      await request(appWith(injector)).get('/api/users').expect(200);
+
+      expect(Date.now() - started).toBeGreaterThanOrEqual(90);
+    });
+
+    it('should never apply to admin routes', async () => {
+      injector.add({ type: 'error' });
+
+      await request(appWith(injector)).get('/admin/faults').expect(200);
+    });
+
+    it('should only apply to probe and metrics paths that a fault names exactly', async () => {
+      injector.add({ type: 'error' });
+      injector.add({ type: 'error', route: '/l*' });
+      const app = appWith(injector);
+
+      await request(app).get('/api/users').expect(500);
+      await request(app).get('/live').expect(200);
+      await request(app).get('/metrics').expect(200);
+
+      injector.add({ type: 'error', route: '/ready', statusCode: 503 });
+      await request(app).get('/ready').expect(503);
+    });
+  });
+
+  describe('registerMetrics', () => {
+    it('should export active faults per type', async () => {
+      const registry = new client.Registry();
+      injector.registerMetrics(registry);
+      injector.add({ type: 'error' });
+      injector.add({ type: 'latency', delayMs: 10 });
+
+      const output = await registry.metrics();
+
+      expect(output).toContain('app_active_faults{type="error"} 1');
+      expect(output).toContain('app_active_faults{type="latency"} 1');
+      expect(output).toContain('app_active_faults{type="memory"} 0');
+    });
+  });
+});
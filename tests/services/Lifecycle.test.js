@@ -0,0 +1,131 @@
+const http = require('http');
+
+const Lifecycle = require('../../src/services/Lifecycle');
+
+/**
+ * Server whose requests take `latencyMs` to answer, tracked by the lifecycle
+ */
+function slowServer(lifecycle, latencyMs) {
+  const track = lifecycle.trackRequests();
+  const server = http.createServer((req, res) => {
+    track(req, res, () => setTimeout(() => res.end('done'), latencyMs).unref());
+  });
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server)));
+}
+
+function get(server) {
+  return new Promise((resolve, reject) => {
+    http.get(`http://127.0.0.1:${server.address().port}/`, res => {
+      let body = '';
+      res.on('data', chunk => { body += chunk; });
+      res.on('end', () => resolve({ statusCode: res.statusCode, body, connection: res.headers.connection }));
+    }).on('error', reject);
+  });
+}
+
+describe('Lifecycle', () => {
+  it('should start once initial checks and warm-up tasks complete', async () => {
+    const lifecycle = new Lifecycle();
+    const order = [];
+    lifecycle.registerWarmupTask('cache', async () => { order.push('cache'); });
+
+    expect(lifecycle.isStarted()).toBe(false);
+    expect(lifecycle.getStartupStatus().warmupTasks.cache.status).toBe('pending');
+
+    const started = await lifecycle.startup(Promise.resolve().then(() => order.push('checks')));
+
+    expect(started).toBe(true);
+    expect(order.sort()).toEqual(['cache', 'checks']);
+    expect(lifecycle.getStartupStatus()).toMatchObject({
+      phase: 'running',
+      started: true,
+      warmupTasks: { cache: { status: 'completed', error: null } }
+    });
+  });
+
+  it('should stay in startup when a warm-up task fails', async () => {
+    const lifecycle = new Lifecycle();
+    const failed = jest.fn();
+    lifecycle.on('startupFailed', failed);
+    lifecycle.registerWarmupTask('migrations', async () => { throw new Error('schema mismatch'); });
+
+    await expect(lifecycle.startup()).resolves.toBe(false);
+
+    expect(lifecycle.isStarted()).toBe(false);
+    expect(lifecycle.getStartupStatus().warmupTasks.migrations).toMatchObject({
+      status: 'failed',
+      error: 'schema mismatch'
+    });
+    expect(failed).toHaveBeenCalled();
+  });
+
+  it('should run startup only once and refuse late warm-up tasks', async () => {
+    const lifecycle = new Lifecycle();
+    const task = jest.fn().mockResolvedValue();
+    lifecycle.registerWarmupTask('cache', task);
+
+    await Promise.all([lifecycle.startup(), lifecycle.startup()]);
+
+    expect(task).toHaveBeenCalledTimes(1);
+    expect(() => lifecycle.registerWarmupTask('late', task)).toThrow(/after startup has begun/);
+  });
+
+  describe('shutdown', () => {
+    it('should drain, stop background work and let in-flight requests finish', async () => {
+      const lifecycle = new Lifecycle();
+      const phases = [];
+      const stopProbes = jest.fn();
+      lifecycle.on('phase', phase => phases.push(phase));
+      lifecycle.onShutdown('probes', stopProbes);
+
+      const server = await slowServer(lifecycle, 100);
+      const inFlight = get(server);
+      await new Promise(resolve => setTimeout(resolve, 20));
+
+      const summary = await lifecycle.shutdown({ server, signal: 'SIGTERM', drainMs: 30, timeoutMs: 1000 });
+
+      await expect(inFlight).resolves.toMatchObject({ statusCode: 200, body: 'done' });
+      expect(summary).toMatchObject({ signal: 'SIGTERM', drainMs: 30, forced: false });
+      expect(phases).toEqual(['draining', 'stopping', 'closing', 'stopped']);
+      expect(stopProbes).toHaveBeenCalledTimes(1);
+      expect(server.listening).toBe(false);
+      expect(lifecycle.getStatus().inFlightRequests).toBe(0);
+    });
+
+    it('should cut connections that outlive the deadline', async () => {
+      const lifecycle = new Lifecycle();
+      const server = await slowServer(lifecycle, 5000);
+      const inFlight = get(server).catch(error => error);
+      await new Promise(resolve => setTimeout(resolve, 20));
+
+      const summary = await lifecycle.shutdown({ server, timeoutMs: 50 });
+
+      expect(summary.forced).toBe(true);
+      expect(await inFlight).toHaveProperty('code', 'ECONNRESET');
+    });
+
+    it('should ask clients to close keep-alive connections once shutting down', async () => {
+      const lifecycle = new Lifecycle();
+      const server = await slowServer(lifecycle, 0);
+      const shutdown = lifecycle.shutdown({ server, drainMs: 100 });
+
+      const response = await get(server);
+
+      expect(response.connection).toBe('close');
+      expect(lifecycle.isShuttingDown()).toBe(true);
+      await shutdown;
+    });
+
+    it('should keep shutting down when a hook fails', async () => {
+      const lifecycle = new Lifecycle();
+      const failed = jest.fn();
+      lifecycle.on('shutdownHookFailed', failed);
+      lifecycle.onShutdown('poller', () => { throw new Error('already stopped'); });
+
+      await lifecycle.shutdown();
+
+      expect(failed).toHaveBeenCalledWith('poller', expect.any(Error));
+      expect(lifecycle.phase).toBe('stopped');
+    });
+  });
+});
@@ -0,0 +1,89 @@
+const client = require('prom-client');
+const MaintenanceManager = require('../../src/services/MaintenanceManager');
+
+describe('MaintenanceManager', () => {
+  const now = Date.parse('2024-05-01T12:00:00.000Z');
+  const at = minutes => new Date(now + minutes * 60000).toISOString();
+  let maintenance;
+
+  beforeEach(() => {
+    maintenance = new MaintenanceManager({ retryAfterSeconds: 120, maxWindows: 2 });
+  });
+
+  it('should be inactive by default', () => {
+    expect(maintenance.getState(now)).toEqual({ active: false });
+  });
+
+  it('should switch manual maintenance on and off', () => {
+    const events = [];
+    maintenance.on('enabled', () => events.push('enabled'));
+    maintenance.on('disabled', () => events.push('disabled'));
+
+    maintenance.enable({ reason: 'Database migration' }, now);
+    expect(maintenance.getState(now)).toMatchObject({
+      active: true,
+      source: 'manual',
+      reason: 'Database migration',
+      until: null,
+      retryAfterSeconds: 120
+    });
+
+    expect(maintenance.disable(now)).toBe(true);
+    expect(maintenance.disable(now)).toBe(false);
+    expect(maintenance.isActive(now)).toBe(false);
+    expect(events).toEqual(['enabled', 'disabled']);
+  });
+
+  it('should let manual maintenance with a duration lapse', () => {
+    maintenance.enable({ durationSeconds: 90 }, now);
+
+    expect(maintenance.getState(now + 30000)).toMatchObject({ active: true, retryAfterSeconds: 60 });
+    expect(maintenance.isActive(now + 90000)).toBe(false);
+    expect(() => maintenance.enable({ durationSeconds: -1 }, now)).toThrow(/durationSeconds/);
+  });
+
+  it('should activate scheduled windows between start and end', () => {
+    const window = maintenance.schedule({ start: at(10), end: at(40), reason: 'Kernel upgrade' }, now);
+
+    expect(maintenance.isActive(now)).toBe(false);
+    expect(maintenance.getState(now + 15 * 60000)).toMatchObject({
+      active: true,
+      source: 'scheduled',
+      reason: 'Kernel upgrade',
+      windowIds: [window.id],
+      retryAfterSeconds: 25 * 60
+    });
+    expect(maintenance.isActive(now + 40 * 60000)).toBe(false);
+    expect(maintenance.listWindows(now + 40 * 60000)).toEqual([]);
+  });
+
+  it('should keep overlapping windows active until the latest end', () => {
+    maintenance.schedule({ start: at(0), end: at(20) }, now);
+    maintenance.schedule({ start: at(10), end: at(30) }, now);
+
+    expect(maintenance.getState(now + 15 * 60000).until.toISOString()).toBe(at(30));
+  });
+
+  it('should validate and cap scheduled windows', () => {
+    expect(() => maintenance.schedule({ start: 'soon', end: at(10) }, now)).toThrow(/start must be/);
+    expect(() => maintenance.schedule({ start: at(10), end: at(5) }, now)).toThrow(/end must be after start/);
+    expect(() => maintenance.schedule({ start: at(-20), end: at(-10) }, now)).toThrow(/in the future/);
+
+    const first = maintenance.schedule({ start: at(10), end: at(20) }, now);
+    maintenance.schedule({ start: at(30), end: at(40) }, now);
+    expect(() => maintenance.schedule({ start: at(50), end: at(60) }, now)).toThrow(/At most 2/);
+
+    expect(maintenance.cancel(first.id)).toBe(true);
+    expect(maintenance.cancel(first.id)).toBe(false);
+    expect(maintenance.listWindows(now)).toHaveLength(1);
+  });
+
+  it('should export the app_maintenance_mode gauge', async () => {
+    const registry = new client.Registry();
+    maintenance.registerMetrics(registry);
+
+    expect(await registry.metrics()).toContain('app_maintenance_mode 0');
+    maintenance.enable();
+    expect(await registry.metrics()).toContain('app_maintenance_mode 1');
+  });
+});
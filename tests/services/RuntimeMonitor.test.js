@@ -0,0 +1,104 @@
+const client = require('prom-client');
+
+const RuntimeMonitor = require('../../src/services/RuntimeMonitor');
+
+describe('RuntimeMonitor', () => {
+  it('should record ticks that fire much later than scheduled as stalls', () => {
+    const monitor = new RuntimeMonitor({ sampleIntervalMs: 500, stallThresholdMs: 2000, stallWindowMs: 10000 });
+    monitor.lastTick = 0;
+
+    monitor.sample(600);
+    expect(monitor.getEventLoopStall(600)).toBeNull();
+
+    monitor.sample(3600);
+    expect(monitor.getEventLoopStall(3700)).toMatchObject({ durationMs: 2500 });
+  });
+
+  it('should forget stalls outside the stall window', () => {
+    const monitor = new RuntimeMonitor({ sampleIntervalMs: 500, stallThresholdMs: 2000, stallWindowMs: 10000 });
+    monitor.lastTick = 0;
+
+    monitor.sample(3000);
+    expect(monitor.getEventLoopStall(5000)).not.toBeNull();
+    expect(monitor.getEventLoopStall(14000)).toBeNull();
+  });
+
+  it('should track GC pauses per kind and reset the maximum with each stats window', () => {
+    const monitor = new RuntimeMonitor({ sampleIntervalMs: 500, statsWindowMs: 60000 });
+    monitor.lastTick = 0;
+    monitor.windowStartedAt = 0;
+
+    monitor.recordGc('minor', 4);
+    monitor.recordGc('major', 40);
+    monitor.recordGc('minor', 6);
+
+    expect(monitor.getStats().gc).toEqual({
+      count: 3,
+      totalPauseMs: 50,
+      maxPauseMs: 40,
+      byKind: { minor: { count: 2, totalPauseMs: 10 }, major: { count: 1, totalPauseMs: 40 } }
+    });
+
+    monitor.sample(60000);
+    expect(monitor.getStats().gc).toMatchObject({ count: 3, maxPauseMs: 0 });
+  });
+
+  it('should report numeric memory and handle stats', () => {
+    const monitor = new RuntimeMonitor();
+    const { memory, activeHandles, eventLoop } = monitor.getStats();
+
+    expect(memory.heapUsedBytes).toBeGreaterThan(0);
+    expect(memory.heapLimitBytes).toBeGreaterThan(memory.heapUsedBytes);
+    expect(memory.heapUsedRatio).toBeGreaterThan(0);
+    expect(memory.heapUsedRatio).toBeLessThan(1);
+    expect(typeof activeHandles.total).toBe('number');
+    expect(eventLoop.delayMs.p99).toBeNull();
+  });
+
+  it('should measure event loop delay percentiles once started', async () => {
+    const monitor = new RuntimeMonitor({ sampleIntervalMs: 50 });
+    monitor.start();
+    try {
+      await new Promise(resolve => setTimeout(resolve, 100));
+      const { delayMs } = monitor.getStats().eventLoop;
+
+      expect(delayMs.p50).toBeGreaterThan(0);
+      expect(delayMs.p99).toBeGreaterThanOrEqual(delayMs.p50);
+      expect(delayMs.max).toBeGreaterThanOrEqual(delayMs.p99);
+    } finally {
+      monitor.stop();
+    }
+  });
+
+  it('should rate stats against its thresholds', () => {
+    const monitor = new RuntimeMonitor({
+      thresholds: {
+        eventLoopDelayMs: { degraded: 200, unhealthy: 1000 },
+        gcPauseMs: { degraded: 10, unhealthy: 50 },
+        heapUsedRatio: { degraded: 0.85, unhealthy: 0.95 }
+      }
+    });
+    monitor.recordGc('major', 20);
+
+    const result = monitor.evaluate();
+
+    expect(result.status).toBe('degraded');
+    expect(result.problems).toEqual(['longest GC pause is 20ms, degraded at 10']);
+    expect(result.stats.gc.count).toBe(1);
+  });
+
+  it('should mirror runtime signals as Prometheus series', async () => {
+    const registry = new client.Registry();
+    const monitor = new RuntimeMonitor().registerMetrics(registry);
+    monitor.recordGc('minor', 250);
+
+    const output = await registry.metrics();
+
+    expect(output).toContain('app_gc_pause_max_seconds 0.25');
+    expect(output).toContain('app_gc_pause_seconds_total{kind="minor"} 0.25');
+    expect(output).toContain('app_runtime_status 1');
+    expect(output).toMatch(/app_heap_used_ratio 0\.\d+/);
+    expect(output).toMatch(/app_heap_limit_bytes \d+/);
+    expect(output).toMatch(/app_active_handles \d+/);
+  });
+});
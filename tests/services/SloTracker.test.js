@@ -0,0 +1,126 @@
+const express = require('express');
+const request = require('supertest');
+const client = require('prom-client');
+
+const SloTracker = require('../../src/services/SloTracker');
+
+const MINUTE = 60 * 1000;
+
+describe('SloTracker', () => {
+  // Aligned to a minute, so every window covers whole buckets
+  const now = 1699999980000;
+
+  const slos = [
+    { name: 'availability', type: 'availability', objective: 99, window: '1d', routes: ['/api/*'] },
+    { name: 'latency', type: 'latency', objective: 90, thresholdMs: 200, window: '1d' }
+  ];
+
+  /**
+   * Record requests spread evenly over the given number of minutes, ending now
+   */
+  function feed(tracker, { minutes, perMinute, path = '/api/users', statusCode = 200, durationMs = 50 }) {
+    for (let minute = minutes - 1; minute >= 0; minute--) {
+      for (let i = 0; i < perMinute; i++) {
+        tracker.record({ path, statusCode, durationMs, at: now - minute * MINUTE });
+      }
+    }
+  }
+
+  it('should report full budget and no burn without bad events', () => {
+    const tracker = new SloTracker({ slos, burnWindows: '1h,6h' });
+    feed(tracker, { minutes: 10, perMinute: 10 });
+
+    const report = tracker.getReport(now);
+
+    expect(report.availability).toMatchObject({
+      objective: 99,
+      window: '1d',
+      events: { total: 100, bad: 0 },
+      compliance: 100,
+      errorBudgetRemaining: 1,
+      burnRates: { '1h': 0, '6h': 0 }
+    });
+    expect(report.latency.thresholdMs).toBe(200);
+  });
+
+  it('should compute error budget and burn rate per window', () => {
+    const tracker = new SloTracker({ slos, burnWindows: '1h,6h' });
+    feed(tracker, { minutes: 360, perMinute: 10 });
+    // 20 failures within the last hour: 20 / 600 = 3.33% bad against a 1% budget
+    feed(tracker, { minutes: 2, perMinute: 10, statusCode: 503 });
+
+    const { availability } = tracker.getReport(now);
+
+    expect(availability.events).toEqual({ total: 3620, bad: 20 });
+    expect(availability.burnRates['1h']).toBeCloseTo(20 / 620 / 0.01, 2);
+    expect(availability.burnRates['6h']).toBeCloseTo(20 / 3620 / 0.01, 2);
+    expect(availability.errorBudgetRemaining).toBeCloseTo(1 - (20 / 3620) / 0.01, 3);
+    expect(availability.compliance).toBeCloseTo(99.448, 3);
+  });
+
+  it('should go negative once the budget is exhausted', () => {
+    const tracker = new SloTracker({ slos, burnWindows: '1h' });
+    feed(tracker, { minutes: 1, perMinute: 9 });
+    feed(tracker, { minutes: 1, perMinute: 1, statusCode: 500 });
+
+    expect(tracker.getReport(now).availability.errorBudgetRemaining).toBe(-9);
+  });
+
+  it('should count slow responses against latency SLOs only', () => {
+    const tracker = new SloTracker({ slos, burnWindows: '1h' });
+    feed(tracker, { minutes: 1, perMinute: 3, durationMs: 250 });
+
+    const report = tracker.getReport(now);
+
+    expect(report.latency.events).toEqual({ total: 3, bad: 3 });
+    expect(report.availability.events).toEqual({ total: 3, bad: 0 });
+  });
+
+  it('should ignore paths outside the SLO routes', () => {
+    const tracker = new SloTracker({ slos, burnWindows: '1h' });
+    feed(tracker, { minutes: 1, perMinute: 5, path: '/health', statusCode: 503 });
+
+    const report = tracker.getReport(now);
+
+    expect(report.availability.events.total).toBe(0);
+    expect(report.availability.compliance).toBeNull();
+    expect(report.latency.events.total).toBe(5);
+  });
+
+  it('should not record requests the middleware is told to skip', async () => {
+    const tracker = new SloTracker({ slos, burnWindows: '1h' });
+    const app = express();
+    app.use(tracker.middleware({ skip: req => req.get('User-Agent') === 'synthetic-monitor' }));
+    app.get('/api/users', (req, res) => res.status(500).end());
+
+    await request(app).get('/api/users').set('User-Agent', 'synthetic-monitor');
+    await request(app).get('/api/users');
+
+    expect(tracker.getReport().availability.events).toEqual({ total: 1, bad: 1 });
+  });
+
+  it('should drop buckets older than every window', () => {
+    const tracker = new SloTracker({
+      slos: [{ name: 'short', type: 'availability', objective: 99, window: '10m' }],
+      burnWindows: '5m'
+    });
+
+    tracker.record({ path: '/', statusCode: 200, durationMs: 1, at: now - 30 * MINUTE });
+    tracker.record({ path: '/', statusCode: 200, durationMs: 1, at: now });
+
+    expect(tracker.buckets).toHaveLength(1);
+  });
+
+  it('should expose objectives, budgets, burn rates and events', async () => {
+    const registry = new client.Registry();
+    const tracker = new SloTracker({ slos, burnWindows: '1h' }).registerMetrics(registry);
+    tracker.record({ path: '/api/users', statusCode: 500, durationMs: 10 });
+
+    const output = await registry.metrics();
+
+    expect(output).toContain('slo_objective_ratio{slo="availability"} 0.99');
+    expect(output).toContain('slo_burn_rate{slo="availability",window="1h"} 100');
+    expect(output).toContain('slo_error_budget_remaining_ratio{slo="latency"} 1');
+    expect(output).toContain('slo_events_total{slo="availability",result="bad"} 1');
+  });
+});
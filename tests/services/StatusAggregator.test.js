@@ -0,0 +1,83 @@
+const StatusAggregator = require('../../src/services/StatusAggregator');
+
+describe('StatusAggregator', () => {
+  let aggregator;
+  const up = { backend: true, grafana: true };
+
+  const probeFor = name => async () => {
+    if (!up[name]) throw new Error(`${name} returned 503`);
+    return { statusCode: 200 };
+  };
+
+  beforeEach(() => {
+    up.backend = true;
+    up.grafana = true;
+    aggregator = new StatusAggregator({
+      checks: [
+        { name: 'backend', url: 'http://backend:3001/api/health', probe: probeFor('backend') },
+        { name: 'grafana', url: 'http://grafana:3000/api/health', probe: probeFor('grafana') }
+      ],
+      windows: '1h,24h'
+    });
+  });
+
+  afterEach(() => {
+    aggregator.stop();
+  });
+
+  it('should be unknown before the first poll', () => {
+    const status = aggregator.getStatus();
+
+    expect(status.status).toBe('unknown');
+    expect(status.services.backend).toMatchObject({ url: 'http://backend:3001/api/health', status: 'unknown' });
+    expect(status.services.backend.uptime).toEqual({ '1h': null, '24h': null });
+  });
+
+  it('should report uptime and response times per service', async () => {
+    await aggregator.monitor.runAll();
+    up.grafana = false;
+    await aggregator.monitor.runAll();
+
+    const status = aggregator.getStatus();
+
+    expect(status.status).toBe('degraded');
+    expect(status.windows).toEqual(['1h', '24h']);
+    expect(status.services.backend.uptime['1h']).toBe(100);
+    expect(status.services.grafana).toMatchObject({ status: 'unhealthy', error: 'grafana returned 503' });
+    expect(status.services.grafana.uptime['24h']).toBe(50);
+    expect(status.services.backend.responseTime['1h'].averageMs).toBeGreaterThanOrEqual(0);
+  });
+
+  it('should open and resolve incidents', async () => {
+    up.backend = false;
+    await aggregator.monitor.runAll();
+    await aggregator.monitor.runCheck('backend');
+
+    expect(aggregator.getStatus().incidents).toEqual([
+      expect.objectContaining({ service: 'backend', resolvedAt: null, error: 'backend returned 503' })
+    ]);
+
+    up.backend = true;
+    await aggregator.monitor.runCheck('backend');
+
+    const [incident] = aggregator.getStatus().incidents;
+    expect(incident.resolvedAt).toBeInstanceOf(Date);
+    expect(incident.durationMs).toBe(incident.resolvedAt - incident.startedAt);
+  });
+
+  it('should keep incidents bounded and list the newest first', () => {
+    aggregator.maxIncidents = 2;
+    ['a', 'b', 'c'].forEach((service, index) => {
+      aggregator.recordIncident(service, { status: 'unhealthy', lastCheck: new Date(index), error: 'down' });
+    });
+
+    expect(aggregator.getStatus().incidents.map(incident => incident.service)).toEqual(['c', 'b']);
+  });
+
+  it('should derive the overall status', () => {
+    expect(StatusAggregator.overallStatus([])).toBe('unknown');
+    expect(StatusAggregator.overallStatus(['healthy', 'unknown'])).toBe('operational');
+    expect(StatusAggregator.overallStatus(['healthy', 'unhealthy'])).toBe('degraded');
+    expect(StatusAggregator.overallStatus(['unhealthy', 'unhealthy'])).toBe('outage');
+  });
+});
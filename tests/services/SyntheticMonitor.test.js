@@ -0,0 +1,119 @@
+const express = require('express');
+const client = require('prom-client');
+const SyntheticMonitor = require('../../src/services/SyntheticMonitor');
+const { isSyntheticRequest } = require('../../src/services/SyntheticMonitor');
+
+describe('SyntheticMonitor', () => {
+  let synthetics;
+
+  afterEach(() => {
+    synthetics.stop();
+  });
+
+  it('should reject scenarios without a name or a valid path', () => {
+    expect(() => new SyntheticMonitor({ scenarios: [{ path: '/' }] })).toThrow(/requires a name/);
+    expect(() => new SyntheticMonitor({ scenarios: [{ name: 'bad', path: 'api' }] })).toThrow(/path starting with \//);
+    synthetics = new SyntheticMonitor();
+  });
+
+  it('should report scenarios as unknown before they run', () => {
+    synthetics = new SyntheticMonitor({ scenarios: [{ name: 'status', path: '/api/status' }] });
+
+    expect(synthetics.getResults().status).toMatchObject({ status: 'unknown', lastRun: null });
+  });
+
+  it('should run the steps of a scenario in order and stop at the first failure', async () => {
+    const calls = [];
+    synthetics = new SyntheticMonitor({
+      scenarios: [{
+        name: 'checkout',
+        steps: [
+          { method: 'POST', path: '/api/cart', body: { item: 1 }, expect: { status: 201 } },
+          { path: '/api/cart', expect: { body: { items: 1 } } },
+          { path: '/api/checkout' }
+        ]
+      }],
+      request: async (url, options) => {
+        calls.push(`${options.method} ${url}`);
+        return url.endsWith('/api/cart') && options.method === 'POST'
+          ? { statusCode: 201, body: {}, latencyMs: 5 }
+          : { statusCode: 200, body: { items: 0 }, latencyMs: 5 };
+      }
+    });
+    synthetics.baseUrl = 'http://app:3000';
+
+    await synthetics.runAll();
+
+    expect(calls).toEqual(['POST http://app:3000/api/cart', 'GET http://app:3000/api/cart']);
+    const result = synthetics.getResults().checkout;
+    expect(result.status).toBe('fail');
+    expect(result.error).toBe('GET /api/cart: expected items to be 1, got 0');
+    expect(result.steps.map(step => step.failures.length)).toEqual([0, 1]);
+  });
+
+  it('should fail steps over the latency budget', async () => {
+    synthetics = new SyntheticMonitor({
+      scenarios: [{ name: 'slow', path: '/' }],
+      latencyBudgetMs: 100,
+      request: async () => ({ statusCode: 200, body: {}, latencyMs: 150 })
+    });
+    synthetics.baseUrl = 'http://app:3000';
+
+    await synthetics.runAll();
+
+    expect(synthetics.getResults().slow.error).toMatch(/budget is 100ms/);
+  });
+
+  it('should check a live server and export metrics', async () => {
+    const app = express();
+    app.get('/api/status', (req, res) => res.json({
+      apiStatus: 'operational',
+      agent: req.get('User-Agent'),
+      synthetic: isSyntheticRequest(req)
+    }));
+    const server = app.listen(0);
+    const registry = new client.Registry();
+
+    try {
+      synthetics = new SyntheticMonitor({
+        scenarios: [{
+          name: 'status',
+          path: '/api/status',
+          expect: { body: { apiStatus: 'operational', agent: 'synthetic-monitor', synthetic: true } }
+        }]
+      }).registerMetrics(registry);
+      const changes = [];
+      synthetics.on('statusChange', (name, result, previous) => changes.push([previous, result.status]));
+
+      await synthetics.start(`http://127.0.0.1:${server.address().port}`);
+
+      expect(synthetics.getResults().status).toMatchObject({ status: 'pass', error: null });
+      expect(synthetics.getResults().status.steps[0]).toMatchObject({ statusCode: 200, failures: [] });
+      expect(changes).toEqual([['unknown', 'pass']]);
+
+      const metrics = await registry.metrics();
+      expect(metrics).toContain('synthetic_check_success{scenario="status"} 1');
+      expect(metrics).toContain('synthetic_check_runs_total{scenario="status",result="pass"} 1');
+      expect(metrics).toContain('synthetic_check_duration_seconds_count{scenario="status"} 1');
+    } finally {
+      server.close();
+    }
+  });
+
+  it('should fail when the target cannot be reached', async () => {
+    synthetics = new SyntheticMonitor({ scenarios: [{ name: 'status', path: '/api/status' }], timeoutMs: 2000 });
+
+    await synthetics.start('http://127.0.0.1:1');
+
+    expect(synthetics.getResults().status.status).toBe('fail');
+    expect(synthetics.getResults().status.error).toMatch(/^GET \/api\/status: .*ECONNREFUSED/);
+  });
+
+  it('should not take a request for a synthetic one by its User-Agent', () => {
+    synthetics = new SyntheticMonitor();
+    const req = headers => ({ get: name => headers[name] });
+
+    expect(isSyntheticRequest(req({ 'User-Agent': 'synthetic-monitor' }))).toBe(false);
+    expect(isSyntheticRequest(req({ 'User-Agent': 'synthetic-monitor', 'X-Synthetic-Token': 'guess' }))).toBe(false);
+  });
+});
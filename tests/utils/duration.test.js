@@ -0,0 +1,24 @@
+const { parseDuration, parseDurationList } = require('../../src/utils/duration');
+
+describe('duration', () => {
+  it('should parse durations with units', () => {
+    expect(parseDuration('250ms')).toBe(250);
+    expect(parseDuration('30s')).toBe(30000);
+    expect(parseDuration('5m')).toBe(300000);
+    expect(parseDuration('1.5h')).toBe(5400000);
+    expect(parseDuration('7d')).toBe(604800000);
+    expect(parseDuration(1000)).toBe(1000);
+  });
+
+  it('should reject malformed durations', () => {
+    expect(() => parseDuration('5 minutes')).toThrow(/Invalid duration/);
+    expect(() => parseDuration('')).toThrow(/Invalid duration/);
+  });
+
+  it('should parse comma separated lists keeping labels', () => {
+    expect(parseDurationList('5m, 1h')).toEqual([
+      { label: '5m', ms: 300000 },
+      { label: '1h', ms: 3600000 }
+    ]);
+  });
+});
@@ -0,0 +1,22 @@
+const { routeMatches, isProbePath } = require('../../src/utils/routeMatch');
+
+describe('routeMatches', () => {
+  it('should match exact paths, prefixes and wildcards', () => {
+    expect(routeMatches('*', '/anything')).toBe(true);
+    expect(routeMatches('/api/*', '/api/users')).toBe(true);
+    expect(routeMatches('/api/users', '/api/users')).toBe(true);
+    expect(routeMatches('/api/users', '/api/status')).toBe(false);
+    expect(routeMatches('/api/*', '/health')).toBe(false);
+  });
+});
+
+describe('isProbePath', () => {
+  it('should recognise the probe, health and metrics endpoints', () => {
+    ['/live', '/ready', '/startup', '/health', '/health/deployment', '/metrics'].forEach(path => {
+      expect(isProbePath(path)).toBe(true);
+    });
+    ['/', '/api/users', '/healthy', '/status', '/admin/faults'].forEach(path => {
+      expect(isProbePath(path)).toBe(false);
+    });
+  });
+});